@@ -17,6 +17,20 @@ const BlockchainListenerService = require('../services/blockchainListener');
 const OrderService = require('../services/orderService');
 const UserStorageService = require('../services/userStorage');
 const PlatformStorageService = require('../services/platformStorage');
+const OrderExportService = require('../services/orderExport');
+const TraceExportService = require('../services/traceExport');
+const OrderStorageService = require('../services/orderStorage');
+const DisputeStorageService = require('../services/disputeStorage');
+const EvidenceStorageService = require('../services/evidenceStorage');
+const RatingStorageService = require('../services/ratingStorage');
+const ArbitrationService = require('../services/arbitration');
+const DisputeAssessmentService = require('../services/disputeAssessment');
+const FareQuoteService = require('../services/fareQuote');
+const SurgePricingService = require('../services/surgePricing');
+const GeofenceService = require('../services/geofence');
+const AuthService = require('../services/auth');
+const { createAuthMiddleware } = require('../middleware/auth');
+const { normalizeLocation, isValidLocation } = require('../utils/geo');
 
 const app = express();
 
@@ -84,45 +98,260 @@ app.use('/contracts', express.static(path.join(__dirname, '../../contracts')));
 const config = require('../config/config.js');
 
 // 初始化服务
-const orderMatchingService = new TF_OrderMatchingService(config);
-const locationTrackingService = new TF_LocationTrackingService(config);
-const blockchainListenerService = new BlockchainListenerService(config);
+const orderStorageService = new OrderStorageService(config);
+const disputeStorageService = new DisputeStorageService();
+const authService = new AuthService(config, orderStorageService);
+const geofenceService = new GeofenceService(config);
+const orderMatchingService = new TF_OrderMatchingService(config, authService, orderStorageService, geofenceService);
 const orderService = new OrderService(config);
 const userStorageService = new UserStorageService();
+const platformStorageService = new PlatformStorageService();
+const orderExportService = new OrderExportService(config, orderStorageService, platformStorageService);
+const traceExportService = new TraceExportService();
+const surgePricingService = new SurgePricingService(config, orderMatchingService);
+const fareQuoteService = new FareQuoteService(config, surgePricingService, geofenceService);
+const locationTrackingService = new TF_LocationTrackingService(config, fareQuoteService, geofenceService);
+const evidenceStorageService = new EvidenceStorageService(config, locationTrackingService);
+const ratingStorageService = new RatingStorageService(config, locationTrackingService);
+// 监听服务与 API 共用存储实例，同一文件的写入在同一队列中排队
+const blockchainListenerService = new BlockchainListenerService(config, orderStorageService, userStorageService, platformStorageService, disputeStorageService, ratingStorageService);
+const arbitrationService = new ArbitrationService(config);
+const disputeAssessmentService = new DisputeAssessmentService(config, orderService, orderStorageService, locationTrackingService, disputeStorageService);
+const {
+    authenticate,
+    optionalAuth,
+    requireAdmin,
+    requireOrderDriver,
+    requireOrderParty
+} = createAuthMiddleware(authService);
 
 // 启动区块链监听
 blockchainListenerService.start();
 
+// 订单状态变化推送给订阅该订单的乘客（WebSocket）
+const orderUpdateEvents = {
+    order_accepted: 'driver_accepted',
+    passenger_picked_up: 'passenger_picked_up',
+    ride_started: 'ride_started',
+    order_completed: 'order_completed',
+    ride_settled: 'order_settled'
+};
+for (const [listenerEvent, updateEvent] of Object.entries(orderUpdateEvents)) {
+    blockchainListenerService.on(listenerEvent, ({ orderId, ...data }) => {
+        orderMatchingService.publishOrderUpdate(orderId, updateEvent, data);
+    });
+}
+locationTrackingService.on('location_update', ({ orderId, location }) => {
+    orderMatchingService.publishOrderUpdate(orderId, 'driver_location', { location });
+});
+locationTrackingService.on('stop_arrived', ({ orderId, stop, nextStop }) => {
+    orderMatchingService.publishOrderUpdate(orderId, 'stop_arrived', { stop, nextStop });
+});
+
+// 司机实时位置进入上车点/目的地围栏：写入订单历史并通知乘客
+const geofenceArrivalEvents = {
+    pickup: { updateEvent: 'driver_arrived', historyEvent: 'DriverArrivedAtPickup', description: '司机已到达上车点' },
+    destination: { updateEvent: 'arrived_at_destination', historyEvent: 'ArrivedAtDestination', description: '已到达目的地' }
+};
+geofenceService.on('fence_entered', async ({ orderId, fence }) => {
+    const arrival = geofenceArrivalEvents[fence.type];
+    if (!arrival) {
+        return;
+    }
+    
+    const data = { lat: fence.lat, lng: fence.lng, address: fence.address, arrivedAt: fence.enteredAt };
+    orderMatchingService.publishOrderUpdate(orderId, arrival.updateEvent, data);
+    try {
+        await orderStorageService.addOrderHistory(orderId, arrival.historyEvent, { ...data, description: arrival.description });
+    } catch (error) {
+        console.warn(`订单 #${orderId} 到达记录保存失败:`, error.message);
+    }
+});
+blockchainListenerService.on('order_cancelled', ({ orderId }) => {
+    geofenceService.unwatch(orderId);
+});
+// 订单文件创建前产生的派单历史在此时写入
+blockchainListenerService.on('order_created', ({ orderId }) => {
+    orderMatchingService.dispatcher.flushOrderHistory(orderId).catch(error => {
+        console.warn(`订单 #${orderId} 派单历史写入失败:`, error.message);
+    });
+});
+
+// 争议发起时按行程数据预评估，结果附在争议案件（TrustFlowDispute）或订单记录（RideOrder.submitDispute）上
+blockchainListenerService.on('dispute_created', async ({ disputeId, orderId, initiator }) => {
+    try {
+        // 补齐历史事件时会再次收到，已评估的案件不重复评估
+        const existing = await disputeStorageService.getDispute(disputeId);
+        if (existing?.assessment) {
+            return;
+        }
+        const assessment = await disputeAssessmentService.assessOrder(orderId, initiator);
+        await disputeStorageService.updateDispute(disputeId, { assessment });
+    } catch (error) {
+        console.warn(`争议 #${disputeId} 预评估失败:`, error.message);
+    }
+});
+blockchainListenerService.on('dispute_opened', async ({ orderId, by }) => {
+    try {
+        const assessment = await disputeAssessmentService.assessOrder(orderId, by);
+        await orderStorageService.updateOrderMetadata(orderId, { disputeAssessment: assessment });
+    } catch (error) {
+        console.warn(`订单 #${orderId} 争议预评估失败:`, error.message);
+    }
+});
+
+// 启动动态定价历史记录
+surgePricingService.start();
+
+// ==================== 认证相关API ====================
+
+/**
+ * 获取登录消息（包含一次性 nonce）
+ */
+app.post('/api/auth/nonce', (req, res) => {
+    try {
+        const { address } = req.body;
+        const host = config.auth.domain || req.get('host');
+        
+        const result = authService.createNonce({
+            address,
+            domain: host,
+            uri: `${req.protocol}://${host}`
+        });
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 验证签名，签发会话 token
+ */
+app.post('/api/auth/verify', (req, res) => {
+    try {
+        const { message, signature } = req.body;
+        
+        const session = authService.verifySignature({ message, signature });
+        
+        res.json({ success: true, data: session });
+    } catch (error) {
+        res.status(401).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取当前登录用户
+ */
+app.get('/api/auth/me', authenticate, (req, res) => {
+    res.json({ success: true, data: req.user });
+});
+
 // ==================== 订单相关API ====================
 
 /**
- * 计算预估费用
+ * 计算预估费用（生成带签名的报价）
+ * 请求体: { pickup: { lat, lng }, destination: { lat, lng }, category, subCategory, waypoints, scheduledPickupTime（可选，预约单上车时间，毫秒）, pooled（可选，拼车） }
  */
 app.post('/api/calculate-fare', async (req, res) => {
     try {
-        const { pickup, destination } = req.body;
+        const { pickup, destination, category, subCategory, waypoints, scheduledPickupTime, pooled } = req.body || {};
         
-        // 计算距离
-        const distance = calculateDistance(
-            pickup.lat, pickup.lng,
-            destination.lat, destination.lng
-        );
+        if (!pickup || !destination) {
+            return res.status(400).json({ 
+                success: false, 
+                error: '缺少上车点或目的地' 
+            });
+        }
         
-        // 费用计算逻辑（基础费用 + 距离费用）
-        const baseFare = 0.005; // ETH
-        const perKmFare = 0.001; // ETH per km
-        const fare = baseFare + (distance * perKmFare);
+        const quote = fareQuoteService.createQuote({ pickup, destination, category, subCategory, waypoints, scheduledPickupTime, pooled });
         
         res.json({
             success: true,
             data: {
-                distance: distance.toFixed(2),
-                fare: fare.toFixed(6),
-                estimatedTime: Math.ceil(distance / 40 * 60) // 假设平均40km/h
+                // 兼容旧字段
+                distance: quote.distance.toFixed(2),
+                fare: quote.fareETH,
+                estimatedTime: quote.duration,
+                quote
             }
         });
     } catch (error) {
         console.error('计算费用错误:', error);
+        const status = error.message.includes('无效') || error.message.includes('服务区域') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 验证报价（创建订单前调用）
+ */
+app.post('/api/fare-quotes/verify', (req, res) => {
+    try {
+        const { token } = req.body || {};
+        const quote = fareQuoteService.verifyQuote(token);
+        
+        res.json({ success: true, data: quote });
+    } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== 定价相关API ====================
+
+/**
+ * 获取指定位置的溢价倍数
+ */
+app.get('/api/pricing/surge', (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        
+        if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            return res.status(400).json({ 
+                success: false, 
+                error: '无效的坐标' 
+            });
+        }
+        
+        res.json({ success: true, data: surgePricingService.getSurge(lat, lng) });
+    } catch (error) {
+        console.error('获取溢价倍数错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取当前所有网格的供需和溢价
+ */
+app.get('/api/pricing/surge/cells', (req, res) => {
+    try {
+        res.json({ success: true, data: surgePricingService.getCurrentCells() });
+    } catch (error) {
+        console.error('获取溢价网格错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取溢价历史（用于平台图表）
+ * 查询参数: cell（可选，指定网格）, since（可选，起始时间戳毫秒）
+ */
+app.get('/api/pricing/surge/history', (req, res) => {
+    try {
+        const { cell } = req.query;
+        const since = parseInt(req.query.since || '0');
+        
+        res.json({
+            success: true,
+            data: {
+                cell: cell || null,
+                interval: surgePricingService.historyInterval,
+                points: surgePricingService.getHistory({ cell, since: isNaN(since) ? 0 : since })
+            }
+        });
+    } catch (error) {
+        console.error('获取溢价历史错误:', error);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -186,6 +415,60 @@ app.get('/api/available-orders', async (req, res) => {
     }
 });
 
+/**
+ * 获取当前登录用户即将到来的预约单
+ * 查询参数: type = passenger | driver
+ */
+app.get('/api/orders/scheduled', authenticate, async (req, res) => {
+    try {
+        const { type = 'passenger' } = req.query;
+        
+        if (type !== 'passenger' && type !== 'driver') {
+            return res.status(400).json({ 
+                success: false, 
+                error: '无效的类型，必须是 passenger 或 driver' 
+            });
+        }
+        
+        const now = Date.now();
+        const orders = (await orderStorageService.getOrdersByUser(req.user.address, type))
+            // 状态 0 = Pending，1 = Accepted
+            .filter(order => order.scheduledPickupTime && order.scheduledPickupTime > now && Number(order.status) <= 1)
+            .sort((a, b) => a.scheduledPickupTime - b.scheduledPickupTime)
+            .map(order => ({
+                orderId: order.orderId,
+                passenger: order.passenger,
+                driver: order.driver || null,
+                status: order.status,
+                pickup: order.pickup,
+                destination: order.destination,
+                category: order.category,
+                subCategory: order.subCategory,
+                estimatedFare: order.estimatedFare,
+                scheduledPickupTime: order.scheduledPickupTime,
+                dispatchAt: order.scheduledPickupTime - config.services.scheduling.leadTime
+            }));
+        
+        res.json({ success: true, data: orders, count: orders.length });
+    } catch (error) {
+        console.error('获取预约单错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取订单派单状态（订单双方可查看）
+ */
+app.get('/api/orders/:orderId/dispatch', requireOrderParty(req => req.params.orderId), (req, res) => {
+    const status = orderMatchingService.dispatcher.getStatus(req.orderId);
+    
+    if (!status) {
+        return res.status(404).json({ success: false, error: '订单不在派单中' });
+    }
+    
+    res.json({ success: true, data: status });
+});
+
 /**
  * 获取订单详情
  * 使用统一订单服务
@@ -297,8 +580,10 @@ app.get('/api/users/:address/orders', async (req, res) => {
  * 同步订单ID（用于前端通知后端新订单已创建）
  * 注意：这只是一个通知端点，不实际更新配置
  * 订单ID由智能合约管理，后端通过监听事件自动同步
+ * 附带报价时只接受订单乘客本人提交，且报价的上车点、目的地和车费须与链上订单一致
+ * （行程结束时按该报价的溢价、拼车优惠和上车费计价）
  */
-app.post('/api/orders/sync/:orderId', async (req, res) => {
+app.post('/api/orders/sync/:orderId', authenticate, async (req, res) => {
     try {
         const { orderId } = req.params;
         const orderIdNum = parseInt(orderId);
@@ -313,6 +598,63 @@ app.post('/api/orders/sync/:orderId', async (req, res) => {
         // 记录订单创建通知（用于调试和监控）
         console.log(`[API] 收到订单同步通知: orderId=${orderIdNum}`);
         
+        const { quoteToken } = req.body || {};
+        let fareQuote = null;
+        let schedule = null;
+        let route = null;
+        if (quoteToken) {
+            // 订单创建时报价可能已过期，只校验签名
+            let quote;
+            let order;
+            try {
+                quote = fareQuoteService.verifyQuote(quoteToken, { allowExpired: true });
+                order = await orderService.getOrderById(orderIdNum, { validateData: true });
+            } catch (error) {
+                return res.status(400).json({ success: false, error: error.message });
+            }
+            
+            if (req.user.address !== order.passenger.toLowerCase()) {
+                return res.status(403).json({ success: false, error: '只有订单乘客可以关联报价' });
+            }
+            
+            const sameLocation = (chainLocation, quoteLocation) =>
+                Math.round(chainLocation.latitude * 1e6) === Math.round(quoteLocation.lat * 1e6) &&
+                Math.round(chainLocation.longitude * 1e6) === Math.round(quoteLocation.lng * 1e6);
+            if (!sameLocation(order.pickup, quote.pickup) || !sameLocation(order.destination, quote.destination)) {
+                return res.status(400).json({ success: false, error: '报价与订单上车点或目的地不一致' });
+            }
+            if (!ethers.utils.parseEther(quote.fareETH).eq(ethers.utils.parseEther(order.estimatedFare))) {
+                return res.status(400).json({ success: false, error: '报价与订单预估费用不一致' });
+            }
+            
+            await orderStorageService.updateOrderMetadata(orderIdNum, { fareQuote: quote });
+            fareQuote = quote;
+            
+            // 预约单、途经点、拼车
+            try {
+                if (fareQuote.waypoints && fareQuote.waypoints.length > 0) {
+                    // 完整路线上传到IPFS，由乘客调用 updateOrderIPFS 写入链上订单
+                    const ipfsHash = await locationTrackingService.uploadRoute(orderIdNum, fareQuote);
+                    const stored = await orderStorageService.saveWaypoints(orderIdNum, fareQuote.waypoints, ipfsHash);
+                    route = { waypoints: stored.waypoints, ipfsHash };
+                }
+                
+                if (fareQuote.pooled) {
+                    await orderStorageService.updateOrderMetadata(orderIdNum, { pooled: true });
+                    orderMatchingService.markPooled(orderIdNum);
+                }
+                
+                if (fareQuote.scheduledPickupTime) {
+                    await orderStorageService.updateOrderMetadata(orderIdNum, {
+                        scheduledPickupTime: fareQuote.scheduledPickupTime
+                    });
+                    schedule = await orderMatchingService.scheduleOrder(orderIdNum, fareQuote.scheduledPickupTime);
+                }
+            } catch (error) {
+                console.warn(`[API] 订单 #${orderIdNum} 预约/途经点/拼车保存失败:`, error.message);
+            }
+        }
+        
         // 注意：订单ID由智能合约管理，后端通过区块链监听服务自动同步
         // 这里只是确认收到通知，不实际更新任何配置
         
@@ -320,6 +662,9 @@ app.post('/api/orders/sync/:orderId', async (req, res) => {
             success: true,
             data: {
                 orderId: orderIdNum,
+                quoteId: fareQuote ? fareQuote.quoteId : null,
+                schedule,
+                route,
                 message: '订单同步通知已收到，后端将通过区块链监听自动同步订单数据',
                 timestamp: Date.now()
             }
@@ -334,19 +679,82 @@ app.post('/api/orders/sync/:orderId', async (req, res) => {
     }
 });
 
+// ==================== 地理围栏API ====================
+
+/**
+ * 获取服务区域和特殊区域（机场、车站等，含指定上车点）
+ */
+app.get('/api/geofences', (req, res) => {
+    res.json({
+        success: true,
+        data: {
+            serviceAreas: geofenceService.serviceAreas,
+            zones: geofenceService.zones,
+            arrivalRadius: geofenceService.arrivalRadius
+        }
+    });
+});
+
+/**
+ * 检查位置是否可以下单（服务区域）及适用的上车规则
+ */
+app.get('/api/geofences/check', (req, res) => {
+    try {
+        const lat = parseFloat(req.query.lat);
+        const lng = parseFloat(req.query.lng);
+        
+        if (!isValidLocation({ lat, lng })) {
+            return res.status(400).json({ success: false, error: '无效的坐标' });
+        }
+        
+        const inServiceArea = geofenceService.isInServiceArea({ lat, lng });
+        res.json({
+            success: true,
+            data: {
+                inServiceArea,
+                ...(inServiceArea ? geofenceService.resolvePickup({ lat, lng }) : { pickup: { lat, lng }, serviceArea: null, zone: null })
+            }
+        });
+    } catch (error) {
+        console.error('检查地理围栏错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ==================== 位置追踪API ====================
 
 /**
  * 开始追踪
  */
-app.post('/api/tracking/start', async (req, res) => {
+app.post('/api/tracking/start', requireOrderDriver(req => req.body.orderId), async (req, res) => {
     try {
-        const { orderId, driverAddress, passengerAddress } = req.body;
+        const orderId = req.orderId;
+        const { driverAddress, passengerAddress } = req.body;
+        
+        if (driverAddress && driverAddress.toLowerCase() !== req.user.address) {
+            return res.status(403).json({ success: false, error: '司机地址与登录地址不一致' });
+        }
+        
+        // 按顺序到达各途经点，最后一站为目的地
+        const stored = await orderStorageService.getOrder(orderId);
+        const destination = normalizeLocation(stored?.destination);
+        const stops = [
+            ...(stored?.waypoints || []).map(waypoint => ({
+                type: 'waypoint',
+                lat: waypoint.lat,
+                lng: waypoint.lng,
+                address: waypoint.address,
+                arrivedAt: waypoint.arrivedAt
+            })),
+            ...(destination ? [{ type: 'destination', ...destination, address: stored.destination.addressText || '' }] : [])
+        ];
         
         const trip = await locationTrackingService.startTracking(
             orderId,
             driverAddress,
-            passengerAddress
+            passengerAddress,
+            stops,
+            normalizeLocation(stored?.pickup)
         );
         
         res.json({ success: true, data: trip });
@@ -357,13 +765,49 @@ app.post('/api/tracking/start', async (req, res) => {
 });
 
 /**
- * 更新位置
+ * 接驾位置上报（接单后、开始行程前）
+ * 位置推送给乘客，进入上车点围栏时自动记录司机到达并通知乘客
  */
-app.post('/api/tracking/location', async (req, res) => {
+app.post('/api/tracking/approach', requireOrderDriver(req => req.body.orderId), async (req, res) => {
     try {
-        const { orderId, location } = req.body;
+        const orderIdNum = req.orderId;
+        const { location } = req.body || {};
+        const point = {
+            lat: parseFloat(location?.lat),
+            lng: parseFloat(location?.lng),
+            accuracy: location?.accuracy || 0,
+            timestamp: Date.now()
+        };
+        
+        if (!isValidLocation(point)) {
+            return res.status(400).json({ success: false, error: '无效的坐标' });
+        }
+        
+        if (!geofenceService.isWatching(orderIdNum, 'pickup')) {
+            const stored = await orderStorageService.getOrder(orderIdNum);
+            const pickup = normalizeLocation(stored?.pickup);
+            if (!pickup) {
+                return res.status(404).json({ success: false, error: '订单不存在或缺少上车点' });
+            }
+            geofenceService.watch(orderIdNum, [{ id: 'pickup', type: 'pickup', ...pickup, address: stored.pickup.addressText || '' }]);
+        }
         
-        const point = await locationTrackingService.addLocationPoint(orderId, location);
+        const entered = geofenceService.checkLocation(orderIdNum, point);
+        orderMatchingService.publishOrderUpdate(orderIdNum, 'driver_location', { location: point });
+        
+        res.json({ success: true, data: { location: point, entered } });
+    } catch (error) {
+        console.error('接驾位置上报错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 更新位置
+ */
+app.post('/api/tracking/location', requireOrderDriver(req => req.body.orderId), async (req, res) => {
+    try {
+        const point = await locationTrackingService.addLocationPoint(req.orderId, req.body.location);
         
         res.json({ success: true, data: point });
     } catch (error) {
@@ -372,14 +816,94 @@ app.post('/api/tracking/location', async (req, res) => {
     }
 });
 
+/**
+ * 到达站点（途经点或目的地，需按顺序到达）
+ */
+app.post('/api/tracking/stops/arrive', requireOrderDriver(req => req.body.orderId), async (req, res) => {
+    try {
+        const orderId = req.orderId;
+        const { stopIndex } = req.body;
+        
+        const result = await locationTrackingService.arriveAtStop(orderId, stopIndex);
+        if (!result.arrived) {
+            return res.status(400).json({
+                success: false,
+                error: `尚未到达第 ${result.stop.index + 1} 站`,
+                data: result
+            });
+        }
+        
+        if (result.stop.type === 'waypoint') {
+            await orderStorageService.markWaypointArrived(orderId, result.stop.index, result.stop.arrivedAt);
+            await orderStorageService.addOrderHistory(orderId, 'WaypointReached', {
+                index: result.stop.index,
+                address: result.stop.address,
+                description: `已到达途经点 ${result.stop.index + 1}`
+            });
+        }
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('到达站点错误:', error);
+        const status = error.message.includes('站点') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * 停止追踪
+ * 返回按实际行程计算的费用（meteredFare），由司机在链上 completeOrder 时提交为 actualFare
+ * 实际计价仅作记录和对账参考：合约结算按订单锁定的 estimatedFare（返回为 settledFare）
  */
-app.post('/api/tracking/stop', async (req, res) => {
+app.post('/api/tracking/stop', requireOrderDriver(req => req.body.orderId), async (req, res) => {
     try {
-        const { orderId } = req.body;
+        const orderId = req.orderId;
+        
+        // 沿用订单报价的类别、溢价倍数和拼车优惠
+        const stored = await orderStorageService.getOrder(orderId);
+        const fareQuote = stored?.fareQuote || {};
+        const result = await locationTrackingService.stopTracking(orderId, {
+            category: stored?.category || fareQuote.category,
+            subCategory: stored?.subCategory || fareQuote.subCategory,
+            surgeMultiplier: fareQuote.surgeMultiplier,
+            poolDiscount: fareQuote.poolDiscount,
+            pickupFee: fareQuote.pickupFee
+        });
         
-        const result = await locationTrackingService.stopTracking(orderId);
+        result.settledFare = stored?.estimatedFare || null;
+        
+        // 记录预估费用与实际计价的差异
+        if (result.meteredFare && stored?.estimatedFare) {
+            result.fareVariance = fareQuoteService.compareFare(stored.estimatedFare, result.meteredFare.fareETH);
+            await orderStorageService.updateOrderMetadata(orderId, {
+                meteredFare: result.meteredFare,
+                fareVariance: result.fareVariance
+            });
+            await orderStorageService.addOrderHistory(orderId, 'MeteredFareCalculated', {
+                ...result.fareVariance,
+                description: `实际计价 ${result.fareVariance.actualFareETH} ETH（预估 ${result.fareVariance.estimatedFareETH} ETH，差异 ${result.fareVariance.variancePercent}%）`
+            });
+        }
+        
+        // 地图匹配里程与 GPS 直线里程对比
+        if (result.mapMatching) {
+            await orderStorageService.addOrderHistory(orderId, 'TraceMapMatched', {
+                distance: result.mapMatching.distance,
+                rawDistance: result.mapMatching.rawDistance,
+                matchRatio: result.mapMatching.matchRatio,
+                applied: result.mapMatching.applied,
+                description: `路网匹配里程 ${result.mapMatching.distance.toFixed(2)} km（GPS 直线里程 ${result.mapMatching.rawDistance.toFixed(2)} km，匹配率 ${Math.round(result.mapMatching.matchRatio * 100)}%）`
+            });
+        }
+        
+        // 轨迹可信度随订单保存，争议处理时在平台后台查看
+        await orderStorageService.updateOrderMetadata(orderId, { traceIntegrity: result.integrity });
+        await orderStorageService.addOrderHistory(orderId, 'TraceValidated', {
+            score: result.integrity.score,
+            level: result.integrity.level,
+            issues: result.integrity.issues,
+            description: `行程轨迹可信度 ${result.integrity.score}/100`
+        });
         
         res.json({ success: true, data: result });
     } catch (error) {
@@ -391,11 +915,9 @@ app.post('/api/tracking/stop', async (req, res) => {
 /**
  * 获取当前位置
  */
-app.get('/api/tracking/:orderId/current', async (req, res) => {
+app.get('/api/tracking/:orderId/current', requireOrderParty(req => req.params.orderId), async (req, res) => {
     try {
-        const { orderId } = req.params;
-        
-        const location = await locationTrackingService.getCurrentLocation(parseInt(orderId));
+        const location = await locationTrackingService.getCurrentLocation(req.orderId);
         
         res.json({ success: true, data: location });
     } catch (error) {
@@ -407,11 +929,9 @@ app.get('/api/tracking/:orderId/current', async (req, res) => {
 /**
  * 获取行程详情
  */
-app.get('/api/tracking/:orderId', async (req, res) => {
+app.get('/api/tracking/:orderId', requireOrderParty(req => req.params.orderId), async (req, res) => {
     try {
-        const { orderId } = req.params;
-        
-        const trip = await locationTrackingService.getTripDetails(parseInt(orderId));
+        const trip = await locationTrackingService.getTripDetails(req.orderId);
         
         res.json({ success: true, data: trip });
     } catch (error) {
@@ -420,12 +940,47 @@ app.get('/api/tracking/:orderId', async (req, res) => {
     }
 });
 
+/**
+ * 导出行程轨迹（含时间、速度、航向）
+ * 查询参数: format=gpx | geojson | kml（默认 gpx）
+ * 直接返回文件内容（附件下载）
+ */
+app.get('/api/tracking/:orderId/export', requireOrderParty(req => req.params.orderId), async (req, res) => {
+    try {
+        const orderId = req.orderId;
+        const format = String(req.query.format || 'gpx').toLowerCase();
+        
+        if (!traceExportService.isSupportedFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                error: '无效的导出格式，必须是 gpx、geojson 或 kml'
+            });
+        }
+        
+        const trip = await locationTrackingService.getTripDetails(orderId);
+        if (!trip || !trip.points) {
+            return res.status(404).json({ success: false, error: `订单 #${orderId} 没有行程轨迹` });
+        }
+        
+        const file = traceExportService.exportTrip(trip, format);
+        console.log(`[API] 导出行程轨迹: ${file.filename} (${file.totalPoints} 个位置点)`);
+        
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+        res.send(file.body);
+    } catch (error) {
+        console.error('导出行程轨迹失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ==================== 用户相关API ====================
 
 /**
- * 批量获取用户信息
+ * 批量获取用户信息（联系方式仅对本人、订单对方和平台管理员可见）
  */
-app.post('/api/user-info/batch', async (req, res) => {
+app.post('/api/user-info/batch', optionalAuth, async (req, res) => {
     try {
         const { addresses } = req.body;
         
@@ -461,13 +1016,14 @@ app.post('/api/user-info/batch', async (req, res) => {
         const userProfiles = await userStorageService.getUserProfilesBatch(validAddresses);
         
         // 构建地址到用户信息的映射
+        const canViewContact = await authService.getContactVisibility(req.user);
         const userInfoMap = {};
         userProfiles.forEach(profile => {
             if (profile && profile.address) {
                 userInfoMap[profile.address.toLowerCase()] = {
                     id: profile.id || null,
                     nickname: profile.nickname || null,
-                    contact: profile.contact || null
+                    contact: canViewContact(profile.address) ? (profile.contact || null) : null
                 };
             }
         });
@@ -498,9 +1054,9 @@ app.post('/api/user-info/batch', async (req, res) => {
 });
 
 /**
- * 获取单个用户信息（从存储服务）
+ * 获取单个用户信息（从存储服务，联系方式仅对本人、订单对方和平台管理员可见）
  */
-app.get('/api/user-info/:address', async (req, res) => {
+app.get('/api/user-info/:address', optionalAuth, async (req, res) => {
     try {
         const { address } = req.params;
         
@@ -524,12 +1080,14 @@ app.get('/api/user-info/:address', async (req, res) => {
             });
         }
         
+        const canViewContact = await authService.getContactVisibility(req.user);
+        
         res.json({
             success: true,
             data: {
                 id: profile.id || null,
                 nickname: profile.nickname || null,
-                contact: profile.contact || null
+                contact: canViewContact(address) ? (profile.contact || null) : null
             }
         });
     } catch (error) {
@@ -607,40 +1165,29 @@ app.get('/api/drivers/:address', async (req, res) => {
 });
 
 /**
- * 获取用户评价
+ * 从本地评价索引读取用户评分汇总和一页评价（被隐藏的评论不返回）
+ * @param {object} options - { page, pageSize, sort: 'newest' | 'oldest' | 'highest' | 'lowest' }
+ */
+async function fetchUserRatings(address, options = {}) {
+    const { summary, ratings, pagination, sort } = await ratingStorageService.getUserRatings(address, options);
+    return { ...summary, ratings, pagination, sort };
+}
+
+/**
+ * 获取用户收到的评价
+ * 查询参数: page（从 1 开始）, pageSize, sort（newest | oldest | highest | lowest）
  */
 app.get('/api/users/:address/ratings', async (req, res) => {
     try {
         const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ success: false, error: '无效的地址格式' });
+        }
         
-        const provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
-        const ratingSystemContract = new ethers.Contract(
-            config.contracts.ratingSystem,
-            config.abis.ratingSystem,
-            provider
-        );
-        
-        const rating = await ratingSystemContract.getUserRating(address);
-        const receivedRatings = await ratingSystemContract.getReceivedRatings(address);
-        
+        const { page, pageSize, sort } = req.query;
         res.json({
             success: true,
-            data: {
-                totalRatings: rating.totalRatings.toNumber(),
-                averageScore: rating.averageScore.toNumber() / 100,
-                fiveStars: rating.fiveStars.toNumber(),
-                fourStars: rating.fourStars.toNumber(),
-                threeStars: rating.threeStars.toNumber(),
-                twoStars: rating.twoStars.toNumber(),
-                oneStar: rating.oneStar.toNumber(),
-                recentRatings: receivedRatings.slice(-10).map(r => ({
-                    orderId: r.orderId.toNumber(),
-                    rater: r.rater,
-                    score: r.score,
-                    comment: r.comment,
-                    timestamp: r.timestamp.toNumber()
-                }))
-            }
+            data: await fetchUserRatings(address, { page, pageSize, sort })
         });
     } catch (error) {
         console.error('获取评价错误:', error);
@@ -648,11 +1195,514 @@ app.get('/api/users/:address/ratings', async (req, res) => {
     }
 });
 
-// ==================== 平台相关API ====================
+// ==================== 评价相关API ====================
 
 /**
- * 获取订单统计数据（优化版本，避免前端遍历所有订单）
- * 只查询最近的订单，减少 eth_call 调用
+ * 订单的评价（双方互评，被隐藏的评论不返回）
+ */
+app.get('/api/ratings/orders/:orderId', async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.orderId);
+        if (isNaN(orderId)) {
+            return res.status(400).json({ success: false, error: '无效的订单ID' });
+        }
+        
+        const ratings = await ratingStorageService.listRatings({ orderId });
+        res.json({ success: true, data: ratings.map(RatingStorageService.toPublicRating) });
+    } catch (error) {
+        console.error('获取订单评价错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 上传评价详情（长评和标签评分），返回的 CID 作为 submitDetailedRating 的 ipfsHash
+ * 请求体: { orderId, ratee, review, tags: { cleanliness, punctuality, route } }
+ * 只有订单双方可以上传，被评价者必须是订单的另一方
+ */
+app.post('/api/ratings/details', authenticate, async (req, res) => {
+    try {
+        const orderId = parseInt(req.body.orderId);
+        if (isNaN(orderId)) {
+            return res.status(400).json({ success: false, error: '无效的订单ID' });
+        }
+        
+        const { passenger, driver } = await authService.getOrderParties(orderId);
+        const ratee = String(req.body.ratee || '').toLowerCase();
+        const isParty = (req.user.address === passenger && ratee === driver) || (req.user.address === driver && ratee === passenger);
+        if (!passenger || !driver || !isParty) {
+            return res.status(403).json({ success: false, error: '只有订单双方可以互相评价' });
+        }
+        
+        const { review, tags } = req.body;
+        const result = await ratingStorageService.storeDetail({ orderId, ratee, review, tags }, req.user.address);
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('保存评价详情错误:', error);
+        const status = error.message.includes('评价') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 举报收到的评价（进入平台审核队列）
+ * 请求体: { reason }
+ */
+app.post('/api/ratings/orders/:orderId/:rater/report', authenticate, async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.orderId);
+        const { rater } = req.params;
+        if (isNaN(orderId) || !ethers.utils.isAddress(rater)) {
+            return res.status(400).json({ success: false, error: '无效的订单ID或评价者地址' });
+        }
+        
+        const rating = await ratingStorageService.report(orderId, rater, req.user.address, req.body.reason);
+        res.json({ success: true, data: RatingStorageService.toPublicRating(rating) });
+    } catch (error) {
+        console.error('举报评价错误:', error);
+        const status = error.message === '评价不存在' ? 404 : (error.message.includes('评价') ? 400 : 500);
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== 争议相关API ====================
+
+/**
+ * 争议列表（由区块链监听服务从 TrustFlowDispute 合约事件索引）
+ * 查询参数: status（open | under_review | resolved | closed）、arbitrator、user（乘客或司机）、orderId
+ * 非管理员只返回自己参与或受理的争议
+ */
+app.get('/api/disputes', authenticate, async (req, res) => {
+    try {
+        const { status, arbitrator, user, orderId } = req.query;
+        
+        if (status && !DisputeStorageService.STATUSES.includes(status)) {
+            return res.status(400).json({ success: false, error: '无效的争议状态' });
+        }
+        if ((arbitrator && !ethers.utils.isAddress(arbitrator)) || (user && !ethers.utils.isAddress(user))) {
+            return res.status(400).json({ success: false, error: '无效的地址格式' });
+        }
+        
+        const disputes = await disputeStorageService.listDisputes({ status, arbitrator, user, orderId });
+        res.json({
+            success: true,
+            data: disputes
+                .filter(dispute => DisputeStorageService.canViewDispute(req.user, dispute))
+                .map(({ timeline, ...dispute }) => ({
+                    ...dispute,
+                    evidenceCount: timeline.filter(entry => entry.event === 'EvidenceSubmitted').length
+                }))
+        });
+    } catch (error) {
+        console.error('获取争议列表错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取争议详情（含时间线和证据列表）
+ */
+app.get('/api/disputes/:disputeId', authenticate, async (req, res) => {
+    try {
+        const disputeId = parseInt(req.params.disputeId);
+        if (isNaN(disputeId)) {
+            return res.status(400).json({ success: false, error: '无效的争议ID' });
+        }
+        
+        const dispute = await disputeStorageService.getDispute(disputeId);
+        if (!dispute) {
+            return res.status(404).json({ success: false, error: '争议不存在' });
+        }
+        if (!DisputeStorageService.canViewDispute(req.user, dispute)) {
+            return res.status(403).json({ success: false, error: '只有争议双方、受理的仲裁员或平台管理员可以查看' });
+        }
+        
+        // 本地证据存储中有记录的补充文件类型、大小和文件名
+        const evidence = await Promise.all(dispute.timeline
+            .filter(entry => entry.event === 'EvidenceSubmitted')
+            .map(async entry => {
+                const meta = await evidenceStorageService.getMetadata(entry.data.ipfsHash);
+                return {
+                    submitter: entry.data.submitter,
+                    ipfsHash: entry.data.ipfsHash,
+                    description: entry.data.evidenceDescription || '',
+                    timestamp: entry.timestamp,
+                    transactionHash: entry.data.transactionHash,
+                    confirmation: entry.confirmation || 'confirmed',
+                    contentType: meta ? meta.contentType : null,
+                    kind: meta ? meta.kind : 'unknown',
+                    size: meta ? meta.size : null,
+                    filename: meta && meta.uploads.length > 0 ? meta.uploads[0].filename : ''
+                };
+            }));
+        
+        res.json({ success: true, data: { ...dispute, evidence } });
+    } catch (error) {
+        console.error('获取争议详情错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取仲裁员统计：链上 getArbitratorStats + 本地索引的案件状态、裁决结果分布
+ */
+app.get('/api/disputes/arbitrators/:address/stats', authenticate, async (req, res) => {
+    try {
+        const { address } = req.params;
+        if (!ethers.utils.isAddress(address)) {
+            return res.status(400).json({ success: false, error: '无效的地址格式' });
+        }
+        
+        const indexed = await disputeStorageService.getArbitratorSummary(address);
+        
+        // 链上统计读取失败时仍返回本地索引结果
+        let onChain = null;
+        try {
+            const provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
+            const disputeContract = new ethers.Contract(
+                config.contracts.disputeResolution,
+                config.abis.disputeResolution,
+                provider
+            );
+            const stats = await disputeContract.getArbitratorStats(address);
+            onChain = {
+                totalCases: stats.totalCases.toNumber(),
+                resolvedCases: stats.resolvedCases.toNumber(),
+                averageResolutionTime: stats.averageResolutionTime.toNumber()
+            };
+        } catch (error) {
+            console.warn('读取链上仲裁员统计失败:', error.message);
+        }
+        
+        res.json({
+            success: true,
+            data: { address, onChain, indexed }
+        });
+    } catch (error) {
+        console.error('获取仲裁员统计错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 订单相关争议中已在链上提交的证据
+ */
+async function getSubmittedEvidence(orderId) {
+    const disputes = await disputeStorageService.listDisputes({ orderId });
+    return disputes.flatMap(dispute => dispute.timeline
+        .filter(entry => entry.event === 'EvidenceSubmitted')
+        .map(entry => ({
+            disputeId: dispute.disputeId,
+            ipfsHash: entry.data.ipfsHash,
+            submitter: entry.data.submitter,
+            description: entry.data.evidenceDescription || '',
+            timestamp: entry.timestamp,
+            transactionHash: entry.data.transactionHash
+        })));
+}
+
+/**
+ * 证据是否对当前用户可见：平台管理员、上传者、相关订单双方、受理相关争议的仲裁员
+ */
+async function canViewEvidence(user, meta) {
+    if (user.role === 'admin') {
+        return true;
+    }
+    for (const upload of meta.uploads) {
+        if (upload.uploader === user.address) {
+            return true;
+        }
+        const { passenger, driver } = await authService.getOrderParties(upload.orderId);
+        if (user.address === passenger || user.address === driver) {
+            return true;
+        }
+        const disputes = await disputeStorageService.listDisputes({ orderId: upload.orderId, arbitrator: user.address });
+        if (disputes.length > 0) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * 上传争议证据（照片、截图、行程轨迹导出文件）
+ * 请求体为文件原始内容（Content-Type: application/octet-stream），文件类型按内容识别
+ * 查询参数: orderId（必填）、disputeId、filename、description
+ * 返回的 cid 作为 TrustFlowDispute.submitEvidence 的 ipfsHash
+ */
+app.post('/api/evidence',
+    requireOrderParty(req => req.query.orderId),
+    express.raw({ type: () => true, limit: evidenceStorageService.maxUploadSize }),
+    async (req, res) => {
+        try {
+            const orderId = req.orderId;
+            if (!Buffer.isBuffer(req.body)) {
+                return res.status(400).json({ success: false, error: '请以文件原始内容上传证据（Content-Type: application/octet-stream）' });
+            }
+            
+            const evidence = await evidenceStorageService.store(req.body, {
+                orderId,
+                disputeId: req.query.disputeId,
+                uploader: req.user.address,
+                filename: req.query.filename,
+                description: req.query.description
+            });
+            res.json({ success: true, data: evidence });
+        } catch (error) {
+            console.error('上传证据错误:', error);
+            const status = error.message.includes('证据') ? 400 : 500;
+            res.status(status).json({ success: false, error: error.message });
+        }
+    }
+);
+
+/**
+ * 将行程轨迹导出文件（GPX / GeoJSON / KML）作为证据保存
+ * 请求体: { orderId, format（默认 gpx）, disputeId, description }
+ */
+app.post('/api/evidence/trace', requireOrderParty(req => req.body.orderId), async (req, res) => {
+    try {
+        const orderId = req.orderId;
+        const format = String(req.body.format || 'gpx').toLowerCase();
+        
+        if (!traceExportService.isSupportedFormat(format)) {
+            return res.status(400).json({
+                success: false,
+                error: '无效的导出格式，必须是 gpx、geojson 或 kml'
+            });
+        }
+        
+        const trip = await locationTrackingService.getTripDetails(orderId);
+        if (!trip || !trip.points) {
+            return res.status(404).json({ success: false, error: `订单 #${orderId} 没有行程轨迹` });
+        }
+        
+        const file = traceExportService.exportTrip(trip, format);
+        const evidence = await evidenceStorageService.store(Buffer.from(file.body, 'utf8'), {
+            orderId,
+            disputeId: req.body.disputeId,
+            uploader: req.user.address,
+            filename: file.filename,
+            description: req.body.description || `行程轨迹（${file.totalPoints} 个位置点）`,
+            source: 'trip_export'
+        });
+        res.json({ success: true, data: evidence });
+    } catch (error) {
+        console.error('保存轨迹证据错误:', error);
+        const status = error.message.includes('证据') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 订单的证据列表（本地上传记录 + 已在链上提交的证据）
+ */
+app.get('/api/evidence', requireOrderParty(req => req.query.orderId), async (req, res) => {
+    try {
+        const orderId = req.orderId;
+        const evidence = await evidenceStorageService.listByOrder(orderId, await getSubmittedEvidence(orderId));
+        res.json({ success: true, data: evidence });
+    } catch (error) {
+        console.error('获取证据列表错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 获取证据文件内容
+ */
+app.get('/api/evidence/:cid', authenticate, async (req, res) => {
+    try {
+        const meta = await evidenceStorageService.getMetadata(req.params.cid);
+        if (!meta) {
+            return res.status(404).json({ success: false, error: '证据不存在' });
+        }
+        if (!await canViewEvidence(req.user, meta)) {
+            return res.status(403).json({ success: false, error: '只有订单双方、受理的仲裁员或平台管理员可以查看' });
+        }
+        
+        const content = await evidenceStorageService.getContent(meta.cid);
+        if (!content) {
+            return res.status(404).json({ success: false, error: '证据文件不可用' });
+        }
+        
+        const filename = meta.uploads.length > 0 ? meta.uploads[0].filename : `${meta.localCid}.${meta.extension}`;
+        res.setHeader('Content-Type', meta.contentType);
+        res.setHeader('Content-Disposition', `${meta.kind === 'image' ? 'inline' : 'attachment'}; filename*=UTF-8''${encodeURIComponent(filename)}`);
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition');
+        res.send(content.body);
+    } catch (error) {
+        console.error('获取证据文件错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== 仲裁工作台API ====================
+
+/**
+ * 是否可以审理争议：平台管理员或受理的仲裁员
+ */
+function canArbitrate(user, dispute) {
+    return user.role === 'admin' || (!!dispute.arbitrator && dispute.arbitrator.toLowerCase() === user.address);
+}
+
+/**
+ * 仲裁员待办队列（未裁决的案件，按 SLA 截止时间由近到远排序）
+ * 仲裁员只看到指派给自己的案件；平台管理员看到全部案件（含未指派），可用 arbitrator 参数筛选
+ */
+app.get('/api/arbitration/queue', authenticate, async (req, res) => {
+    try {
+        const arbitrator = req.user.role === 'admin' ? req.query.arbitrator : req.user.address;
+        if (arbitrator && !ethers.utils.isAddress(arbitrator)) {
+            return res.status(400).json({ success: false, error: '无效的地址格式' });
+        }
+        
+        const disputes = await disputeStorageService.listDisputes({ arbitrator });
+        res.json({
+            success: true,
+            data: arbitrationService.buildQueue(disputes).map(({ timeline, assessment, ...dispute }) => ({
+                ...dispute,
+                evidenceCount: timeline.filter(entry => entry.event === 'EvidenceSubmitted').length,
+                assessment: assessment
+                    ? { recommendation: assessment.recommendation, confidence: assessment.confidence, summary: assessment.summary }
+                    : null
+            }))
+        });
+    } catch (error) {
+        console.error('获取仲裁队列错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 裁决模板
+ */
+app.get('/api/arbitration/templates', authenticate, (req, res) => {
+    res.json({ success: true, data: arbitrationService.getTemplates() });
+});
+
+/**
+ * 案件审理视图：争议详情和时间线、SLA、订单数据、行程轨迹、双方评分、证据
+ * 订单、轨迹、评分读取失败时对应字段为 null，不影响其他数据
+ */
+app.get('/api/arbitration/cases/:disputeId', authenticate, async (req, res) => {
+    try {
+        const disputeId = parseInt(req.params.disputeId);
+        if (isNaN(disputeId)) {
+            return res.status(400).json({ success: false, error: '无效的争议ID' });
+        }
+        
+        const dispute = await disputeStorageService.getDispute(disputeId);
+        if (!dispute) {
+            return res.status(404).json({ success: false, error: '争议不存在' });
+        }
+        if (!canArbitrate(req.user, dispute)) {
+            return res.status(403).json({ success: false, error: '只有受理的仲裁员或平台管理员可以审理' });
+        }
+        
+        const optional = (promise, label) => promise.catch(error => {
+            console.warn(`案件 #${disputeId} ${label}失败:`, error.message);
+            return null;
+        });
+        const [order, trip, passengerRatings, driverRatings, evidence] = await Promise.all([
+            optional(orderService.getOrderById(dispute.orderId, { useCache: true, validateData: true }), '读取订单'),
+            optional(locationTrackingService.getTripDetails(dispute.orderId), '读取行程轨迹'),
+            dispute.passenger ? optional(fetchUserRatings(dispute.passenger), '读取乘客评分') : null,
+            dispute.driver ? optional(fetchUserRatings(dispute.driver), '读取司机评分') : null,
+            getSubmittedEvidence(dispute.orderId).then(submitted => evidenceStorageService.listByOrder(dispute.orderId, submitted))
+        ]);
+        
+        res.json({
+            success: true,
+            data: {
+                dispute,
+                sla: arbitrationService.getSla(dispute),
+                order,
+                trip,
+                ratings: { passenger: passengerRatings, driver: driverRatings },
+                evidence
+            }
+        });
+    } catch (error) {
+        console.error('获取案件详情错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 生成裁决参数（乘客退款、司机所得按比例拆分订单锁定的预估车费）
+ * 请求体: { result, passengerShare（split 时必填，1-99）, templateId, note }
+ * 返回值由仲裁员钱包调用 TrustFlowDispute.resolveDispute(disputeId, resultCode, passengerRefund, driverPayment, resolution)
+ */
+app.post('/api/arbitration/cases/:disputeId/resolution', authenticate, async (req, res) => {
+    try {
+        const disputeId = parseInt(req.params.disputeId);
+        if (isNaN(disputeId)) {
+            return res.status(400).json({ success: false, error: '无效的争议ID' });
+        }
+        
+        const dispute = await disputeStorageService.getDispute(disputeId);
+        if (!dispute) {
+            return res.status(404).json({ success: false, error: '争议不存在' });
+        }
+        if (!canArbitrate(req.user, dispute)) {
+            return res.status(403).json({ success: false, error: '只有受理的仲裁员或平台管理员可以裁决' });
+        }
+        
+        const order = await orderService.getOrderById(dispute.orderId, { useCache: true, validateData: true });
+        if (!order) {
+            return res.status(404).json({ success: false, error: `订单 #${dispute.orderId} 不存在` });
+        }
+        
+        // 托管和结算的金额都是订单锁定的预估费用，实际计价可能更高，不能作为分配基数
+        const { result, passengerShare, templateId, note } = req.body;
+        const resolution = arbitrationService.buildResolution(dispute, order.estimatedFare, { result, passengerShare, templateId, note });
+        
+        res.json({ success: true, data: resolution });
+    } catch (error) {
+        console.error('生成裁决参数错误:', error);
+        const status = error.message.includes('裁决') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 重新预评估案件（补充轨迹校验、计价等新数据后使用），结果保存到案件
+ */
+app.post('/api/arbitration/cases/:disputeId/assessment', authenticate, async (req, res) => {
+    try {
+        const disputeId = parseInt(req.params.disputeId);
+        if (isNaN(disputeId)) {
+            return res.status(400).json({ success: false, error: '无效的争议ID' });
+        }
+        
+        const dispute = await disputeStorageService.getDispute(disputeId);
+        if (!dispute) {
+            return res.status(404).json({ success: false, error: '争议不存在' });
+        }
+        if (!canArbitrate(req.user, dispute)) {
+            return res.status(403).json({ success: false, error: '只有受理的仲裁员或平台管理员可以评估' });
+        }
+        
+        const assessment = await disputeAssessmentService.assessOrder(dispute.orderId, dispute.initiator);
+        await disputeStorageService.updateDispute(disputeId, { assessment });
+        
+        res.json({ success: true, data: assessment });
+    } catch (error) {
+        console.error('争议预评估错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== 平台相关API ====================
+
+// 平台接口仅限管理员访问
+app.use('/api/platform', requireAdmin);
+
+/**
+ * 获取订单统计数据（优化版本，避免前端遍历所有订单）
+ * 只查询最近的订单，减少 eth_call 调用
  */
 app.get('/api/platform/order-statistics', async (req, res) => {
     try {
@@ -828,13 +1878,123 @@ app.get('/api/platform/active-orders', async (req, res) => {
     }
 });
 
+/**
+ * 批量获取订单的行程轨迹可信度（争议处理参考）
+ * 查询参数: orderIds=1,2,3
+ */
+app.get('/api/platform/trace-integrity', async (req, res) => {
+    try {
+        const orderIds = String(req.query.orderIds || '')
+            .split(',')
+            .map(id => parseInt(id))
+            .filter(id => Number.isInteger(id) && id >= 0);
+        
+        const result = {};
+        await Promise.all(orderIds.map(async (orderId) => {
+            const stored = await orderStorageService.getOrder(orderId);
+            result[orderId] = stored?.traceIntegrity || null;
+        }));
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('获取轨迹可信度失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 评价审核队列
+ * 查询参数: status（pending | hidden | approved | visible | all，默认 pending）
+ */
+app.get('/api/platform/ratings/moderation', async (req, res) => {
+    try {
+        const ratings = await ratingStorageService.getModerationQueue(req.query.status || 'pending');
+        res.json({ success: true, data: ratings });
+    } catch (error) {
+        console.error('获取评价审核队列失败:', error);
+        const status = error.message.includes('审核状态') ? 400 : 500;
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 审核评价（只影响平台展示，链上评分和评论不变）
+ * 请求体: { action: 'hide' | 'approve', reason }
+ */
+app.post('/api/platform/ratings/:orderId/:rater/moderation', async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.orderId);
+        const { rater } = req.params;
+        if (isNaN(orderId) || !ethers.utils.isAddress(rater)) {
+            return res.status(400).json({ success: false, error: '无效的订单ID或评价者地址' });
+        }
+        
+        const { action, reason } = req.body;
+        const rating = await ratingStorageService.moderate(orderId, rater, { action, reason, moderator: req.user.address });
+        res.json({ success: true, data: rating });
+    } catch (error) {
+        console.error('审核评价失败:', error);
+        const status = error.message === '评价不存在' ? 404 : (error.message.includes('审核') ? 400 : 500);
+        res.status(status).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 批量获取订单争议的预评估结果
+ * 查询参数: orderIds=1,2,3
+ */
+app.get('/api/platform/dispute-assessments', async (req, res) => {
+    try {
+        const orderIds = String(req.query.orderIds || '')
+            .split(',')
+            .map(id => parseInt(id))
+            .filter(id => Number.isInteger(id) && id >= 0);
+        
+        const result = {};
+        await Promise.all(orderIds.map(async (orderId) => {
+            const stored = await orderStorageService.getOrder(orderId);
+            result[orderId] = stored?.disputeAssessment || null;
+        }));
+        
+        res.json({ success: true, data: result });
+    } catch (error) {
+        console.error('获取争议预评估失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+/**
+ * 重新预评估订单争议（RideOrder.submitDispute 发起的争议），结果保存到订单记录
+ */
+app.post('/api/platform/dispute-assessments/:orderId', async (req, res) => {
+    try {
+        const orderId = parseInt(req.params.orderId);
+        if (isNaN(orderId)) {
+            return res.status(400).json({ success: false, error: '无效的订单ID' });
+        }
+        
+        const stored = await orderStorageService.getOrder(orderId);
+        if (!stored) {
+            return res.status(404).json({ success: false, error: `订单 #${orderId} 不存在` });
+        }
+        const opened = (stored.history || []).find(entry => entry.event === 'DisputeOpened');
+        
+        const assessment = await disputeAssessmentService.assessOrder(orderId, opened?.data?.by || null);
+        await orderStorageService.updateOrderMetadata(orderId, { disputeAssessment: assessment });
+        
+        res.json({ success: true, data: assessment });
+    } catch (error) {
+        console.error('争议预评估错误:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 /**
  * 获取平台统计摘要
  */
 app.get('/api/platform/summary', async (req, res) => {
     try {
-        const platformStorage = new PlatformStorageService();
-        const summary = await platformStorage.getSummary();
+        const summary = await platformStorageService.getSummary();
         
         res.json({
             success: true,
@@ -853,6 +2013,66 @@ app.get('/api/platform/summary', async (req, res) => {
     }
 });
 
+/**
+ * 导出平台订单记录
+ * 请求体: { format: 'csv' | 'json' | 'xls', startDate, endDate, status, search }
+ * 直接返回文件内容（附件下载）
+ */
+app.post('/api/platform/save-orders', async (req, res) => {
+    try {
+        const { format = 'csv', startDate, endDate, status = 'all', search = '' } = req.body || {};
+        
+        if (!orderExportService.isSupportedFormat(String(format).toLowerCase())) {
+            return res.status(400).json({
+                success: false,
+                error: '无效的导出格式，必须是 csv、json 或 xls'
+            });
+        }
+        
+        // 验证日期格式（YYYY-MM-DD）
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        if ((startDate && !datePattern.test(startDate)) || (endDate && !datePattern.test(endDate))) {
+            return res.status(400).json({
+                success: false,
+                error: '无效的日期格式，必须是 YYYY-MM-DD'
+            });
+        }
+        
+        if (!['all', 'completed', 'settled'].includes(status)) {
+            return res.status(400).json({
+                success: false,
+                error: '无效的状态，必须是 all、completed 或 settled'
+            });
+        }
+        
+        if (typeof search !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: '无效的搜索关键词，必须是字符串'
+            });
+        }
+        
+        const file = await orderExportService.exportOrders({
+            format: String(format).toLowerCase(),
+            startDate,
+            endDate,
+            status,
+            search
+        });
+        
+        console.log(`[API] 导出平台订单: ${file.filename} (${file.totalOrders} 条)`);
+        
+        res.setHeader('Content-Type', file.contentType);
+        res.setHeader('Content-Disposition', `attachment; filename="${file.filename}"`);
+        res.setHeader('X-Total-Orders', String(file.totalOrders));
+        res.setHeader('Access-Control-Expose-Headers', 'Content-Disposition, X-Total-Orders');
+        res.send(file.body);
+    } catch (error) {
+        console.error('导出平台订单失败:', error);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // ==================== 前端日志API ====================
 
 /**
@@ -931,29 +2151,17 @@ app.get('/health', (req, res) => {
     });
 });
 
-// ==================== 辅助函数 ====================
-
-function calculateDistance(lat1, lon1, lat2, lon2) {
-    const R = 6371;
-    const dLat = deg2rad(lat2 - lat1);
-    const dLon = deg2rad(lon2 - lon1);
-    
-    const a = 
-        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-        Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
-        Math.sin(dLon / 2) * Math.sin(dLon / 2);
-    
-    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-    return R * c;
-}
-
-function deg2rad(deg) {
-    return deg * (Math.PI / 180);
-}
-
 // ==================== 错误处理 ====================
 
 app.use((err, req, res, next) => {
+    // 请求体解析错误（如上传文件超过大小限制）按原状态码返回
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            success: false,
+            error: err.type === 'entity.too.large' ? '请求体过大' : err.message
+        });
+    }
+    
     console.error('服务器错误:', err);
     res.status(500).json({
         success: false,
@@ -966,6 +2174,7 @@ app.use((err, req, res, next) => {
 // 提供前端静态文件服务（必须在所有API路由之后）
 if (process.env.SERVE_FRONTEND === 'true' || process.argv.includes('--serve-frontend')) {
     const frontendPath = path.join(__dirname, '../../frontend/passenger-app');
+    app.use('/shared', express.static(path.join(__dirname, '../../frontend/shared')));
     app.use(express.static(frontendPath));
     
     // SPA路由支持：所有非API路由返回index.html
@@ -49,15 +49,122 @@ module.exports = {
     services: {
         orderMatching: {
             maxDistance: parseFloat(process.env.MAX_MATCHING_DISTANCE || '10'), // 最大匹配距离（公里）
-            maxDrivers: parseInt(process.env.MAX_MATCHED_DRIVERS || '10'), // 最多推送司机数
-            orderTimeout: parseInt(process.env.ORDER_TIMEOUT || '1800000') // 订单超时时间（毫秒，默认30分钟）
+            maxDrivers: parseInt(process.env.MAX_MATCHED_DRIVERS || '10'), // 每轮参与排名的最近司机数
+            orderTimeout: parseInt(process.env.ORDER_TIMEOUT || '1800000'), // 订单超时时间（毫秒，默认30分钟）
+            wsAuthTimeout: parseInt(process.env.WS_AUTH_TIMEOUT || '30000'), // WebSocket 连接后完成签名认证的时限（毫秒）
+            offerTimeout: parseInt(process.env.DISPATCH_OFFER_TIMEOUT || '15000'), // 司机接单窗口（毫秒）
+            offerBatchSize: parseInt(process.env.DISPATCH_OFFER_BATCH_SIZE || '1'), // 每轮同时邀请的司机数
+            radiusSteps: (process.env.DISPATCH_RADIUS_STEPS || '3,6,10').split(',').map(parseFloat), // 逐级扩大的搜索半径（公里）
+            dispatchRetryInterval: parseInt(process.env.DISPATCH_RETRY_INTERVAL || '10000'), // 最大半径内无司机时的重试间隔（毫秒）
+            // 司机排名因素权重（eta 接驾时间、rating 评分、acceptance 接单率/取消率、credit 信用分、category 车型匹配），设为 0 表示不参与排名
+            rankingWeights: process.env.DRIVER_RANKING_WEIGHTS ? JSON.parse(process.env.DRIVER_RANKING_WEIGHTS) : {
+                eta: 0.4, rating: 0.2, acceptance: 0.15, credit: 0.15, category: 0.1
+            },
+            rankingCacheTtl: parseInt(process.env.DRIVER_RANKING_CACHE_TTL || '60000'), // 司机链上数据和接单统计缓存时间（毫秒）
+            spatialIndexPrecision: parseInt(process.env.SPATIAL_INDEX_PRECISION || '6') // 司机/订单空间索引的 geohash 精度（6 约 1.2km × 0.6km）
         },
         locationTracking: {
             updateInterval: parseInt(process.env.LOCATION_UPDATE_INTERVAL || '5000'), // 位置更新间隔（毫秒）
-            arrivalTolerance: parseFloat(process.env.ARRIVAL_TOLERANCE || '0.2') // 到达容忍距离（公里）
+            arrivalTolerance: parseFloat(process.env.ARRIVAL_TOLERANCE || '0.2'), // 到达容忍距离（公里）
+            waitingSpeed: parseFloat(process.env.WAITING_SPEED || '5'), // 低于此速度计为等待时长（公里/小时，实际计价用）
+            traceStorage: {
+                simplifyTolerance: parseFloat(process.env.TRACE_SIMPLIFY_TOLERANCE || '5'), // 归档轨迹 Douglas-Peucker 抽稀容差（米）
+                fullTraceRetention: parseInt(process.env.TRACE_FULL_RETENTION || '604800000'), // 完整精度轨迹保留时长（毫秒，默认7天）
+                persistInterval: parseInt(process.env.TRACE_PERSIST_INTERVAL || '10') // 活跃行程每累计多少个位置点追加持久化一次
+            },
+            mapMatching: {
+                osmFile: process.env.MAP_MATCHING_OSM_FILE || '', // 本地 OpenStreetMap 路网文件（.osm XML），留空则不做地图匹配
+                searchRadius: parseFloat(process.env.MAP_MATCHING_SEARCH_RADIUS || '50'), // 候选路段搜索半径（米）
+                gpsSigma: parseFloat(process.env.MAP_MATCHING_GPS_SIGMA || '10'), // GPS 误差标准差（米）
+                transitionBeta: parseFloat(process.env.MAP_MATCHING_TRANSITION_BETA || '50'), // 路网距离与直线距离之差的容忍尺度（米）
+                maxCandidates: parseInt(process.env.MAP_MATCHING_MAX_CANDIDATES || '5'), // 每个位置点最多候选路段数
+                minMatchRatio: parseFloat(process.env.MAP_MATCHING_MIN_RATIO || '0.6') // 匹配点比例低于此值时沿用直线里程
+            },
+            traceValidation: {
+                maxSpeed: parseFloat(process.env.TRACE_MAX_SPEED || '180'), // 最高合理车速（公里/小时）
+                maxJumpDistance: parseFloat(process.env.TRACE_MAX_JUMP_DISTANCE || '2'), // 超速且位移超过此距离视为瞬移（公里）
+                maxAccuracy: parseFloat(process.env.TRACE_MAX_ACCURACY || '100'), // 可接受的定位精度（米）
+                endpointTolerance: parseFloat(process.env.TRACE_ENDPOINT_TOLERANCE || '0.5') // 经过上车点/目的地的判定距离（公里）
+            }
+        },
+        blockchainListener: {
+            replayBatchSize: parseInt(process.env.LISTENER_REPLAY_BATCH_SIZE || '2000'), // 补齐历史事件时每次查询的区块数
+            startBlock: process.env.LISTENER_START_BLOCK ? parseInt(process.env.LISTENER_START_BLOCK) : null, // 无游标时的起始区块（默认当前区块）
+            dedupeWindow: parseInt(process.env.LISTENER_DEDUPE_WINDOW || '100'), // 事件去重记录保留的区块数
+            confirmations: parseInt(process.env.LISTENER_CONFIRMATIONS || '3') // 确认深度（区块数，0 表示收到即确认）
         },
         orderStorage: {
             initialOrderId: parseInt(process.env.INITIAL_ORDER_ID || '10000') // 初始订单ID（默认从10000开始）
+        },
+        pricing: {
+            ethToUsdRate: parseFloat(process.env.ETH_TO_USD_RATE || '2500'), // ETH/USD 汇率
+            averageSpeed: parseFloat(process.env.PRICING_AVERAGE_SPEED || '40'), // 预估平均车速（公里/小时）
+            quoteTtl: parseInt(process.env.FARE_QUOTE_TTL || '300000'), // 报价有效期（毫秒，默认5分钟）
+            maxWaypoints: parseInt(process.env.MAX_WAYPOINTS || '5'), // 每个订单最多途经点数
+            platformFeeRate: 0.05, // 平台费率（与合约 PLATFORM_FEE_RATE 一致）
+            // 计价规则（USD），按 "category/subCategory" -> "category" -> "default" 顺序匹配
+            tariffs: process.env.PRICING_TARIFFS ? JSON.parse(process.env.PRICING_TARIFFS) : {
+                default: { baseFare: 12.5, perKm: 2.5, perMinute: 0.2, minimumFare: 15 },
+                'rental/rental scooter': { baseFare: 5, perKm: 1.2, perMinute: 0.1, minimumFare: 6 },
+                goods: { baseFare: 15, perKm: 3, perMinute: 0.25, minimumFare: 20 },
+                services: { baseFare: 20, perKm: 1.5, perMinute: 0.5, minimumFare: 25 }
+            }
+        },
+        scheduling: {
+            leadTime: parseInt(process.env.SCHEDULE_DISPATCH_LEAD_TIME || '900000'), // 预约单提前开始派单的时间（毫秒，默认15分钟）
+            minAdvance: parseInt(process.env.SCHEDULE_MIN_ADVANCE || '1800000'), // 最少提前预约时间（毫秒，默认30分钟）
+            maxAdvance: parseInt(process.env.SCHEDULE_MAX_ADVANCE || '604800000') // 最多提前预约时间（毫秒，默认7天）
+        },
+        pooling: {
+            enabled: process.env.POOLING_ENABLED !== 'false', // 是否启用拼车
+            discount: parseFloat(process.env.POOLING_DISCOUNT || '0.25'), // 拼车报价优惠比例
+            maxPassengers: parseInt(process.env.POOLING_MAX_PASSENGERS || '2'), // 同一行程最多订单数
+            maxDetourKm: parseFloat(process.env.POOLING_MAX_DETOUR_KM || '3'), // 每位乘客最多绕路距离（公里）
+            maxDetourRatio: parseFloat(process.env.POOLING_MAX_DETOUR_RATIO || '0.3'), // 每位乘客最多绕路比例（相对直达距离）
+            maxPickupDistance: parseFloat(process.env.POOLING_MAX_PICKUP_DISTANCE || '3') // 司机到新乘客上车点的最大距离（公里）
+        },
+        geofencing: {
+            // 服务区域 [{ id, name, polygon: [[lat, lng], ...] }]，上车点须在其中之一才能下单，为空表示不限制
+            serviceAreas: process.env.GEOFENCE_SERVICE_AREAS ? JSON.parse(process.env.GEOFENCE_SERVICE_AREAS) : [],
+            // 机场/车站等特殊区域 [{ id, name, type, polygon, pickupPoints: [{ name, lat, lng }], pickupFee（USD） }]，区域内上车统一到最近的指定上车点
+            zones: process.env.GEOFENCE_ZONES ? JSON.parse(process.env.GEOFENCE_ZONES) : [],
+            arrivalRadius: parseFloat(process.env.GEOFENCE_ARRIVAL_RADIUS || '0.1'), // 自动判定到达上车点/目的地的围栏半径（公里）
+            maxAccuracy: parseFloat(process.env.GEOFENCE_MAX_ACCURACY || '50') // 定位精度差于此值的点不参与围栏判定（米）
+        },
+        evidence: {
+            maxImageSize: parseInt(process.env.EVIDENCE_MAX_IMAGE_SIZE || String(5 * 1024 * 1024)), // 单张证据图片最大字节数
+            maxTraceSize: parseInt(process.env.EVIDENCE_MAX_TRACE_SIZE || String(2 * 1024 * 1024)), // 轨迹文件（GPX/GeoJSON/KML）最大字节数
+            maxFilesPerOrder: parseInt(process.env.EVIDENCE_MAX_FILES_PER_ORDER || '20'), // 每个订单最多证据数
+            storageDir: process.env.EVIDENCE_STORAGE_DIR || '' // 本地内容寻址存储目录（默认 backend/data/evidence），IPFS 未启用时证据只存这里
+        },
+        arbitration: {
+            slaHours: parseFloat(process.env.ARBITRATION_SLA_HOURS || '168'), // 争议创建后的裁决时限（小时，默认与合约 MAX_RESOLUTION_TIME 一致）
+            warningHours: parseFloat(process.env.ARBITRATION_SLA_WARNING_HOURS || '24'), // 距截止时间不足该时长时在工作台标记为即将超时
+            // 裁决模板 [{ id, title, result, passengerShare, text }]，未配置时使用内置模板
+            templates: process.env.ARBITRATION_TEMPLATES ? JSON.parse(process.env.ARBITRATION_TEMPLATES) : null
+        },
+        ratings: {
+            pageSize: parseInt(process.env.RATINGS_PAGE_SIZE || '10'), // 评价列表默认每页条数
+            maxPageSize: parseInt(process.env.RATINGS_MAX_PAGE_SIZE || '50'), // 评价列表每页最多条数
+            maxReviewLength: parseInt(process.env.RATINGS_MAX_REVIEW_LENGTH || '1000'), // 评价详情（长评）最大字符数
+            // 屏蔽词（逗号分隔，不区分大小写），命中的评论进入审核队列；未配置时使用内置列表
+            blockedWords: process.env.RATINGS_BLOCKED_WORDS ? process.env.RATINGS_BLOCKED_WORDS.split(',').map(word => word.trim()).filter(Boolean) : null
+        },
+        disputeAssessment: {
+            shortRideRatio: parseFloat(process.env.DISPUTE_SHORT_RIDE_RATIO || '0.5'), // 实际里程低于预估道路里程的该比例视为行程过短
+            detourRatio: parseFloat(process.env.DISPUTE_DETOUR_RATIO || '1.8'), // 实际里程超过预估道路里程的该倍数视为绕路
+            roadFactor: parseFloat(process.env.DISPUTE_ROAD_FACTOR || '1.3'), // 报价直线距离换算为道路里程的系数
+            fareVarianceThreshold: parseFloat(process.env.DISPUTE_FARE_VARIANCE_THRESHOLD || '30'), // 实际车费超出报价的百分比阈值
+            frequentDisputeThreshold: parseInt(process.env.DISPUTE_FREQUENT_THRESHOLD || '3') // 发起方历史争议达到该次数时降低对其有利结论的置信度
+        },
+        surge: {
+            enabled: process.env.SURGE_ENABLED !== 'false', // 是否启用动态定价
+            geohashPrecision: parseInt(process.env.SURGE_GEOHASH_PRECISION || '5'), // 网格精度（5 约 4.9km × 4.9km）
+            demandThreshold: parseFloat(process.env.SURGE_DEMAND_THRESHOLD || '1'), // 需求/供给比超过该值开始溢价
+            sensitivity: parseFloat(process.env.SURGE_SENSITIVITY || '0.5'), // 每超出1单位比值增加的倍数
+            maxMultiplier: parseFloat(process.env.SURGE_MAX_MULTIPLIER || '3'), // 最高溢价倍数
+            historyInterval: parseInt(process.env.SURGE_HISTORY_INTERVAL || '60000'), // 历史快照间隔（毫秒）
+            historyRetention: parseInt(process.env.SURGE_HISTORY_RETENTION || '86400000') // 历史保留时间（毫秒，默认24小时）
         }
     },
     
@@ -67,6 +174,17 @@ module.exports = {
         expiresIn: process.env.JWT_EXPIRES_IN || '7d'
     },
     
+    // 钱包签名登录配置
+    auth: {
+        domain: process.env.SIWE_DOMAIN || '', // 登录消息中的域名（留空则使用请求的 Host）
+        nonceTtl: parseInt(process.env.AUTH_NONCE_TTL || '300000'), // 登录消息有效期（毫秒，默认5分钟）
+        // 平台管理员地址（逗号分隔），可访问 /api/platform/*
+        adminAddresses: (process.env.PLATFORM_ADMIN_ADDRESSES || '')
+            .split(',')
+            .map(address => address.trim())
+            .filter(Boolean)
+    },
+    
     // 日志配置
     logging: {
         level: process.env.LOG_LEVEL || 'info',
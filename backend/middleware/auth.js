@@ -0,0 +1,108 @@
+/**
+ * 认证中间件
+ * 从 Authorization: Bearer <token> 解析钱包地址，写入 req.user = { address, role }
+ */
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    const match = header.match(/^Bearer\s+(.+)$/i);
+    return match ? match[1] : null;
+}
+
+function createAuthMiddleware(authService) {
+    /**
+     * 必须登录
+     */
+    const authenticate = (req, res, next) => {
+        const token = getBearerToken(req);
+        if (!token) {
+            return res.status(401).json({ success: false, error: '未登录，请先使用钱包签名登录' });
+        }
+
+        try {
+            req.user = authService.verifyToken(token);
+            next();
+        } catch (error) {
+            res.status(401).json({ success: false, error: '登录已过期或无效，请重新登录' });
+        }
+    };
+
+    /**
+     * 可选登录：token 无效时按未登录处理
+     */
+    const optionalAuth = (req, res, next) => {
+        const token = getBearerToken(req);
+        req.user = null;
+        if (token) {
+            try {
+                req.user = authService.verifyToken(token);
+            } catch (error) {
+                req.user = null;
+            }
+        }
+        next();
+    };
+
+    /**
+     * 仅平台管理员
+     */
+    const requireAdmin = [authenticate, (req, res, next) => {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({ success: false, error: '需要平台管理员权限' });
+        }
+        next();
+    }];
+
+    /**
+     * 解析订单ID（请求中的原始值不能直接用于拼接存储路径），写入 req.orderId
+     */
+    const parseOrderId = (getOrderId) => (req, res, next) => {
+        const orderId = parseInt(getOrderId(req));
+        if (isNaN(orderId)) {
+            return res.status(400).json({ success: false, error: '无效的订单ID' });
+        }
+        req.orderId = orderId;
+        next();
+    };
+
+    /**
+     * 仅订单指派的司机
+     * @param {function} getOrderId - (req) => orderId，解析后的订单ID写入 req.orderId
+     */
+    const requireOrderDriver = (getOrderId) => [authenticate, parseOrderId(getOrderId), async (req, res, next) => {
+        try {
+            const { driver } = await authService.getOrderParties(req.orderId);
+            if (!driver || driver !== req.user.address) {
+                return res.status(403).json({ success: false, error: '只有该订单的司机可以执行此操作' });
+            }
+            next();
+        } catch (error) {
+            console.error('校验订单司机失败:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }];
+
+    /**
+     * 仅订单双方（乘客、司机）或平台管理员
+     * @param {function} getOrderId - (req) => orderId，解析后的订单ID写入 req.orderId
+     */
+    const requireOrderParty = (getOrderId) => [authenticate, parseOrderId(getOrderId), async (req, res, next) => {
+        try {
+            if (req.user.role === 'admin') {
+                return next();
+            }
+            const { passenger, driver } = await authService.getOrderParties(req.orderId);
+            if (req.user.address !== passenger && req.user.address !== driver) {
+                return res.status(403).json({ success: false, error: '只有订单双方可以查看' });
+            }
+            next();
+        } catch (error) {
+            console.error('校验订单权限失败:', error);
+            res.status(500).json({ success: false, error: error.message });
+        }
+    }];
+
+    return { authenticate, optionalAuth, requireAdmin, requireOrderDriver, requireOrderParty };
+}
+
+module.exports = { createAuthMiddleware, getBearerToken };
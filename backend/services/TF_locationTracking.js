@@ -3,7 +3,11 @@
  * 负责GPS实时追踪和行程路径记录
  */
 
+const EventEmitter = require('events');
 const redis = require('redis');
+const TraceValidationService = require('./traceValidation');
+const MapMatchingService = require('./mapMatching');
+const { simplifyTrace, encodePolyline, decodePolyline, encodeTrace, decodeTrace } = require('../utils/traceCodec');
 
 // IPFS客户端导入（v56.0.3 支持 CommonJS）
 let ipfsClient = null;
@@ -15,11 +19,24 @@ try {
     console.warn('IPFS功能将被禁用，轨迹将不会上传到IPFS');
 }
 
-class TF_LocationTrackingService {
-    constructor(config) {
+class TF_LocationTrackingService extends EventEmitter {
+    constructor(config, fareQuoteService = null, geofenceService = null) {
+        super();
         this.config = config;
+        this.fareQuote = fareQuoteService; // 行程结束时按实际里程和时长计价
+        this.geofence = geofenceService; // 有效位置点进入目的地围栏时自动触发到达事件
         this.redisClient = redis.createClient(config.redis);
         this.redisEnabled = false; // Redis连接状态
+        this.arrivalTolerance = config.services?.locationTracking?.arrivalTolerance || 0.2; // 到达容忍距离（公里）
+        this.waitingSpeed = config.services?.locationTracking?.waitingSpeed || 5; // 低于此速度视为等待（公里/小时）
+        this.traceValidator = new TraceValidationService(config);
+        this.mapMatcher = new MapMatchingService(config); // 本地 OSM 路网，未配置时不做地图匹配
+        
+        // 轨迹存储：归档抽稀后的压缩轨迹，完整精度轨迹只保留 fullTraceRetention
+        const traceStorage = config.services?.locationTracking?.traceStorage || {};
+        this.simplifyTolerance = traceStorage.simplifyTolerance ?? 5; // 抽稀容差（米）
+        this.fullTraceRetention = traceStorage.fullTraceRetention || 7 * 24 * 60 * 60 * 1000; // 完整轨迹保留时长（毫秒）
+        this.persistInterval = traceStorage.persistInterval || 10; // 活跃行程每累计多少个点持久化一次
         
         // IPFS客户端（延迟初始化，只有在实际使用时才连接）
         this.ipfs = null;
@@ -32,7 +49,8 @@ class TF_LocationTrackingService {
         // 内存存储（当Redis不可用时使用）
         this.memoryStore = {
             active_trips: new Map(),
-            trip_history: new Map()
+            trip_history: new Map(),
+            trip_points: new Map() // 完整精度轨迹 { orderId: { trace, expiresAt } }
         };
         
         // Redis错误处理（仅在已连接后监听运行时错误）
@@ -86,12 +104,17 @@ class TF_LocationTrackingService {
             console.log('   提示: Redis是可选的。如需启用Redis，请启动Redis服务器');
             console.log('   当前模式: 数据存储在内存中（服务器重启后会丢失）');
         }
+        
+        // 加载本地路网（可选）
+        await this.mapMatcher.load();
     }
     
     /**
      * 开始追踪行程
+     * @param {Array} stops - 按顺序需要到达的站点 [{ lat, lng, address, type: 'waypoint' | 'destination' }]
+     * @param {object} pickup - 上车点 { lat, lng }（行程结束时校验轨迹是否经过）
      */
-    async startTracking(orderId, driverAddress, passengerAddress) {
+    async startTracking(orderId, driverAddress, passengerAddress, stops = [], pickup = null) {
         console.log(`开始追踪订单 #${orderId}`);
         
         const trip = {
@@ -100,24 +123,38 @@ class TF_LocationTrackingService {
             passengerAddress,
             startTime: Date.now(),
             points: [],
+            lastValidPoint: null, // 最近一个通过校验的位置点（异常点不计入里程）
             distance: 0,
+            pickup,
+            stops: stops.map((stop, index) => ({ ...stop, index, arrivedAt: stop.arrivedAt || null })),
+            currentStop: 0, // 下一个需要到达的站点（重新开始追踪时跳过已到达的站点）
             status: 'active'
         };
         
+        while (trip.currentStop < trip.stops.length && trip.stops[trip.currentStop].arrivedAt) {
+            trip.currentStop++;
+        }
+        
         this.activeTrips.set(orderId, trip);
         
-        // 存储到Redis或内存
+        // 目的地围栏（与接驾阶段的上车点围栏合并监听）
+        const destination = trip.stops.find(stop => stop.type === 'destination');
+        if (this.geofence && destination) {
+            this.geofence.watch(orderId, [{ ...destination, id: 'destination' }]);
+        }
+        
+        // 存储到Redis或内存（重新开始追踪时清空之前追加的位置点）
         if (this.redisEnabled) {
-            await this.redisClient.hSet('active_trips', orderId.toString(), JSON.stringify(trip));
-        } else {
-            this.memoryStore.active_trips.set(orderId.toString(), trip);
+            await this.redisClient.del(`active_trip_points:${orderId}`);
         }
+        await this.persistActiveTrip(trip);
         
         return trip;
     }
     
     /**
      * 添加位置点
+     * 超速、瞬移、定位精度差、时间戳倒退的点会被标记（flags），不计入里程，也不作为当前位置
      */
     async addLocationPoint(orderId, locationData) {
         const trip = this.activeTrips.get(orderId);
@@ -126,48 +163,57 @@ class TF_LocationTrackingService {
             throw new Error(`订单 #${orderId} 未在追踪中`);
         }
         
+        const receivedAt = Date.now();
         const point = {
             lat: locationData.lat,
             lng: locationData.lng,
-            timestamp: Date.now(),
+            timestamp: Number.isFinite(locationData.timestamp) ? locationData.timestamp : receivedAt, // 设备定位时间
+            receivedAt,
             speed: locationData.speed || 0,
             accuracy: locationData.accuracy || 0,
             heading: locationData.heading || 0
         };
+        point.flags = this.traceValidator.checkPoint(trip.lastValidPoint, point);
         
         trip.points.push(point);
         
-        // 计算距离增量（如果不是第一个点）
-        if (trip.points.length > 1) {
-            const prevPoint = trip.points[trip.points.length - 2];
-            const distance = this.calculateDistance(
-                prevPoint.lat,
-                prevPoint.lng,
-                point.lat,
-                point.lng
-            );
-            trip.distance += distance;
+        if (point.flags.length > 0) {
+            console.warn(`订单 #${orderId} 位置点异常: ${point.flags.join(', ')}`);
+        } else {
+            // 计算距离增量（相对上一个有效点）
+            if (trip.lastValidPoint) {
+                trip.distance += this.calculateDistance(
+                    trip.lastValidPoint.lat,
+                    trip.lastValidPoint.lng,
+                    point.lat,
+                    point.lng
+                );
+            }
+            trip.lastValidPoint = point;
+            
+            if (this.geofence) {
+                this.geofence.checkLocation(orderId, point);
+            }
         }
         
-        // 更新Redis或内存（每10个点更新一次以减少IO）
-        if (trip.points.length % 10 === 0) {
-            if (this.redisEnabled) {
-                await this.redisClient.hSet('active_trips', orderId.toString(), JSON.stringify(trip));
-            } else {
-                this.memoryStore.active_trips.set(orderId.toString(), trip);
-            }
+        // 更新Redis或内存（每 persistInterval 个点追加一次以减少IO）
+        if (trip.points.length % this.persistInterval === 0) {
+            await this.persistActiveTrip(trip);
         }
         
-        // 实时推送给乘客和司机（通过WebSocket）
-        this.broadcastLocation(orderId, point);
+        // 实时推送给乘客和司机（通过WebSocket），异常点不推送
+        if (point.flags.length === 0) {
+            this.broadcastLocation(orderId, point);
+        }
         
         return point;
     }
     
     /**
      * 停止追踪
+     * @param {object} pricing - 计价参数 { category, subCategory, surgeMultiplier, poolDiscount }，用于计算实际费用
      */
-    async stopTracking(orderId) {
+    async stopTracking(orderId, pricing = {}) {
         const trip = this.activeTrips.get(orderId);
         
         if (!trip) {
@@ -178,9 +224,25 @@ class TF_LocationTrackingService {
         trip.duration = trip.endTime - trip.startTime;
         trip.status = 'completed';
         
-        console.log(`订单 #${orderId} 追踪结束，总距离: ${trip.distance.toFixed(2)} km`);
+        // 轨迹完整性校验：逐点异常 + 是否经过上车点和目的地
+        const destination = (trip.stops || []).find(stop => stop.type === 'destination');
+        trip.integrity = this.traceValidator.validate(trip.points, { pickup: trip.pickup, destination });
+        
+        // 离线地图匹配：按匹配道路重新计算里程（实际计价使用）
+        trip.mapMatching = this.matchTrace(trip);
+        
+        // 按实际里程、行驶时长和等待时长计价（与报价同一计价规则）
+        if (this.fareQuote) {
+            trip.meteredFare = this.fareQuote.calculateMeteredFare(await this.getTripStats(orderId), pricing);
+        }
+        
+        console.log(`订单 #${orderId} 追踪结束，总距离: ${trip.distance.toFixed(2)} km，轨迹可信度: ${trip.integrity.score}`);
         
-        // 将完整轨迹上传到IPFS
+        // 归档轨迹：Douglas-Peucker 抽稀（异常点始终保留）后压缩编码
+        const archived = simplifyTrace(trip.points, this.simplifyTolerance, point => point.flags && point.flags.length > 0);
+        trip.trace = encodeTrace(archived, { simplified: true, originalPoints: trip.points.length });
+        
+        // 将归档轨迹上传到IPFS
         const ipfsHash = await this.uploadToIPFS(trip);
         trip.ipfsHash = ipfsHash;
         
@@ -189,8 +251,12 @@ class TF_LocationTrackingService {
         
         // 从活跃列表移除
         this.activeTrips.delete(orderId);
+        if (this.geofence) {
+            this.geofence.unwatch(orderId);
+        }
         if (this.redisEnabled) {
             await this.redisClient.hDel('active_trips', orderId.toString());
+            await this.redisClient.del(`active_trip_points:${orderId}`);
         } else {
             this.memoryStore.active_trips.delete(orderId.toString());
         }
@@ -199,7 +265,43 @@ class TF_LocationTrackingService {
             orderId,
             distance: trip.distance,
             duration: trip.duration,
-            ipfsHash
+            ipfsHash,
+            integrity: trip.integrity,
+            meteredFare: trip.meteredFare || null,
+            mapMatching: trip.mapMatching || null
+        };
+    }
+    
+    /**
+     * 地图匹配：有效位置点吸附到路网，匹配点比例达到 minMatchRatio 时以路网里程作为行程里程
+     * 直线累计的原始里程保留在 trip.rawDistance，匹配路径编码后与原始轨迹一起存储
+     * @returns {object|null} 路网未加载时返回 null
+     */
+    matchTrace(trip) {
+        const validPoints = trip.points.filter(point => !point.flags || point.flags.length === 0);
+        const matched = this.mapMatcher.match(validPoints);
+        if (!matched) {
+            return null;
+        }
+        
+        const applied = matched.matchRatio >= this.mapMatcher.minMatchRatio;
+        trip.rawDistance = trip.distance;
+        if (applied) {
+            trip.distance = matched.distance;
+        }
+        console.log(`订单 #${trip.orderId} 地图匹配: 匹配率 ${matched.matchRatio}，路网里程 ${matched.distance.toFixed(2)} km${applied ? '' : '（匹配率不足，沿用直线里程）'}`);
+        
+        return {
+            distance: matched.distance,
+            rawDistance: trip.rawDistance,
+            applied,
+            matchRatio: matched.matchRatio,
+            matchedPoints: matched.matchedPoints,
+            totalPoints: matched.totalPoints,
+            breaks: matched.breaks,
+            roads: matched.roads,
+            path: encodePolyline(matched.path),
+            matchedAt: Date.now()
         };
     }
     
@@ -217,7 +319,10 @@ class TF_LocationTrackingService {
         if (this.redisEnabled) {
             tripData = await this.redisClient.hGet('active_trips', orderId.toString());
             if (tripData) {
-                return JSON.parse(tripData);
+                const trip = JSON.parse(tripData);
+                const points = await this.redisClient.lRange(`active_trip_points:${orderId}`, 0, -1);
+                trip.points = points.map(point => JSON.parse(point));
+                return trip;
             }
         } else {
             tripData = this.memoryStore.active_trips.get(orderId.toString());
@@ -236,17 +341,17 @@ class TF_LocationTrackingService {
     async getCurrentLocation(orderId) {
         const trip = this.activeTrips.get(orderId);
         
-        if (!trip || trip.points.length === 0) {
+        if (!trip) {
             return null;
         }
         
-        return trip.points[trip.points.length - 1];
+        return trip.lastValidPoint;
     }
     
     /**
      * 验证到达
      */
-    async verifyArrival(orderId, targetLocation, tolerance = 0.2) {
+    async verifyArrival(orderId, targetLocation, tolerance = this.arrivalTolerance) {
         const currentLocation = await this.getCurrentLocation(orderId);
         
         if (!currentLocation) {
@@ -264,6 +369,65 @@ class TF_LocationTrackingService {
         return distance <= tolerance;
     }
     
+    /**
+     * 到达站点：按顺序验证当前站点，到达后前往下一站
+     * @param {number} stopIndex - 站点序号（默认当前站点）
+     * @returns {object} { arrived, stop, nextStop }
+     */
+    async arriveAtStop(orderId, stopIndex = null, tolerance = this.arrivalTolerance) {
+        const trip = this.activeTrips.get(orderId);
+        
+        if (!trip) {
+            throw new Error(`订单 #${orderId} 未在追踪中`);
+        }
+        if (!trip.stops || trip.currentStop >= trip.stops.length) {
+            throw new Error(`订单 #${orderId} 没有待到达的站点`);
+        }
+        
+        const index = stopIndex === null || stopIndex === undefined ? trip.currentStop : Number(stopIndex);
+        if (index !== trip.currentStop) {
+            throw new Error(`请按顺序到达站点，下一站为第 ${trip.currentStop + 1} 站`);
+        }
+        
+        const stop = trip.stops[index];
+        const arrived = await this.verifyArrival(orderId, stop, tolerance);
+        if (!arrived) {
+            return { arrived: false, stop, nextStop: stop };
+        }
+        
+        stop.arrivedAt = Date.now();
+        trip.currentStop++;
+        const nextStop = trip.stops[trip.currentStop] || null;
+        
+        await this.persistActiveTrip(trip);
+        
+        console.log(`订单 #${orderId} 已到达第 ${index + 1}/${trip.stops.length} 站`);
+        this.emit('stop_arrived', { orderId, stop, nextStop });
+        
+        return { arrived: true, stop, nextStop };
+    }
+    
+    /**
+     * 持久化活跃行程：行程信息整体写入，位置点只追加上次持久化之后的新增点（不重写完整轨迹）
+     */
+    async persistActiveTrip(trip) {
+        if (!this.redisEnabled) {
+            this.memoryStore.active_trips.set(trip.orderId.toString(), trip);
+            return;
+        }
+        
+        const { points, ...meta } = trip;
+        const pending = points.slice(trip.persistedPoints || 0);
+        if (pending.length > 0) {
+            await this.redisClient.rPush(`active_trip_points:${trip.orderId}`, pending.map(point => JSON.stringify(point)));
+            trip.persistedPoints = points.length;
+        }
+        await this.redisClient.hSet('active_trips', trip.orderId.toString(), JSON.stringify({
+            ...meta,
+            persistedPoints: trip.persistedPoints || 0
+        }));
+    }
+    
     /**
      * 计算两点距离（公里）
      */
@@ -308,7 +472,11 @@ class TF_LocationTrackingService {
                 endTime: trip.endTime,
                 duration: trip.duration,
                 distance: trip.distance,
-                points: trip.points,
+                rawDistance: trip.rawDistance,
+                trace: trip.trace,
+                mapMatching: trip.mapMatching || null,
+                stops: trip.stops,
+                integrity: trip.integrity,
                 driverAddress: trip.driverAddress,
                 passengerAddress: trip.passengerAddress
             };
@@ -328,6 +496,35 @@ class TF_LocationTrackingService {
         }
     }
     
+    /**
+     * 上传订单路线（上车点、途经点、目的地）到IPFS，哈希由乘客通过 updateOrderIPFS 写入链上订单
+     */
+    async uploadRoute(orderId, route) {
+        if (!this.ipfsEnabled) {
+            console.warn('IPFS功能未启用，跳过路线上传');
+            return null;
+        }
+        
+        try {
+            const ipfs = await this.initIPFS();
+            if (!ipfs) {
+                return null;
+            }
+            
+            const result = await ipfs.add(JSON.stringify({
+                orderId,
+                pickup: route.pickup,
+                waypoints: route.waypoints,
+                destination: route.destination
+            }));
+            console.log(`订单 #${orderId} 路线已上传到IPFS: ${result.path}`);
+            return result.path || null;
+        } catch (error) {
+            console.error('IPFS路线上传失败:', error.message);
+            return null;
+        }
+    }
+    
     /**
      * 从IPFS获取
      */
@@ -366,10 +563,11 @@ class TF_LocationTrackingService {
      * 广播位置更新
      */
     broadcastLocation(orderId, point) {
-        // 这里应该通过WebSocket或消息队列推送
-        // 实际实现需要集成WebSocket服务
         console.log(`广播订单 #${orderId} 位置更新:`, point);
         
+        // 通知订阅者（由 server.js 转发到订单的 WebSocket 订阅）
+        this.emit('location_update', { orderId, location: point });
+        
         // 发布到Redis频道（如果启用）
         if (this.redisEnabled) {
             this.redisClient.publish('location_updates', JSON.stringify({
@@ -395,14 +593,28 @@ class TF_LocationTrackingService {
             endTime: trip.endTime,
             duration: trip.duration,
             distance: trip.distance,
+            rawDistance: trip.rawDistance,
             ipfsHash: trip.ipfsHash,
-            pointsCount: trip.points.length
+            pointsCount: trip.points.length,
+            stops: trip.stops,
+            integrity: trip.integrity,
+            meteredFare: trip.meteredFare || null,
+            trace: trip.trace, // 抽稀压缩后的归档轨迹
+            mapMatching: trip.mapMatching || null // 地图匹配结果（path 为编码后的匹配路径）
         };
         
+        // 完整精度轨迹（差分编码，不抽稀）只保留 fullTraceRetention
+        const fullTrace = encodeTrace(trip.points);
+        
         if (this.redisEnabled) {
             await this.redisClient.hSet('trip_history', trip.orderId.toString(), JSON.stringify(tripSummary));
+            await this.redisClient.set(`trip_points:${trip.orderId}`, JSON.stringify(fullTrace), { PX: this.fullTraceRetention });
         } else {
             this.memoryStore.trip_history.set(trip.orderId.toString(), tripSummary);
+            this.memoryStore.trip_points.set(trip.orderId.toString(), {
+                trace: fullTrace,
+                expiresAt: Date.now() + this.fullTraceRetention
+            });
         }
         
         console.log(`订单 #${trip.orderId} 已保存到数据库`);
@@ -427,19 +639,50 @@ class TF_LocationTrackingService {
             return null;
         }
         
-        const trip = tripData;
+        const { trace, ...trip } = tripData;
+        if (trip.mapMatching && trip.mapMatching.path) {
+            trip.matchedPath = decodePolyline(trip.mapMatching.path);
+        }
         
-        // 如果需要完整轨迹，从IPFS加载
-        if (trip.ipfsHash) {
+        // 轨迹优先取保留期内的完整精度轨迹，其次取归档的抽稀轨迹，旧记录从IPFS加载
+        const fullTrace = await this.getFullTrace(orderId);
+        if (fullTrace) {
+            trip.points = decodeTrace(fullTrace);
+            trip.traceResolution = 'full';
+        } else if (trace) {
+            trip.points = decodeTrace(trace);
+            trip.traceResolution = 'simplified';
+        } else if (trip.ipfsHash) {
             const fullData = await this.getFromIPFS(trip.ipfsHash);
             if (fullData) {
-                trip.points = fullData.points;
+                trip.points = fullData.trace ? decodeTrace(fullData.trace) : fullData.points;
+                trip.traceResolution = fullData.trace ? 'simplified' : 'full';
             }
         }
         
         return trip;
     }
     
+    /**
+     * 获取保留期内的完整精度轨迹（编码形式），过期或不存在时返回 null
+     */
+    async getFullTrace(orderId) {
+        if (this.redisEnabled) {
+            const data = await this.redisClient.get(`trip_points:${orderId}`);
+            return data ? JSON.parse(data) : null;
+        }
+        
+        const entry = this.memoryStore.trip_points.get(orderId.toString());
+        if (!entry) {
+            return null;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.memoryStore.trip_points.delete(orderId.toString());
+            return null;
+        }
+        return entry.trace;
+    }
+    
     /**
      * 获取行程统计
      */
@@ -454,14 +697,39 @@ class TF_LocationTrackingService {
             orderId: trip.orderId,
             distance: trip.distance,
             duration: trip.duration,
+            // 毫秒，不超过行程时长（服务端计时）
+            waitingTime: Math.min(this.calculateWaitingTime(trip.points || []), trip.duration ?? Infinity),
             averageSpeed: trip.distance / (trip.duration / 1000 / 3600), // km/h
-            pointsCount: trip.points.length,
+            pointsCount: (trip.points || []).length,
             startTime: trip.startTime,
             endTime: trip.endTime
         };
         
         return stats;
     }
+    
+    /**
+     * 计算等待时长（毫秒）：相邻有效位置点之间平均速度低于 waitingSpeed 的时间
+     * 间隔按服务端接收时间计算，设备上报的时间戳可被篡改（早期数据没有接收时间时才使用设备时间）
+     */
+    calculateWaitingTime(points) {
+        let waitingTime = 0;
+        let previous = null;
+        for (const point of points) {
+            if (point.flags && point.flags.length > 0) {
+                continue;
+            }
+            if (previous) {
+                const elapsed = (point.receivedAt ?? point.timestamp) - (previous.receivedAt ?? previous.timestamp);
+                const distance = this.calculateDistance(previous.lat, previous.lng, point.lat, point.lng);
+                if (elapsed > 0 && distance / (elapsed / 3600000) < this.waitingSpeed) {
+                    waitingTime += elapsed;
+                }
+            }
+            previous = point;
+        }
+        return waitingTime;
+    }
 }
 
 module.exports = TF_LocationTrackingService;
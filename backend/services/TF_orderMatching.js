@@ -3,18 +3,38 @@
  * 负责实时订单广播和智能匹配算法
  */
 
+const crypto = require('crypto');
 const { ethers } = require('ethers');
 const WebSocket = require('ws');
 const redis = require('redis');
+const OrderDispatchService = require('./orderDispatch');
+const DriverRankingService = require('./driverRanking');
+const RidePoolingService = require('./ridePooling');
+const SpatialIndex = require('../utils/spatialIndex');
+const { normalizeLocation, isValidLocation } = require('../utils/geo');
+
+// Redis GEO 镜像的键名
+const DRIVER_GEO_KEY = 'geo:online_drivers';
+const ORDER_GEO_KEY = 'geo:pending_orders';
+
+// setTimeout 最大延迟（约24.8天）
+const MAX_TIMER_DELAY = 2147483647;
 
 class TF_OrderMatchingService {
-    constructor(config) {
+    constructor(config, authService = null, orderStorage = null, geofenceService = null) {
         this.config = config;
+        this.authService = authService; // 用于校验乘客会话 token 和订单归属
+        this.orderStorage = orderStorage; // 用于恢复预约单、记录派单历史
+        this.geofence = geofenceService; // 服务区域外的订单不派单
+        this.scheduleLeadTime = config.services?.scheduling?.leadTime || 15 * 60 * 1000; // 预约单提前派单时间（毫秒）
+        this.orderTimeout = config.services?.orderMatching?.orderTimeout || 30 * 60 * 1000; // 订单超时时间（毫秒）
+        this.maxDistance = config.services?.orderMatching?.maxDistance || 10; // 最大匹配距离（公里）
         this.redisClient = redis.createClient(config.redis);
         this.redisEnabled = false; // Redis连接状态
         this.wss = null; // WebSocket服务器（延迟初始化）
         this.wsPort = config.wsPort || 8080;
         this.wsEnabled = false;
+        this.authTimeout = config.services?.orderMatching?.wsAuthTimeout || 30000; // 连接后完成签名认证的时限（毫秒）
         
         // 连接区块链
         this.provider = new ethers.providers.JsonRpcProvider(config.rpcUrl);
@@ -23,6 +43,16 @@ class TF_OrderMatchingService {
             config.abis.rideOrder,
             this.provider
         );
+        this.userRegistryContract = new ethers.Contract(
+            config.contracts.userRegistry,
+            config.abis.userRegistry,
+            this.provider
+        );
+        this.ratingContract = new ethers.Contract(
+            config.contracts.ratingSystem,
+            config.abis.ratingSystem,
+            this.provider
+        );
         
         // 在线司机列表 { driverId: { location, socket, info } }
         this.onlineDrivers = new Map();
@@ -30,6 +60,27 @@ class TF_OrderMatchingService {
         // 待处理订单队列
         this.pendingOrders = [];
         
+        // 预约单队列 { orderId: { orderId, pickupTime, dispatchAt, order, timer } }，到派单时间后进入待处理队列
+        this.scheduledOrders = new Map();
+        
+        // 空间索引（在线司机位置、待处理订单上车点），启用 Redis 时同步到 Redis GEO
+        const indexPrecision = config.services?.orderMatching?.spatialIndexPrecision || 6;
+        this.driverIndex = new SpatialIndex(indexPrecision);
+        this.orderIndex = new SpatialIndex(indexPrecision);
+        
+        // 订单订阅 { orderId: Set<socket> }（乘客实时接收订单状态和司机位置）
+        this.orderSubscribers = new Map();
+        
+        // 派单状态机（邀请、超时、扩大半径），派单记录写入订单历史
+        this.ranking = new DriverRankingService(config, {
+            rating: this.ratingContract,
+            userRegistry: this.userRegistryContract
+        }, orderStorage);
+        this.dispatcher = new OrderDispatchService(config, this, orderStorage, this.ranking);
+        
+        // 拼车：拼车订单优先邀请行程中、顺路的司机
+        this.pooling = new RidePoolingService(config);
+        
         // 内存存储（当Redis不可用时使用）
         this.memoryStore = {
             online_drivers: new Map(),
@@ -58,6 +109,8 @@ class TF_OrderMatchingService {
             await this.redisClient.connect();
             this.redisEnabled = true;
             console.log('✅ Redis连接成功，数据将持久化存储');
+            // 空间索引从空开始，清理上次运行遗留的 GEO 数据
+            await this.redisClient.del([DRIVER_GEO_KEY, ORDER_GEO_KEY]);
         } catch (error) {
             // Redis连接失败是正常的（Redis是可选的）
             this.redisEnabled = false;
@@ -100,6 +153,9 @@ class TF_OrderMatchingService {
         // 监听区块链订单事件
         this.listenToOrderEvents();
         
+        // 恢复重启前的预约单
+        await this.restoreScheduledOrders();
+        
         // 启动匹配算法循环
         this.startMatchingLoop();
     }
@@ -116,6 +172,9 @@ class TF_OrderMatchingService {
         this.wss.on('connection', (ws, req) => {
             console.log('新的WebSocket连接');
             
+            // 连接后先下发签名挑战，认证完成前只接受 auth 消息
+            this.sendChallenge(ws);
+            
             ws.on('message', async (message) => {
                 try {
                     const data = JSON.parse(message);
@@ -127,27 +186,154 @@ class TF_OrderMatchingService {
             });
             
             ws.on('close', () => {
-                // 从在线司机列表中移除
+                clearTimeout(ws.authTimer);
+                // 从在线司机列表和订单订阅中移除
                 this.removeDriver(ws);
+                this.unsubscribeAll(ws);
             });
         });
     }
     
+    /**
+     * 下发签名挑战，超时未认证则断开
+     */
+    sendChallenge(ws) {
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = Date.now();
+        const message = [
+            'TrustFlow driver session',
+            '',
+            `Chain ID: ${this.config.chainId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${new Date(issuedAt).toISOString()}`
+        ].join('\n');
+        
+        ws.challenge = { message, expiresAt: issuedAt + this.authTimeout };
+        ws.identity = null;
+        ws.authTimer = setTimeout(() => {
+            if (!ws.identity) {
+                ws.close(4001, '认证超时');
+            }
+        }, this.authTimeout);
+        
+        ws.send(JSON.stringify({
+            type: 'auth_challenge',
+            data: { message, expiresAt: ws.challenge.expiresAt }
+        }));
+    }
+    
+    /**
+     * 连接认证，通过后将钱包地址绑定到连接
+     * - 司机: { address, signature } 签名挑战，并检查司机资格
+     * - 乘客: { token } 使用 /api/auth/verify 签发的会话 token
+     */
+    async authenticate(ws, payload = {}) {
+        const fail = (error) => {
+            ws.send(JSON.stringify({ type: 'auth_failed', error }));
+            ws.close(4003, error);
+        };
+        
+        if (ws.identity) {
+            return ws.send(JSON.stringify({ type: 'auth_success', data: ws.identity }));
+        }
+        
+        if (payload.token) {
+            if (!this.authService) {
+                return fail('服务未启用会话认证');
+            }
+            try {
+                const { address } = this.authService.verifyToken(payload.token);
+                clearTimeout(ws.authTimer);
+                ws.challenge = null;
+                ws.identity = { address, role: 'passenger' };
+                return ws.send(JSON.stringify({ type: 'auth_success', data: ws.identity }));
+            } catch (error) {
+                return fail('登录已过期或无效，请重新登录');
+            }
+        }
+        
+        const { address, signature } = payload;
+        const challenge = ws.challenge;
+        ws.challenge = null; // 每个挑战只能使用一次
+        
+        if (!challenge || challenge.expiresAt < Date.now()) {
+            return fail('签名挑战已失效，请重新连接');
+        }
+        if (!address || !signature || !ethers.utils.isAddress(address)) {
+            return fail('缺少地址或签名');
+        }
+        
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(challenge.message, signature);
+        } catch (error) {
+            return fail('签名格式无效');
+        }
+        if (recovered.toLowerCase() !== address.toLowerCase()) {
+            return fail('签名与地址不匹配');
+        }
+        
+        let eligible = false;
+        try {
+            eligible = await this.userRegistryContract.isDriverEligible(recovered);
+        } catch (error) {
+            console.error('查询司机资格失败:', error.message);
+            return fail('无法验证司机资格，请稍后重试');
+        }
+        if (!eligible) {
+            return fail('该地址不是合格司机（未注册、未通过KYC或已被禁用）');
+        }
+        
+        clearTimeout(ws.authTimer);
+        ws.identity = { address: recovered.toLowerCase(), role: 'driver' };
+        console.log(`司机 ${ws.identity.address} 认证成功`);
+        
+        ws.send(JSON.stringify({ type: 'auth_success', data: ws.identity }));
+    }
+    
     /**
      * 处理WebSocket消息
      */
     async handleMessage(ws, data) {
-        const { type, payload } = data;
+        const { type, payload = {} } = data;
+        
+        if (type === 'auth') {
+            return this.authenticate(ws, payload);
+        }
+        
+        // 认证之前拒绝其他消息
+        if (!ws.identity) {
+            return ws.send(JSON.stringify({ type: 'error', error: '未认证，请先完成签名认证' }));
+        }
+        
+        // 订单订阅（乘客、司机均可订阅自己参与的订单）
+        if (type === 'subscribe_order') {
+            return this.subscribeOrder(ws, payload.orderId);
+        }
+        if (type === 'unsubscribe_order') {
+            return this.unsubscribeOrder(ws, payload.orderId);
+        }
+        
+        // 以下为司机消息
+        if (ws.identity.role !== 'driver') {
+            return ws.send(JSON.stringify({ type: 'error', error: '只有司机可以发送该消息' }));
+        }
+        
+        // 司机身份以认证的钱包地址为准，不信任消息中的 driverId
+        const driverId = ws.identity.address;
+        if (payload.driverId && payload.driverId.toLowerCase() !== driverId) {
+            return ws.send(JSON.stringify({ type: 'error', error: 'driverId 与认证地址不一致' }));
+        }
         
         switch (type) {
             case 'driver_online':
                 // 司机上线
-                await this.addDriver(ws, payload);
+                await this.addDriver(ws, { ...payload, driverId });
                 break;
                 
             case 'driver_location_update':
                 // 更新司机位置
-                await this.updateDriverLocation(payload.driverId, payload.location);
+                await this.updateDriverLocation(driverId, payload.location);
                 break;
                 
             case 'driver_offline':
@@ -155,9 +341,28 @@ class TF_OrderMatchingService {
                 this.removeDriver(ws);
                 break;
                 
+            case 'accept_offer':
+                // 确认接单邀请（之后在接单窗口内提交链上接单交易）
+                try {
+                    const result = await this.dispatcher.acceptOffer(driverId, payload.orderId);
+                    ws.send(JSON.stringify({ type: 'offer_confirmed', data: result }));
+                } catch (error) {
+                    ws.send(JSON.stringify({ type: 'error', error: error.message, orderId: payload.orderId }));
+                }
+                break;
+                
+            case 'decline_offer':
+                // 拒绝接单邀请
+                try {
+                    await this.dispatcher.declineOffer(driverId, payload.orderId, payload.reason);
+                } catch (error) {
+                    ws.send(JSON.stringify({ type: 'error', error: error.message, orderId: payload.orderId }));
+                }
+                break;
+                
             case 'get_available_orders':
                 // 获取可用订单
-                const orders = await this.getAvailableOrders(payload.driverId);
+                const orders = await this.getAvailableOrders(driverId);
                 ws.send(JSON.stringify({
                     type: 'available_orders',
                     data: orders
@@ -175,6 +380,12 @@ class TF_OrderMatchingService {
     async addDriver(ws, driverInfo) {
         const { driverId, location } = driverInfo;
         
+        // 同一司机在新连接上线时，关闭旧连接
+        const existing = this.onlineDrivers.get(driverId);
+        if (existing && existing.socket !== ws) {
+            existing.socket.close(4000, '已在其他连接上线');
+        }
+        
         this.onlineDrivers.set(driverId, {
             socket: ws,
             location,
@@ -192,6 +403,7 @@ class TF_OrderMatchingService {
         } else {
             this.memoryStore.online_drivers.set(driverId, driverData);
         }
+        await this.indexDriver(driverId, location);
         
         console.log(`司机 ${driverId} 上线`);
         
@@ -221,6 +433,7 @@ class TF_OrderMatchingService {
             } else {
                 this.memoryStore.online_drivers.set(driverId, driverData);
             }
+            await this.indexDriver(driverId, location);
         }
     }
     
@@ -236,18 +449,168 @@ class TF_OrderMatchingService {
                 } else {
                     this.memoryStore.online_drivers.delete(driverId);
                 }
+                await this.unindexDriver(driverId);
                 console.log(`司机 ${driverId} 下线`);
+                await this.dispatcher.handleDriverOffline(driverId);
                 break;
             }
         }
     }
     
+    /**
+     * 更新司机在空间索引中的位置
+     */
+    async indexDriver(driverId, location) {
+        const point = normalizeLocation(location);
+        if (!isValidLocation(point)) {
+            return this.unindexDriver(driverId);
+        }
+        
+        this.driverIndex.set(driverId, point.lat, point.lng);
+        if (this.redisEnabled) {
+            await this.redisClient.geoAdd(DRIVER_GEO_KEY, {
+                longitude: point.lng,
+                latitude: point.lat,
+                member: driverId
+            });
+        }
+    }
+    
+    async unindexDriver(driverId) {
+        this.driverIndex.remove(driverId);
+        if (this.redisEnabled) {
+            await this.redisClient.zRem(DRIVER_GEO_KEY, driverId);
+        }
+    }
+    
+    async indexOrder(order) {
+        this.orderIndex.set(order.orderId, order.pickup.lat, order.pickup.lng, order);
+        if (this.redisEnabled) {
+            await this.redisClient.geoAdd(ORDER_GEO_KEY, {
+                longitude: order.pickup.lng,
+                latitude: order.pickup.lat,
+                member: order.orderId.toString()
+            });
+        }
+    }
+    
+    async unindexOrder(orderId) {
+        this.orderIndex.remove(orderId);
+        if (this.redisEnabled) {
+            await this.redisClient.zRem(ORDER_GEO_KEY, orderId.toString());
+        }
+    }
+    
+    /**
+     * 查询半径内的在线司机
+     * @param {function} filter - 可选，(driverId) => boolean
+     * @returns {Array} [{ driverId, driver, distance }]，按距离从近到远排序
+     */
+    findDriversWithin(location, radius, filter = null) {
+        return this.driverIndex
+            .within(location.lat, location.lng, radius, filter ? point => filter(point.id) : null)
+            .filter(point => this.onlineDrivers.has(point.id))
+            .map(point => ({
+                driverId: point.id,
+                driver: this.onlineDrivers.get(point.id),
+                distance: point.distance
+            }));
+    }
+    
+    /**
+     * 向在线司机发送消息
+     * @returns {boolean} 是否发送成功
+     */
+    sendToDriver(driverId, message) {
+        const driver = this.onlineDrivers.get(driverId);
+        if (!driver || driver.socket.readyState !== WebSocket.OPEN) {
+            return false;
+        }
+        driver.socket.send(JSON.stringify(message));
+        return true;
+    }
+    
+    /**
+     * 订阅订单实时更新（只允许订单的乘客或司机）
+     */
+    async subscribeOrder(ws, orderId) {
+        const orderIdNum = parseInt(orderId);
+        if (!orderIdNum) {
+            return ws.send(JSON.stringify({ type: 'error', error: '无效的订单ID' }));
+        }
+        
+        const { passenger, driver } = this.authService
+            ? await this.authService.getOrderParties(orderIdNum)
+            : {};
+        if (ws.identity.address !== passenger && ws.identity.address !== driver) {
+            return ws.send(JSON.stringify({ type: 'error', error: '只能订阅自己的订单', orderId: orderIdNum }));
+        }
+        
+        if (!this.orderSubscribers.has(orderIdNum)) {
+            this.orderSubscribers.set(orderIdNum, new Set());
+        }
+        this.orderSubscribers.get(orderIdNum).add(ws);
+        
+        ws.send(JSON.stringify({ type: 'subscribed', data: { orderId: orderIdNum } }));
+    }
+    
+    /**
+     * 取消订阅订单
+     */
+    unsubscribeOrder(ws, orderId) {
+        const orderIdNum = parseInt(orderId);
+        const subscribers = this.orderSubscribers.get(orderIdNum);
+        if (subscribers) {
+            subscribers.delete(ws);
+            if (subscribers.size === 0) {
+                this.orderSubscribers.delete(orderIdNum);
+            }
+        }
+        ws.send(JSON.stringify({ type: 'unsubscribed', data: { orderId: orderIdNum } }));
+    }
+    
+    /**
+     * 连接关闭时移除该连接的所有订阅
+     */
+    unsubscribeAll(ws) {
+        for (const [orderId, subscribers] of this.orderSubscribers.entries()) {
+            subscribers.delete(ws);
+            if (subscribers.size === 0) {
+                this.orderSubscribers.delete(orderId);
+            }
+        }
+    }
+    
+    /**
+     * 向订单订阅者推送更新
+     * @param {number} orderId
+     * @param {string} event - driver_accepted | driver_location | passenger_picked_up | ride_started | order_completed | order_settled
+     * @param {object} data
+     */
+    publishOrderUpdate(orderId, event, data = {}) {
+        const subscribers = this.orderSubscribers.get(parseInt(orderId));
+        if (!subscribers || subscribers.size === 0) {
+            return 0;
+        }
+        
+        const message = JSON.stringify({
+            type: 'order_update',
+            data: { orderId: parseInt(orderId), event, ...data }
+        });
+        for (const ws of subscribers) {
+            if (ws.readyState === WebSocket.OPEN) {
+                ws.send(message);
+            }
+        }
+        return subscribers.size;
+    }
+    
     /**
      * 监听区块链订单事件
      */
     listenToOrderEvents() {
         // 监听订单创建事件
-        this.rideOrderContract.on('OrderCreated', async (orderId, passenger, pickupLat, pickupLng, destLat, destLng, estimatedFare) => {
+        this.rideOrderContract.on('OrderCreated', async (orderId, passenger, pickupLat, pickupLng, destLat, destLng, category, subCategory, estimatedFare) => {
             console.log(`新订单创建: #${orderId.toNumber()}`);
             
             const order = {
@@ -261,21 +624,38 @@ class TF_OrderMatchingService {
                     lat: destLat.toNumber() / 1e6,
                     lng: destLng.toNumber() / 1e6
                 },
+                category,
+                subCategory,
                 estimatedFare: ethers.utils.formatEther(estimatedFare),
                 createdAt: Date.now(),
                 status: 'pending'
             };
             
-            // 添加到待处理队列
-            this.pendingOrders.push(order);
+            // 拼车标记来自报价（订单同步时写入订单存储，可能先于链上事件到达）
+            const stored = await this.orderStorage?.getOrder(order.orderId).catch(() => null);
+            order.pooled = !!stored?.pooled;
             
-            // 存储到Redis或内存
-            if (this.redisEnabled) {
-                await this.redisClient.hSet('pending_orders', orderId.toString(), JSON.stringify(order));
-            } else {
-                this.memoryStore.pending_orders.set(order.orderId.toString(), order);
+            // 链上无法拦截下单，上车点不在服务区域内的订单不进入派单队列
+            if (this.geofence && !this.geofence.isInServiceArea(order.pickup)) {
+                console.warn(`订单 #${order.orderId} 上车点不在服务区域内，不派单`);
+                await this.orderStorage?.addOrderHistory(order.orderId, 'OutsideServiceArea', {
+                    pickup: order.pickup,
+                    description: '上车点不在服务区域内，未派单'
+                }).catch(() => {});
+                this.publishOrderUpdate(order.orderId, 'outside_service_area');
+                return;
             }
             
+            // 预约单（预约信息先于链上事件到达）留在预约队列，到派单时间再匹配
+            const scheduled = this.scheduledOrders.get(order.orderId);
+            if (scheduled) {
+                scheduled.order = order;
+                return;
+            }
+            
+            // 添加到待处理队列
+            await this.addPendingOrder(order);
+            
             // 触发匹配
             await this.matchOrder(order);
         });
@@ -284,81 +664,266 @@ class TF_OrderMatchingService {
         this.rideOrderContract.on('OrderAccepted', async (orderId, driver) => {
             console.log(`订单 #${orderId.toNumber()} 已被接单`);
             
-            // 从待处理队列移除
-            this.pendingOrders = this.pendingOrders.filter(o => o.orderId !== orderId.toNumber());
-            if (this.redisEnabled) {
-                await this.redisClient.hDel('pending_orders', orderId.toString());
-            } else {
-                this.memoryStore.pending_orders.delete(orderId.toString());
-            }
+            this.unscheduleOrder(orderId.toNumber());
+            await this.removePendingOrder(orderId.toNumber());
+            await this.dispatcher.handleOrderAccepted(orderId.toNumber(), driver);
+        });
+        
+        // 监听订单取消事件
+        this.rideOrderContract.on('OrderCancelled', async (orderId) => {
+            console.log(`订单 #${orderId.toNumber()} 已取消`);
+            
+            this.unscheduleOrder(orderId.toNumber());
+            await this.removePendingOrder(orderId.toNumber());
+            await this.dispatcher.cancel(orderId.toNumber());
         });
     }
     
     /**
-     * 匹配订单
+     * 添加到待处理队列
      */
-    async matchOrder(order) {
-        const suitableDrivers = [];
+    async addPendingOrder(order) {
+        this.pendingOrders.push(order);
+        await this.indexOrder(order);
         
-        // 遍历在线司机，计算距离
-        for (const [driverId, driver] of this.onlineDrivers.entries()) {
-            const distance = this.calculateDistance(
-                order.pickup.lat,
-                order.pickup.lng,
-                driver.location.lat,
-                driver.location.lng
-            );
+        // 存储到Redis或内存
+        if (this.redisEnabled) {
+            await this.redisClient.hSet('pending_orders', order.orderId.toString(), JSON.stringify(order));
+        } else {
+            this.memoryStore.pending_orders.set(order.orderId.toString(), order);
+        }
+    }
+    
+    /**
+     * 从待处理队列移除订单
+     */
+    async removePendingOrder(orderId) {
+        this.pendingOrders = this.pendingOrders.filter(o => o.orderId !== orderId);
+        await this.unindexOrder(orderId);
+        if (this.redisEnabled) {
+            await this.redisClient.hDel('pending_orders', orderId.toString());
+        } else {
+            this.memoryStore.pending_orders.delete(orderId.toString());
+        }
+    }
+    
+    /**
+     * 预约单：在预约上车时间前 scheduleLeadTime 开始派单
+     * @param {number} orderId
+     * @param {number} pickupTime - 预约上车时间（毫秒）
+     * @param {object} order - 订单数据（链上事件尚未到达时为 null）
+     */
+    async scheduleOrder(orderId, pickupTime, order = null) {
+        const existing = this.scheduledOrders.get(orderId);
+        if (existing) {
+            clearTimeout(existing.timer);
+        }
+        
+        // 链上事件先到达时订单已开始派单，撤回后转入预约队列
+        const pending = this.pendingOrders.find(o => o.orderId === orderId);
+        if (pending) {
+            await this.removePendingOrder(orderId);
+            await this.dispatcher.cancel(orderId, '该订单为预约单，将在预约时间前重新派单');
+        }
+        
+        const entry = {
+            orderId,
+            pickupTime,
+            dispatchAt: pickupTime - this.scheduleLeadTime,
+            order: order || pending || existing?.order || null,
+            timer: null
+        };
+        this.scheduledOrders.set(orderId, entry);
+        this.armScheduleTimer(entry);
+        
+        console.log(`订单 #${orderId} 为预约单，上车时间 ${new Date(pickupTime).toISOString()}，将于 ${new Date(entry.dispatchAt).toISOString()} 开始派单`);
+        return { orderId, scheduledPickupTime: pickupTime, dispatchAt: entry.dispatchAt };
+    }
+    
+    armScheduleTimer(entry) {
+        const delay = Math.max(entry.dispatchAt - Date.now(), 0);
+        entry.timer = setTimeout(() => {
+            this.startScheduledDispatch(entry.orderId).catch(error => {
+                console.error(`预约单 #${entry.orderId} 派单失败:`, error);
+            });
+        }, Math.min(delay, MAX_TIMER_DELAY));
+    }
+    
+    /**
+     * 移出预约队列（已接单或已取消）
+     */
+    unscheduleOrder(orderId) {
+        const entry = this.scheduledOrders.get(orderId);
+        if (entry) {
+            clearTimeout(entry.timer);
+            this.scheduledOrders.delete(orderId);
+        }
+    }
+    
+    /**
+     * 到达派单时间，预约单进入待处理队列并开始派单
+     */
+    async startScheduledDispatch(orderId) {
+        const entry = this.scheduledOrders.get(orderId);
+        if (!entry) {
+            return;
+        }
+        // 超过 setTimeout 最大延迟的预约，分段等待
+        if (entry.dispatchAt > Date.now()) {
+            return this.armScheduleTimer(entry);
+        }
+        this.scheduledOrders.delete(orderId);
+        
+        const order = entry.order || this.toMatchingOrder(await this.orderStorage?.getOrder(orderId));
+        if (!order) {
+            console.warn(`预约单 #${orderId} 缺少订单数据，无法派单`);
+            return;
+        }
+        
+        const dispatchOrder = { ...order, scheduledPickupTime: entry.pickupTime, dispatchAt: Date.now() };
+        await this.addPendingOrder(dispatchOrder);
+        this.publishOrderUpdate(orderId, 'dispatch_started', { scheduledPickupTime: entry.pickupTime });
+        await this.matchOrder(dispatchOrder);
+    }
+    
+    /**
+     * 从订单存储恢复未派单的预约单（服务重启后链上事件不会重发）
+     */
+    async restoreScheduledOrders() {
+        if (!this.orderStorage) {
+            return;
+        }
+        
+        try {
+            const orders = await this.orderStorage.getAllOrders();
+            for (const stored of orders) {
+                // 状态 0 = Pending
+                if (!stored.scheduledPickupTime || Number(stored.status) !== 0) {
+                    continue;
+                }
+                // 已超过派单超时时间的预约单不再恢复
+                if (stored.scheduledPickupTime - this.scheduleLeadTime + this.orderTimeout < Date.now()) {
+                    continue;
+                }
+                await this.scheduleOrder(stored.orderId, stored.scheduledPickupTime, this.toMatchingOrder(stored));
+            }
+            if (this.scheduledOrders.size > 0) {
+                console.log(`✅ 已恢复 ${this.scheduledOrders.size} 个预约单`);
+            }
+        } catch (error) {
+            console.error('恢复预约单失败:', error);
+        }
+    }
+    
+    /**
+     * 存储的订单（链上坐标格式）转换为匹配用的订单格式
+     */
+    toMatchingOrder(stored) {
+        if (!stored || !stored.pickup) {
+            return null;
+        }
+        const pickup = normalizeLocation(stored.pickup);
+        const destination = normalizeLocation(stored.destination);
+        if (!isValidLocation(pickup)) {
+            return null;
+        }
+        return {
+            orderId: stored.orderId,
+            passenger: stored.passenger,
+            pickup,
+            destination,
+            category: stored.category,
+            subCategory: stored.subCategory,
+            estimatedFare: stored.estimatedFare,
+            createdAt: stored.createdAt < 1e12 ? stored.createdAt * 1000 : stored.createdAt,
+            pooled: !!stored.pooled,
+            status: 'pending'
+        };
+    }
+    
+    /**
+     * 标记拼车订单（链上事件先到达时订单已在派单中，之后的派单轮次会优先邀请顺路司机）
+     */
+    markPooled(orderId) {
+        const pending = this.pendingOrders.find(o => o.orderId === orderId);
+        if (pending) {
+            pending.pooled = true;
+        }
+        const scheduled = this.scheduledOrders.get(orderId);
+        if (scheduled && scheduled.order) {
+            scheduled.order.pooled = true;
+        }
+    }
+    
+    /**
+     * 查找可拼车的司机：在线、正在进行拼车行程（RideStatus 3 = IN_PROGRESS）、且所有乘客绕路都在阈值内
+     * @param {function} filter - 可选，(driverId) => boolean
+     * @returns {Promise<Array>} [{ driverId, driver, distance, pool }]，按拼车后总里程从短到长排序
+     */
+    async findPoolCandidates(order, filter = null) {
+        if (!order.pooled || !this.pooling.enabled || !this.orderStorage) {
+            return [];
+        }
+        
+        const trips = new Map();
+        for (const stored of await this.orderStorage.getAllOrders()) {
+            if (!stored.pooled || !stored.driver || Number(stored.rideStatus) !== 3) {
+                continue;
+            }
+            const driverId = stored.driver.toLowerCase();
+            if (!trips.has(driverId)) {
+                trips.set(driverId, []);
+            }
+            trips.get(driverId).push(stored);
+        }
+        
+        const candidates = [];
+        for (const [driverId, activeOrders] of trips) {
+            const driver = this.onlineDrivers.get(driverId);
+            if (!driver || (filter && !filter(driverId))) {
+                continue;
+            }
             
-            // 距离在10公里内的司机
-            if (distance <= 10) {
-                suitableDrivers.push({
+            const plan = this.pooling.planRoute(driver.location, activeOrders.map(o => this.toMatchingOrder(o)), order);
+            if (plan) {
+                candidates.push({
                     driverId,
                     driver,
-                    distance,
-                    // 可以添加更多匹配因素：评分、接单率等
+                    distance: plan.pickupDistance,
+                    pool: {
+                        ...plan,
+                        poolId: activeOrders.find(o => o.pool)?.pool.poolId || null,
+                        orderIds: activeOrders.map(o => o.orderId)
+                    }
                 });
             }
         }
         
-        // 按距离排序
-        suitableDrivers.sort((a, b) => a.distance - b.distance);
-        
-        // 推送给符合条件的司机
-        for (const item of suitableDrivers.slice(0, 10)) { // 只推送给最近的10个司机
-            item.driver.socket.send(JSON.stringify({
-                type: 'new_order',
-                data: {
-                    ...order,
-                    distance: item.distance.toFixed(2)
-                }
-            }));
-        }
-        
-        console.log(`订单 #${order.orderId} 推送给 ${suitableDrivers.length} 名司机`);
+        return candidates.sort((a, b) => a.pool.distance - b.pool.distance);
     }
     
     /**
-     * 计算两点之间的距离（Haversine公式）
-     * @returns 距离（公里）
+     * 拼车订单被行程中的司机接单后，关联同一行程的订单并通知双方乘客和司机
      */
-    calculateDistance(lat1, lon1, lat2, lon2) {
-        const R = 6371; // 地球半径（公里）
-        const dLat = this.deg2rad(lat2 - lat1);
-        const dLon = this.deg2rad(lon2 - lon1);
+    async linkPooledOrders(order, driverId, plan) {
+        const activeOrders = await Promise.all(plan.orderIds.map(orderId => this.orderStorage.getOrder(orderId)));
+        const pool = this.pooling.createPool(driverId, [...activeOrders.filter(Boolean), order], plan, plan.poolId);
+        await this.orderStorage.savePool(pool);
         
-        const a = 
-            Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-            Math.cos(this.deg2rad(lat1)) * Math.cos(this.deg2rad(lat2)) *
-            Math.sin(dLon / 2) * Math.sin(dLon / 2);
-        
-        const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-        const distance = R * c;
+        for (const orderId of pool.orderIds) {
+            this.publishOrderUpdate(orderId, 'pool_matched', { pool });
+        }
+        this.sendToDriver(driverId, { type: 'pool_updated', data: pool });
         
-        return distance;
+        console.log(`拼车 ${pool.poolId}：司机 ${driverId} 同时服务订单 ${pool.orderIds.map(id => `#${id}`).join('、')}`);
+        return pool;
     }
     
-    deg2rad(deg) {
-        return deg * (Math.PI / 180);
+    /**
+     * 匹配订单（交给派单状态机逐轮邀请司机）
+     */
+    async matchOrder(order) {
+        await this.dispatcher.dispatch(order);
     }
     
     /**
@@ -368,25 +933,16 @@ class TF_OrderMatchingService {
         const driver = this.onlineDrivers.get(driverId);
         if (!driver) return [];
         
-        const availableOrders = [];
+        const location = normalizeLocation(driver.location);
+        if (!isValidLocation(location)) return [];
         
-        for (const order of this.pendingOrders) {
-            const distance = this.calculateDistance(
-                order.pickup.lat,
-                order.pickup.lng,
-                driver.location.lat,
-                driver.location.lng
-            );
-            
-            if (distance <= 10) {
-                availableOrders.push({
-                    ...order,
-                    distance: distance.toFixed(2)
-                });
-            }
-        }
-        
-        return availableOrders.sort((a, b) => a.distance - b.distance);
+        // 空间索引按距离从近到远返回
+        return this.orderIndex
+            .within(location.lat, location.lng, this.maxDistance)
+            .map(point => ({
+                ...point.data,
+                distance: point.distance.toFixed(2)
+            }));
     }
     
     /**
@@ -396,10 +952,10 @@ class TF_OrderMatchingService {
         setInterval(async () => {
             const now = Date.now();
             
-            // 清理超过30分钟未接单的订单
+            // 清理超时未接单的订单
             const expiredOrders = this.pendingOrders.filter(order => {
-                const age = now - order.createdAt;
-                return age > 30 * 60 * 1000;
+                const age = now - (order.dispatchAt || order.createdAt);
+                return age > this.orderTimeout;
             });
             
             // 异步删除过期的订单
@@ -410,12 +966,13 @@ class TF_OrderMatchingService {
                 } else {
                     this.memoryStore.pending_orders.delete(order.orderId.toString());
                 }
+                await this.unindexOrder(order.orderId);
             }
             
             // 从内存中移除过期订单
             this.pendingOrders = this.pendingOrders.filter(order => {
-                const age = now - order.createdAt;
-                return age <= 30 * 60 * 1000;
+                const age = now - (order.dispatchAt || order.createdAt);
+                return age <= this.orderTimeout;
             });
             
             // 清理超过5分钟未更新位置的司机
@@ -435,6 +992,8 @@ class TF_OrderMatchingService {
                 } else {
                     this.memoryStore.online_drivers.delete(driverId);
                 }
+                await this.unindexDriver(driverId);
+                await this.dispatcher.handleDriverOffline(driverId);
             }
         }, 60000); // 每分钟检查一次
     }
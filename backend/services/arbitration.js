@@ -0,0 +1,172 @@
+/**
+ * 仲裁工作台服务
+ * 仲裁员的待办队列（按 SLA 截止时间排序）、裁决模板，以及按比例拆分车费生成
+ * TrustFlowDispute.resolveDispute 的调用参数（交易由仲裁员钱包签名发送）
+ */
+
+const { ethers } = require('ethers');
+const DisputeStorageService = require('./disputeStorage');
+
+// 可以作为裁决结果的状态（pending 只表示未裁决）
+const RESOLVABLE_RESULTS = ['passenger_wins', 'driver_wins', 'split', 'no_fault'];
+const MAX_RESOLUTION_LENGTH = 1000;
+
+// 默认裁决模板，passengerShare 为退还乘客的车费比例（%）
+const DEFAULT_TEMPLATES = [
+    {
+        id: 'driver_no_show',
+        title: '司机未到达上车点',
+        result: 'passenger_wins',
+        passengerShare: 100,
+        text: '行程轨迹显示司机未到达上车点，车费全额退还乘客。'
+    },
+    {
+        id: 'passenger_no_show',
+        title: '乘客未按时上车',
+        result: 'driver_wins',
+        passengerShare: 0,
+        text: '司机已按时到达上车点并等待，乘客未上车，车费归司机。'
+    },
+    {
+        id: 'route_detour',
+        title: '绕路',
+        result: 'split',
+        passengerShare: 30,
+        text: '匹配路网后的行驶里程明显超出合理路线，超出部分车费退还乘客。'
+    },
+    {
+        id: 'fare_error',
+        title: '计价错误',
+        result: 'split',
+        passengerShare: 50,
+        text: '实际车费与报价不符，差额部分退还乘客。'
+    },
+    {
+        id: 'service_quality',
+        title: '服务质量问题',
+        result: 'split',
+        passengerShare: 20,
+        text: '证据支持乘客对服务质量的投诉，部分车费退还乘客。'
+    },
+    {
+        id: 'no_fault',
+        title: '双方无过错',
+        result: 'no_fault',
+        passengerShare: 0,
+        text: '现有证据不足以认定任何一方过错，按原订单结算。'
+    }
+];
+
+class ArbitrationService {
+    constructor(config) {
+        const arbitrationConfig = config.services?.arbitration || {};
+        this.slaSeconds = (arbitrationConfig.slaHours || 168) * 3600; // 争议创建后的裁决时限（与合约 MAX_RESOLUTION_TIME 一致，默认 7 天）
+        this.warningSeconds = (arbitrationConfig.warningHours || 24) * 3600; // 距截止时间不足该时长时标记为即将超时
+        this.templates = arbitrationConfig.templates || DEFAULT_TEMPLATES;
+    }
+
+    getTemplates() {
+        return this.templates;
+    }
+
+    /**
+     * 计算案件 SLA（时间均为秒）
+     * @returns {object} { startedAt, deadline, remaining, state: 'on_track' | 'due_soon' | 'overdue' | 'met' | 'breached' }
+     */
+    getSla(dispute, now = Math.floor(Date.now() / 1000)) {
+        const startedAt = dispute.createdAt ?? now;
+        const deadline = startedAt + this.slaSeconds;
+
+        if (dispute.resolvedAt) {
+            return {
+                startedAt,
+                deadline,
+                remaining: deadline - dispute.resolvedAt,
+                state: dispute.resolvedAt <= deadline ? 'met' : 'breached'
+            };
+        }
+
+        const remaining = deadline - now;
+        let state = 'on_track';
+        if (remaining < 0) {
+            state = 'overdue';
+        } else if (remaining <= this.warningSeconds) {
+            state = 'due_soon';
+        }
+        return { startedAt, deadline, remaining, state };
+    }
+
+    /**
+     * 待办队列：未裁决的案件，按 SLA 截止时间由近到远排序
+     */
+    buildQueue(disputes, now = Math.floor(Date.now() / 1000)) {
+        return disputes
+            .filter(dispute => dispute.status === 'open' || dispute.status === 'under_review')
+            .map(dispute => ({ ...dispute, sla: this.getSla(dispute, now) }))
+            .sort((a, b) => a.sla.deadline - b.sla.deadline || a.disputeId - b.disputeId);
+    }
+
+    /**
+     * 生成裁决参数
+     * @param {object} dispute - 争议存储中的案件
+     * @param {string} fare - 订单托管的车费（预估费用，ETH）
+     * @param {object} decision - { result, passengerShare: 退还乘客的比例（%）, templateId, note }
+     * @returns {object} { disputeId, result, resultCode, passengerShare, fare, passengerRefund, driverPayment（wei）, resolution, templateId }
+     */
+    buildResolution(dispute, fare, decision = {}) {
+        if (dispute.status !== 'under_review') {
+            throw new Error('争议不在审理中，无法裁决');
+        }
+
+        const template = decision.templateId ? this.templates.find(item => item.id === decision.templateId) : null;
+        if (decision.templateId && !template) {
+            throw new Error(`裁决模板不存在: ${decision.templateId}`);
+        }
+
+        const result = decision.result || (template && template.result);
+        if (!RESOLVABLE_RESULTS.includes(result)) {
+            throw new Error('无效的裁决结果，必须是 passenger_wins、driver_wins、split 或 no_fault');
+        }
+
+        // 胜诉方拿全部车费；部分裁决按比例拆分
+        let passengerShare = 0;
+        if (result === 'passenger_wins') {
+            passengerShare = 100;
+        } else if (result === 'split') {
+            passengerShare = Number(decision.passengerShare ?? (template && template.passengerShare));
+            if (!Number.isInteger(passengerShare) || passengerShare < 1 || passengerShare > 99) {
+                throw new Error('部分裁决的乘客退款比例必须是 1-99 之间的整数');
+            }
+        }
+
+        const resolution = [template && template.text, decision.note]
+            .map(text => (text || '').trim())
+            .filter(Boolean)
+            .join('\n');
+        if (!resolution) {
+            throw new Error('请填写裁决说明或选择裁决模板');
+        }
+        if (resolution.length > MAX_RESOLUTION_LENGTH) {
+            throw new Error(`裁决说明不能超过 ${MAX_RESOLUTION_LENGTH} 个字符`);
+        }
+
+        const fareWei = ethers.utils.parseEther(String(fare || '0'));
+        const passengerRefund = fareWei.mul(passengerShare).div(100);
+
+        return {
+            disputeId: dispute.disputeId,
+            result,
+            resultCode: DisputeStorageService.RESULTS.indexOf(result),
+            passengerShare,
+            fare: ethers.utils.formatEther(fareWei),
+            passengerRefund: passengerRefund.toString(),
+            driverPayment: fareWei.sub(passengerRefund).toString(),
+            resolution,
+            templateId: template ? template.id : null
+        };
+    }
+}
+
+ArbitrationService.RESOLVABLE_RESULTS = RESOLVABLE_RESULTS;
+
+module.exports = ArbitrationService;
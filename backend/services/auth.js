@@ -0,0 +1,203 @@
+/**
+ * 认证服务
+ * 钱包签名登录（Sign-In with Ethereum）：签发 nonce -> 用户签名 -> 验证签名后签发 JWT
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { ethers } = require('ethers');
+
+const SESSION_SUBJECT = 'session';
+
+// 配置文件和 .env 生成脚本中的示例密钥，使用它们签发的 token 任何人都可以伪造
+const PLACEHOLDER_SECRETS = new Set([
+    'your-secret-key-change-in-production',
+    'your-super-secret-jwt-key-please-change-this-in-production'
+]);
+
+class AuthService {
+    constructor(config, orderStorage) {
+        this.config = config;
+        this.orderStorage = orderStorage;
+
+        const authConfig = config.auth || {};
+        this.secret = config.jwt?.secret;
+        this.secretConfigured = !!this.secret && !PLACEHOLDER_SECRETS.has(this.secret);
+        if (!this.secretConfigured) {
+            console.warn('⚠️  未配置 JWT_SECRET（或仍为示例值），钱包登录不会签发或接受会话 token');
+        }
+        this.expiresIn = config.jwt?.expiresIn || '7d';
+        this.nonceTtl = authConfig.nonceTtl || 5 * 60 * 1000; // nonce 有效期（毫秒）
+        this.statement = authConfig.statement || 'Sign in to TrustFlow';
+        this.adminAddresses = new Set((authConfig.adminAddresses || []).map(address => address.toLowerCase()));
+
+        // 未使用的 nonce -> { address, message, expiresAt }
+        this.nonces = new Map();
+    }
+
+    /**
+     * 生成登录消息（EIP-4361 格式）
+     * @param {object} params - { address, domain, uri }
+     * @returns {object} { nonce, message, expiresAt }
+     */
+    createNonce({ address, domain, uri }) {
+        this.assertSecretConfigured();
+        if (!address || !ethers.utils.isAddress(address)) {
+            throw new Error('无效的地址格式');
+        }
+
+        this.cleanupNonces();
+
+        const nonce = crypto.randomBytes(16).toString('hex');
+        const issuedAt = Date.now();
+        const expiresAt = issuedAt + this.nonceTtl;
+        const message = [
+            `${domain} wants you to sign in with your Ethereum account:`,
+            ethers.utils.getAddress(address),
+            '',
+            this.statement,
+            '',
+            `URI: ${uri}`,
+            'Version: 1',
+            `Chain ID: ${this.config.chainId}`,
+            `Nonce: ${nonce}`,
+            `Issued At: ${new Date(issuedAt).toISOString()}`,
+            `Expiration Time: ${new Date(expiresAt).toISOString()}`
+        ].join('\n');
+
+        this.nonces.set(nonce, { address: address.toLowerCase(), message, expiresAt });
+
+        return { nonce, message, expiresAt };
+    }
+
+    /**
+     * 验证签名并签发会话 token（nonce 只能使用一次）
+     * @returns {object} { token, address, role, expiresAt }
+     */
+    verifySignature({ message, signature }) {
+        this.assertSecretConfigured();
+        if (!message || !signature) {
+            throw new Error('缺少签名消息或签名');
+        }
+
+        const match = message.match(/^Nonce: (\w+)$/m);
+        const pending = match ? this.nonces.get(match[1]) : null;
+        if (!pending || pending.message !== message) {
+            throw new Error('登录消息无效或已被使用');
+        }
+        this.nonces.delete(match[1]);
+
+        if (pending.expiresAt < Date.now()) {
+            throw new Error('登录消息已过期，请重新获取');
+        }
+
+        let recovered;
+        try {
+            recovered = ethers.utils.verifyMessage(message, signature).toLowerCase();
+        } catch (error) {
+            throw new Error('签名格式无效');
+        }
+        if (recovered !== pending.address) {
+            throw new Error('签名与地址不匹配');
+        }
+
+        const role = this.isAdmin(recovered) ? 'admin' : 'user';
+        const token = jwt.sign({ address: recovered, role }, this.secret, {
+            subject: SESSION_SUBJECT,
+            expiresIn: this.expiresIn
+        });
+        const { exp } = jwt.decode(token);
+
+        return { token, address: recovered, role, expiresAt: exp * 1000 };
+    }
+
+    /**
+     * 验证会话 token
+     * @returns {object} { address, role }
+     */
+    verifyToken(token) {
+        this.assertSecretConfigured();
+        const payload = jwt.verify(token, this.secret, { subject: SESSION_SUBJECT });
+        // 管理员名单以当前配置为准
+        return {
+            address: payload.address,
+            role: this.isAdmin(payload.address) ? 'admin' : 'user'
+        };
+    }
+
+    /**
+     * 未配置会话密钥时拒绝签发和验证 token
+     */
+    assertSecretConfigured() {
+        if (!this.secretConfigured) {
+            throw new Error('服务端未配置 JWT_SECRET，暂时无法登录');
+        }
+    }
+
+    /**
+     * 是否为平台管理员
+     */
+    isAdmin(address) {
+        return !!address && this.adminAddresses.has(address.toLowerCase());
+    }
+
+    /**
+     * 获取订单双方地址（小写）
+     */
+    async getOrderParties(orderId) {
+        const order = await this.orderStorage.getOrder(orderId);
+        return {
+            passenger: order?.passenger ? order.passenger.toLowerCase() : null,
+            driver: order?.driver ? order.driver.toLowerCase() : null
+        };
+    }
+
+    /**
+     * 获取与该地址有过订单往来的地址（含自己）
+     */
+    async getCounterparties(address) {
+        const self = address.toLowerCase();
+        const result = new Set([self]);
+        const orders = [
+            ...await this.orderStorage.getOrdersByUser(self, 'passenger'),
+            ...await this.orderStorage.getOrdersByUser(self, 'driver')
+        ];
+        for (const order of orders) {
+            if (order.passenger) result.add(order.passenger.toLowerCase());
+            if (order.driver) result.add(order.driver.toLowerCase());
+        }
+        return result;
+    }
+
+    /**
+     * 联系方式可见范围：本人、平台管理员、与其有订单往来的乘客/司机
+     * @param {object|null} viewer - req.user
+     * @returns {Promise<function(string): boolean>}
+     */
+    async getContactVisibility(viewer) {
+        if (!viewer) {
+            return () => false;
+        }
+        if (this.isAdmin(viewer.address)) {
+            return () => true;
+        }
+        const visible = await this.getCounterparties(viewer.address);
+        return (address) => visible.has(address.toLowerCase());
+    }
+
+    /**
+     * 清理过期 nonce
+     */
+    cleanupNonces() {
+        const now = Date.now();
+        for (const [nonce, pending] of this.nonces.entries()) {
+            if (pending.expiresAt < now) {
+                this.nonces.delete(nonce);
+            }
+        }
+    }
+}
+
+AuthService.PLACEHOLDER_SECRETS = PLACEHOLDER_SECRETS;
+
+module.exports = AuthService;
@@ -10,9 +10,14 @@ const path = require('path');
 const OrderStorageService = require('./orderStorage');
 const UserStorageService = require('./userStorage');
 const PlatformStorageService = require('./platformStorage');
+const DisputeStorageService = require('./disputeStorage');
+const RatingStorageService = require('./ratingStorage');
 
 class BlockchainListenerService extends EventEmitter {
-    constructor(config) {
+    /**
+     * 存储服务由 API 服务传入同一实例，事件写入和 API 写入在同一写队列中排队
+     */
+    constructor(config, orderStorage = null, userStorage = null, platformStorage = null, disputeStorage = null, ratingStorage = null) {
         super();
         this.config = config;
         
@@ -62,10 +67,31 @@ class BlockchainListenerService extends EventEmitter {
         this.lastProcessedBlock = 0;
         this.isRunning = false;
         
+        // 事件游标（持久化已处理区块，重启后补齐停机期间的事件）
+        const listenerConfig = config.services?.blockchainListener || {};
+        this.cursorFile = listenerConfig.cursorFile || path.join(__dirname, '../data/listener-cursor.json');
+        this.replayBatchSize = listenerConfig.replayBatchSize || 2000; // 每次查询的区块范围
+        this.startBlock = listenerConfig.startBlock ?? null; // 无游标时的起始区块（默认当前区块）
+        this.dedupeWindow = listenerConfig.dedupeWindow || 100; // 去重记录保留的区块数
+        this.confirmations = listenerConfig.confirmations ?? 3; // 确认深度（0 表示收到即确认）
+        this.subscriptions = []; // [{ contractName, eventName, handler }]
+        this.processedEvents = new Map(); // `${transactionHash}:${logIndex}` -> blockNumber
+        this.inFlightEvents = new Set(); // 正在处理的事件，避免实时订阅和补齐重复处理
+        this.failedEvents = new Map(); // 处理失败、等待补齐重试的事件 key -> { blockNumber, attempts }
+        this.maxEventRetries = listenerConfig.maxEventRetries || 3; // 超过次数后放弃重试，避免游标一直停留
+        this.isReplaying = false;
+        this.highestSeenBlock = 0;
+        this.cursorWriteQueue = Promise.resolve();
+        // 未达到确认深度的事件 `${transactionHash}:${logIndex}` -> { orderId, disputeId, rating, eventName, blockNumber, blockHash, platformEffects }
+        this.pendingEvents = new Map();
+        this.isCheckingConfirmations = false;
+        
         // 初始化存储服务
-        this.orderStorage = new OrderStorageService(config);
-        this.userStorage = new UserStorageService();
-        this.platformStorage = new PlatformStorageService();
+        this.orderStorage = orderStorage || new OrderStorageService(config);
+        this.userStorage = userStorage || new UserStorageService();
+        this.platformStorage = platformStorage || new PlatformStorageService();
+        this.disputeStorage = disputeStorage || new DisputeStorageService();
+        this.ratingStorage = ratingStorage || new RatingStorageService(config);
         
         // 日志方法
         this.log = (level, message, data = {}) => {
@@ -90,16 +116,21 @@ class BlockchainListenerService extends EventEmitter {
     /**
      * 记录订单历史状态到文件（使用新的存储服务）
      */
-    async recordOrderHistory(orderId, event, timestamp, blockNumber, transactionHash, description, otherData = {}) {
+    async recordOrderHistory(orderId, event, timestamp, blockNumber, transactionHash, description, otherData = {}, chainEvent = null) {
         try {
-            // 添加历史记录
+            // 添加历史记录（未达到确认深度时标记为 pending）
             await this.orderStorage.addOrderHistory(orderId, event, {
                 timestamp: parseInt(timestamp),
                 blockNumber: blockNumber ? parseInt(blockNumber) : null,
                 transactionHash: transactionHash || null,
+                logIndex: chainEvent ? chainEvent.logIndex : null,
+                blockHash: chainEvent ? chainEvent.blockHash : null,
                 description: description || event,
                 ...otherData
+            }, {
+                confirmation: this.getConfirmationStatus(chainEvent)
             });
+            this.trackPendingEvent(chainEvent, orderId, event);
             
             console.log(`[OrderHistory] 已记录订单 #${orderId} 的 ${event} 事件`);
         } catch (error) {
@@ -110,7 +141,7 @@ class BlockchainListenerService extends EventEmitter {
     /**
      * 保存订单数据（从链上事件）
      */
-    async saveOrderFromEvent(orderId, orderData, event, eventData = {}) {
+    async saveOrderFromEvent(orderId, orderData, event, eventData = {}, chainEvent = null) {
         try {
             // 确保orderId是数字
             const orderIdNum = typeof orderId === 'number' ? orderId : (orderId.toNumber ? orderId.toNumber() : parseInt(orderId));
@@ -175,15 +206,24 @@ class BlockchainListenerService extends EventEmitter {
                 disputeWinner: order.disputeWinner && order.disputeWinner !== ethers.constants.AddressZero ? order.disputeWinner : null,
                 disputeTimestamp: order.disputeTimestamp && order.disputeTimestamp.toNumber() > 0 ? order.disputeTimestamp.toNumber() : null,
                 event: event,
-                eventData: eventData
+                eventData: chainEvent ? {
+                    ...eventData,
+                    transactionHash: chainEvent.transactionHash,
+                    logIndex: chainEvent.logIndex
+                } : eventData,
+                confirmation: this.getConfirmationStatus(chainEvent)
             };
             
             // 保存订单
             await this.orderStorage.saveOrder(orderToSave);
             
+            // 记录对平台统计的影响，区块被重组时据此回滚
+            const platformEffects = {};
+            
             // 如果是新订单，更新平台统计
             if (event === 'OrderCreated') {
                 await this.platformStorage.incrementTransactions();
+                platformEffects.transactions = 1;
             }
             
             // 如果订单完成，更新平台统计
@@ -191,17 +231,23 @@ class BlockchainListenerService extends EventEmitter {
                 const fare = parseFloat(orderToSave.actualFare);
                 await this.platformStorage.addRevenue(fare);
                 await this.platformStorage.addPlatformFee(fare * 0.05);
+                platformEffects.revenue = fare;
+                platformEffects.platformFee = fare * 0.05;
             }
             
             // 如果争议开启，更新平台统计
             if (event === 'DisputeOpened') {
                 await this.platformStorage.incrementDisputes();
+                platformEffects.disputes = 1;
             }
             
             // 如果争议解决，更新平台统计
             if (event === 'DisputeResolved') {
                 await this.platformStorage.incrementResolvedDisputes();
+                platformEffects.resolvedDisputes = 1;
             }
+            
+            this.trackPendingEvent(chainEvent, orderIdNum, event, platformEffects);
         } catch (error) {
             this.log('error', `保存订单数据失败 (订单 #${orderId})`, {
                 orderId: orderId,
@@ -315,11 +361,16 @@ class BlockchainListenerService extends EventEmitter {
         
         this.isRunning = true;
         
-        // 获取当前区块高度
+        // 获取当前区块高度，并从持久化游标确定补齐起点
+        let currentBlock;
+        let replayFrom;
         try {
-            this.lastProcessedBlock = await this.provider.getBlockNumber();
+            currentBlock = await this.provider.getBlockNumber();
+            replayFrom = await this.loadCursor(currentBlock);
+            this.lastProcessedBlock = replayFrom === null ? currentBlock : replayFrom;
             this.log('info', `连接成功! 从区块 ${this.lastProcessedBlock} 开始监听`, {
                 blockNumber: this.lastProcessedBlock,
+                currentBlock: currentBlock,
                 rpcUrl: this.config.rpcUrl
             });
             console.log(`✅ 连接成功! 从区块 ${this.lastProcessedBlock} 开始监听`);
@@ -329,17 +380,247 @@ class BlockchainListenerService extends EventEmitter {
             throw error;
         }
         
-        // 监听各个合约的事件
+        // 监听各个合约的事件（先订阅实时事件，补齐期间重复的事件由去重过滤）
+        this.isReplaying = replayFrom !== null;
         this.listenToPaymentEvents();
         this.listenToOrderEvents();
         this.listenToUserEvents();
         this.listenToRatingEvents();
         this.listenToDisputeEvents();
         
+        // 补齐停机期间错过的事件
+        if (replayFrom !== null) {
+            try {
+                await this.replayMissedEvents(replayFrom, currentBlock);
+            } catch (error) {
+                this.log('error', '补齐历史事件失败，将在下次启动时从游标处重试', {
+                    fromBlock: replayFrom,
+                    toBlock: currentBlock,
+                    lastProcessedBlock: this.lastProcessedBlock,
+                    error: error.message
+                });
+            } finally {
+                this.isReplaying = false;
+            }
+        }
+        await this.saveCursor();
+        
         // 定期检查连接状态
         this.startHealthCheck();
     }
     
+    /**
+     * 读取持久化游标
+     * @returns {Promise<number|null>} 需要补齐的起始区块，null 表示无需补齐
+     */
+    async loadCursor(currentBlock) {
+        let cursor = null;
+        try {
+            cursor = JSON.parse(await fs.promises.readFile(this.cursorFile, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                this.log('warn', '读取事件游标失败，忽略游标', { cursorFile: this.cursorFile, error: error.message });
+            }
+        }
+        
+        // 合约重新部署或链被重置（本地开发常见）时游标失效
+        const rideOrderAddress = (this.config.contracts.rideOrder || '').toLowerCase();
+        if (cursor && (cursor.rideOrder !== rideOrderAddress || cursor.lastProcessedBlock > currentBlock)) {
+            this.log('warn', '事件游标与当前链不一致，已重置', {
+                cursorBlock: cursor.lastProcessedBlock,
+                cursorRideOrder: cursor.rideOrder,
+                currentBlock: currentBlock,
+                rideOrder: rideOrderAddress
+            });
+            cursor = null;
+        }
+        
+        if (!cursor) {
+            return this.startBlock !== null && this.startBlock <= currentBlock ? this.startBlock : null;
+        }
+        
+        // 上次停止时所在区块可能只处理了一部分，因此从该区块开始（含）重新补齐，已处理的事件由去重记录过滤
+        for (const key of cursor.processedEvents || []) {
+            this.processedEvents.set(key, cursor.lastProcessedBlock);
+        }
+        for (const record of cursor.pendingEvents || []) {
+            this.pendingEvents.set(record.key, record);
+            this.processedEvents.set(record.key, record.blockNumber);
+        }
+        return cursor.lastProcessedBlock;
+    }
+    
+    /**
+     * 持久化游标（写入临时文件后重命名，写入按顺序排队）
+     */
+    saveCursor() {
+        const blockNumber = this.lastProcessedBlock;
+        const processedEvents = [];
+        for (const [key, eventBlock] of this.processedEvents.entries()) {
+            if (eventBlock >= blockNumber) {
+                processedEvents.push(key);
+            }
+        }
+        const data = JSON.stringify({
+            lastProcessedBlock: blockNumber,
+            rideOrder: (this.config.contracts.rideOrder || '').toLowerCase(),
+            processedEvents: processedEvents,
+            pendingEvents: [...this.pendingEvents.values()],
+            updatedAt: Date.now()
+        }, null, 2);
+        
+        this.cursorWriteQueue = this.cursorWriteQueue
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.cursorFile), { recursive: true });
+                const tmpFile = `${this.cursorFile}.tmp`;
+                await fs.promises.writeFile(tmpFile, data, 'utf8');
+                await fs.promises.rename(tmpFile, this.cursorFile);
+            })
+            .catch(error => {
+                this.log('error', '保存事件游标失败', { cursorFile: this.cursorFile, error: error.message });
+            });
+        return this.cursorWriteQueue;
+    }
+    
+    /**
+     * 推进游标（补齐期间只由补齐流程推进，避免实时事件越过尚未补齐的区块）
+     */
+    advanceCursor(blockNumber) {
+        if (blockNumber > this.highestSeenBlock) {
+            this.highestSeenBlock = blockNumber;
+        }
+        blockNumber = this.capCursor(blockNumber);
+        if (this.isReplaying || blockNumber <= this.lastProcessedBlock) {
+            return;
+        }
+        this.lastProcessedBlock = blockNumber;
+        
+        // 清理过旧的去重记录
+        const cutoff = blockNumber - this.dedupeWindow;
+        for (const [key, eventBlock] of this.processedEvents.entries()) {
+            if (eventBlock < cutoff && !this.pendingEvents.has(key)) {
+                this.processedEvents.delete(key);
+            }
+        }
+        this.saveCursor();
+    }
+    
+    /**
+     * 游标不越过处理失败、等待重试的事件所在区块
+     */
+    capCursor(blockNumber) {
+        let limit = blockNumber;
+        for (const failed of this.failedEvents.values()) {
+            limit = Math.min(limit, failed.blockNumber - 1);
+        }
+        return limit;
+    }
+    
+    /**
+     * 注册事件处理器（实时订阅和历史补齐共用同一处理器）
+     */
+    subscribe(contractName, eventName, handler) {
+        this.subscriptions.push({ contractName, eventName, handler });
+        this.contracts[contractName].on(eventName, (...args) => {
+            this.dispatchEvent(eventName, handler, args).catch(error => {
+                console.error(`[${eventName}] 事件处理失败:`, error);
+            });
+        });
+    }
+    
+    /**
+     * 分发事件，按 transactionHash + logIndex 去重
+     * @returns {Promise<boolean>} 是否实际处理
+     */
+    async dispatchEvent(eventName, handler, args) {
+        const event = args[args.length - 1];
+        const key = `${event.transactionHash}:${event.logIndex}`;
+        if (this.processedEvents.has(key) || this.inFlightEvents.has(key)) {
+            return false;
+        }
+        this.inFlightEvents.add(key);
+        
+        // 处理成功后才记为已处理；失败的事件保留游标，由下一次补齐重试
+        try {
+            await handler(...args);
+            this.processedEvents.set(key, event.blockNumber);
+            this.failedEvents.delete(key);
+        } catch (error) {
+            const attempts = (this.failedEvents.get(key)?.attempts || 0) + 1;
+            const giveUp = attempts >= this.maxEventRetries;
+            this.log('error', giveUp ? `[${eventName}] 事件处理失败，已放弃重试` : `[${eventName}] 事件处理失败，等待补齐重试`, {
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash,
+                logIndex: event.logIndex,
+                attempts: attempts,
+                error: error.message,
+                stack: error.stack
+            });
+            if (giveUp) {
+                this.processedEvents.set(key, event.blockNumber);
+                this.failedEvents.delete(key);
+            } else {
+                this.failedEvents.set(key, { blockNumber: event.blockNumber, attempts });
+                if (event.blockNumber - 1 < this.lastProcessedBlock) {
+                    this.lastProcessedBlock = event.blockNumber - 1;
+                    this.saveCursor();
+                }
+            }
+        } finally {
+            this.inFlightEvents.delete(key);
+        }
+        
+        this.advanceCursor(event.blockNumber);
+        return true;
+    }
+    
+    /**
+     * 补齐 [fromBlock, toBlock] 范围内错过的事件，按区块范围分批查询，按链上顺序处理
+     */
+    async replayMissedEvents(fromBlock, toBlock) {
+        if (fromBlock > toBlock) {
+            return;
+        }
+        let replayed = 0;
+        for (let start = fromBlock; start <= toBlock; start += this.replayBatchSize) {
+            const end = Math.min(start + this.replayBatchSize - 1, toBlock);
+            
+            const batch = [];
+            for (const { contractName, eventName, handler } of this.subscriptions) {
+                const events = await this.getHistoricalEvents(contractName, eventName, start, end, { throwOnError: true });
+                for (const event of events) {
+                    batch.push({ eventName, handler, event });
+                }
+            }
+            batch.sort((a, b) => (a.event.blockNumber - b.event.blockNumber) || (a.event.logIndex - b.event.logIndex));
+            
+            for (const { eventName, handler, event } of batch) {
+                if (await this.dispatchEvent(eventName, handler, [...event.args, event])) {
+                    replayed++;
+                }
+            }
+            
+            // 整批处理完成后推进游标（不越过处理失败的事件）
+            this.lastProcessedBlock = this.capCursor(end);
+            await this.saveCursor();
+        }
+        
+        // 补齐期间实时收到的更新区块
+        const highestSeen = this.capCursor(this.highestSeenBlock);
+        if (highestSeen > this.lastProcessedBlock) {
+            this.lastProcessedBlock = highestSeen;
+        }
+        
+        // 健康检查每 30 秒补齐一次，只在确实处理了事件时记录日志
+        if (replayed > 0) {
+            this.log('info', `历史事件补齐完成: 区块 ${fromBlock} - ${toBlock}，共处理 ${replayed} 个事件`, {
+                fromBlock: fromBlock,
+                toBlock: toBlock,
+                replayed: replayed
+            });
+        }
+    }
+    
     /**
      * 检查网络连接
      */
@@ -376,16 +657,22 @@ class BlockchainListenerService extends EventEmitter {
         Object.values(this.contracts).forEach(contract => {
             contract.removeAllListeners();
         });
+        this.subscriptions = [];
+        
+        if (this.healthCheckTimer) {
+            clearInterval(this.healthCheckTimer);
+            this.healthCheckTimer = null;
+        }
+        
+        return this.saveCursor();
     }
     
     /**
      * 监听支付合约事件
      */
     listenToPaymentEvents() {
-        const contract = this.contracts.paymentEscrow;
-        
         // 订单创建（资金锁定）
-        contract.on('PaymentLocked', async (orderId, passenger, amount, event) => {
+        this.subscribe('paymentEscrow', 'PaymentLocked', async (orderId, passenger, amount, event) => {
             console.log(`[PaymentLocked] 订单 #${orderId} 资金已锁定: ${ethers.utils.formatEther(amount)} ETH`);
             
             this.emit('payment_locked', {
@@ -398,7 +685,7 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 资金释放
-        contract.on('PaymentReleased', async (orderId, driver, amount, platformFee, event) => {
+        this.subscribe('paymentEscrow', 'PaymentReleased', async (orderId, driver, amount, platformFee, event) => {
             console.log(`[PaymentReleased] 订单 #${orderId} 资金已释放给司机`);
             
             this.emit('payment_released', {
@@ -412,7 +699,7 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 订单取消
-        contract.on('OrderCancelled', async (orderId, passenger, refundAmount, event) => {
+        this.subscribe('paymentEscrow', 'OrderCancelled', async (orderId, passenger, refundAmount, event) => {
             console.log(`[OrderCancelled] 订单 #${orderId} 已取消，退款: ${ethers.utils.formatEther(refundAmount)} ETH`);
             
             this.emit('order_cancelled', {
@@ -425,7 +712,7 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 争议提起
-        contract.on('DisputeRaised', async (orderId, initiator, event) => {
+        this.subscribe('paymentEscrow', 'DisputeRaised', async (orderId, initiator, event) => {
             console.log(`[DisputeRaised] 订单 #${orderId} 发起争议`);
             
             this.emit('dispute_raised', {
@@ -445,7 +732,7 @@ class BlockchainListenerService extends EventEmitter {
         
         // 订单创建
         // 事件参数顺序: orderId, passenger, pickupLat, pickupLng, destLat, destLng, category, subCategory, estimatedFare
-        contract.on('OrderCreated', async (orderId, passenger, pickupLat, pickupLng, destLat, destLng, category, subCategory, estimatedFare, event) => {
+        this.subscribe('rideOrder', 'OrderCreated', async (orderId, passenger, pickupLat, pickupLng, destLat, destLng, category, subCategory, estimatedFare, event) => {
             const orderIdNum = orderId.toNumber();
             this.log('info', `[OrderCreated] 新订单: #${orderIdNum}`, {
                 orderId: orderIdNum,
@@ -492,7 +779,7 @@ class BlockchainListenerService extends EventEmitter {
             };
             
             // 保存订单数据（内部会再次验证订单是否存在）
-            await this.saveOrderFromEvent(orderIdNum, orderData, 'OrderCreated', { passenger: passenger });
+            await this.saveOrderFromEvent(orderIdNum, orderData, 'OrderCreated', { passenger: passenger }, event);
             
             // 记录订单历史
             await this.recordOrderHistory(
@@ -502,21 +789,22 @@ class BlockchainListenerService extends EventEmitter {
                 event.blockNumber,
                 event.transactionHash,
                 '订单创建',
-                { passenger: passenger }
+                { passenger: passenger },
+                event
             );
             
             this.emit('order_created', orderData);
         });
         
         // 订单接受
-        contract.on('OrderAccepted', async (orderId, driver, event) => {
+        this.subscribe('rideOrder', 'OrderAccepted', async (orderId, driver, event) => {
             console.log(`[OrderAccepted] 订单 #${orderId} 被司机接单`);
             
             const block = await event.getBlock();
             const orderIdNum = orderId.toNumber();
             
             // 保存订单数据
-            await this.saveOrderFromEvent(orderIdNum, null, 'OrderAccepted', { driver: driver });
+            await this.saveOrderFromEvent(orderIdNum, null, 'OrderAccepted', { driver: driver }, event);
             
             // 记录订单历史
             await this.recordOrderHistory(
@@ -526,7 +814,8 @@ class BlockchainListenerService extends EventEmitter {
                 event.blockNumber,
                 event.transactionHash,
                 '司机接单',
-                { driver: driver }
+                { driver: driver },
+                event
             );
             
             this.emit('order_accepted', {
@@ -539,14 +828,14 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 乘客上车
-        contract.on('PassengerPickedUp', async (orderId, timestamp, event) => {
+        this.subscribe('rideOrder', 'PassengerPickedUp', async (orderId, timestamp, event) => {
             console.log(`[PassengerPickedUp] 订单 #${orderId} 乘客已上车`);
             
             const orderIdNum = orderId.toNumber();
             const timestampNum = timestamp.toNumber();
             
             // 保存订单数据
-            await this.saveOrderFromEvent(orderIdNum, null, 'PassengerPickedUp', {});
+            await this.saveOrderFromEvent(orderIdNum, null, 'PassengerPickedUp', {}, event);
             
             // 记录订单历史
             await this.recordOrderHistory(
@@ -555,7 +844,9 @@ class BlockchainListenerService extends EventEmitter {
                 timestampNum,
                 event.blockNumber,
                 event.transactionHash,
-                '开始接到客人'
+                '开始接到客人',
+                {},
+                event
             );
             
             this.emit('passenger_picked_up', {
@@ -567,14 +858,14 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 开始行程（RideStarted）
-        contract.on('RideStarted', async (orderId, timestamp, event) => {
+        this.subscribe('rideOrder', 'RideStarted', async (orderId, timestamp, event) => {
             console.log(`[RideStarted] 订单 #${orderId} 开始行程`);
             
             const orderIdNum = orderId.toNumber();
             const timestampNum = timestamp.toNumber();
             
             // 保存订单数据
-            await this.saveOrderFromEvent(orderIdNum, null, 'RideStarted', {});
+            await this.saveOrderFromEvent(orderIdNum, null, 'RideStarted', {}, event);
             
             // 记录订单历史
             await this.recordOrderHistory(
@@ -583,7 +874,9 @@ class BlockchainListenerService extends EventEmitter {
                 timestampNum,
                 event.blockNumber,
                 event.transactionHash,
-                '开始接到客人'
+                '开始接到客人',
+                {},
+                event
             );
             
             this.emit('ride_started', {
@@ -595,7 +888,7 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 订单完成
-        contract.on('OrderCompleted', async (orderId, actualFare, timestamp, event) => {
+        this.subscribe('rideOrder', 'OrderCompleted', async (orderId, actualFare, timestamp, event) => {
             console.log(`[OrderCompleted] 订单 #${orderId} 已完成`);
             
             const orderIdNum = orderId.toNumber();
@@ -604,7 +897,7 @@ class BlockchainListenerService extends EventEmitter {
             // 保存订单数据
             await this.saveOrderFromEvent(orderIdNum, null, 'OrderCompleted', { 
                 actualFare: ethers.utils.formatEther(actualFare) 
-            });
+            }, event);
             
             // 记录订单历史
             await this.recordOrderHistory(
@@ -614,7 +907,8 @@ class BlockchainListenerService extends EventEmitter {
                 event.blockNumber,
                 event.transactionHash,
                 '订单完成',
-                { actualFare: ethers.utils.formatEther(actualFare) }
+                { actualFare: ethers.utils.formatEther(actualFare) },
+                event
             );
             
             this.emit('order_completed', {
@@ -626,12 +920,102 @@ class BlockchainListenerService extends EventEmitter {
             });
         });
         
+        // 订单取消（记录取消方，司机排名只统计司机本人取消的订单）
+        this.subscribe('rideOrder', 'OrderCancelled', async (orderId, cancelledBy, reason, event) => {
+            console.log(`[OrderCancelled] 订单 #${orderId} 被 ${cancelledBy} 取消`);
+            
+            const block = await event.getBlock();
+            const orderIdNum = orderId.toNumber();
+            
+            // 保存订单数据
+            await this.saveOrderFromEvent(orderIdNum, null, 'OrderCancelled', { cancelledBy, reason }, event);
+            
+            // 记录订单历史
+            await this.recordOrderHistory(
+                orderIdNum,
+                'OrderCancelled',
+                block.timestamp,
+                event.blockNumber,
+                event.transactionHash,
+                '订单取消',
+                { cancelledBy: cancelledBy.toLowerCase(), reason },
+                event
+            );
+        });
+        
+        // 订单结算（RideSettled，资金已释放给司机）
+        try {
+            const rideSettledEvent = contract.interface.getEvent('RideSettled');
+            if (rideSettledEvent) {
+                this.subscribe('rideOrder', 'RideSettled', async (orderId, timestamp, event) => {
+                    console.log(`[RideSettled] 订单 #${orderId} 已结算`);
+                    
+                    const orderIdNum = orderId.toNumber();
+                    const timestampNum = timestamp.toNumber();
+                    
+                    // 保存订单数据
+                    await this.saveOrderFromEvent(orderIdNum, null, 'RideSettled', {}, event);
+                    
+                    // 记录订单历史
+                    await this.recordOrderHistory(
+                        orderIdNum,
+                        'RideSettled',
+                        timestampNum,
+                        event.blockNumber,
+                        event.transactionHash,
+                        '订单已结算',
+                        {},
+                        event
+                    );
+                    
+                    this.emit('ride_settled', {
+                        orderId: orderIdNum,
+                        timestamp: timestampNum,
+                        blockNumber: event.blockNumber,
+                        transactionHash: event.transactionHash
+                    });
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ RideSettled 事件不存在于合约中，跳过监听:', error.message);
+        }
+
+        // 订单详情更新（OrderUpdated，ipfsHash 指向完整路线等链下详情）
+        try {
+            const orderUpdatedEvent = contract.interface.getEvent('OrderUpdated');
+            if (orderUpdatedEvent) {
+                this.subscribe('rideOrder', 'OrderUpdated', async (orderId, ipfsHash, event) => {
+                    console.log(`[OrderUpdated] 订单 #${orderId} 详情已更新: ${ipfsHash}`);
+
+                    const block = await event.getBlock();
+                    const orderIdNum = orderId.toNumber();
+
+                    // 保存订单数据
+                    await this.saveOrderFromEvent(orderIdNum, null, 'OrderUpdated', { ipfsHash }, event);
+
+                    // 记录订单历史
+                    await this.recordOrderHistory(
+                        orderIdNum,
+                        'OrderUpdated',
+                        block.timestamp,
+                        event.blockNumber,
+                        event.transactionHash,
+                        '订单详情已更新',
+                        { ipfsHash },
+                        event
+                    );
+                });
+            }
+        } catch (error) {
+            console.warn('⚠️ OrderUpdated 事件不存在于合约中，跳过监听:', error.message);
+        }
+
         // 争议开启（DisputeOpened）
         try {
             // 检查事件是否存在于 ABI 中
             const disputeOpenedEvent = contract.interface.getEvent('DisputeOpened');
             if (disputeOpenedEvent) {
-                contract.on('DisputeOpened', async (orderId, by, reason, timestamp, event) => {
+                this.subscribe('rideOrder', 'DisputeOpened', async (orderId, by, reason, timestamp, event) => {
                     const orderIdNum = orderId.toNumber();
                     const timestampNum = timestamp.toNumber();
                     
@@ -651,7 +1035,7 @@ class BlockchainListenerService extends EventEmitter {
                     await this.saveOrderFromEvent(orderIdNum, null, 'DisputeOpened', { 
                         by: by, 
                         reason: reason 
-                    });
+                    }, event);
                     
                     // 记录订单历史
                     await this.recordOrderHistory(
@@ -661,7 +1045,8 @@ class BlockchainListenerService extends EventEmitter {
                         event.blockNumber,
                         event.transactionHash,
                         '争议开启',
-                        { by: by, reason: reason }
+                        { by: by, reason: reason },
+                        event
                     );
                     
                     this.emit('dispute_opened', {
@@ -686,7 +1071,7 @@ class BlockchainListenerService extends EventEmitter {
             // 检查事件是否存在于 ABI 中
             const disputeResolvedEvent = contract.interface.getEvent('DisputeResolved');
             if (disputeResolvedEvent) {
-                contract.on('DisputeResolved', async (orderId, winner, detail, timestamp, event) => {
+                this.subscribe('rideOrder', 'DisputeResolved', async (orderId, winner, detail, timestamp, event) => {
                     const orderIdNum = orderId.toNumber();
                     const timestampNum = timestamp.toNumber();
                     
@@ -706,7 +1091,7 @@ class BlockchainListenerService extends EventEmitter {
                     await this.saveOrderFromEvent(orderIdNum, null, 'DisputeResolved', { 
                         winner: winner, 
                         detail: detail 
-                    });
+                    }, event);
                     
                     // 记录订单历史
                     await this.recordOrderHistory(
@@ -716,7 +1101,8 @@ class BlockchainListenerService extends EventEmitter {
                         event.blockNumber,
                         event.transactionHash,
                         '争议已解决',
-                        { winner: winner, detail: detail }
+                        { winner: winner, detail: detail },
+                        event
                     );
                     
                     this.emit('dispute_resolved', {
@@ -741,10 +1127,8 @@ class BlockchainListenerService extends EventEmitter {
      * 监听用户合约事件
      */
     listenToUserEvents() {
-        const contract = this.contracts.userRegistry;
-        
         // 用户注册
-        contract.on('UserRegistered', async (user, userType, timestamp, event) => {
+        this.subscribe('userRegistry', 'UserRegistered', async (user, userType, timestamp, event) => {
             console.log(`[UserRegistered] 新用户注册: ${user}`);
             
             this.emit('user_registered', {
@@ -757,7 +1141,7 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // KYC状态更新
-        contract.on('KYCStatusUpdated', async (user, status, event) => {
+        this.subscribe('userRegistry', 'KYCStatusUpdated', async (user, status, event) => {
             console.log(`[KYCStatusUpdated] 用户 ${user} KYC状态更新`);
             
             this.emit('kyc_status_updated', {
@@ -769,7 +1153,7 @@ class BlockchainListenerService extends EventEmitter {
         });
         
         // 信用分更新
-        contract.on('CreditScoreUpdated', async (user, newScore, event) => {
+        this.subscribe('userRegistry', 'CreditScoreUpdated', async (user, newScore, event) => {
             console.log(`[CreditScoreUpdated] 用户 ${user} 信用分: ${newScore}`);
             
             this.emit('credit_score_updated', {
@@ -782,17 +1166,38 @@ class BlockchainListenerService extends EventEmitter {
     }
     
     /**
-     * 监听评价合约事件
+     * 监听评价合约事件，索引到评价存储（评论、详情 ipfsHash 从链上订单评价列表补充）
      */
     listenToRatingEvents() {
-        const contract = this.contracts.ratingSystem;
-        
         // 评价提交
-        contract.on('RatingSubmitted', async (orderId, rater, ratee, score, timestamp, event) => {
+        this.subscribe('ratingSystem', 'RatingSubmitted', async (orderId, rater, ratee, score, timestamp, event) => {
             console.log(`[RatingSubmitted] 订单 #${orderId} 收到评价: ${score}星`);
+            const orderIdNum = orderId.toNumber();
+            const details = await this.fetchRatingFromChain(orderIdNum, rater);
+            
+            try {
+                await this.ratingStorage.saveRating({
+                    orderId: orderIdNum,
+                    rater,
+                    ratee,
+                    score,
+                    comment: details ? details.comment : '',
+                    ipfsHash: details ? details.ipfsHash : '',
+                    timestamp: timestamp.toNumber(),
+                    blockNumber: event.blockNumber,
+                    transactionHash: event.transactionHash,
+                    logIndex: event.logIndex,
+                    blockHash: event.blockHash
+                }, {
+                    confirmation: this.getConfirmationStatus(event)
+                });
+                this.trackPendingEvent(event, null, 'RatingSubmitted', {}, null, { orderId: orderIdNum, rater });
+            } catch (error) {
+                this.log('error', `索引订单 #${orderIdNum} 的评价失败`, { orderId: orderIdNum, rater: rater, error: error.message });
+            }
             
             this.emit('rating_submitted', {
-                orderId: orderId.toNumber(),
+                orderId: orderIdNum,
                 rater,
                 ratee,
                 score,
@@ -804,17 +1209,40 @@ class BlockchainListenerService extends EventEmitter {
     }
     
     /**
-     * 监听争议合约事件
+     * 从链上读取评价的评论和详情 ipfsHash（事件只包含评分）
+     */
+    async fetchRatingFromChain(orderId, rater) {
+        try {
+            const ratings = await this.contracts.ratingSystem.getOrderRatings(orderId);
+            const rating = ratings.find(item => item.rater.toLowerCase() === rater.toLowerCase());
+            return rating ? { comment: rating.comment, ipfsHash: rating.ipfsHash } : null;
+        } catch (error) {
+            this.log('warn', `读取订单 #${orderId} 链上评价失败`, { orderId: orderId, error: error.message });
+            return null;
+        }
+    }
+    
+    /**
+     * 监听争议合约事件，索引到争议存储（案件详情、证据和时间线）
      */
     listenToDisputeEvents() {
-        const contract = this.contracts.disputeResolution;
-        
         // 争议创建
-        contract.on('DisputeCreated', async (disputeId, orderId, initiator, disputeType, event) => {
+        this.subscribe('disputeResolution', 'DisputeCreated', async (disputeId, orderId, initiator, disputeType, event) => {
             console.log(`[DisputeCreated] 新争议: #${disputeId} (订单 #${orderId})`);
+            const disputeIdNum = disputeId.toNumber();
+            const timestamp = await this.getEventTimestamp(event);
+            
+            await this.recordDisputeEvent(disputeIdNum, 'DisputeCreated', {
+                orderId: orderId.toNumber(),
+                initiator,
+                disputeType: DisputeStorageService.TYPES[disputeType] || 'other',
+                status: 'open',
+                result: 'pending',
+                createdAt: timestamp
+            }, { initiator, description: '争议创建' }, event, timestamp);
             
             this.emit('dispute_created', {
-                disputeId: disputeId.toNumber(),
+                disputeId: disputeIdNum,
                 orderId: orderId.toNumber(),
                 initiator,
                 disputeType,
@@ -823,12 +1251,80 @@ class BlockchainListenerService extends EventEmitter {
             });
         });
         
+        // 提交证据（事件不含证据描述，从链上证据列表补充）
+        this.subscribe('disputeResolution', 'EvidenceSubmitted', async (disputeId, submitter, ipfsHash, event) => {
+            console.log(`[EvidenceSubmitted] 争议 #${disputeId} 收到证据: ${ipfsHash}`);
+            const disputeIdNum = disputeId.toNumber();
+            const timestamp = await this.getEventTimestamp(event);
+            
+            let description = '';
+            try {
+                const evidences = await this.contracts.disputeResolution.getEvidences(disputeIdNum);
+                const evidence = [...evidences].reverse().find(item => item.ipfsHash === ipfsHash && item.submitter === submitter);
+                description = evidence ? evidence.description : '';
+            } catch (error) {
+                this.log('warn', `读取争议 #${disputeIdNum} 证据描述失败`, { disputeId: disputeIdNum, error: error.message });
+            }
+            
+            await this.recordDisputeEvent(disputeIdNum, 'EvidenceSubmitted', {}, {
+                submitter,
+                ipfsHash,
+                evidenceDescription: description,
+                description: '提交证据'
+            }, event, timestamp);
+            
+            this.emit('evidence_submitted', {
+                disputeId: disputeIdNum,
+                submitter,
+                ipfsHash,
+                description,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+        });
+        
+        // 指派仲裁员
+        this.subscribe('disputeResolution', 'ArbitratorAssigned', async (disputeId, arbitrator, event) => {
+            console.log(`[ArbitratorAssigned] 争议 #${disputeId} 指派仲裁员: ${arbitrator}`);
+            const disputeIdNum = disputeId.toNumber();
+            const timestamp = await this.getEventTimestamp(event);
+            
+            await this.recordDisputeEvent(disputeIdNum, 'ArbitratorAssigned', {
+                arbitrator,
+                status: 'under_review',
+                assignedAt: timestamp
+            }, { arbitrator, description: '指派仲裁员' }, event, timestamp);
+            
+            this.emit('arbitrator_assigned', {
+                disputeId: disputeIdNum,
+                arbitrator,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+        });
+        
         // 争议解决
-        contract.on('DisputeResolved', async (disputeId, result, passengerRefund, driverPayment, event) => {
+        this.subscribe('disputeResolution', 'DisputeResolved', async (disputeId, result, passengerRefund, driverPayment, event) => {
             console.log(`[DisputeResolved] 争议 #${disputeId} 已解决`);
+            const disputeIdNum = disputeId.toNumber();
+            const timestamp = await this.getEventTimestamp(event);
+            const resultName = DisputeStorageService.RESULTS[result] || 'pending';
+            
+            await this.recordDisputeEvent(disputeIdNum, 'DisputeResolved', {
+                status: 'resolved',
+                result: resultName,
+                passengerRefund: ethers.utils.formatEther(passengerRefund),
+                driverPayment: ethers.utils.formatEther(driverPayment),
+                resolvedAt: timestamp
+            }, {
+                result: resultName,
+                passengerRefund: ethers.utils.formatEther(passengerRefund),
+                driverPayment: ethers.utils.formatEther(driverPayment),
+                description: '争议已裁决'
+            }, event, timestamp);
             
             this.emit('dispute_resolved', {
-                disputeId: disputeId.toNumber(),
+                disputeId: disputeIdNum,
                 result,
                 passengerRefund: ethers.utils.formatEther(passengerRefund),
                 driverPayment: ethers.utils.formatEther(driverPayment),
@@ -836,13 +1332,287 @@ class BlockchainListenerService extends EventEmitter {
                 transactionHash: event.transactionHash
             });
         });
+        
+        // 争议关闭
+        this.subscribe('disputeResolution', 'DisputeClosed', async (disputeId, event) => {
+            console.log(`[DisputeClosed] 争议 #${disputeId} 已关闭`);
+            const disputeIdNum = disputeId.toNumber();
+            const timestamp = await this.getEventTimestamp(event);
+            
+            await this.recordDisputeEvent(disputeIdNum, 'DisputeClosed', {
+                status: 'closed',
+                closedAt: timestamp
+            }, { description: '争议已关闭' }, event, timestamp);
+            
+            this.emit('dispute_closed', {
+                disputeId: disputeIdNum,
+                blockNumber: event.blockNumber,
+                transactionHash: event.transactionHash
+            });
+        });
+    }
+    
+    /**
+     * 事件所在区块的时间（秒），读取失败时使用当前时间
+     */
+    async getEventTimestamp(chainEvent) {
+        try {
+            const block = await chainEvent.getBlock();
+            return block.timestamp;
+        } catch (error) {
+            return Math.floor(Date.now() / 1000);
+        }
+    }
+    
+    /**
+     * 从链上读取争议详情（事件只包含部分字段）
+     */
+    async fetchDisputeFromChain(disputeId) {
+        try {
+            const dispute = await this.contracts.disputeResolution.getDispute(disputeId);
+            return {
+                orderId: dispute.orderId.toNumber(),
+                passenger: dispute.passenger,
+                driver: dispute.driver,
+                initiator: dispute.initiator,
+                disputeType: DisputeStorageService.TYPES[dispute.disputeType] || 'other',
+                status: DisputeStorageService.STATUSES[dispute.status] || 'open',
+                result: DisputeStorageService.RESULTS[dispute.result] || 'pending',
+                description: dispute.description,
+                createdAt: dispute.createdAt.toNumber()
+            };
+        } catch (error) {
+            this.log('warn', `读取争议 #${disputeId} 链上详情失败`, { disputeId: disputeId, error: error.message });
+            return null;
+        }
+    }
+    
+    /**
+     * 记录争议事件：更新案件字段并写入时间线（未达到确认深度时标记为 pending）
+     * 本地尚无案件详情时（如监听启动前创建的争议）先从链上补齐
+     */
+    async recordDisputeEvent(disputeId, eventName, fields, eventData, chainEvent, timestamp) {
+        try {
+            const existing = await this.disputeStorage.getDispute(disputeId);
+            const details = existing && existing.passenger ? {} : (await this.fetchDisputeFromChain(disputeId) || {});
+            await this.disputeStorage.updateDispute(disputeId, { ...details, ...fields });
+            await this.disputeStorage.addDisputeEvent(disputeId, eventName, {
+                blockNumber: chainEvent.blockNumber,
+                transactionHash: chainEvent.transactionHash,
+                logIndex: chainEvent.logIndex,
+                blockHash: chainEvent.blockHash,
+                ...eventData
+            }, {
+                timestamp: timestamp,
+                confirmation: this.getConfirmationStatus(chainEvent)
+            });
+            this.trackPendingEvent(chainEvent, null, eventName, {}, disputeId);
+        } catch (error) {
+            this.log('error', `记录争议 #${disputeId} 的 ${eventName} 事件失败`, { disputeId: disputeId, error: error.message });
+        }
+    }
+    
+    /**
+     * 重组回滚后按链上最新状态刷新争议（已回滚事件写入的字段一并清除）
+     */
+    async refreshDispute(disputeId) {
+        const details = await this.fetchDisputeFromChain(disputeId);
+        if (!details) {
+            return;
+        }
+        const fields = { ...details };
+        if (details.status === 'open') {
+            Object.assign(fields, { arbitrator: null, assignedAt: null });
+        }
+        if (details.status === 'open' || details.status === 'under_review') {
+            Object.assign(fields, { passengerRefund: null, driverPayment: null, resolvedAt: null });
+        }
+        if (details.status !== 'closed') {
+            fields.closedAt = null;
+        }
+        await this.disputeStorage.updateDispute(disputeId, fields);
+    }
+    
+    /**
+     * 事件写入时的确认状态
+     */
+    getConfirmationStatus(chainEvent) {
+        return chainEvent && this.confirmations > 0 ? 'pending' : 'confirmed';
+    }
+    
+    /**
+     * 记录未确认的事件（同一事件的订单写入和平台统计合并为一条）
+     * @param {number|null} disputeId - 争议合约事件对应的争议ID
+     * @param {object|null} rating - 评价合约事件对应的评价 { orderId, rater }
+     */
+    trackPendingEvent(chainEvent, orderId, eventName, platformEffects = {}, disputeId = null, rating = null) {
+        if (!chainEvent || this.confirmations <= 0) {
+            return;
+        }
+        
+        const key = `${chainEvent.transactionHash}:${chainEvent.logIndex}`;
+        const record = this.pendingEvents.get(key) || {
+            key: key,
+            orderId: orderId,
+            eventName: eventName,
+            blockNumber: chainEvent.blockNumber,
+            blockHash: chainEvent.blockHash,
+            transactionHash: chainEvent.transactionHash,
+            logIndex: chainEvent.logIndex,
+            disputeId: disputeId,
+            rating: rating,
+            platformEffects: {}
+        };
+        for (const [name, value] of Object.entries(platformEffects)) {
+            record.platformEffects[name] = (record.platformEffects[name] || 0) + value;
+        }
+        this.pendingEvents.set(key, record);
+    }
+    
+    /**
+     * 检查未确认事件：区块哈希不变且达到确认深度的标记为已确认，区块哈希变化的回滚并重新补齐
+     */
+    async checkConfirmations(currentBlock) {
+        if (this.pendingEvents.size === 0 || this.isCheckingConfirmations || this.isReplaying) {
+            return;
+        }
+        this.isCheckingConfirmations = true;
+        
+        try {
+            const byBlock = new Map();
+            for (const record of this.pendingEvents.values()) {
+                if (!byBlock.has(record.blockNumber)) {
+                    byBlock.set(record.blockNumber, []);
+                }
+                byBlock.get(record.blockNumber).push(record);
+            }
+            
+            const reorged = [];
+            for (const [blockNumber, records] of byBlock.entries()) {
+                const block = await this.provider.getBlock(blockNumber);
+                const orphaned = records.filter(record => !block || block.hash !== record.blockHash);
+                reorged.push(...orphaned);
+                
+                if (currentBlock - blockNumber + 1 < this.confirmations) {
+                    continue;
+                }
+                for (const record of records) {
+                    if (!orphaned.includes(record)) {
+                        await this.confirmEvent(record);
+                    }
+                }
+            }
+            
+            if (reorged.length > 0) {
+                await this.rollbackEvents(reorged, currentBlock);
+            }
+            await this.saveCursor();
+        } catch (error) {
+            this.log('error', '检查事件确认状态失败', { error: error.message, stack: error.stack });
+        } finally {
+            this.isCheckingConfirmations = false;
+        }
+    }
+    
+    /**
+     * 事件达到确认深度
+     */
+    async confirmEvent(record) {
+        if (record.orderId !== null && record.orderId !== undefined) {
+            await this.orderStorage.confirmOrderHistory(record.orderId, record.transactionHash, record.logIndex);
+        }
+        if (record.disputeId !== null && record.disputeId !== undefined) {
+            await this.disputeStorage.confirmDisputeEvent(record.disputeId, record.transactionHash, record.logIndex);
+        }
+        if (record.rating) {
+            await this.ratingStorage.confirmRating(record.rating.orderId, record.rating.rater);
+        }
+        this.pendingEvents.delete(record.key);
+    }
+    
+    /**
+     * 回滚被重组掉的事件：撤销平台统计、移除订单历史和争议时间线、删除评价索引、从链上刷新订单和争议状态，再从最早的重组区块重新补齐
+     */
+    async rollbackEvents(records, currentBlock) {
+        const sorted = [...records].sort((a, b) => (b.blockNumber - a.blockNumber) || (b.logIndex - a.logIndex));
+        const fromBlock = sorted[sorted.length - 1].blockNumber;
+        
+        this.log('warn', `检测到链重组，回滚 ${sorted.length} 个事件`, {
+            fromBlock: fromBlock,
+            events: sorted.map(record => ({
+                event: record.eventName,
+                orderId: record.orderId,
+                blockNumber: record.blockNumber,
+                transactionHash: record.transactionHash
+            }))
+        });
+        
+        const affectedOrders = new Map(); // orderId -> 订单创建事件是否被回滚
+        const affectedDisputes = new Map(); // disputeId -> 争议创建事件是否被回滚
+        for (const record of sorted) {
+            const effects = record.platformEffects || {};
+            if (effects.transactions) await this.platformStorage.incrementTransactions(-effects.transactions);
+            if (effects.revenue) await this.platformStorage.addRevenue(-effects.revenue);
+            if (effects.platformFee) await this.platformStorage.addPlatformFee(-effects.platformFee);
+            if (effects.disputes) await this.platformStorage.incrementDisputes(-effects.disputes);
+            if (effects.resolvedDisputes) await this.platformStorage.incrementResolvedDisputes(-effects.resolvedDisputes);
+            
+            if (record.orderId !== null && record.orderId !== undefined) {
+                await this.orderStorage.removeOrderHistory(record.orderId, record.transactionHash, record.logIndex);
+                affectedOrders.set(record.orderId, affectedOrders.get(record.orderId) || record.eventName === 'OrderCreated');
+            }
+            if (record.disputeId !== null && record.disputeId !== undefined) {
+                await this.disputeStorage.removeDisputeEvent(record.disputeId, record.transactionHash, record.logIndex);
+                affectedDisputes.set(record.disputeId, affectedDisputes.get(record.disputeId) || record.eventName === 'DisputeCreated');
+            }
+            if (record.rating) {
+                await this.ratingStorage.deleteRating(record.rating.orderId, record.rating.rater);
+            }
+            
+            // 允许同一交易在新区块中被重新打包后再次处理
+            this.processedEvents.delete(record.key);
+            this.pendingEvents.delete(record.key);
+        }
+        
+        // 订单创建被回滚则清除链上字段、保留链下数据（重新打包时会由补齐流程恢复），否则按链上最新状态刷新
+        for (const [orderId, created] of affectedOrders.entries()) {
+            try {
+                if (created) {
+                    await this.orderStorage.resetChainState(orderId);
+                } else {
+                    await this.saveOrderFromEvent(orderId, null, 'ChainReorg', {});
+                }
+            } catch (error) {
+                this.log('error', `回滚订单 #${orderId} 失败`, { orderId: orderId, error: error.message });
+            }
+        }
+        for (const [disputeId, created] of affectedDisputes.entries()) {
+            try {
+                if (created) {
+                    await this.disputeStorage.deleteDispute(disputeId);
+                } else {
+                    await this.refreshDispute(disputeId);
+                }
+            } catch (error) {
+                this.log('error', `回滚争议 #${disputeId} 失败`, { disputeId: disputeId, error: error.message });
+            }
+        }
+        
+        // 游标回退到重组区块之前并重新补齐
+        this.lastProcessedBlock = Math.min(this.lastProcessedBlock, fromBlock - 1);
+        this.isReplaying = true;
+        try {
+            await this.replayMissedEvents(fromBlock, currentBlock);
+        } finally {
+            this.isReplaying = false;
+        }
     }
     
     /**
      * 健康检查
      */
     startHealthCheck() {
-        setInterval(async () => {
+        this.healthCheckTimer = setInterval(async () => {
             if (!this.isRunning) return;
             
             try {
@@ -853,10 +1623,18 @@ class BlockchainListenerService extends EventEmitter {
                 const blockNumberPromise = this.provider.getBlockNumber();
                 const currentBlock = await Promise.race([blockNumberPromise, timeoutPromise]);
                 
-                if (currentBlock > this.lastProcessedBlock) {
-                    console.log(`[blockchainListener:779] 当前区块: ${currentBlock}, 已处理: ${this.lastProcessedBlock}`);
-                    this.lastProcessedBlock = currentBlock;
+                // 游标只由已处理的事件或补齐完成的区块范围推进：实时订阅可能尚未投递这些区块的事件，
+                // 直接推进后若进程退出，重启时会跳过它们。最新区块可能仍在轮询中，只补齐到前一个区块
+                if (currentBlock - 1 > this.lastProcessedBlock && !this.isReplaying) {
+                    this.isReplaying = true;
+                    try {
+                        await this.replayMissedEvents(this.lastProcessedBlock + 1, currentBlock - 1);
+                    } finally {
+                        this.isReplaying = false;
+                    }
                 }
+                
+                await this.checkConfirmations(currentBlock);
             } catch (error) {
                 // localhost连接重置通常是临时问题，降低日志级别
                 if (error.code === 'ECONNRESET' || error.code === 'SERVER_ERROR') {
@@ -871,18 +1649,24 @@ class BlockchainListenerService extends EventEmitter {
     
     /**
      * 获取历史事件（用于初始化或重新同步）
+     * @param {object} options - { throwOnError: 查询失败时抛出异常而不是返回空数组（补齐时避免跳过区块） }
      */
-    async getHistoricalEvents(contractName, eventName, fromBlock, toBlock) {
+    async getHistoricalEvents(contractName, eventName, fromBlock, toBlock, options = {}) {
         try {
             const contract = this.contracts[contractName];
             const filter = contract.filters[eventName]();
             
             const events = await contract.queryFilter(filter, fromBlock, toBlock);
             
-            console.log(`获取到 ${events.length} 个 ${eventName} 事件`);
+            if (events.length > 0) {
+                console.log(`获取到 ${events.length} 个 ${eventName} 事件`);
+            }
             return events;
         } catch (error) {
             console.error(`获取历史事件失败:`, error);
+            if (options.throwOnError) {
+                throw error;
+            }
             return [];
         }
     }
@@ -0,0 +1,278 @@
+/**
+ * 争议预评估服务
+ * 争议发起时汇总订单记录、状态时间、GPS 轨迹（TF_LocationTrackingService）和双方历史，
+ * 按规则给出裁决建议、置信度以及支撑结论的事实，供仲裁员审理时参考（不会自动裁决）
+ */
+
+const OrderStorageService = require('./orderStorage');
+
+const ASSESSMENT_VERSION = 2;
+const ORDER_STATUS_CANCELLED = 4;
+
+class DisputeAssessmentService {
+    constructor(config, orderService, orderStorageService, locationTrackingService, disputeStorageService) {
+        const assessmentConfig = config.services?.disputeAssessment || {};
+        this.shortRideRatio = assessmentConfig.shortRideRatio || 0.5; // 实际里程低于预估里程的该比例视为行程过短
+        this.detourRatio = assessmentConfig.detourRatio || 1.8; // 实际里程超过预估里程的该倍数视为绕路
+        this.roadFactor = assessmentConfig.roadFactor || 1.3; // 报价距离为直线距离，乘以该系数估算道路里程
+        this.fareVarianceThreshold = assessmentConfig.fareVarianceThreshold || 30; // 实际车费超出报价的百分比阈值
+        this.frequentDisputeThreshold = assessmentConfig.frequentDisputeThreshold || 3; // 发起方历史争议达到该次数时降低对其有利结论的置信度
+
+        this.orderService = orderService;
+        this.orderStorageService = orderStorageService;
+        this.locationTrackingService = locationTrackingService;
+        this.disputeStorageService = disputeStorageService;
+    }
+
+    /**
+     * 读取数据并评估订单争议
+     * @param {number} orderId - 订单ID
+     * @param {string} initiator - 争议发起方地址
+     */
+    async assessOrder(orderId, initiator = null) {
+        return this.assess(await this.collect(orderId, initiator));
+    }
+
+    /**
+     * 汇总评估所需的数据，单项读取失败时为 null
+     * @returns {object} { orderId, initiator, order（链上）, stored（本地订单记录）, trip, history: { passenger, driver } }
+     */
+    async collect(orderId, initiator = null) {
+        const optional = (promise, label) => Promise.resolve(promise).catch(error => {
+            console.warn(`订单 #${orderId} 预评估${label}失败:`, error.message);
+            return null;
+        });
+        const [order, stored, trip] = await Promise.all([
+            optional(this.orderService.getOrderById(orderId, { useCache: true, validateData: true }), '读取订单'),
+            optional(this.orderStorageService.getOrder(orderId), '读取订单记录'),
+            optional(this.locationTrackingService.getTripDetails(orderId), '读取行程轨迹')
+        ]);
+
+        const passenger = order?.passenger || stored?.passenger || null;
+        const driver = order?.driver || stored?.driver || null;
+        const [passengerHistory, driverHistory] = await Promise.all([
+            passenger ? optional(this.getPartyHistory(passenger, 'passenger', orderId), '读取乘客历史') : null,
+            driver ? optional(this.getPartyHistory(driver, 'driver', orderId), '读取司机历史') : null
+        ]);
+
+        return {
+            orderId,
+            initiator,
+            order,
+            stored,
+            trip,
+            history: { passenger: passengerHistory, driver: driverHistory }
+        };
+    }
+
+    /**
+     * 用户在该角色下的历史（不含当前订单）
+     * @returns {object} { orders, cancelled: 本人取消的订单数, disputes: 发起的争议数, disputesWon: 发起后胜诉数 }
+     */
+    async getPartyHistory(address, role, excludeOrderId) {
+        const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const orders = (await this.orderStorageService.getOrdersByUser(address, role))
+            .filter(order => order.orderId !== excludeOrderId);
+
+        // RideOrder.submitDispute 发起的争议记录在订单历史中，TrustFlowDispute 案件在争议存储中
+        const disputedOrders = new Set(orders
+            .filter(order => (order.history || []).some(entry => entry.event === 'DisputeOpened' && same(entry.data?.by, address)))
+            .map(order => order.orderId));
+        const cases = (await this.disputeStorageService.listDisputes({ user: address }))
+            .filter(dispute => dispute.orderId !== excludeOrderId && same(dispute.initiator, address));
+        cases.forEach(dispute => disputedOrders.add(dispute.orderId));
+
+        return {
+            orders: orders.length,
+            cancelled: orders.filter(order => order.status === ORDER_STATUS_CANCELLED
+                && OrderStorageService.getCancelledBy(order) === address.toLowerCase()).length,
+            disputes: disputedOrders.size,
+            disputesWon: cases.filter(dispute => dispute.result === `${role}_wins`).length
+        };
+    }
+
+    /**
+     * 按规则评估（纯函数，不读取数据）
+     * @param {object} input - collect() 的返回值
+     * @returns {object} { version, orderId, recommendation, confidence, summary, findings, facts, assessedAt }
+     */
+    assess(input, now = Date.now()) {
+        const { orderId = null, initiator = null, stored = null, trip = null, history = {} } = input;
+        const order = input.order || stored || {};
+        const orderHistory = stored?.history || [];
+        const hasEvent = event => orderHistory.some(entry => entry.event === event);
+
+        const hasTrace = !!trip && Array.isArray(trip.points) && trip.points.length > 0;
+        const integrity = (hasTrace && trip.integrity) || stored?.traceIntegrity || null;
+        const cancelled = order.status === ORDER_STATUS_CANCELLED;
+        const cancelledByRole = cancelled && stored ? roleOf(order, OrderStorageService.getCancelledBy(stored)) : null;
+        const pickedUp = !!order.pickedUpAt || hasEvent('PassengerPickedUp');
+        // 到达上车点只能从司机端上报的 GPS 判断（地理围栏事件或轨迹），对司机有利时置信度随轨迹可信度降低
+        const driverArrived = hasEvent('DriverArrivedAtPickup') || integrity?.reachedPickup === true;
+
+        const estimatedDistance = stored?.fareQuote?.distance > 0 ? stored.fareQuote.distance * this.roadFactor : null;
+        const actualDistance = hasTrace ? (trip.mapMatching?.applied ? trip.mapMatching.distance : trip.distance) : null;
+        const distanceRatio = estimatedDistance && actualDistance !== null ? actualDistance / estimatedDistance : null;
+
+        const fareVariance = stored?.fareVariance || calculateFareVariance(order);
+        const initiatorRole = roleOf(order, initiator);
+
+        const facts = [
+            fact('orderStatus', '订单状态', cancelled ? '已取消' : (order.completedAt ? '已完成' : (pickedUp ? '行程中' : '未上车'))),
+            fact('acceptedAt', '接单时间', order.acceptedAt || null),
+            fact('pickedUpAt', '上车时间', order.pickedUpAt || null),
+            fact('completedAt', '完成时间', order.completedAt || null),
+            fact('cancelledBy', '取消方', cancelledByRole),
+            fact('driverArrived', '司机到达上车点（司机 GPS）', driverArrived),
+            fact('traceAvailable', '有行程轨迹', hasTrace),
+            fact('traceScore', '轨迹可信度', integrity ? integrity.score : null),
+            fact('reachedPickup', '轨迹经过上车点', integrity ? integrity.reachedPickup : null),
+            fact('reachedDestination', '轨迹到达目的地', integrity ? integrity.reachedDestination : null),
+            fact('estimatedDistance', '预估道路里程（公里）', round(estimatedDistance, 2)),
+            fact('actualDistance', '实际里程（公里）', round(actualDistance, 2)),
+            fact('distanceRatio', '实际/预估里程', round(distanceRatio, 2)),
+            fact('estimatedFare', '报价（ETH）', fareVariance ? fareVariance.estimatedFareETH : (order.estimatedFare || null)),
+            fact('actualFare', '实际车费（ETH）', fareVariance ? fareVariance.actualFareETH : (order.actualFare || null)),
+            fact('fareVariancePercent', '车费偏差（%）', fareVariance ? fareVariance.variancePercent : null),
+            fact('initiatorRole', '发起方', initiatorRole),
+            fact('passengerDisputes', '乘客历史发起争议', history.passenger ? history.passenger.disputes : null),
+            fact('passengerCancelled', '乘客历史取消订单', history.passenger ? history.passenger.cancelled : null),
+            fact('driverDisputes', '司机历史发起争议', history.driver ? history.driver.disputes : null),
+            fact('driverCancelled', '司机历史取消订单', history.driver ? history.driver.cancelled : null)
+        ];
+        const pick = (...keys) => facts.filter(item => keys.includes(item.key));
+
+        // 轨迹类规则的置信度随轨迹可信度降低
+        const traceFactor = !integrity ? 0.8 : (integrity.score >= 80 ? 1 : (integrity.score >= 50 ? 0.8 : 0.6));
+        const findings = [];
+
+        if (!!order.acceptedAt && hasTrace && integrity?.reachedPickup === false && !hasEvent('DriverArrivedAtPickup')) {
+            findings.push(finding('driver_never_reached_pickup', '司机未到达上车点', 'passenger_wins', 100,
+                (pickedUp ? 0.7 : 0.85) * traceFactor,
+                pick('traceScore', 'reachedPickup', 'driverArrived', 'pickedUpAt', 'orderStatus')));
+        }
+
+        // 司机到达后取消：乘客取消时车费归司机，司机取消时退还乘客；取消方未知时不给结论
+        if (cancelled && driverArrived && cancelledByRole === 'passenger') {
+            findings.push(finding('cancelled_after_arrival', '司机到达上车点后乘客取消订单', 'driver_wins', 0, 0.6 * traceFactor,
+                pick('orderStatus', 'cancelledBy', 'driverArrived', 'reachedPickup', 'traceScore', 'passengerCancelled')));
+        } else if (cancelled && cancelledByRole === 'driver') {
+            findings.push(finding('driver_cancelled', '司机接单后取消订单', 'passenger_wins', 100, 0.75,
+                pick('orderStatus', 'cancelledBy', 'driverArrived', 'driverCancelled')));
+        }
+
+        if (pickedUp && distanceRatio !== null && distanceRatio < this.shortRideRatio) {
+            findings.push(finding('ride_far_shorter_than_estimate', '实际行程远短于预估', 'split', clampShare((1 - distanceRatio) * 100),
+                (integrity?.reachedDestination === false ? 0.85 : 0.75) * traceFactor,
+                pick('estimatedDistance', 'actualDistance', 'distanceRatio', 'reachedDestination', 'traceScore')));
+        }
+
+        if (pickedUp && distanceRatio !== null && distanceRatio > this.detourRatio) {
+            findings.push(finding('route_detour', '实际里程明显超出合理路线', 'split', clampShare((1 - 1 / distanceRatio) * 100),
+                0.6 * traceFactor,
+                pick('estimatedDistance', 'actualDistance', 'distanceRatio', 'traceScore')));
+        }
+
+        if (fareVariance && fareVariance.variancePercent > this.fareVarianceThreshold) {
+            // 退还超出报价的部分
+            const excessShare = parseFloat(fareVariance.varianceETH) / parseFloat(fareVariance.actualFareETH) * 100;
+            findings.push(finding('fare_above_estimate', '实际车费明显高于报价', 'split', clampShare(excessShare), 0.65,
+                pick('estimatedFare', 'actualFare', 'fareVariancePercent')));
+        }
+
+        if (findings.length === 0 && order.completedAt && integrity?.reachedPickup && integrity?.reachedDestination) {
+            findings.push(finding('normal_trip', '行程数据与订单一致', 'no_fault', 0, 0.55 * traceFactor,
+                pick('traceScore', 'reachedPickup', 'reachedDestination', 'distanceRatio', 'fareVariancePercent')));
+        }
+
+        // 频繁发起争议的一方，对其有利的结论降低置信度
+        const initiatorHistory = initiatorRole ? history[initiatorRole] : null;
+        if (initiatorHistory && initiatorHistory.disputes >= this.frequentDisputeThreshold) {
+            findings.forEach(item => {
+                if (favours(item.result, initiatorRole)) {
+                    item.confidence = round(item.confidence * 0.9, 2);
+                    item.facts.push(...pick(`${initiatorRole}Disputes`));
+                }
+            });
+        }
+
+        findings.sort((a, b) => b.confidence - a.confidence);
+        const top = findings[0] || null;
+
+        return {
+            version: ASSESSMENT_VERSION,
+            orderId,
+            recommendation: top
+                ? { result: top.result, passengerShare: top.passengerShare, ruleId: top.id, title: top.title }
+                : null,
+            confidence: top ? top.confidence : 0,
+            summary: top
+                ? `${top.title}（置信度 ${Math.round(top.confidence * 100)}%）`
+                : '现有数据不足以给出建议，请人工审理',
+            findings,
+            facts,
+            assessedAt: now
+        };
+    }
+}
+
+function fact(key, label, value) {
+    return { key, label, value: value === undefined ? null : value };
+}
+
+function finding(id, title, result, passengerShare, confidence, facts) {
+    return { id, title, result, passengerShare, confidence: round(confidence, 2), facts };
+}
+
+function round(value, digits) {
+    if (value === null || value === undefined || !Number.isFinite(value)) {
+        return null;
+    }
+    const factor = 10 ** digits;
+    return Math.round(value * factor) / factor;
+}
+
+// 部分裁决的乘客退款比例（与仲裁工作台一致，1-99 的整数）
+function clampShare(share) {
+    return Math.min(99, Math.max(1, Math.round(share)));
+}
+
+function roleOf(order, address) {
+    if (!address) {
+        return null;
+    }
+    const lower = address.toLowerCase();
+    if (order.passenger && order.passenger.toLowerCase() === lower) {
+        return 'passenger';
+    }
+    if (order.driver && order.driver.toLowerCase() === lower) {
+        return 'driver';
+    }
+    return null;
+}
+
+function favours(result, role) {
+    return role === 'passenger'
+        ? result === 'passenger_wins' || result === 'split'
+        : result === 'driver_wins';
+}
+
+// 本地记录没有 fareVariance 时按链上报价和实际车费计算（格式同 FareQuoteService.compareFare）
+function calculateFareVariance(order) {
+    const estimated = parseFloat(order.estimatedFare);
+    const actual = parseFloat(order.actualFare);
+    if (!(estimated > 0) || !(actual > 0)) {
+        return null;
+    }
+    const variance = actual - estimated;
+    return {
+        estimatedFareETH: estimated.toFixed(8),
+        actualFareETH: actual.toFixed(8),
+        varianceETH: variance.toFixed(8),
+        variancePercent: round(variance / estimated * 100, 2)
+    };
+}
+
+DisputeAssessmentService.VERSION = ASSESSMENT_VERSION;
+
+module.exports = DisputeAssessmentService;
@@ -0,0 +1,261 @@
+/**
+ * 争议案件存储服务
+ * 由区块链监听服务把 TrustFlowDispute 合约事件索引为 JSON 文件（每个争议一个文件），
+ * 案件时间线记录创建、证据提交、指派仲裁员、裁决和关闭事件
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const KeyedQueue = require('../utils/keyedQueue');
+
+// 与 TrustFlowDispute 合约枚举顺序一致
+const DISPUTE_STATUSES = ['open', 'under_review', 'resolved', 'closed'];
+const DISPUTE_TYPES = ['price', 'service_quality', 'route', 'safety', 'payment', 'other'];
+const DISPUTE_RESULTS = ['pending', 'passenger_wins', 'driver_wins', 'split', 'no_fault'];
+
+class DisputeStorageService {
+    constructor(dataDir = path.join(__dirname, '../data')) {
+        this.disputesDir = path.join(dataDir, 'disputes');
+        this.writeQueue = new KeyedQueue(); // 同一争议文件的读-改-写按顺序执行（监听服务和 API 共用同一实例）
+        this.initPromise = fs.mkdir(this.disputesDir, { recursive: true }).catch(error => {
+            console.error('初始化争议存储目录失败:', error);
+        });
+    }
+
+    getDisputeFile(disputeId) {
+        return path.join(this.disputesDir, `dispute-${disputeId}.json`);
+    }
+
+    /**
+     * 读取争议，不存在时返回 null
+     */
+    async getDispute(disputeId) {
+        try {
+            const data = await fs.readFile(this.getDisputeFile(disputeId), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            console.error(`读取争议 ${disputeId} 失败:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取所有争议
+     */
+    async getAllDisputes() {
+        await this.initPromise;
+        try {
+            const files = await fs.readdir(this.disputesDir);
+            const disputes = await Promise.all(
+                files
+                    .filter(f => f.startsWith('dispute-') && f.endsWith('.json'))
+                    .map(async (file) => {
+                        try {
+                            const data = await fs.readFile(path.join(this.disputesDir, file), 'utf8');
+                            return JSON.parse(data);
+                        } catch (error) {
+                            console.error(`读取争议文件 ${file} 失败:`, error);
+                            return null;
+                        }
+                    })
+            );
+            return disputes.filter(dispute => dispute !== null);
+        } catch (error) {
+            console.error('获取所有争议失败:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 合并更新争议字段，文件不存在时创建
+     */
+    async updateDispute(disputeId, fields) {
+        await this.initPromise;
+        return this.writeQueue.run(String(disputeId), () => this.mergeDispute(disputeId, fields));
+    }
+
+    async mergeDispute(disputeId, fields) {
+        const existing = await this.getDispute(disputeId) || {
+            disputeId: parseInt(disputeId),
+            status: 'open',
+            result: 'pending',
+            arbitrator: null,
+            timeline: []
+        };
+
+        const dispute = {
+            ...existing,
+            ...fields,
+            disputeId: existing.disputeId,
+            timeline: existing.timeline || []
+        };
+        return this.writeDispute(dispute);
+    }
+
+    /**
+     * 添加时间线事件（同一链上事件只记录一次，补齐历史事件时可能重复收到）
+     * @param {object} data - 事件数据，需包含 transactionHash、logIndex
+     * @param {object} options - { timestamp: 区块时间（秒）, confirmation: 'pending' | 'confirmed' }
+     */
+    async addDisputeEvent(disputeId, event, data = {}, options = {}) {
+        return this.writeQueue.run(String(disputeId), () => this.appendDisputeEvent(disputeId, event, data, options));
+    }
+
+    async appendDisputeEvent(disputeId, event, data, options) {
+        const dispute = await this.getDispute(disputeId);
+        if (!dispute) {
+            throw new Error(`争议 ${disputeId} 不存在`);
+        }
+
+        const timeline = dispute.timeline || [];
+        const duplicate = data.transactionHash && timeline.some(entry =>
+            entry.data.transactionHash === data.transactionHash && entry.data.logIndex === data.logIndex
+        );
+        if (!duplicate) {
+            timeline.push({
+                timestamp: options.timestamp || Math.floor(Date.now() / 1000),
+                event,
+                data,
+                ...(options.confirmation ? { confirmation: options.confirmation } : {})
+            });
+            timeline.sort((a, b) => ((a.data.blockNumber || 0) - (b.data.blockNumber || 0)) || ((a.data.logIndex || 0) - (b.data.logIndex || 0)));
+        }
+        dispute.timeline = timeline;
+        return this.writeDispute(dispute);
+    }
+
+    /**
+     * 将指定链上事件（交易哈希 + 日志索引）的时间线记录标记为已确认
+     */
+    async confirmDisputeEvent(disputeId, transactionHash, logIndex) {
+        return this.updateTimeline(disputeId, transactionHash, logIndex, (timeline, matches) =>
+            timeline.map(entry => matches(entry) ? { ...entry, confirmation: 'confirmed' } : entry)
+        );
+    }
+
+    /**
+     * 移除指定链上事件的时间线记录（区块被重组时使用）
+     */
+    async removeDisputeEvent(disputeId, transactionHash, logIndex) {
+        return this.updateTimeline(disputeId, transactionHash, logIndex, (timeline, matches) =>
+            timeline.filter(entry => !matches(entry))
+        );
+    }
+
+    async updateTimeline(disputeId, transactionHash, logIndex, update) {
+        return this.writeQueue.run(String(disputeId), async () => {
+            const dispute = await this.getDispute(disputeId);
+            if (!dispute) {
+                return null;
+            }
+
+            const matches = (entry) => entry.data.transactionHash === transactionHash && entry.data.logIndex === logIndex;
+            dispute.timeline = update(dispute.timeline || [], matches);
+            return this.writeDispute(dispute);
+        });
+    }
+
+    /**
+     * 删除争议（争议创建事件被重组回滚时使用）
+     */
+    async deleteDispute(disputeId) {
+        return this.writeQueue.run(String(disputeId), async () => {
+            try {
+                await fs.unlink(this.getDisputeFile(disputeId));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return false;
+                }
+                console.error(`删除争议 ${disputeId} 失败:`, error);
+                throw error;
+            }
+        });
+    }
+
+    async writeDispute(dispute) {
+        dispute.confirmation = dispute.timeline.some(entry => entry.confirmation === 'pending') ? 'pending' : 'confirmed';
+        dispute.updatedAt = Date.now();
+        await fs.writeFile(this.getDisputeFile(dispute.disputeId), JSON.stringify(dispute, null, 2), 'utf8');
+        return dispute;
+    }
+
+    /**
+     * 筛选争议（按创建时间倒序）
+     * @param {object} filters - { status, arbitrator, user（乘客或司机）, orderId }
+     */
+    async listDisputes(filters = {}) {
+        const disputes = await this.getAllDisputes();
+        return disputes
+            .filter(dispute => matchesFilters(dispute, filters))
+            .sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0) || b.disputeId - a.disputeId);
+    }
+
+    /**
+     * 按本地索引统计仲裁员的案件（补充链上 getArbitratorStats 没有的分布信息）
+     */
+    async getArbitratorSummary(address) {
+        const disputes = await this.listDisputes({ arbitrator: address });
+        const byStatus = Object.fromEntries(DISPUTE_STATUSES.map(status => [status, 0]));
+        const byResult = {};
+        let resolutionTime = 0;
+        let resolved = 0;
+        for (const dispute of disputes) {
+            byStatus[dispute.status] = (byStatus[dispute.status] || 0) + 1;
+            if (dispute.resolvedAt) {
+                byResult[dispute.result] = (byResult[dispute.result] || 0) + 1;
+                resolutionTime += dispute.resolvedAt - dispute.createdAt;
+                resolved++;
+            }
+        }
+
+        return {
+            totalCases: disputes.length,
+            byStatus,
+            byResult,
+            averageResolutionTime: resolved > 0 ? Math.round(resolutionTime / resolved) : 0
+        };
+    }
+}
+
+/**
+ * 争议是否满足筛选条件（地址不区分大小写）
+ */
+function matchesFilters(dispute, filters) {
+    const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+    if (filters.status && dispute.status !== filters.status) {
+        return false;
+    }
+    if (filters.arbitrator && !same(dispute.arbitrator, filters.arbitrator)) {
+        return false;
+    }
+    if (filters.user && !same(dispute.passenger, filters.user) && !same(dispute.driver, filters.user)) {
+        return false;
+    }
+    if (filters.orderId !== undefined && filters.orderId !== null && dispute.orderId !== parseInt(filters.orderId)) {
+        return false;
+    }
+    return true;
+}
+
+/**
+ * 争议是否对当前用户可见：平台管理员、争议双方、受理的仲裁员
+ * @param {object} user - 会话用户 { address（小写）, role }
+ */
+function canViewDispute(user, dispute) {
+    if (user.role === 'admin') {
+        return true;
+    }
+    return [dispute.passenger, dispute.driver, dispute.arbitrator]
+        .some(address => address && address.toLowerCase() === user.address);
+}
+
+DisputeStorageService.STATUSES = DISPUTE_STATUSES;
+DisputeStorageService.TYPES = DISPUTE_TYPES;
+DisputeStorageService.RESULTS = DISPUTE_RESULTS;
+DisputeStorageService.canViewDispute = canViewDispute;
+
+module.exports = DisputeStorageService;
@@ -0,0 +1,260 @@
+/**
+ * 司机排名服务
+ * 多因素打分：接驾时间、链上平均评分、接单率/取消率、信用分、车型匹配
+ * 每个因素返回 0-1 的分数，按配置权重加权平均；可通过 registerFactor 扩展新的因素
+ */
+
+const OrderStorageService = require('./orderStorage');
+
+const DEFAULT_WEIGHTS = {
+    eta: 0.4,
+    rating: 0.2,
+    acceptance: 0.15,
+    credit: 0.15,
+    category: 0.1
+};
+
+// 无数据时的中性分数
+const NEUTRAL_SCORE = 0.5;
+
+class DriverRankingService {
+    /**
+     * @param {object} config
+     * @param {object} contracts - { rating: TrustFlowRating, userRegistry: TrustFlowUserRegistry }
+     * @param {object} orderStorage - 用于统计接单率、取消率
+     */
+    constructor(config, contracts = {}, orderStorage = null) {
+        this.config = config;
+        this.contracts = contracts;
+        this.orderStorage = orderStorage;
+
+        const matchingConfig = config.services?.orderMatching || {};
+        this.weights = { ...DEFAULT_WEIGHTS, ...(matchingConfig.rankingWeights || {}) };
+        this.cacheTtl = matchingConfig.rankingCacheTtl ?? 60000; // 链上数据和订单统计缓存时间（毫秒）
+        this.maxDistance = matchingConfig.maxDistance || 10;
+        this.averageSpeed = config.services?.pricing?.averageSpeed || 40;
+
+        // 缓存 { key: { value, expiresAt } }
+        this.cache = new Map();
+
+        // 打分因素 { name: async (candidate, order) => { score, ...详情 } }
+        this.factors = new Map();
+        this.registerFactor('eta', (candidate) => this.scoreEta(candidate));
+        this.registerFactor('rating', (candidate) => this.scoreRating(candidate));
+        this.registerFactor('acceptance', (candidate) => this.scoreAcceptance(candidate));
+        this.registerFactor('credit', (candidate) => this.scoreCredit(candidate));
+        this.registerFactor('category', (candidate, order) => this.scoreCategory(candidate, order));
+    }
+
+    /**
+     * 注册打分因素（权重在 config.services.orderMatching.rankingWeights 中配置，未配置的因素不参与排名）
+     * @param {string} name
+     * @param {function} scorer - async (candidate, order) => { score: 0-1, ... }
+     */
+    registerFactor(name, scorer) {
+        this.factors.set(name, scorer);
+    }
+
+    /**
+     * 对候选司机打分并排序
+     * @param {object} order - { pickup, category, subCategory, ... }
+     * @param {Array} candidates - [{ driverId, driver, distance }]
+     * @returns {Promise<Array>} 按总分从高到低排序，每项增加 score 和 factors
+     */
+    async rank(order, candidates) {
+        const activeFactors = [...this.factors.entries()].filter(([name]) => this.weights[name] > 0);
+        const totalWeight = activeFactors.reduce((sum, [name]) => sum + this.weights[name], 0);
+
+        const ranked = await Promise.all(candidates.map(async (candidate) => {
+            const factors = {};
+            let weighted = 0;
+
+            for (const [name, scorer] of activeFactors) {
+                let result;
+                try {
+                    result = await scorer(candidate, order);
+                } catch (error) {
+                    console.warn(`司机 ${candidate.driverId} 排名因素 ${name} 计算失败:`, error.message);
+                    result = { score: NEUTRAL_SCORE, error: error.message };
+                }
+                const score = clamp(result.score);
+                factors[name] = { ...result, score: round(score) };
+                weighted += score * this.weights[name];
+            }
+
+            return {
+                ...candidate,
+                score: round(totalWeight > 0 ? weighted / totalWeight : 0),
+                factors
+            };
+        }));
+
+        // 总分相同时距离近的优先
+        return ranked.sort((a, b) => b.score - a.score || a.distance - b.distance);
+    }
+
+    /**
+     * 接驾时间：按平均车速估算，最大匹配距离对应 0 分
+     */
+    scoreEta(candidate) {
+        const etaMinutes = candidate.distance / this.averageSpeed * 60;
+        const maxEtaMinutes = this.maxDistance / this.averageSpeed * 60;
+        return {
+            score: 1 - etaMinutes / maxEtaMinutes,
+            etaMinutes: round(etaMinutes, 1)
+        };
+    }
+
+    /**
+     * 链上平均评分（getAverageScore 返回值乘以100，500 为满分；无评价时为中性分）
+     */
+    async scoreRating(candidate) {
+        if (!this.contracts.rating) {
+            return { score: NEUTRAL_SCORE };
+        }
+
+        const averageScore = await this.cached(`rating:${candidate.driverId}`, async () =>
+            (await this.contracts.rating.getAverageScore(candidate.driverId)).toNumber()
+        );
+        if (averageScore === 0) {
+            return { score: NEUTRAL_SCORE, averageScore: null };
+        }
+        return { score: averageScore / 500, averageScore: averageScore / 100 };
+    }
+
+    /**
+     * 接单率和取消率（来自订单历史中的派单记录）
+     */
+    async scoreAcceptance(candidate) {
+        const stats = (await this.getDriverStats()).get(candidate.driverId) || {
+            offered: 0, accepted: 0, assigned: 0, cancelled: 0
+        };
+
+        // 平滑处理，新司机接单率为 0.5
+        const acceptanceRate = (stats.accepted + 1) / (stats.offered + 2);
+        const cancellationRate = stats.assigned > 0 ? stats.cancelled / stats.assigned : 0;
+
+        return {
+            score: acceptanceRate * (1 - cancellationRate),
+            acceptanceRate: round(acceptanceRate),
+            cancellationRate: round(cancellationRate)
+        };
+    }
+
+    /**
+     * 用户注册合约中的信用分（0-1000）
+     */
+    async scoreCredit(candidate) {
+        if (!this.contracts.userRegistry) {
+            return { score: NEUTRAL_SCORE };
+        }
+
+        const creditScore = await this.cached(`credit:${candidate.driverId}`, async () =>
+            (await this.contracts.userRegistry.getUser(candidate.driverId)).creditScore.toNumber()
+        );
+        return { score: creditScore / 1000, creditScore };
+    }
+
+    /**
+     * 车型与订单子类别匹配（如 "rental scooter" 需要 scooter）
+     * 车型优先使用司机上线时上报的 vehicleCategory，其次为链上登记的 vehicleModel
+     */
+    async scoreCategory(candidate, order) {
+        const required = getVehicleType(order);
+        if (!required) {
+            return { score: NEUTRAL_SCORE };
+        }
+
+        let vehicle = candidate.driver?.info?.vehicleCategory;
+        if (!vehicle && this.contracts.userRegistry) {
+            vehicle = await this.cached(`vehicle:${candidate.driverId}`, async () =>
+                (await this.contracts.userRegistry.drivers(candidate.driverId)).vehicleModel
+            );
+        }
+        if (!vehicle) {
+            return { score: NEUTRAL_SCORE, required };
+        }
+
+        const matched = vehicle.toLowerCase().includes(required);
+        return { score: matched ? 1 : 0, required, vehicle };
+    }
+
+    /**
+     * 按司机统计派单记录和订单取消情况
+     * @returns {Promise<Map>} { driverId: { offered, accepted, assigned, cancelled } }
+     */
+    async getDriverStats() {
+        if (!this.orderStorage) {
+            return new Map();
+        }
+
+        return this.cached('driver-stats', async () => {
+            const stats = new Map();
+            const get = (driverId) => {
+                const key = driverId.toLowerCase();
+                if (!stats.has(key)) {
+                    stats.set(key, { offered: 0, accepted: 0, assigned: 0, cancelled: 0 });
+                }
+                return stats.get(key);
+            };
+
+            for (const order of await this.orderStorage.getAllOrders()) {
+                for (const entry of order.history || []) {
+                    if (entry.event === 'DispatchOffered') {
+                        (entry.data?.drivers || []).forEach(item => get(item.driver).offered++);
+                    } else if (entry.event === 'DispatchOfferAccepted') {
+                        get(entry.data.driver).accepted++;
+                    }
+                }
+
+                if (order.driver) {
+                    const driverStats = get(order.driver);
+                    driverStats.assigned++;
+                    // 状态 4 = Cancelled，只统计司机本人取消的订单（乘客取消不计入司机取消率）
+                    if (Number(order.status) === 4 && OrderStorageService.getCancelledBy(order) === order.driver.toLowerCase()) {
+                        driverStats.cancelled++;
+                    }
+                }
+            }
+
+            return stats;
+        });
+    }
+
+    async cached(key, load) {
+        const entry = this.cache.get(key);
+        if (entry && entry.expiresAt > Date.now()) {
+            return entry.value;
+        }
+
+        const value = await load();
+        this.cache.set(key, { value, expiresAt: Date.now() + this.cacheTtl });
+        return value;
+    }
+}
+
+/**
+ * 订单要求的车型（子类别去掉类别前缀，如 "rental scooter" -> "scooter"）
+ */
+function getVehicleType(order) {
+    const subCategory = (order.subCategory || '').trim().toLowerCase();
+    if (!subCategory) {
+        return null;
+    }
+    const category = (order.category || '').trim().toLowerCase();
+    const type = category && subCategory.startsWith(`${category} `)
+        ? subCategory.slice(category.length + 1)
+        : subCategory;
+    return type.trim() || null;
+}
+
+function clamp(value) {
+    return Math.min(1, Math.max(0, Number.isFinite(value) ? value : 0));
+}
+
+function round(value, decimals = 3) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = DriverRankingService;
@@ -0,0 +1,347 @@
+/**
+ * 争议证据存储服务
+ * 校验上传的证据（照片、截图、行程轨迹导出）类型和大小，上传到 IPFS（复用位置跟踪服务的 IPFS 客户端），
+ * IPFS 未启用或上传失败时只存本地内容寻址存储；返回的 CID 作为 TrustFlowDispute.submitEvidence 的 ipfsHash
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+const BASE32_ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+
+// 允许的证据类型，按文件内容识别（不信任客户端声明的 Content-Type 和扩展名）
+const EVIDENCE_TYPES = [
+    { contentType: 'image/jpeg', kind: 'image', extension: 'jpg', matches: buffer => buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+    { contentType: 'image/png', kind: 'image', extension: 'png', matches: buffer => buffer.subarray(0, 8).equals(PNG_SIGNATURE) },
+    { contentType: 'image/webp', kind: 'image', extension: 'webp', matches: buffer => buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP' },
+    { contentType: 'application/gpx+xml', kind: 'trace', extension: 'gpx', matches: buffer => /^\s*(<\?xml[^>]*>\s*)?<gpx[\s>]/.test(textHead(buffer)) },
+    { contentType: 'application/vnd.google-earth.kml+xml', kind: 'trace', extension: 'kml', matches: buffer => /^\s*(<\?xml[^>]*>\s*)?<kml[\s>]/.test(textHead(buffer)) },
+    { contentType: 'application/geo+json', kind: 'trace', extension: 'geojson', matches: isGeoJSON }
+];
+
+class EvidenceStorageService {
+    /**
+     * @param {object} ipfsProvider - 提供 IPFS 客户端的服务（TF_LocationTrackingService：ipfsEnabled、initIPFS()）
+     */
+    constructor(config, ipfsProvider = null, dataDir = path.join(__dirname, '../data')) {
+        const evidenceConfig = config.services?.evidence || {};
+        this.maxImageSize = evidenceConfig.maxImageSize || 5 * 1024 * 1024; // 单张图片最大字节数
+        this.maxTraceSize = evidenceConfig.maxTraceSize || 2 * 1024 * 1024; // 轨迹文件最大字节数
+        this.maxFilesPerOrder = evidenceConfig.maxFilesPerOrder || 20; // 每个订单最多证据数
+        this.ipfsProvider = ipfsProvider;
+
+        // 文件内容按 CID 存放（IPFS 可用时也保留本地副本，供平台查看）
+        const evidenceDir = evidenceConfig.storageDir || path.join(dataDir, 'evidence');
+        this.filesDir = path.join(evidenceDir, 'files');
+        this.metaDir = path.join(evidenceDir, 'meta');
+        this.initPromise = Promise.all([
+            fs.mkdir(this.filesDir, { recursive: true }),
+            fs.mkdir(this.metaDir, { recursive: true })
+        ]).catch(error => {
+            console.error('初始化证据存储目录失败:', error);
+        });
+    }
+
+    /**
+     * 单个文件允许的最大字节数（用于限制上传请求体）
+     */
+    get maxUploadSize() {
+        return Math.max(this.maxImageSize, this.maxTraceSize);
+    }
+
+    /**
+     * 校验证据文件
+     * @param {Buffer} buffer - 文件内容
+     * @returns {object} { contentType, kind: 'image' | 'trace', extension }
+     */
+    validate(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+            throw new Error('证据文件为空');
+        }
+
+        const type = EVIDENCE_TYPES.find(candidate => candidate.matches(buffer));
+        if (!type) {
+            throw new Error('不支持的证据类型，仅支持 JPEG/PNG/WebP 图片和 GPX/GeoJSON/KML 轨迹');
+        }
+
+        const maxSize = type.kind === 'image' ? this.maxImageSize : this.maxTraceSize;
+        if (buffer.length > maxSize) {
+            throw new Error(`证据文件过大（${formatSize(buffer.length)}），${type.kind === 'image' ? '图片' : '轨迹文件'}不能超过 ${formatSize(maxSize)}`);
+        }
+
+        return { contentType: type.contentType, kind: type.kind, extension: type.extension };
+    }
+
+    /**
+     * 保存证据并返回 CID（同一文件重复上传得到相同 CID，上传记录追加到元数据）
+     * @param {Buffer} buffer - 文件内容
+     * @param {object} upload - { orderId, disputeId, uploader, filename, description, source }
+     * @returns {object} 本次上传的证据记录（见 toEvidence）
+     */
+    async store(buffer, upload) {
+        const type = this.validate(buffer);
+        await this.initPromise;
+
+        const orderId = parseInt(upload.orderId);
+        const existing = await this.listByOrder(orderId);
+        if (existing.length >= this.maxFilesPerOrder) {
+            throw new Error(`该订单的证据数量已达上限（${this.maxFilesPerOrder}）`);
+        }
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest();
+        const localCid = computeRawCid(sha256);
+        let meta = await this.readMeta(localCid);
+        if (!meta) {
+            const ipfsCid = await this.uploadToIPFS(buffer);
+            meta = {
+                cid: ipfsCid || localCid,
+                localCid,
+                sha256: sha256.toString('hex'),
+                contentType: type.contentType,
+                kind: type.kind,
+                extension: type.extension,
+                size: buffer.length,
+                storage: ipfsCid ? 'ipfs' : 'local',
+                createdAt: Date.now(),
+                uploads: []
+            };
+            await fs.writeFile(path.join(this.filesDir, localCid), buffer);
+        }
+
+        const record = {
+            orderId,
+            disputeId: upload.disputeId !== undefined && upload.disputeId !== null && upload.disputeId !== '' ? parseInt(upload.disputeId) : null,
+            uploader: upload.uploader ? upload.uploader.toLowerCase() : null,
+            filename: sanitizeFilename(upload.filename) || `evidence.${type.extension}`,
+            description: String(upload.description || '').slice(0, 500),
+            source: upload.source || 'upload',
+            uploadedAt: Date.now()
+        };
+        meta.uploads.push(record);
+        await this.writeMeta(meta);
+
+        console.log(`订单 #${orderId} 证据已保存: ${meta.cid}（${meta.storage}，${formatSize(meta.size)}）`);
+        return toEvidence(meta, record);
+    }
+
+    /**
+     * 上传到 IPFS，未启用或失败时返回 null（证据仍保存在本地）
+     */
+    async uploadToIPFS(buffer) {
+        if (!this.ipfsProvider || !this.ipfsProvider.ipfsEnabled) {
+            return null;
+        }
+
+        try {
+            const ipfs = await this.ipfsProvider.initIPFS();
+            if (!ipfs) {
+                return null;
+            }
+            const result = await ipfs.add(buffer, { cidVersion: 1 });
+            return result && result.path ? result.path : null;
+        } catch (error) {
+            console.error('证据上传IPFS失败，改为本地存储:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 按 CID 查找证据元数据（IPFS CID 或本地 CID 均可）
+     */
+    async getMetadata(cid) {
+        if (!isValidCid(cid)) {
+            return null;
+        }
+        const direct = await this.readMeta(cid);
+        if (direct) {
+            return direct;
+        }
+        const all = await this.getAllMetadata();
+        return all.find(meta => meta.cid === cid) || null;
+    }
+
+    /**
+     * 读取证据内容
+     * @returns {object|null} { meta, body }，本地副本缺失时从 IPFS 读取
+     */
+    async getContent(cid) {
+        const meta = await this.getMetadata(cid);
+        if (!meta) {
+            return null;
+        }
+
+        try {
+            const body = await fs.readFile(path.join(this.filesDir, meta.localCid));
+            return { meta, body };
+        } catch (error) {
+            if (error.code !== 'ENOENT' || meta.storage !== 'ipfs') {
+                throw error;
+            }
+        }
+
+        const ipfs = this.ipfsProvider && this.ipfsProvider.ipfsEnabled ? await this.ipfsProvider.initIPFS() : null;
+        if (!ipfs) {
+            return null;
+        }
+        const chunks = [];
+        for await (const chunk of ipfs.cat(meta.cid)) {
+            chunks.push(Buffer.from(chunk));
+        }
+        return { meta, body: Buffer.concat(chunks) };
+    }
+
+    /**
+     * 订单的证据列表：本地上传记录，合并已在链上提交（submitEvidence）的证据
+     * @param {Array} submitted - 链上证据 [{ ipfsHash, submitter, description, timestamp, transactionHash, disputeId }]
+     */
+    async listByOrder(orderId, submitted = []) {
+        const id = parseInt(orderId);
+        const all = await this.getAllMetadata();
+        const evidence = [];
+        for (const meta of all) {
+            for (const record of meta.uploads) {
+                if (record.orderId === id) {
+                    evidence.push(toEvidence(meta, record));
+                }
+            }
+        }
+
+        for (const item of submitted) {
+            const matched = evidence.filter(entry => entry.cid === item.ipfsHash || entry.localCid === item.ipfsHash);
+            if (matched.length > 0) {
+                matched.forEach(entry => Object.assign(entry, {
+                    onChain: true,
+                    disputeId: entry.disputeId ?? item.disputeId,
+                    submittedAt: item.timestamp,
+                    transactionHash: item.transactionHash
+                }));
+                continue;
+            }
+            // 链上提交但本地没有上传记录（如通过其他渠道上传到 IPFS）
+            evidence.push({
+                cid: item.ipfsHash,
+                localCid: null,
+                contentType: null,
+                kind: 'unknown',
+                size: null,
+                storage: 'external',
+                orderId: id,
+                disputeId: item.disputeId,
+                uploader: item.submitter ? item.submitter.toLowerCase() : null,
+                filename: '',
+                description: item.description || '',
+                source: 'chain',
+                uploadedAt: null,
+                onChain: true,
+                submittedAt: item.timestamp,
+                transactionHash: item.transactionHash
+            });
+        }
+
+        return evidence.sort((a, b) => (a.uploadedAt || a.submittedAt * 1000 || 0) - (b.uploadedAt || b.submittedAt * 1000 || 0));
+    }
+
+    async getAllMetadata() {
+        await this.initPromise;
+        const files = await fs.readdir(this.metaDir);
+        const metas = await Promise.all(
+            files
+                .filter(file => file.endsWith('.json'))
+                .map(file => this.readMeta(file.slice(0, -5)))
+        );
+        return metas.filter(meta => meta !== null);
+    }
+
+    async readMeta(localCid) {
+        try {
+            const data = await fs.readFile(path.join(this.metaDir, `${localCid}.json`), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            console.error(`读取证据元数据 ${localCid} 失败:`, error);
+            return null;
+        }
+    }
+
+    async writeMeta(meta) {
+        await fs.writeFile(path.join(this.metaDir, `${meta.localCid}.json`), JSON.stringify(meta, null, 2), 'utf8');
+    }
+}
+
+/**
+ * 单次上传的证据记录（文件元数据 + 上传信息）
+ */
+function toEvidence(meta, record) {
+    return {
+        cid: meta.cid,
+        localCid: meta.localCid,
+        contentType: meta.contentType,
+        kind: meta.kind,
+        size: meta.size,
+        storage: meta.storage,
+        ...record,
+        onChain: false
+    };
+}
+
+/**
+ * 本地 CID：CIDv1 + raw 编码 + sha2-256，base32 多基编码（与 IPFS 对单块文件 cidVersion 1、rawLeaves 的结果一致）
+ */
+function computeRawCid(sha256) {
+    const bytes = Buffer.concat([Buffer.from([0x01, 0x55, 0x12, 0x20]), sha256]);
+    let bits = 0;
+    let value = 0;
+    let output = 'b';
+    for (const byte of bytes) {
+        value = (value << 8) | byte;
+        bits += 8;
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+    return output;
+}
+
+/**
+ * CID 只含字母和数字（同时防止路径穿越）
+ */
+function isValidCid(cid) {
+    return typeof cid === 'string' && /^[A-Za-z0-9]{10,100}$/.test(cid);
+}
+
+function textHead(buffer) {
+    return buffer.subarray(0, 512).toString('utf8').replace(/^\uFEFF/, '');
+}
+
+function isGeoJSON(buffer) {
+    if (!/^\s*\{/.test(textHead(buffer))) {
+        return false;
+    }
+    try {
+        const json = JSON.parse(buffer.toString('utf8'));
+        return ['FeatureCollection', 'Feature', 'LineString', 'MultiLineString', 'Point', 'MultiPoint'].includes(json.type);
+    } catch (error) {
+        return false;
+    }
+}
+
+function sanitizeFilename(filename) {
+    return String(filename || '').replace(/[\\/:*?"<>|\u0000-\u001f]/g, '_').slice(0, 120);
+}
+
+function formatSize(bytes) {
+    return bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)}MB` : `${Math.ceil(bytes / 1024)}KB`;
+}
+
+EvidenceStorageService.isValidCid = isValidCid;
+EvidenceStorageService.computeRawCid = computeRawCid;
+
+module.exports = EvidenceStorageService;
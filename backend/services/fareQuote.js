@@ -0,0 +1,306 @@
+/**
+ * 费用报价服务
+ * 统一的计价引擎：按类别/子类别匹配计价规则，生成带签名和有效期的报价
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { calculateRouteDistance, normalizeLocation, isValidLocation } = require('../utils/geo');
+
+const QUOTE_SUBJECT = 'fare-quote';
+
+class FareQuoteService {
+    constructor(config, surgePricingService = null, geofenceService = null) {
+        this.config = config;
+        this.surgePricing = surgePricingService;
+        this.geofence = geofenceService; // 服务区域校验、机场/车站上车规则
+        this.pricing = config.services?.pricing || {};
+        this.tariffs = this.pricing.tariffs || {};
+        this.ethToUsdRate = this.pricing.ethToUsdRate || 2500;
+        this.averageSpeed = this.pricing.averageSpeed || 40;
+        this.quoteTtl = this.pricing.quoteTtl || 5 * 60 * 1000;
+        this.platformFeeRate = this.pricing.platformFeeRate ?? 0.05;
+        this.maxWaypoints = this.pricing.maxWaypoints ?? 5;
+        this.poolDiscount = config.services?.pooling?.discount ?? 0.25;
+        this.secret = config.jwt?.secret;
+        this.scheduling = config.services?.scheduling || {};
+
+        if (!this.tariffs.default) {
+            throw new Error('计价规则缺少 default 配置');
+        }
+    }
+
+    /**
+     * 获取计价规则（category/subCategory -> category -> default）
+     */
+    getTariff(category, subCategory) {
+        const candidates = [];
+        if (category && subCategory) {
+            candidates.push(`${category}/${subCategory}`);
+        }
+        if (category) {
+            candidates.push(category);
+        }
+
+        for (const key of candidates) {
+            if (this.tariffs[key]) {
+                return { key, ...this.tariffs.default, ...this.tariffs[key] };
+            }
+        }
+
+        return { key: 'default', ...this.tariffs.default };
+    }
+
+    /**
+     * 估算行驶时间（分钟）
+     */
+    estimateDuration(distanceKm) {
+        return Math.ceil(distanceKm / this.averageSpeed * 60);
+    }
+
+    /**
+     * USD 转换为 ETH
+     */
+    usdToEth(amountUSD) {
+        return amountUSD / this.ethToUsdRate;
+    }
+
+    /**
+     * 按计价规则计算费用（USD）
+     * @param {object} params - { distance（公里）, duration（行驶分钟）, waitingTime（等待分钟，仅实际计费）, category, subCategory, surgeMultiplier, poolDiscount（拼车优惠比例）, pickupFee（特殊区域上车费，USD） }
+     * @returns {object} 费用明细
+     */
+    calculateFare({ distance, duration, waitingTime = 0, category, subCategory, surgeMultiplier = 1, poolDiscount = 0, pickupFee = 0 }) {
+        const tariff = this.getTariff(category, subCategory);
+
+        const baseFare = tariff.baseFare;
+        const distanceFare = distance * tariff.perKm;
+        const timeFare = duration * tariff.perMinute;
+        // 等待（低速/停车）按 waitingPerMinute 计费，未配置时与行驶时长同价
+        const waitingFare = waitingTime * (tariff.waitingPerMinute ?? tariff.perMinute);
+        const subtotal = baseFare + distanceFare + timeFare + waitingFare;
+        // 溢价在最低消费之前应用
+        const surgeFare = subtotal * (surgeMultiplier - 1);
+        // 拼车优惠在溢价之后、最低消费之前应用
+        const poolSaving = (subtotal + surgeFare) * poolDiscount;
+        // 机场/车站上车费不参与溢价和拼车优惠
+        const total = subtotal + surgeFare - poolSaving + pickupFee;
+        const minimumFareApplied = total < tariff.minimumFare;
+        const fareUSD = minimumFareApplied ? tariff.minimumFare : total;
+        const fareETH = this.usdToEth(fareUSD);
+
+        return {
+            tariff: tariff.key,
+            baseFare: round(baseFare, 2),
+            distanceFare: round(distanceFare, 2),
+            timeFare: round(timeFare, 2),
+            waitingFare: round(waitingFare, 2),
+            subtotal: round(subtotal, 2),
+            surgeMultiplier,
+            surgeFare: round(surgeFare, 2),
+            poolDiscount,
+            poolSaving: round(poolSaving, 2),
+            pickupFee: round(pickupFee, 2),
+            minimumFare: tariff.minimumFare,
+            minimumFareApplied,
+            fareUSD: round(fareUSD, 2),
+            fareETH: fareETH.toFixed(8),
+            platformFeeUSD: round(fareUSD * this.platformFeeRate, 2),
+            platformFeeETH: (fareETH * this.platformFeeRate).toFixed(8),
+            ethToUsdRate: this.ethToUsdRate
+        };
+    }
+
+    /**
+     * 按实际行程计价（与报价使用同一计价规则）
+     * @param {object} stats - 行程统计 { distance（公里）, duration（毫秒）, waitingTime（毫秒） }
+     * @param {object} pricing - { category, subCategory, surgeMultiplier, poolDiscount, pickupFee }，沿用订单报价中的溢价、拼车优惠和上车费
+     * @returns {object} 费用明细，含计费的行驶/等待分钟数
+     */
+    calculateMeteredFare(stats, pricing = {}) {
+        const totalMinutes = (stats.duration || 0) / 60000;
+        // 等待时长不超过行程总时长
+        const waitingTime = round(Math.min((stats.waitingTime || 0) / 60000, totalMinutes), 2);
+        const duration = round(Math.max(totalMinutes - waitingTime, 0), 2);
+        return {
+            distance: round(stats.distance || 0, 2),
+            duration,
+            waitingTime,
+            ...this.calculateFare({
+                distance: stats.distance || 0,
+                duration,
+                waitingTime,
+                category: pricing.category,
+                subCategory: pricing.subCategory,
+                surgeMultiplier: pricing.surgeMultiplier || 1,
+                poolDiscount: pricing.poolDiscount || 0,
+                pickupFee: pricing.pickupFee || 0
+            })
+        };
+    }
+
+    /**
+     * 预估费用与实际计价的差异
+     * @param {string|number} estimatedFareETH - 订单锁定的预估费用
+     * @param {string|number} actualFareETH - 实际计价
+     */
+    compareFare(estimatedFareETH, actualFareETH) {
+        const estimated = parseFloat(estimatedFareETH);
+        const actual = parseFloat(actualFareETH);
+        const variance = actual - estimated;
+        return {
+            estimatedFareETH: estimated.toFixed(8),
+            actualFareETH: actual.toFixed(8),
+            varianceETH: variance.toFixed(8),
+            variancePercent: estimated > 0 ? round(variance / estimated * 100, 2) : null
+        };
+    }
+
+    /**
+     * 校验预约上车时间
+     * @param {number} scheduledPickupTime - 毫秒时间戳
+     */
+    validateScheduledPickupTime(scheduledPickupTime) {
+        const time = Number(scheduledPickupTime);
+        if (!Number.isFinite(time)) {
+            throw new Error('无效的预约上车时间');
+        }
+
+        const minAdvance = this.scheduling.minAdvance ?? 30 * 60 * 1000;
+        const maxAdvance = this.scheduling.maxAdvance ?? 7 * 24 * 60 * 60 * 1000;
+        const now = Date.now();
+        if (time < now + minAdvance) {
+            throw new Error(`无效的预约上车时间：至少需要提前 ${Math.round(minAdvance / 60000)} 分钟预约`);
+        }
+        if (time > now + maxAdvance) {
+            throw new Error(`无效的预约上车时间：最多只能提前 ${Math.round(maxAdvance / 86400000)} 天预约`);
+        }
+        return time;
+    }
+
+    /**
+     * 校验途经点（按经过顺序）
+     * @param {Array} waypoints - [{ lat, lng, address }]
+     * @returns {Array} [{ lat, lng, address }]
+     */
+    normalizeWaypoints(waypoints) {
+        if (!Array.isArray(waypoints)) {
+            throw new Error('无效的途经点：必须是数组');
+        }
+        if (waypoints.length > this.maxWaypoints) {
+            throw new Error(`无效的途经点：最多支持 ${this.maxWaypoints} 个途经点`);
+        }
+
+        return waypoints.map((waypoint, index) => {
+            const location = normalizeLocation(waypoint);
+            if (!isValidLocation(location)) {
+                throw new Error(`无效的途经点坐标（第 ${index + 1} 个）`);
+            }
+            const address = typeof waypoint.address === 'string' ? waypoint.address.trim().slice(0, 200) : '';
+            return { ...location, address };
+        });
+    }
+
+    /**
+     * 生成报价
+     * @param {object} params - { pickup, destination, category, subCategory, waypoints（可选，途经点）, scheduledPickupTime（可选，预约单）, pooled（可选，拼车） }
+     * @returns {object} 报价（包含签名token）
+     */
+    createQuote({ pickup, destination, category, subCategory, waypoints = [], scheduledPickupTime = null, pooled = false }) {
+        const requestedPickup = normalizeLocation(pickup);
+        const to = normalizeLocation(destination);
+
+        if (!isValidLocation(requestedPickup) || !isValidLocation(to)) {
+            throw new Error('无效的上车点或目的地坐标');
+        }
+
+        // 上车点须在服务区域内；机场/车站等特殊区域内调整为指定上车点并加收上车费
+        const pickupRules = this.geofence
+            ? this.geofence.resolvePickup(requestedPickup)
+            : { pickup: requestedPickup, serviceArea: null, zone: null };
+        const from = pickupRules.pickup;
+
+        const stops = this.normalizeWaypoints(waypoints || []);
+        if (pooled && stops.length > 0) {
+            throw new Error('无效的拼车订单：拼车不支持途经点');
+        }
+        const pickupTime = scheduledPickupTime ? this.validateScheduledPickupTime(scheduledPickupTime) : null;
+        // 按 上车点 -> 途经点 -> 目的地 的完整路线计价
+        const distance = calculateRouteDistance([from, ...stops, to]);
+        const duration = this.estimateDuration(distance);
+        // 按上车点所在网格获取溢价倍数（预约单无法预知上车时的供需，不加溢价）
+        const surgeMultiplier = this.surgePricing && !pickupTime
+            ? this.surgePricing.getMultiplier(from.lat, from.lng)
+            : 1;
+        const fare = this.calculateFare({
+            distance,
+            duration,
+            category,
+            subCategory,
+            surgeMultiplier,
+            poolDiscount: pooled ? this.poolDiscount : 0,
+            pickupFee: pickupRules.zone ? pickupRules.zone.pickupFee : 0
+        });
+
+        const issuedAt = Date.now();
+        const quote = {
+            quoteId: crypto.randomBytes(16).toString('hex'),
+            category: category || null,
+            subCategory: subCategory || null,
+            pickup: from,
+            destination: to,
+            serviceArea: pickupRules.serviceArea,
+            pickupZone: pickupRules.zone,
+            waypoints: stops,
+            distance: round(distance, 2),
+            duration,
+            scheduledPickupTime: pickupTime,
+            pooled: !!pooled,
+            ...fare,
+            issuedAt,
+            expiresAt: issuedAt + this.quoteTtl
+        };
+
+        quote.token = jwt.sign(quote, this.secret, {
+            subject: QUOTE_SUBJECT,
+            expiresIn: Math.ceil(this.quoteTtl / 1000)
+        });
+
+        return quote;
+    }
+
+    /**
+     * 验证报价签名和有效期
+     * @param {string} token - 报价token
+     * @param {object} options - { allowExpired: 只校验签名（用于订单创建后回填报价） }
+     * @returns {object} 报价内容
+     */
+    verifyQuote(token, options = {}) {
+        if (!token) {
+            throw new Error('缺少报价token');
+        }
+
+        let payload;
+        try {
+            payload = jwt.verify(token, this.secret, {
+                subject: QUOTE_SUBJECT,
+                ignoreExpiration: !!options.allowExpired
+            });
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('报价已过期，请重新计算费用');
+            }
+            throw new Error('报价签名无效');
+        }
+
+        const { iat, exp, sub, ...quote } = payload;
+        return quote;
+    }
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = FareQuoteService;
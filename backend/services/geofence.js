@@ -0,0 +1,154 @@
+/**
+ * 地理围栏服务
+ * 服务区域（只有上车点在区域内才能下单）、机场/车站等特殊区域（统一到指定上车点、加收上车费），
+ * 以及行程围栏：司机实时位置进入上车点/目的地围栏时自动触发到达事件
+ */
+
+const EventEmitter = require('events');
+const { calculateDistance, normalizeLocation, isValidLocation, isPointInPolygon } = require('../utils/geo');
+
+class GeofenceService extends EventEmitter {
+    constructor(config) {
+        super();
+        const geofencing = config.services?.geofencing || {};
+        this.serviceAreas = geofencing.serviceAreas || []; // [{ id, name, polygon: [[lat, lng], ...] }]，为空表示不限制
+        this.zones = geofencing.zones || []; // [{ id, name, type, polygon, pickupPoints: [{ name, lat, lng }], pickupFee（USD） }]
+        this.arrivalRadius = geofencing.arrivalRadius || 0.1; // 到达围栏半径（公里）
+        this.maxAccuracy = geofencing.maxAccuracy || 50; // 定位精度差于此值的点不参与围栏判定（米）
+
+        // 行程围栏 { orderId: Map<fenceId, { id, type, lat, lng, radius, address, enteredAt }> }
+        this.watches = new Map();
+    }
+
+    /**
+     * 上车点所在的服务区域，未配置服务区域时返回 null
+     */
+    findServiceArea(location) {
+        const point = normalizeLocation(location);
+        return this.serviceAreas.find(area => isPointInPolygon(point, area.polygon)) || null;
+    }
+
+    /**
+     * 是否在服务区域内（未配置服务区域时不限制）
+     */
+    isInServiceArea(location) {
+        return this.serviceAreas.length === 0 || this.findServiceArea(location) !== null;
+    }
+
+    /**
+     * 包含该位置的特殊区域（机场、车站等）
+     */
+    findZones(location) {
+        const point = normalizeLocation(location);
+        return this.zones.filter(zone => isPointInPolygon(point, zone.polygon));
+    }
+
+    /**
+     * 应用上车规则：校验服务区域，特殊区域内的上车点调整为最近的指定上车点
+     * @param {object} pickup - { lat, lng }
+     * @returns {object} { pickup, serviceArea, zone }，zone 为 { id, name, type, pickupPoint, pickupFee } 或 null
+     */
+    resolvePickup(pickup) {
+        const location = normalizeLocation(pickup);
+        if (!isValidLocation(location)) {
+            throw new Error('无效的上车点坐标');
+        }
+        if (!this.isInServiceArea(location)) {
+            throw new Error('上车点不在服务区域内');
+        }
+
+        const area = this.findServiceArea(location);
+        // 区域重叠时优先使用设有指定上车点的区域
+        const zones = this.findZones(location);
+        const zone = zones.find(candidate => (candidate.pickupPoints || []).length > 0) || zones[0] || null;
+        if (!zone) {
+            return { pickup: location, serviceArea: area ? { id: area.id, name: area.name } : null, zone: null };
+        }
+
+        let pickupPoint = null;
+        let nearest = Infinity;
+        for (const candidate of zone.pickupPoints || []) {
+            const distance = calculateDistance(location.lat, location.lng, candidate.lat, candidate.lng);
+            if (distance < nearest) {
+                nearest = distance;
+                pickupPoint = { name: candidate.name, lat: candidate.lat, lng: candidate.lng };
+            }
+        }
+
+        return {
+            pickup: pickupPoint ? { lat: pickupPoint.lat, lng: pickupPoint.lng } : location,
+            serviceArea: area ? { id: area.id, name: area.name } : null,
+            zone: {
+                id: zone.id,
+                name: zone.name,
+                type: zone.type,
+                pickupPoint,
+                pickupFee: zone.pickupFee || 0
+            }
+        };
+    }
+
+    /**
+     * 监听订单的行程围栏（同一 id 的围栏保留已到达状态，可在行程开始时追加目的地围栏）
+     * @param {Array} fences - [{ id, type: 'pickup' | 'destination', lat, lng, radius（可选，公里）, address }]
+     */
+    watch(orderId, fences) {
+        const key = parseInt(orderId);
+        const watched = this.watches.get(key) || new Map();
+        for (const fence of fences) {
+            const location = normalizeLocation(fence);
+            if (!isValidLocation(location) || watched.has(fence.id)) {
+                continue;
+            }
+            watched.set(fence.id, {
+                id: fence.id,
+                type: fence.type,
+                ...location,
+                radius: fence.radius || this.arrivalRadius,
+                address: fence.address || '',
+                enteredAt: fence.enteredAt || null
+            });
+        }
+        this.watches.set(key, watched);
+        return Array.from(watched.values());
+    }
+
+    /**
+     * 停止监听订单的行程围栏
+     */
+    unwatch(orderId) {
+        this.watches.delete(parseInt(orderId));
+    }
+
+    isWatching(orderId, fenceId = null) {
+        const watched = this.watches.get(parseInt(orderId));
+        return !!watched && (fenceId === null || watched.has(fenceId));
+    }
+
+    /**
+     * 检查实时位置，首次进入围栏时触发 fence_entered 事件（每个围栏只触发一次）
+     * @param {object} point - { lat, lng, timestamp, accuracy }
+     * @returns {Array} 本次进入的围栏
+     */
+    checkLocation(orderId, point) {
+        const watched = this.watches.get(parseInt(orderId));
+        if (!watched || !isValidLocation(point) || point.accuracy > this.maxAccuracy) {
+            return [];
+        }
+
+        const entered = [];
+        for (const fence of watched.values()) {
+            if (fence.enteredAt) {
+                continue;
+            }
+            if (calculateDistance(point.lat, point.lng, fence.lat, fence.lng) <= fence.radius) {
+                fence.enteredAt = point.timestamp || Date.now();
+                entered.push(fence);
+                this.emit('fence_entered', { orderId: parseInt(orderId), fence, location: point });
+            }
+        }
+        return entered;
+    }
+}
+
+module.exports = GeofenceService;
@@ -0,0 +1,264 @@
+/**
+ * 离线地图匹配服务
+ * 从本地 OpenStreetMap 导出文件加载路网，用隐马尔可夫模型（Viterbi）把行程轨迹吸附到道路上，
+ * 按匹配道路重新计算里程（直线连接 GPS 点会少算弯道、多算定位抖动）
+ */
+
+const fs = require('fs');
+const RoadGraph = require('../utils/roadGraph');
+const { calculateDistance } = require('../utils/geo');
+
+class MapMatchingService {
+    constructor(config) {
+        const matchingConfig = config.services?.locationTracking?.mapMatching || {};
+        this.osmFile = matchingConfig.osmFile || ''; // 路网文件（.osm XML），未配置时不做地图匹配
+        this.searchRadius = (matchingConfig.searchRadius || 50) / 1000; // 候选路段搜索半径（米 -> 公里）
+        this.gpsSigma = (matchingConfig.gpsSigma || 10) / 1000; // GPS 误差标准差（米 -> 公里）
+        this.transitionBeta = (matchingConfig.transitionBeta || 50) / 1000; // 路网距离与直线距离之差的容忍尺度（米 -> 公里）
+        this.maxCandidates = matchingConfig.maxCandidates || 5; // 每个位置点最多候选路段数
+        this.maxRouteFactor = matchingConfig.maxRouteFactor || 3; // 相邻点之间路网距离最多为直线距离的倍数
+        this.minMatchRatio = matchingConfig.minMatchRatio ?? 0.6; // 匹配点比例低于此值时不采用匹配里程
+        this.graph = null;
+    }
+
+    /**
+     * 加载路网（文件不存在或解析失败时禁用地图匹配，不影响追踪）
+     */
+    async load(graph = null) {
+        if (graph) {
+            this.graph = graph;
+            return this.graph;
+        }
+        if (!this.osmFile) {
+            return null;
+        }
+
+        try {
+            const xml = await fs.promises.readFile(this.osmFile, 'utf8');
+            this.graph = RoadGraph.fromOSM(xml);
+            console.log(`路网已加载: ${this.osmFile}（${this.graph.size} 个路段）`);
+        } catch (error) {
+            console.warn('路网加载失败，地图匹配将被禁用:', error.message);
+            this.graph = null;
+        }
+        return this.graph;
+    }
+
+    isReady() {
+        return !!this.graph && this.graph.size > 0;
+    }
+
+    /**
+     * 匹配轨迹
+     * @param {Array} points - 有效位置点 [{ lat, lng, timestamp }]（异常点应在调用前排除）
+     * @returns {object|null} { distance, path: [{ lat, lng }], matchedPoints, totalPoints, matchRatio, breaks, roads }，路网未加载时返回 null
+     */
+    match(points) {
+        if (!this.isReady()) {
+            return null;
+        }
+
+        // 每个点的候选路段（搜索半径内没有道路的点不参与匹配）
+        const steps = [];
+        for (const point of points) {
+            const candidates = this.graph.nearbySegments(point.lat, point.lng, this.searchRadius).slice(0, this.maxCandidates);
+            if (candidates.length > 0) {
+                steps.push({ point, candidates });
+            }
+        }
+
+        // Viterbi：相邻步之间所有候选都不可达时断开，分段匹配
+        const chains = [];
+        let chain = [];
+        let scores = null;
+        for (const step of steps) {
+            const emissions = step.candidates.map(candidate => this.emissionLogProbability(candidate));
+            if (!scores) {
+                scores = emissions;
+                chain.push({ step, backPointers: null, routes: null });
+                continue;
+            }
+
+            const previous = chain[chain.length - 1].step;
+            const straight = calculateDistance(previous.point.lat, previous.point.lng, step.point.lat, step.point.lng);
+            const maxRoute = straight * this.maxRouteFactor + this.searchRadius * 2;
+            const routes = previous.candidates.map(from => this.routesFrom(from, step.candidates, maxRoute));
+
+            const nextScores = [];
+            const backPointers = [];
+            step.candidates.forEach((candidate, j) => {
+                let best = -Infinity;
+                let bestIndex = -1;
+                previous.candidates.forEach((from, i) => {
+                    const route = routes[i][j];
+                    if (!route || scores[i] === -Infinity) {
+                        return;
+                    }
+                    const score = scores[i] + this.transitionLogProbability(straight, route.distance) + emissions[j];
+                    if (score > best) {
+                        best = score;
+                        bestIndex = i;
+                    }
+                });
+                nextScores.push(best);
+                backPointers.push(bestIndex);
+            });
+
+            if (nextScores.every(score => score === -Infinity)) {
+                chains.push(this.backtrack(chain, scores));
+                chain = [{ step, backPointers: null, routes: null }];
+                scores = emissions;
+            } else {
+                chain.push({ step, backPointers, routes });
+                scores = nextScores;
+            }
+        }
+        if (chain.length > 0) {
+            chains.push(this.backtrack(chain, scores));
+        }
+
+        return this.buildResult(chains, points.length);
+    }
+
+    /**
+     * 观测概率（对数）：GPS 点到候选路段的距离服从正态分布
+     */
+    emissionLogProbability(candidate) {
+        const z = candidate.distance / this.gpsSigma;
+        return -0.5 * z * z;
+    }
+
+    /**
+     * 转移概率（对数）：路网距离与直线距离越接近越可能（指数分布）
+     */
+    transitionLogProbability(straight, routeDistance) {
+        return -Math.abs(straight - routeDistance) / this.transitionBeta;
+    }
+
+    /**
+     * 从一个候选投影点出发，沿路网到达各目标候选投影点的最短路线
+     * @returns {Array} 与 targets 对应的 { distance, nodes } 或 null（不可达）
+     */
+    routesFrom(from, targets, maxRoute) {
+        const segment = from.segment;
+        // 离开当前路段的出口：沿允许的方向走到路段端点
+        const exits = [];
+        if (segment.forward) {
+            exits.push({ node: segment.to, cost: (1 - from.t) * segment.length });
+        }
+        if (segment.backward) {
+            exits.push({ node: segment.from, cost: from.t * segment.length });
+        }
+        const searches = exits.map(exit => ({ ...exit, ...this.graph.shortestPaths(exit.node, maxRoute) }));
+
+        return targets.map(target => {
+            let best = null;
+            // 同一路段内沿允许方向直接到达
+            if (target.segment.id === segment.id) {
+                const along = (target.t - from.t) * segment.length;
+                if ((along >= 0 && segment.forward) || (along <= 0 && segment.backward)) {
+                    best = { distance: Math.abs(along), exit: null, entry: null };
+                }
+            }
+
+            // 进入目标路段的入口：从路段端点沿允许的方向走到投影点
+            const entries = [];
+            if (target.segment.forward) {
+                entries.push({ node: target.segment.from, cost: target.t * target.segment.length });
+            }
+            if (target.segment.backward) {
+                entries.push({ node: target.segment.to, cost: (1 - target.t) * target.segment.length });
+            }
+
+            for (const search of searches) {
+                for (const entry of entries) {
+                    const between = search.distances.get(entry.node);
+                    if (between === undefined) {
+                        continue;
+                    }
+                    const distance = search.cost + between + entry.cost;
+                    if (distance <= maxRoute && (!best || distance < best.distance)) {
+                        best = { distance, exit: search, entry };
+                    }
+                }
+            }
+            return best;
+        });
+    }
+
+    /**
+     * 回溯一段 Viterbi 链，得到每一步选中的候选和到达该候选的路线
+     */
+    backtrack(chain, scores) {
+        let index = scores.indexOf(Math.max(...scores));
+        const matched = [];
+        for (let k = chain.length - 1; k >= 0; k--) {
+            const { step, backPointers, routes } = chain[k];
+            const previousIndex = backPointers ? backPointers[index] : -1;
+            matched.unshift({
+                point: step.point,
+                candidate: step.candidates[index],
+                route: backPointers ? routes[previousIndex][index] : null
+            });
+            index = previousIndex;
+        }
+        return matched;
+    }
+
+    /**
+     * 汇总匹配结果：拼接路径坐标，累计路网里程；各段之间按直线距离补齐
+     */
+    buildResult(chains, totalPoints) {
+        const path = [];
+        const roads = new Set();
+        let distance = 0;
+        let matchedPoints = 0;
+        const addCoordinate = (lat, lng) => {
+            const last = path[path.length - 1];
+            if (!last || last.lat !== lat || last.lng !== lng) {
+                path.push({ lat, lng });
+            }
+        };
+
+        chains.forEach((matched, c) => {
+            if (c > 0) {
+                const last = path[path.length - 1];
+                distance += calculateDistance(last.lat, last.lng, matched[0].candidate.lat, matched[0].candidate.lng);
+            }
+            matched.forEach(({ candidate, route }) => {
+                matchedPoints++;
+                if (candidate.segment.name) {
+                    roads.add(candidate.segment.name);
+                }
+                if (route) {
+                    distance += route.distance;
+                    if (route.exit) {
+                        const nodes = RoadGraph.buildPath(route.exit.previous, route.exit.node, route.entry.node) || [];
+                        nodes.forEach(nodeId => {
+                            const node = this.graph.nodes.get(nodeId);
+                            addCoordinate(node.lat, node.lng);
+                        });
+                    }
+                }
+                addCoordinate(candidate.lat, candidate.lng);
+            });
+        });
+
+        return {
+            distance,
+            path: path.map(point => ({ lat: round(point.lat, 6), lng: round(point.lng, 6) })),
+            matchedPoints,
+            totalPoints,
+            matchRatio: totalPoints > 0 ? round(matchedPoints / totalPoints, 3) : 0,
+            breaks: Math.max(chains.length - 1, 0),
+            roads: Array.from(roads)
+        };
+    }
+}
+
+function round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = MapMatchingService;
@@ -0,0 +1,501 @@
+/**
+ * 订单派单服务
+ * 派单状态机：按排名向司机发出接单邀请 -> 等待接单窗口 -> 拒绝或超时后邀请下一批司机
+ * -> 无候选司机时逐级扩大搜索半径 -> 超过订单超时时间仍无人接单则通知乘客
+ *
+ * 状态: offering（邀请中）-> accepting（司机已确认，等待链上接单）-> assigned（链上已接单）
+ *       / expired（无人接单）/ cancelled（订单取消）
+ * 拼车订单优先邀请行程中、顺路的司机，接单后关联同一行程的订单
+ */
+
+const DEFAULT_RADIUS_STEPS = [3, 6, 10];
+
+class OrderDispatchService {
+    constructor(config, matchingService, orderStorage = null, rankingService = null) {
+        this.config = config;
+        this.matching = matchingService;
+        this.orderStorage = orderStorage;
+        this.ranking = rankingService; // 未提供时按距离排序
+
+        const matchingConfig = config.services?.orderMatching || {};
+        this.offerTimeout = matchingConfig.offerTimeout || 15000; // 司机接单窗口（毫秒）
+        this.offerBatchSize = matchingConfig.offerBatchSize || 1; // 每轮同时邀请的司机数
+        this.retryInterval = matchingConfig.dispatchRetryInterval || 10000; // 最大半径内无司机时的重试间隔（毫秒）
+        this.orderTimeout = matchingConfig.orderTimeout || 30 * 60 * 1000; // 订单超时时间（毫秒）
+        this.maxDrivers = matchingConfig.maxDrivers || 10; // 每轮参与排名的最近司机数
+        const maxDistance = matchingConfig.maxDistance || 10;
+        const steps = matchingConfig.radiusSteps || DEFAULT_RADIUS_STEPS;
+        // 搜索半径（公里），不超过最大匹配距离
+        this.radiusSteps = [...new Set(steps.map(step => Math.min(step, maxDistance)))].sort((a, b) => a - b);
+
+        // 派单中的订单 { orderId: dispatch }
+        this.dispatches = new Map();
+        // 已结束但订单文件尚未创建、历史未写入的派单 { orderId: dispatch }，订单创建后写入
+        this.pendingHistory = new Map();
+    }
+
+    /**
+     * 开始派单
+     * @param {object} order - { orderId, pickup: { lat, lng }, createdAt, ... }
+     */
+    async dispatch(order) {
+        if (this.dispatches.has(order.orderId)) {
+            return this.dispatches.get(order.orderId);
+        }
+
+        const startedAt = Date.now();
+        const dispatch = {
+            orderId: order.orderId,
+            order,
+            state: 'offering',
+            round: 0,
+            radiusIndex: 0,
+            offers: new Map(), // 当前邀请 { driverId: offeredAt }
+            offeredDrivers: new Set(),
+            declinedDrivers: new Set(),
+            poolPlans: new Map(), // 拼车邀请的路线方案 { driverId: plan }
+            acceptingDriver: null,
+            timer: null,
+            startedAt,
+            deadline: (order.dispatchAt || order.createdAt || startedAt) + this.orderTimeout,
+            historyQueue: []
+        };
+        this.dispatches.set(order.orderId, dispatch);
+
+        await this.offerNext(dispatch);
+        return dispatch;
+    }
+
+    /**
+     * 邀请下一批司机
+     */
+    async offerNext(dispatch) {
+        clearTimeout(dispatch.timer);
+        dispatch.timer = null;
+
+        if (dispatch.state !== 'offering') {
+            return;
+        }
+        if (Date.now() >= dispatch.deadline) {
+            return this.expire(dispatch);
+        }
+
+        const radius = this.radiusSteps[dispatch.radiusIndex];
+        const candidates = await this.getCandidates(dispatch, radius);
+
+        // 排名期间订单可能已被接单或取消
+        if (dispatch.state !== 'offering') {
+            return;
+        }
+
+        if (candidates.length === 0) {
+            // 扩大搜索半径
+            if (dispatch.radiusIndex < this.radiusSteps.length - 1) {
+                dispatch.radiusIndex++;
+                await this.recordHistory(dispatch, 'DispatchRadiusExpanded', {
+                    from: radius,
+                    to: this.radiusSteps[dispatch.radiusIndex]
+                });
+                return this.offerNext(dispatch);
+            }
+
+            // 最大半径内暂无司机，等待新司机上线后重试
+            const delay = Math.min(this.retryInterval, dispatch.deadline - Date.now());
+            this.schedule(dispatch, delay, () => this.offerNext(dispatch));
+            return;
+        }
+
+        dispatch.round++;
+        const offeredAt = Date.now();
+        const expiresAt = Math.min(offeredAt + this.offerTimeout, dispatch.deadline);
+        const batch = candidates.slice(0, this.offerBatchSize);
+
+        for (const candidate of batch) {
+            dispatch.offers.set(candidate.driverId, offeredAt);
+            dispatch.offeredDrivers.add(candidate.driverId);
+            if (candidate.pool) {
+                dispatch.poolPlans.set(candidate.driverId, candidate.pool);
+            }
+            this.matching.sendToDriver(candidate.driverId, {
+                type: 'order_offer',
+                data: {
+                    ...dispatch.order,
+                    distance: candidate.distance.toFixed(2),
+                    score: candidate.score,
+                    pool: candidate.pool || null,
+                    round: dispatch.round,
+                    expiresAt
+                }
+            });
+        }
+
+        await this.recordHistory(dispatch, 'DispatchOffered', {
+            round: dispatch.round,
+            radius,
+            drivers: batch.map(candidate => ({
+                driver: candidate.driverId,
+                distance: Number(candidate.distance.toFixed(2)),
+                score: candidate.score,
+                ...(candidate.pool ? { pooledWith: candidate.pool.orderIds } : {})
+            })),
+            expiresAt
+        });
+
+        console.log(`订单 #${dispatch.orderId} 第 ${dispatch.round} 轮邀请 ${batch.length} 名司机（半径 ${radius} 公里）`);
+
+        this.schedule(dispatch, expiresAt - offeredAt, () => this.handleOfferTimeout(dispatch));
+    }
+
+    /**
+     * 设置派单计时器（每个订单同时只有一个）
+     */
+    schedule(dispatch, delay, task) {
+        clearTimeout(dispatch.timer);
+        dispatch.timer = setTimeout(() => {
+            dispatch.timer = null;
+            task().catch(error => {
+                console.error(`订单 #${dispatch.orderId} 派单失败:`, error);
+            });
+        }, Math.max(delay, 0));
+    }
+
+    /**
+     * 获取候选司机（排除已邀请过和正在处理其他邀请的司机）
+     * 取半径内最近的 maxDrivers 名司机，按多因素排名排序
+     */
+    async getCandidates(dispatch, radius) {
+        const busyDrivers = this.getBusyDrivers();
+        const available = driverId => !dispatch.offeredDrivers.has(driverId) && !busyDrivers.has(driverId);
+
+        // 拼车订单优先邀请可顺路拼车的司机（按拼车后总里程排序）
+        if (dispatch.order.pooled) {
+            const pooled = await this.matching.findPoolCandidates(dispatch.order, available);
+            if (pooled.length > 0) {
+                return pooled.slice(0, this.maxDrivers);
+            }
+        }
+
+        const candidates = this.matching.findDriversWithin(dispatch.order.pickup, radius, available);
+
+        const nearest = candidates.slice(0, this.maxDrivers);
+
+        return this.ranking ? this.ranking.rank(dispatch.order, nearest) : nearest;
+    }
+
+    /**
+     * 持有其他订单邀请的司机
+     */
+    getBusyDrivers() {
+        const busy = new Set();
+        for (const dispatch of this.dispatches.values()) {
+            for (const driverId of dispatch.offers.keys()) {
+                busy.add(driverId);
+            }
+            if (dispatch.acceptingDriver) {
+                busy.add(dispatch.acceptingDriver);
+            }
+        }
+        return busy;
+    }
+
+    /**
+     * 司机确认接单（之后需要在接单窗口内提交链上接单交易）
+     */
+    async acceptOffer(driverId, orderId) {
+        const dispatch = this.dispatches.get(parseInt(orderId));
+        if (!dispatch || dispatch.state !== 'offering' || !dispatch.offers.has(driverId)) {
+            throw new Error('邀请不存在或已失效');
+        }
+
+        clearTimeout(dispatch.timer);
+        dispatch.state = 'accepting';
+        dispatch.acceptingDriver = driverId;
+        dispatch.offers.delete(driverId);
+
+        // 撤回同一轮发给其他司机的邀请
+        this.withdrawOffers(dispatch, '订单已被其他司机接单');
+
+        await this.recordHistory(dispatch, 'DispatchOfferAccepted', {
+            round: dispatch.round,
+            driver: driverId
+        });
+
+        const expiresAt = Math.min(Date.now() + this.offerTimeout, dispatch.deadline);
+        this.schedule(dispatch, expiresAt - Date.now(), () => this.handleAcceptTimeout(dispatch));
+
+        return { orderId: dispatch.orderId, expiresAt };
+    }
+
+    /**
+     * 司机拒绝邀请
+     */
+    async declineOffer(driverId, orderId, reason = '') {
+        const dispatch = this.dispatches.get(parseInt(orderId));
+        if (!dispatch || dispatch.state !== 'offering' || !dispatch.offers.has(driverId)) {
+            throw new Error('邀请不存在或已失效');
+        }
+
+        dispatch.offers.delete(driverId);
+        dispatch.declinedDrivers.add(driverId);
+
+        await this.recordHistory(dispatch, 'DispatchOfferDeclined', {
+            round: dispatch.round,
+            driver: driverId,
+            reason
+        });
+
+        // 本轮所有司机都已拒绝，立即邀请下一批
+        if (dispatch.offers.size === 0) {
+            await this.offerNext(dispatch);
+        }
+    }
+
+    /**
+     * 接单窗口超时
+     */
+    async handleOfferTimeout(dispatch) {
+        if (dispatch.state !== 'offering') {
+            return;
+        }
+
+        const drivers = [...dispatch.offers.keys()];
+        this.withdrawOffers(dispatch, '接单超时', 'offer_expired');
+
+        if (drivers.length > 0) {
+            await this.recordHistory(dispatch, 'DispatchOfferTimeout', {
+                round: dispatch.round,
+                drivers
+            });
+        }
+
+        await this.offerNext(dispatch);
+    }
+
+    /**
+     * 司机确认后未在窗口内完成链上接单，继续邀请其他司机
+     */
+    async handleAcceptTimeout(dispatch) {
+        if (dispatch.state !== 'accepting') {
+            return;
+        }
+
+        const driverId = dispatch.acceptingDriver;
+        dispatch.state = 'offering';
+        dispatch.acceptingDriver = null;
+        this.matching.sendToDriver(driverId, {
+            type: 'offer_expired',
+            data: { orderId: dispatch.orderId, reason: '未在时限内完成链上接单' }
+        });
+
+        await this.recordHistory(dispatch, 'DispatchOfferTimeout', {
+            round: dispatch.round,
+            drivers: [driverId],
+            reason: 'chain_accept_timeout'
+        });
+
+        await this.offerNext(dispatch);
+    }
+
+    /**
+     * 撤回当前所有邀请
+     */
+    withdrawOffers(dispatch, reason, type = 'offer_withdrawn') {
+        for (const driverId of dispatch.offers.keys()) {
+            this.matching.sendToDriver(driverId, {
+                type,
+                data: { orderId: dispatch.orderId, reason }
+            });
+        }
+        dispatch.offers.clear();
+    }
+
+    /**
+     * 链上已接单（可能是派单邀请的司机，也可能是直接在合约上接单）
+     */
+    async handleOrderAccepted(orderId, driver) {
+        const dispatch = this.dispatches.get(parseInt(orderId));
+        if (!dispatch) {
+            return;
+        }
+
+        const driverId = driver.toLowerCase();
+        if (dispatch.acceptingDriver && dispatch.acceptingDriver !== driverId) {
+            this.matching.sendToDriver(dispatch.acceptingDriver, {
+                type: 'offer_withdrawn',
+                data: { orderId: dispatch.orderId, reason: '订单已被其他司机接单' }
+            });
+        }
+        this.withdrawOffers(dispatch, '订单已被其他司机接单');
+        await this.finish(dispatch, 'assigned');
+
+        // 通过拼车邀请接单的司机，关联同一行程的订单
+        const plan = dispatch.poolPlans.get(driverId);
+        if (plan) {
+            await this.matching.linkPooledOrders(dispatch.order, driverId, plan);
+        }
+    }
+
+    /**
+     * 订单取消（或转为预约单），停止派单
+     */
+    async cancel(orderId, reason = '订单已取消') {
+        const dispatch = this.dispatches.get(parseInt(orderId));
+        if (!dispatch) {
+            return;
+        }
+
+        this.withdrawOffers(dispatch, reason);
+        if (dispatch.acceptingDriver) {
+            this.matching.sendToDriver(dispatch.acceptingDriver, {
+                type: 'offer_withdrawn',
+                data: { orderId: dispatch.orderId, reason }
+            });
+        }
+        await this.finish(dispatch, 'cancelled');
+    }
+
+    /**
+     * 超过订单超时时间仍无人接单
+     */
+    async expire(dispatch) {
+        this.withdrawOffers(dispatch, '订单已超时', 'offer_expired');
+
+        await this.recordHistory(dispatch, 'DispatchExpired', {
+            rounds: dispatch.round,
+            offeredDrivers: dispatch.offeredDrivers.size,
+            declinedDrivers: dispatch.declinedDrivers.size
+        });
+
+        this.matching.publishOrderUpdate(dispatch.orderId, 'no_driver_found', {
+            rounds: dispatch.round,
+            offeredDrivers: dispatch.offeredDrivers.size
+        });
+
+        console.log(`订单 #${dispatch.orderId} 在 ${Math.round(this.orderTimeout / 1000)} 秒内无人接单`);
+        await this.finish(dispatch, 'expired');
+    }
+
+    async finish(dispatch, state) {
+        clearTimeout(dispatch.timer);
+        dispatch.timer = null;
+        dispatch.state = state;
+        dispatch.acceptingDriver = null;
+        this.dispatches.delete(dispatch.orderId);
+        await this.flushHistory(dispatch);
+        if (dispatch.historyQueue.length > 0) {
+            dispatch.finishedAt = Date.now();
+            this.pendingHistory.set(dispatch.orderId, dispatch);
+        }
+        this.prunePendingHistory();
+    }
+
+    /**
+     * 获取派单状态
+     */
+    getStatus(orderId) {
+        const dispatch = this.dispatches.get(parseInt(orderId));
+        if (!dispatch) {
+            return null;
+        }
+        return {
+            orderId: dispatch.orderId,
+            state: dispatch.state,
+            round: dispatch.round,
+            radius: this.radiusSteps[dispatch.radiusIndex],
+            offers: [...dispatch.offers.keys()],
+            acceptingDriver: dispatch.acceptingDriver,
+            offeredDrivers: dispatch.offeredDrivers.size,
+            declinedDrivers: dispatch.declinedDrivers.size,
+            startedAt: dispatch.startedAt,
+            deadline: dispatch.deadline
+        };
+    }
+
+    /**
+     * 司机下线时撤销其持有的邀请
+     */
+    async handleDriverOffline(driverId) {
+        for (const dispatch of [...this.dispatches.values()]) {
+            if (dispatch.offers.has(driverId)) {
+                dispatch.offers.delete(driverId);
+                await this.recordHistory(dispatch, 'DispatchOfferTimeout', {
+                    round: dispatch.round,
+                    drivers: [driverId],
+                    reason: 'driver_offline'
+                });
+                if (dispatch.offers.size === 0) {
+                    await this.offerNext(dispatch);
+                }
+            }
+        }
+    }
+
+    /**
+     * 记录派单历史（订单文件可能尚未由区块链监听服务创建，先排队）
+     */
+    async recordHistory(dispatch, event, data) {
+        dispatch.historyQueue.push({ event, data: { ...data, at: Date.now() } });
+        await this.flushHistory(dispatch);
+    }
+
+    /**
+     * 订单文件创建后写入排队的派单历史（区块链监听服务保存订单后调用）
+     */
+    async flushOrderHistory(orderId) {
+        orderId = parseInt(orderId);
+        const dispatch = this.dispatches.get(orderId) || this.pendingHistory.get(orderId);
+        if (!dispatch) {
+            return;
+        }
+        await this.flushHistory(dispatch);
+        if (dispatch.historyQueue.length === 0) {
+            this.pendingHistory.delete(orderId);
+        }
+    }
+
+    /**
+     * 超过订单超时时间仍未创建订单文件的历史不再保留
+     */
+    prunePendingHistory() {
+        const cutoff = Date.now() - this.orderTimeout;
+        for (const [orderId, dispatch] of this.pendingHistory) {
+            if (dispatch.finishedAt < cutoff) {
+                console.warn(`订单 #${orderId} 未创建订单文件，丢弃 ${dispatch.historyQueue.length} 条派单历史`);
+                this.pendingHistory.delete(orderId);
+            }
+        }
+    }
+
+    async flushHistory(dispatch) {
+        if (!this.orderStorage || dispatch.flushing) {
+            return;
+        }
+
+        dispatch.flushing = true;
+        try {
+            if (!await this.orderStorage.getOrder(dispatch.orderId)) {
+                return;
+            }
+            while (dispatch.historyQueue.length > 0) {
+                const { event, data } = dispatch.historyQueue[0];
+                await this.orderStorage.addOrderHistory(dispatch.orderId, event, data);
+                dispatch.historyQueue.shift();
+            }
+        } catch (error) {
+            console.error(`记录订单 #${dispatch.orderId} 派单历史失败:`, error.message);
+        } finally {
+            dispatch.flushing = false;
+        }
+    }
+
+    /**
+     * 停止所有派单计时器
+     */
+    stop() {
+        for (const dispatch of this.dispatches.values()) {
+            clearTimeout(dispatch.timer);
+        }
+    }
+}
+
+module.exports = OrderDispatchService;
@@ -0,0 +1,266 @@
+/**
+ * 订单导出服务
+ * 根据日期范围和筛选条件生成平台收入记录，并输出为 CSV / JSON / Excel 格式
+ */
+
+const OrderStorageService = require('./orderStorage');
+const PlatformStorageService = require('./platformStorage');
+
+// 平台费率（与链上 PLATFORM_FEE_RATE 500 basis points 保持一致）
+const PLATFORM_FEE_RATE = 0.05;
+
+// 行程状态名称（对应合约 RideStatus 枚举）
+const RIDE_STATUS_NAMES = {
+    0: 'NONE',
+    1: 'CREATED',
+    2: 'ACCEPTED',
+    3: 'IN_PROGRESS',
+    4: 'COMPLETED',
+    5: 'AWAITING_SETTLEMENT',
+    6: 'SETTLED'
+};
+
+// 导出列定义 [字段名, 表头]
+const EXPORT_COLUMNS = [
+    ['orderId', 'Order ID'],
+    ['date', 'Date'],
+    ['rideStatus', 'Ride Status'],
+    ['passenger', 'Passenger'],
+    ['driver', 'Driver'],
+    ['category', 'Category'],
+    ['subCategory', 'Sub Category'],
+    ['pickup', 'Pickup'],
+    ['destination', 'Destination'],
+    ['estimatedFareETH', 'Estimated Fare (ETH)'],
+    ['orderAmountETH', 'Order Amount (ETH)'],
+    ['platformFeeETH', 'Platform Fee (ETH)'],
+    ['driverAmountETH', 'Driver Amount (ETH)'],
+    ['disputeOpened', 'Dispute Opened'],
+    ['disputeResolved', 'Dispute Resolved']
+];
+
+// 数值列（其余列按文本输出）
+const NUMERIC_KEYS = new Set(['orderId', 'estimatedFareETH', 'orderAmountETH', 'platformFeeETH', 'driverAmountETH']);
+
+// 支持的导出格式
+const EXPORT_FORMATS = {
+    csv: { extension: 'csv', contentType: 'text/csv; charset=utf-8' },
+    json: { extension: 'json', contentType: 'application/json; charset=utf-8' },
+    xls: { extension: 'xls', contentType: 'application/vnd.ms-excel; charset=utf-8' }
+};
+
+class OrderExportService {
+    constructor(config, orderStorage = null, platformStorage = null) {
+        this.config = config;
+        this.orderStorage = orderStorage || new OrderStorageService(config);
+        this.platformStorage = platformStorage || new PlatformStorageService();
+    }
+
+    /**
+     * 是否支持该导出格式
+     */
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+    }
+
+    /**
+     * 生成导出文件
+     * @param {object} options - { format, startDate, endDate, status, search }
+     * @returns {Promise<{filename, contentType, body, totalOrders}>}
+     */
+    async exportOrders(options = {}) {
+        const format = (options.format || 'csv').toLowerCase();
+        if (!this.isSupportedFormat(format)) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+
+        const rows = await this.buildRevenueRows(options);
+
+        let body;
+        if (format === 'json') {
+            const summary = await this.platformStorage.getSummary();
+            body = this.toJSON(rows, summary, options);
+        } else if (format === 'xls') {
+            body = this.toSpreadsheetXML(rows);
+        } else {
+            body = this.toCSV(rows);
+        }
+
+        const { extension, contentType } = EXPORT_FORMATS[format];
+        const today = new Date().toISOString().split('T')[0];
+
+        return {
+            filename: `platform-orders-${today}.${extension}`,
+            contentType,
+            body,
+            totalOrders: rows.length
+        };
+    }
+
+    /**
+     * 从订单存储生成收入记录（只包含已完成、待结算或已结算的订单）
+     */
+    async buildRevenueRows({ startDate, endDate, status = 'all', search = '' } = {}) {
+        const allOrders = await this.orderStorage.getAllOrders();
+        const keyword = String(search ?? '').trim().toLowerCase();
+
+        const rows = [];
+        for (const order of allOrders) {
+            const rideStatus = Number(order.rideStatus);
+            if (!this.matchesStatus(rideStatus, status)) {
+                continue;
+            }
+
+            // 链上时间戳单位为秒
+            const timestamp = order.completedAt || order.endTimestamp || order.createdAt;
+            if (!timestamp) {
+                continue;
+            }
+            const date = new Date(timestamp * 1000).toISOString();
+            const day = date.split('T')[0];
+            if (startDate && day < startDate) continue;
+            if (endDate && day > endDate) continue;
+
+            if (keyword) {
+                const haystack = [order.orderId, order.passenger, order.driver]
+                    .filter(Boolean)
+                    .map(value => value.toString().toLowerCase());
+                if (!haystack.some(value => value.includes(keyword))) {
+                    continue;
+                }
+            }
+
+            // 链上结算始终按订单创建时锁定的预估费用分配（实际费用只作记录）
+            const orderAmount = parseFloat(order.estimatedFare || '0');
+            const platformFee = orderAmount * PLATFORM_FEE_RATE;
+
+            rows.push({
+                orderId: order.orderId,
+                date,
+                timestamp,
+                rideStatus: RIDE_STATUS_NAMES[rideStatus] || 'UNKNOWN',
+                passenger: order.passenger || '',
+                driver: order.driver || '',
+                category: order.category || '',
+                subCategory: order.subCategory || '',
+                pickup: order.pickup?.addressText || '',
+                destination: order.destination?.addressText || '',
+                estimatedFareETH: parseFloat(order.estimatedFare || '0').toFixed(8),
+                orderAmountETH: orderAmount.toFixed(8),
+                platformFeeETH: platformFee.toFixed(8),
+                driverAmountETH: (orderAmount - platformFee).toFixed(8),
+                disputeOpened: !!order.disputeOpened,
+                disputeResolved: !!order.disputeResolved
+            });
+        }
+
+        rows.sort((a, b) => b.timestamp - a.timestamp);
+        return rows;
+    }
+
+    /**
+     * 状态筛选：completed 包含已完成和等待结算，settled 只包含已结算
+     */
+    matchesStatus(rideStatus, status) {
+        switch (status) {
+            case 'completed':
+                return rideStatus === 4 || rideStatus === 5;
+            case 'settled':
+                return rideStatus === 6;
+            default:
+                return rideStatus >= 4 && rideStatus <= 6;
+        }
+    }
+
+    /**
+     * 生成CSV（带BOM，便于Excel正确识别UTF-8）
+     */
+    toCSV(rows) {
+        const escape = (value) => {
+            const text = value === null || value === undefined ? '' : String(value);
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+
+        const lines = [EXPORT_COLUMNS.map(([, header]) => escape(header)).join(',')];
+        for (const row of rows) {
+            lines.push(EXPORT_COLUMNS.map(([key]) => escape(NUMERIC_KEYS.has(key) ? row[key] : neutralizeFormula(row[key]))).join(','));
+        }
+
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * 生成JSON（附带筛选条件和汇总信息）
+     */
+    toJSON(rows, summary, filters = {}) {
+        const totals = rows.reduce((acc, row) => {
+            acc.orderAmountETH += parseFloat(row.orderAmountETH);
+            acc.platformFeeETH += parseFloat(row.platformFeeETH);
+            acc.driverAmountETH += parseFloat(row.driverAmountETH);
+            return acc;
+        }, { orderAmountETH: 0, platformFeeETH: 0, driverAmountETH: 0 });
+
+        return JSON.stringify({
+            exportedAt: new Date().toISOString(),
+            filters: {
+                startDate: filters.startDate || null,
+                endDate: filters.endDate || null,
+                status: filters.status || 'all',
+                search: filters.search || ''
+            },
+            totalOrders: rows.length,
+            totals: {
+                orderAmountETH: totals.orderAmountETH.toFixed(8),
+                platformFeeETH: totals.platformFeeETH.toFixed(8),
+                driverAmountETH: totals.driverAmountETH.toFixed(8)
+            },
+            platformSummary: summary,
+            orders: rows
+        }, null, 2);
+    }
+
+    /**
+     * 生成 SpreadsheetML 2003 表格（Excel / LibreOffice / WPS 均可直接打开）
+     */
+    toSpreadsheetXML(rows) {
+        const escapeXml = (value) => String(value === null || value === undefined ? '' : value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+
+        const cell = (key, value) => {
+            const numeric = NUMERIC_KEYS.has(key);
+            return `<Cell><Data ss:Type="${numeric ? 'Number' : 'String'}">${escapeXml(numeric ? value : neutralizeFormula(value))}</Data></Cell>`;
+        };
+
+        const headerRow = `<Row>${EXPORT_COLUMNS.map(([, header]) => cell('', header)).join('')}</Row>`;
+        const dataRows = rows.map(row =>
+            `<Row>${EXPORT_COLUMNS.map(([key]) => cell(key, row[key])).join('')}</Row>`
+        );
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<?mso-application progid="Excel.Sheet"?>',
+            '<Workbook xmlns="urn:schemas-microsoft-com:office:spreadsheet"',
+            ' xmlns:ss="urn:schemas-microsoft-com:office:spreadsheet">',
+            '<Worksheet ss:Name="Orders">',
+            '<Table>',
+            headerRow,
+            ...dataRows,
+            '</Table>',
+            '</Worksheet>',
+            '</Workbook>'
+        ].join('\n');
+    }
+}
+
+/**
+ * 防止公式注入：以 = + - @ 开头的文本在表格软件中会被当作公式执行，前面加单引号按文本显示
+ */
+function neutralizeFormula(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /^[=+\-@]/.test(text) ? `'${text}` : text;
+}
+
+module.exports = OrderExportService;
@@ -16,6 +16,7 @@ class OrderService {
             this.provider
         );
         this.orderStorage = new OrderStorageService(config);
+        this.scheduleLeadTime = config.services?.scheduling?.leadTime || 15 * 60 * 1000; // 预约单提前派单时间
         
         // 缓存配置
         this.cache = new Map();
@@ -53,13 +54,19 @@ class OrderService {
             const orders = await this._fetchOrdersAtomically(driverAddress, validateData);
             
             // 统一性：标准化数据格式
-            const normalizedOrders = this._normalizeOrders(orders);
+            let normalizedOrders = this._normalizeOrders(orders);
             
             // 完备性：验证数据完整性
             if (validateData) {
                 this._validateOrdersCompleteness(normalizedOrders);
             }
             
+            // 预约单在派单时间之前不对司机开放
+            const now = Date.now();
+            normalizedOrders = (await this._attachMetadata(normalizedOrders)).filter(order =>
+                !order.scheduledPickupTime || order.scheduledPickupTime - this.scheduleLeadTime <= now
+            );
+            
             // 更新缓存
             if (useCache) {
                 this.cache.set(cacheKey, {
@@ -301,6 +308,25 @@ class OrderService {
         }).filter(order => order !== null); // 过滤掉标准化失败的订单
     }
     
+    /**
+     * 合并链下存储的订单信息：预约上车时间（scheduledPickupTime，毫秒；即时单为 null）、途经点（waypoints）和拼车（pooled、pool）
+     */
+    async _attachMetadata(orders) {
+        return Promise.all(orders.map(async (order) => {
+            if (!order) {
+                return order;
+            }
+            const stored = await this.orderStorage.getOrder(order.orderId).catch(() => null);
+            return {
+                ...order,
+                scheduledPickupTime: stored?.scheduledPickupTime || null,
+                waypoints: stored?.waypoints || [],
+                pooled: !!stored?.pooled,
+                pool: stored?.pool || null
+            };
+        }));
+    }
+    
     /**
      * 验证订单数据完备性
      */
@@ -346,7 +372,8 @@ class OrderService {
             // 标准化数据
             const normalized = this._normalizeOrders([order])[0];
             
-            return normalized;
+            // 合并链下预约信息和途经点
+            return (await this._attachMetadata([normalized]))[0];
         } catch (error) {
             console.error(`[OrderService] 获取订单 #${orderId} 失败:`, error);
             throw error;
@@ -5,6 +5,14 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const KeyedQueue = require('../utils/keyedQueue');
+
+// 由链上订单同步的字段（blockchainListener.saveOrderFromEvent 写入）
+const CHAIN_FIELDS = [
+    'passenger', 'driver', 'pickup', 'destination', 'category', 'subCategory', 'estimatedFare', 'actualFare',
+    'status', 'rideStatus', 'acceptedAt', 'pickedUpAt', 'completedAt', 'startTimestamp', 'endTimestamp', 'ipfsHash',
+    'disputeOpened', 'disputeReason', 'disputeResolved', 'disputeWinner', 'disputeTimestamp', 'event', 'eventData'
+];
 
 class OrderStorageService {
     constructor(config = null, dataDir = path.join(__dirname, '../data')) {
@@ -12,6 +20,7 @@ class OrderStorageService {
         this.dataDir = dataDir;
         this.ordersDir = path.join(dataDir, 'orders');
         this.configFile = path.join(dataDir, 'order-config.json');
+        this.writeQueue = new KeyedQueue(); // 同一订单文件的读-改-写按顺序执行（监听服务和 API 共用同一实例）
         this.init();
     }
 
@@ -141,6 +150,13 @@ class OrderStorageService {
      * 保存订单
      */
     async saveOrder(order) {
+        return this.writeQueue.run(String(order.orderId), () => this.mergeOrder(order));
+    }
+
+    /**
+     * 合并保存订单（调用方须已在该订单的写队列中）
+     */
+    async mergeOrder(order) {
         try {
             const orderId = order.orderId;
             if (!orderId) {
@@ -179,19 +195,23 @@ class OrderStorageService {
                 status: order.status,
                 rideStatus: order.rideStatus,
                 event: order.event || 'StatusChanged',
-                data: order.eventData || {}
+                data: order.eventData || {},
+                ...(order.confirmation ? { confirmation: order.confirmation } : {})
             });
         }
+        updatedOrder.confirmation = this.getConfirmationStatus(updatedOrder);
 
         // 保存订单
         await fs.writeFile(orderFile, JSON.stringify(updatedOrder, null, 2), 'utf8');
         
         // 如果保存的订单ID大于等于配置的nextOrderId，更新配置
-        const config = await this.getConfig();
-        if (orderId >= config.nextOrderId) {
-            config.nextOrderId = orderId + 1;
-            await this.saveConfig(config);
-        }
+        await this.writeQueue.run('config', async () => {
+            const config = await this.getConfig();
+            if (orderId >= config.nextOrderId) {
+                config.nextOrderId = orderId + 1;
+                await this.saveConfig(config);
+            }
+        });
         
         return updatedOrder;
         } catch (error) {
@@ -257,10 +277,22 @@ class OrderStorageService {
         }
     }
 
+    /**
+     * 订单整体确认状态：存在未确认的链上历史记录时为 pending
+     */
+    getConfirmationStatus(order) {
+        return (order.history || []).some(entry => entry.confirmation === 'pending') ? 'pending' : 'confirmed';
+    }
+
     /**
      * 添加订单历史记录
+     * @param {object} options - { confirmation: 'pending' | 'confirmed'（链上事件未达到确认深度时为 pending） }
      */
-    async addOrderHistory(orderId, event, eventData = {}) {
+    async addOrderHistory(orderId, event, eventData = {}, options = {}) {
+        return this.writeQueue.run(String(orderId), () => this.appendOrderHistory(orderId, event, eventData, options));
+    }
+
+    async appendOrderHistory(orderId, event, eventData, options) {
         try {
             const order = await this.getOrder(orderId);
             if (!order) {
@@ -274,10 +306,11 @@ class OrderStorageService {
             order.history.push({
                 timestamp: Date.now(),
                 event: event,
-                data: eventData
+                data: eventData,
+                ...(options.confirmation ? { confirmation: options.confirmation } : {})
             });
 
-            await this.saveOrder(order);
+            await this.mergeOrder(order);
             return order;
         } catch (error) {
             console.error(`添加订单历史记录失败:`, error);
@@ -285,6 +318,138 @@ class OrderStorageService {
         }
     }
 
+    /**
+     * 将指定链上事件（交易哈希 + 日志索引）产生的历史记录标记为已确认
+     */
+    async confirmOrderHistory(orderId, transactionHash, logIndex) {
+        return this.updateEventHistory(orderId, transactionHash, logIndex, (history, matches) =>
+            history.map(entry => matches(entry) ? { ...entry, confirmation: 'confirmed' } : entry)
+        );
+    }
+
+    /**
+     * 移除指定链上事件产生的历史记录（区块被重组时使用）
+     */
+    async removeOrderHistory(orderId, transactionHash, logIndex) {
+        return this.updateEventHistory(orderId, transactionHash, logIndex, (history, matches) =>
+            history.filter(entry => !matches(entry))
+        );
+    }
+
+    /**
+     * 按链上事件更新历史记录
+     */
+    async updateEventHistory(orderId, transactionHash, logIndex, update) {
+        return this.writeQueue.run(String(orderId), () => this.rewriteEventHistory(orderId, transactionHash, logIndex, update));
+    }
+
+    async rewriteEventHistory(orderId, transactionHash, logIndex, update) {
+        try {
+            const order = await this.getOrder(orderId);
+            if (!order) {
+                return null;
+            }
+
+            const matches = (entry) => entry.data
+                && entry.data.transactionHash === transactionHash
+                && entry.data.logIndex === logIndex;
+            order.history = update(order.history || [], matches);
+            order.confirmation = this.getConfirmationStatus(order);
+            order.updatedAt = Date.now();
+
+            const orderFile = path.join(this.ordersDir, `order-${orderId}.json`);
+            await fs.writeFile(orderFile, JSON.stringify(order, null, 2), 'utf8');
+            return order;
+        } catch (error) {
+            console.error(`更新订单 ${orderId} 历史记录失败:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 更新订单附加信息（链下数据，如报价），不改变状态、不记录历史
+     * 订单文件不存在时会创建，链上事件到达后由 saveOrder 合并
+     */
+    async updateOrderMetadata(orderId, metadata) {
+        return this.writeQueue.run(String(orderId), () => this.writeOrderMetadata(orderId, metadata));
+    }
+
+    async writeOrderMetadata(orderId, metadata) {
+        try {
+            const orderFile = path.join(this.ordersDir, `order-${orderId}.json`);
+            const existingOrder = await this.getOrder(orderId) || {
+                orderId: orderId,
+                createdAt: Date.now(),
+                history: []
+            };
+
+            const updatedOrder = {
+                ...existingOrder,
+                ...metadata,
+                orderId: existingOrder.orderId,
+                updatedAt: Date.now()
+            };
+
+            await fs.writeFile(orderFile, JSON.stringify(updatedOrder, null, 2), 'utf8');
+            return updatedOrder;
+        } catch (error) {
+            console.error(`更新订单 ${orderId} 附加信息失败:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 保存订单途经点（按经过顺序，链上只记录上车点和目的地）
+     * @param {Array} waypoints - [{ lat, lng, address }]
+     * @param {string} routeIpfsHash - 完整路线在IPFS上的哈希（通过 updateOrderIPFS 写入链上订单）
+     */
+    async saveWaypoints(orderId, waypoints, routeIpfsHash = null) {
+        return this.updateOrderMetadata(orderId, {
+            waypoints: waypoints.map((waypoint, index) => ({
+                index,
+                lat: waypoint.lat,
+                lng: waypoint.lng,
+                address: waypoint.address || '',
+                arrivedAt: null
+            })),
+            routeIpfsHash
+        });
+    }
+
+    /**
+     * 记录到达途经点
+     */
+    async markWaypointArrived(orderId, index, arrivedAt = Date.now()) {
+        return this.writeQueue.run(String(orderId), async () => {
+            const order = await this.getOrder(orderId);
+            if (!order || !order.waypoints || !order.waypoints[index]) {
+                throw new Error(`订单 #${orderId} 不存在第 ${index + 1} 个途经点`);
+            }
+
+            const waypoints = order.waypoints.map(waypoint =>
+                waypoint.index === index ? { ...waypoint, arrivedAt } : waypoint
+            );
+            return this.writeOrderMetadata(orderId, { waypoints });
+        });
+    }
+
+    /**
+     * 保存拼车记录：同一行程的订单互相关联（pool 字段），并记录到各订单历史
+     * @param {object} pool - { poolId, driver, orderIds, route, detours, fares, createdAt }
+     */
+    async savePool(pool) {
+        for (const orderId of pool.orderIds) {
+            await this.updateOrderMetadata(orderId, { pool });
+            await this.addOrderHistory(orderId, 'PoolLinked', {
+                poolId: pool.poolId,
+                orderIds: pool.orderIds,
+                driver: pool.driver,
+                description: `拼车：${pool.orderIds.map(id => `#${id}`).join('、')}`
+            });
+        }
+        return pool;
+    }
+
     /**
      * 根据状态筛选订单
      */
@@ -318,19 +483,63 @@ class OrderStorageService {
     }
 
     /**
-     * 删除订单（谨慎使用）
+     * 订单创建事件被重组回滚：移除链上字段和链上事件产生的历史记录，保留报价、途经点、拼车、预约、轨迹、计价和派单等链下数据
+     * 订单标记为 reorged，重新打包后由补齐流程的 saveOrder 恢复链上字段和确认状态
      */
-    async deleteOrder(orderId) {
+    async resetChainState(orderId) {
+        return this.writeQueue.run(String(orderId), () => this.clearChainState(orderId));
+    }
+
+    async clearChainState(orderId) {
         try {
+            const order = await this.getOrder(orderId);
+            if (!order) {
+                return null;
+            }
+
+            for (const field of CHAIN_FIELDS) {
+                delete order[field];
+            }
+            order.history = (order.history || []).filter(entry => !(entry.data && entry.data.transactionHash));
+            order.confirmation = 'reorged';
+            order.updatedAt = Date.now();
+
             const orderFile = path.join(this.ordersDir, `order-${orderId}.json`);
-            await fs.unlink(orderFile);
-            return true;
+            await fs.writeFile(orderFile, JSON.stringify(order, null, 2), 'utf8');
+            return order;
         } catch (error) {
-            console.error(`删除订单 ${orderId} 失败:`, error);
+            console.error(`重置订单 ${orderId} 链上数据失败:`, error);
             throw error;
         }
     }
+
+    /**
+     * 删除订单（谨慎使用）
+     */
+    async deleteOrder(orderId) {
+        return this.writeQueue.run(String(orderId), async () => {
+            try {
+                const orderFile = path.join(this.ordersDir, `order-${orderId}.json`);
+                await fs.unlink(orderFile);
+                return true;
+            } catch (error) {
+                console.error(`删除订单 ${orderId} 失败:`, error);
+                throw error;
+            }
+        });
+    }
+}
+
+/**
+ * 订单取消方（OrderCancelled 事件的 cancelledBy，小写），没有取消记录时返回 null
+ */
+function getCancelledBy(order) {
+    const entry = (order.history || []).find(item => item.event === 'OrderCancelled' && item.data && item.data.cancelledBy);
+    return entry ? entry.data.cancelledBy.toLowerCase() : null;
 }
 
+OrderStorageService.CHAIN_FIELDS = CHAIN_FIELDS;
+OrderStorageService.getCancelledBy = getCancelledBy;
+
 module.exports = OrderStorageService;
 
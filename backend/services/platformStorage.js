@@ -5,12 +5,15 @@
 
 const fs = require('fs').promises;
 const path = require('path');
+const KeyedQueue = require('../utils/keyedQueue');
 
 class PlatformStorageService {
     constructor(dataDir = path.join(__dirname, '../data')) {
         this.dataDir = dataDir;
         this.platformDir = path.join(dataDir, 'platform');
         this.summaryFile = path.join(this.platformDir, 'summary.json');
+        // 统计计数是读-改-写，区块链事件和 API 请求的更新在同一队列中排队
+        this.writeQueue = new KeyedQueue();
         this._initialized = false;
         this._initPromise = this.init().catch(error => {
             console.error('初始化平台存储目录失败:', error);
@@ -31,7 +34,8 @@ class PlatformStorageService {
             try {
                 await fs.access(this.summaryFile);
             } catch {
-                await this.saveSummary({
+                // 直接写文件：writeSummary 会等待初始化完成，在这里调用会一直等待
+                const summary = {
                     totalTransactions: 0,
                     totalRevenue: '0',
                     totalPlatformFee: '0',
@@ -39,7 +43,8 @@ class PlatformStorageService {
                     resolvedDisputes: 0,
                     createdAt: Date.now(),
                     updatedAt: Date.now()
-                });
+                };
+                await fs.writeFile(this.summaryFile, JSON.stringify(summary, null, 2), 'utf8');
             }
             
             this._initialized = true;
@@ -92,6 +97,10 @@ class PlatformStorageService {
      * 保存平台统计摘要
      */
     async saveSummary(summary) {
+        return this.writeQueue.run(this.summaryFile, () => this.writeSummary(summary));
+    }
+
+    async writeSummary(summary) {
         try {
             // 确保已初始化
             await this.ensureInitialized();
@@ -111,19 +120,25 @@ class PlatformStorageService {
         }
     }
 
+    /**
+     * 在写队列中读取摘要、修改后保存
+     * @param {function} update - (summary) => void
+     */
+    async modifySummary(update) {
+        return this.writeQueue.run(this.summaryFile, async () => {
+            const summary = await this.getSummary();
+            update(summary);
+            await this.writeSummary(summary);
+            return summary;
+        });
+    }
+
     /**
      * 更新平台统计（增量更新）
      */
     async updateSummary(updates) {
         try {
-            const summary = await this.getSummary();
-            const updated = {
-                ...summary,
-                ...updates,
-                updatedAt: Date.now()
-            };
-            await this.saveSummary(updated);
-            return updated;
+            return await this.modifySummary(summary => Object.assign(summary, updates));
         } catch (error) {
             console.error('更新平台统计失败:', error);
             throw error;
@@ -134,54 +149,47 @@ class PlatformStorageService {
      * 增加交易计数
      */
     async incrementTransactions(count = 1) {
-        const summary = await this.getSummary();
-        summary.totalTransactions = (summary.totalTransactions || 0) + count;
-        await this.saveSummary(summary);
-        return summary;
+        return this.modifySummary(summary => {
+            summary.totalTransactions = (summary.totalTransactions || 0) + count;
+        });
     }
 
     /**
      * 增加收入
      */
     async addRevenue(amount) {
-        const summary = await this.getSummary();
-        const currentRevenue = parseFloat(summary.totalRevenue || '0');
-        const newRevenue = currentRevenue + parseFloat(amount);
-        summary.totalRevenue = newRevenue.toString();
-        await this.saveSummary(summary);
-        return summary;
+        return this.modifySummary(summary => {
+            const currentRevenue = parseFloat(summary.totalRevenue || '0');
+            summary.totalRevenue = (currentRevenue + parseFloat(amount)).toString();
+        });
     }
 
     /**
      * 增加平台费用
      */
     async addPlatformFee(amount) {
-        const summary = await this.getSummary();
-        const currentFee = parseFloat(summary.totalPlatformFee || '0');
-        const newFee = currentFee + parseFloat(amount);
-        summary.totalPlatformFee = newFee.toString();
-        await this.saveSummary(summary);
-        return summary;
+        return this.modifySummary(summary => {
+            const currentFee = parseFloat(summary.totalPlatformFee || '0');
+            summary.totalPlatformFee = (currentFee + parseFloat(amount)).toString();
+        });
     }
 
     /**
      * 增加争议计数
      */
     async incrementDisputes(count = 1) {
-        const summary = await this.getSummary();
-        summary.totalDisputes = (summary.totalDisputes || 0) + count;
-        await this.saveSummary(summary);
-        return summary;
+        return this.modifySummary(summary => {
+            summary.totalDisputes = (summary.totalDisputes || 0) + count;
+        });
     }
 
     /**
      * 增加已解决争议计数
      */
     async incrementResolvedDisputes(count = 1) {
-        const summary = await this.getSummary();
-        summary.resolvedDisputes = (summary.resolvedDisputes || 0) + count;
-        await this.saveSummary(summary);
-        return summary;
+        return this.modifySummary(summary => {
+            summary.resolvedDisputes = (summary.resolvedDisputes || 0) + count;
+        });
     }
 
     /**
@@ -0,0 +1,447 @@
+/**
+ * 评价存储服务
+ * 由区块链监听服务把 TrustFlowRating 的 RatingSubmitted 事件索引为 JSON 文件（每条评价一个文件），
+ * 评价详情（长评和结构化标签）以 JSON 文档上传到 IPFS（或本地内容寻址存储），CID 作为 submitDetailedRating 的 ipfsHash；
+ * 评论审核只影响平台展示（链上评分和评论不变）
+ */
+
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const EvidenceStorageService = require('./evidenceStorage');
+const KeyedQueue = require('../utils/keyedQueue');
+
+const RATING_TAGS = ['cleanliness', 'punctuality', 'route'];
+const SORT_ORDERS = ['newest', 'oldest', 'highest', 'lowest'];
+// visible: 无需审核；pending: 命中屏蔽词或被举报，等待审核；approved: 审核通过；hidden: 审核隐藏
+const MODERATION_STATUSES = ['visible', 'pending', 'approved', 'hidden'];
+const DETAIL_TYPE = 'trustflow-rating-detail';
+
+// 默认屏蔽词（不区分大小写），可通过配置覆盖
+const DEFAULT_BLOCKED_WORDS = ['傻逼', '去死', '王八蛋', '混蛋', 'fuck', 'shit', 'bitch', 'idiot'];
+
+class RatingStorageService {
+    /**
+     * @param {object} ipfsProvider - 提供 IPFS 客户端的服务（TF_LocationTrackingService：ipfsEnabled、initIPFS()）
+     */
+    constructor(config = {}, ipfsProvider = null, dataDir = path.join(__dirname, '../data')) {
+        const ratingsConfig = config.services?.ratings || {};
+        this.pageSize = ratingsConfig.pageSize || 10; // 默认每页条数
+        this.maxPageSize = ratingsConfig.maxPageSize || 50; // 每页最多条数
+        this.maxReviewLength = ratingsConfig.maxReviewLength || 1000; // 长评最大字符数
+        this.blockedWords = (ratingsConfig.blockedWords || DEFAULT_BLOCKED_WORDS).map(word => word.toLowerCase());
+        this.ipfsProvider = ipfsProvider;
+
+        this.ratingsDir = path.join(dataDir, 'ratings');
+        this.detailsDir = path.join(this.ratingsDir, 'details');
+        this.writeQueue = new KeyedQueue(); // 同一评价文件的读-改-写按顺序执行（监听服务和 API 共用同一实例）
+        this.initPromise = fs.mkdir(this.detailsDir, { recursive: true }).catch(error => {
+            console.error('初始化评价存储目录失败:', error);
+        });
+    }
+
+    getRatingFile(orderId, rater) {
+        return path.join(this.ratingsDir, `rating-${parseInt(orderId)}-${rater.toLowerCase()}.json`);
+    }
+
+    /**
+     * 在该评价文件的写队列中读取评价并执行更新
+     */
+    async updateRating(orderId, rater, update) {
+        return this.writeQueue.run(this.getRatingFile(orderId, rater), async () => update(await this.getRating(orderId, rater)));
+    }
+
+    /**
+     * 校验评价详情
+     * @param {object} detail - { orderId, ratee, review, tags: { cleanliness, punctuality, route }（1-5） }
+     * @returns {object} 规范化后的 { orderId, ratee, review, tags }
+     */
+    validateDetail(detail = {}) {
+        const orderId = parseInt(detail.orderId);
+        if (isNaN(orderId) || orderId < 0) {
+            throw new Error('评价详情缺少有效的订单ID');
+        }
+        if (!/^0x[0-9a-fA-F]{40}$/.test(detail.ratee || '')) {
+            throw new Error('评价详情缺少有效的被评价者地址');
+        }
+
+        const review = String(detail.review || '').trim();
+        if (review.length > this.maxReviewLength) {
+            throw new Error(`评价内容不能超过 ${this.maxReviewLength} 个字符`);
+        }
+
+        const tags = {};
+        for (const [tag, value] of Object.entries(detail.tags || {})) {
+            if (!RATING_TAGS.includes(tag)) {
+                throw new Error(`不支持的评价标签: ${tag}`);
+            }
+            if (value === null || value === undefined || value === '') {
+                continue;
+            }
+            const score = Number(value);
+            if (!Number.isInteger(score) || score < 1 || score > 5) {
+                throw new Error(`评价标签 ${tag} 的评分必须是 1-5 的整数`);
+            }
+            tags[tag] = score;
+        }
+
+        if (!review && Object.keys(tags).length === 0) {
+            throw new Error('评价详情至少需要评价内容或一个标签评分');
+        }
+        return { orderId, ratee: detail.ratee.toLowerCase(), review, tags };
+    }
+
+    /**
+     * 保存评价详情文档并返回 CID（submitDetailedRating 的 ipfsHash）
+     * @param {string} rater - 评价者地址（详情绑定评价者和订单，索引时校验，防止挪用他人的详情）
+     */
+    async storeDetail(detail, rater) {
+        const normalized = this.validateDetail(detail);
+        await this.initPromise;
+
+        const document = {
+            type: DETAIL_TYPE,
+            version: 1,
+            orderId: normalized.orderId,
+            rater: rater.toLowerCase(),
+            ratee: normalized.ratee,
+            review: normalized.review,
+            tags: normalized.tags
+        };
+        const buffer = Buffer.from(JSON.stringify(document), 'utf8');
+        const localCid = EvidenceStorageService.computeRawCid(crypto.createHash('sha256').update(buffer).digest());
+        const ipfsCid = await this.uploadToIPFS(buffer);
+        const cid = ipfsCid || localCid;
+
+        await fs.writeFile(path.join(this.detailsDir, `${cid}.json`), buffer);
+        return { cid, storage: ipfsCid ? 'ipfs' : 'local', detail: document };
+    }
+
+    /**
+     * 上传到 IPFS，未启用或失败时返回 null（详情仍保存在本地）
+     */
+    async uploadToIPFS(buffer) {
+        if (!this.ipfsProvider || !this.ipfsProvider.ipfsEnabled) {
+            return null;
+        }
+
+        try {
+            const ipfs = await this.ipfsProvider.initIPFS();
+            if (!ipfs) {
+                return null;
+            }
+            const result = await ipfs.add(buffer, { cidVersion: 1 });
+            return result && result.path ? result.path : null;
+        } catch (error) {
+            console.error('评价详情上传IPFS失败，改为本地存储:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * 读取评价详情，不存在或格式不对时返回 null
+     */
+    async getDetail(cid) {
+        if (!EvidenceStorageService.isValidCid(cid)) {
+            return null;
+        }
+        try {
+            const detail = JSON.parse(await fs.readFile(path.join(this.detailsDir, `${cid}.json`), 'utf8'));
+            return detail.type === DETAIL_TYPE ? detail : null;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.error(`读取评价详情 ${cid} 失败:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * 读取评价，不存在时返回 null
+     */
+    async getRating(orderId, rater) {
+        try {
+            const data = await fs.readFile(this.getRatingFile(orderId, rater), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            console.error(`读取订单 #${orderId} 的评价失败:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 获取所有评价
+     */
+    async getAllRatings() {
+        await this.initPromise;
+        const files = await fs.readdir(this.ratingsDir);
+        const ratings = await Promise.all(
+            files
+                .filter(f => f.startsWith('rating-') && f.endsWith('.json'))
+                .map(async (file) => {
+                    try {
+                        return JSON.parse(await fs.readFile(path.join(this.ratingsDir, file), 'utf8'));
+                    } catch (error) {
+                        console.error(`读取评价文件 ${file} 失败:`, error);
+                        return null;
+                    }
+                })
+        );
+        return ratings.filter(rating => rating !== null);
+    }
+
+    /**
+     * 索引链上评价（同一订单同一评价者只有一条，重复收到时保留审核状态）
+     * 详情文档的订单和评价者与链上评价一致时才合并长评和标签
+     * @param {object} rating - { orderId, rater, ratee, score, comment, ipfsHash, timestamp（秒）, blockNumber, transactionHash, logIndex, blockHash }
+     * @param {object} options - { confirmation: 'pending' | 'confirmed' }
+     */
+    async saveRating(rating, options = {}) {
+        await this.initPromise;
+        const detail = rating.ipfsHash ? await this.getDetail(rating.ipfsHash) : null;
+        const detailMatches = !!detail
+            && detail.orderId === parseInt(rating.orderId)
+            && detail.rater === rating.rater.toLowerCase()
+            && detail.ratee === rating.ratee.toLowerCase();
+
+        return this.updateRating(rating.orderId, rating.rater, existing => this.writeRating({
+            orderId: parseInt(rating.orderId),
+            rater: rating.rater.toLowerCase(),
+            ratee: rating.ratee.toLowerCase(),
+            score: Number(rating.score),
+            comment: rating.comment || '',
+            ipfsHash: rating.ipfsHash || '',
+            review: detailMatches ? detail.review : '',
+            tags: detailMatches ? detail.tags : {},
+            timestamp: rating.timestamp,
+            blockNumber: rating.blockNumber ?? null,
+            transactionHash: rating.transactionHash || null,
+            logIndex: rating.logIndex ?? null,
+            blockHash: rating.blockHash || null,
+            confirmation: options.confirmation || 'confirmed',
+            moderation: existing?.moderation || this.autoModerate(`${rating.comment || ''}\n${detailMatches ? detail.review : ''}`),
+            indexedAt: existing?.indexedAt || Date.now()
+        }));
+    }
+
+    /**
+     * 命中屏蔽词的评论进入审核队列
+     */
+    autoModerate(text) {
+        const lower = text.toLowerCase();
+        const matched = this.blockedWords.filter(word => lower.includes(word));
+        return matched.length > 0
+            ? { status: 'pending', flags: matched.map(word => `blocked_word:${word}`), reports: [] }
+            : { status: 'visible', flags: [], reports: [] };
+    }
+
+    async confirmRating(orderId, rater) {
+        return this.updateRating(orderId, rater, rating => {
+            if (!rating) {
+                return null;
+            }
+            rating.confirmation = 'confirmed';
+            return this.writeRating(rating);
+        });
+    }
+
+    /**
+     * 删除评价（评价事件被重组回滚时使用）
+     */
+    async deleteRating(orderId, rater) {
+        return this.writeQueue.run(this.getRatingFile(orderId, rater), async () => {
+            try {
+                await fs.unlink(this.getRatingFile(orderId, rater));
+                return true;
+            } catch (error) {
+                if (error.code === 'ENOENT') {
+                    return false;
+                }
+                console.error(`删除订单 #${orderId} 的评价失败:`, error);
+                throw error;
+            }
+        });
+    }
+
+    async writeRating(rating) {
+        rating.updatedAt = Date.now();
+        await fs.writeFile(this.getRatingFile(rating.orderId, rating.rater), JSON.stringify(rating, null, 2), 'utf8');
+        return rating;
+    }
+
+    /**
+     * 筛选评价
+     * @param {object} filters - { orderId, rater, ratee, moderation }
+     */
+    async listRatings(filters = {}) {
+        const same = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+        const ratings = await this.getAllRatings();
+        return ratings.filter(rating => {
+            if (filters.orderId !== undefined && filters.orderId !== null && rating.orderId !== parseInt(filters.orderId)) {
+                return false;
+            }
+            if (filters.rater && !same(rating.rater, filters.rater)) {
+                return false;
+            }
+            if (filters.ratee && !same(rating.ratee, filters.ratee)) {
+                return false;
+            }
+            if (filters.moderation && rating.moderation.status !== filters.moderation) {
+                return false;
+            }
+            return true;
+        });
+    }
+
+    /**
+     * 用户收到的评价：评分汇总（含被隐藏评论的评分，与链上一致）和分页列表
+     * @param {object} options - { page（从 1 开始）, pageSize, sort: 'newest' | 'oldest' | 'highest' | 'lowest', includeHidden }
+     * @returns {object} { summary, ratings, pagination: { page, pageSize, total, totalPages }, sort }
+     */
+    async getUserRatings(address, options = {}) {
+        const ratings = await this.listRatings({ ratee: address });
+
+        const sort = SORT_ORDERS.includes(options.sort) ? options.sort : 'newest';
+        const comparators = {
+            newest: (a, b) => b.timestamp - a.timestamp,
+            oldest: (a, b) => a.timestamp - b.timestamp,
+            highest: (a, b) => b.score - a.score || b.timestamp - a.timestamp,
+            lowest: (a, b) => a.score - b.score || b.timestamp - a.timestamp
+        };
+        ratings.sort((a, b) => comparators[sort](a, b) || a.orderId - b.orderId);
+
+        const pageSize = Math.min(Math.max(parseInt(options.pageSize) || this.pageSize, 1), this.maxPageSize);
+        const total = ratings.length;
+        const totalPages = Math.max(Math.ceil(total / pageSize), 1);
+        const page = Math.min(Math.max(parseInt(options.page) || 1, 1), totalPages);
+
+        return {
+            summary: summarize(ratings),
+            ratings: ratings
+                .slice((page - 1) * pageSize, page * pageSize)
+                .map(rating => options.includeHidden ? rating : toPublicRating(rating)),
+            pagination: { page, pageSize, total, totalPages },
+            sort
+        };
+    }
+
+    /**
+     * 被评价者举报评论，进入审核队列（已审核过的评价不再重复入队）
+     */
+    async report(orderId, rater, reporter, reason = '') {
+        return this.updateRating(orderId, rater, rating => {
+            if (!rating) {
+                throw new Error('评价不存在');
+            }
+            if (rating.ratee !== reporter.toLowerCase()) {
+                throw new Error('只有被评价者可以举报评价');
+            }
+
+            const moderation = rating.moderation;
+            if (moderation.reports.some(item => item.reporter === reporter.toLowerCase())) {
+                throw new Error('已举报过该评价');
+            }
+            moderation.reports.push({ reporter: reporter.toLowerCase(), reason: String(reason || '').slice(0, 200), reportedAt: Date.now() });
+            if (moderation.status === 'visible') {
+                moderation.status = 'pending';
+            }
+            return this.writeRating(rating);
+        });
+    }
+
+    /**
+     * 审核评价：hide 隐藏评论，approve 审核通过（已隐藏的也可恢复）
+     * @param {object} decision - { action: 'hide' | 'approve', reason, moderator }
+     */
+    async moderate(orderId, rater, decision = {}) {
+        return this.updateRating(orderId, rater, rating => {
+            if (!rating) {
+                throw new Error('评价不存在');
+            }
+            if (!['hide', 'approve'].includes(decision.action)) {
+                throw new Error('无效的审核操作，必须是 hide 或 approve');
+            }
+
+            rating.moderation = {
+                ...rating.moderation,
+                status: decision.action === 'hide' ? 'hidden' : 'approved',
+                reason: String(decision.reason || '').slice(0, 200),
+                moderatedBy: decision.moderator ? decision.moderator.toLowerCase() : null,
+                moderatedAt: Date.now()
+            };
+            return this.writeRating(rating);
+        });
+    }
+
+    /**
+     * 审核队列（默认待审核，按被举报次数、评价时间排序）
+     */
+    async getModerationQueue(status = 'pending') {
+        if (status !== 'all' && !MODERATION_STATUSES.includes(status)) {
+            throw new Error(`无效的审核状态: ${status}`);
+        }
+        const ratings = await this.listRatings(status === 'all' ? {} : { moderation: status });
+        return ratings.sort((a, b) => b.moderation.reports.length - a.moderation.reports.length || b.timestamp - a.timestamp);
+    }
+}
+
+/**
+ * 评分汇总：总数、平均分、星级分布、各标签平均分
+ */
+function summarize(ratings) {
+    const stars = [0, 0, 0, 0, 0, 0];
+    const tagTotals = {};
+    let totalScore = 0;
+    for (const rating of ratings) {
+        stars[rating.score] = (stars[rating.score] || 0) + 1;
+        totalScore += rating.score;
+        for (const [tag, score] of Object.entries(rating.tags || {})) {
+            tagTotals[tag] = tagTotals[tag] || { total: 0, count: 0 };
+            tagTotals[tag].total += score;
+            tagTotals[tag].count++;
+        }
+    }
+
+    return {
+        totalRatings: ratings.length,
+        averageScore: ratings.length > 0 ? Math.round(totalScore / ratings.length * 100) / 100 : 0,
+        fiveStars: stars[5],
+        fourStars: stars[4],
+        threeStars: stars[3],
+        twoStars: stars[2],
+        oneStar: stars[1],
+        tagAverages: Object.fromEntries(RATING_TAGS
+            .filter(tag => tagTotals[tag])
+            .map(tag => [tag, { average: Math.round(tagTotals[tag].total / tagTotals[tag].count * 100) / 100, count: tagTotals[tag].count }]))
+    };
+}
+
+/**
+ * 对外展示的评价：待审核和被隐藏的评论和长评不返回，审核细节不公开
+ */
+function toPublicRating(rating) {
+    const hidden = rating.moderation.status === 'pending' || rating.moderation.status === 'hidden';
+    return {
+        orderId: rating.orderId,
+        rater: rating.rater,
+        ratee: rating.ratee,
+        score: rating.score,
+        comment: hidden ? null : rating.comment,
+        review: hidden ? null : rating.review,
+        tags: rating.tags,
+        ipfsHash: rating.ipfsHash,
+        timestamp: rating.timestamp,
+        confirmation: rating.confirmation,
+        hidden
+    };
+}
+
+RatingStorageService.TAGS = RATING_TAGS;
+RatingStorageService.SORT_ORDERS = SORT_ORDERS;
+RatingStorageService.MODERATION_STATUSES = MODERATION_STATUSES;
+RatingStorageService.toPublicRating = toPublicRating;
+
+module.exports = RatingStorageService;
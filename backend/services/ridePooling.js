@@ -0,0 +1,203 @@
+/**
+ * 拼车服务
+ * 判断新订单能否并入司机进行中的行程：把新乘客的上车点和目的地插入当前路线，
+ * 所有乘客的绕路距离都在阈值内才允许拼车；拼成后按路段上的乘客人数分摊车程
+ */
+
+const crypto = require('crypto');
+const { calculateDistance, normalizeLocation } = require('../utils/geo');
+
+class RidePoolingService {
+    constructor(config) {
+        const poolingConfig = config.services?.pooling || {};
+        this.enabled = poolingConfig.enabled !== false;
+        this.maxPassengers = poolingConfig.maxPassengers || 2; // 同一行程最多乘客数（订单数）
+        this.maxDetourKm = poolingConfig.maxDetourKm ?? 3; // 每位乘客最多绕路距离（公里）
+        this.maxDetourRatio = poolingConfig.maxDetourRatio ?? 0.3; // 每位乘客最多绕路比例（相对直达距离）
+        this.maxPickupDistance = poolingConfig.maxPickupDistance ?? 3; // 司机当前位置到新乘客上车点的最大距离（公里）
+    }
+
+    /**
+     * 乘客可接受的绕路距离（公里）
+     */
+    getAllowedDetour(order) {
+        const direct = distanceBetween(order.pickup, order.destination);
+        return Math.min(this.maxDetourKm, direct * this.maxDetourRatio);
+    }
+
+    /**
+     * 规划拼车路线：在司机当前行程中插入新订单的上车点和目的地，取总里程最短的可行方案
+     * @param {object} driverLocation - 司机当前位置 { lat, lng }
+     * @param {Array} activeOrders - 司机进行中的订单（乘客已上车）[{ orderId, pickup, destination }]
+     * @param {object} order - 新订单 { orderId, pickup, destination }
+     * @returns {object|null} { start, route, distance, pickupDistance, detours }，任一乘客绕路超过阈值时返回 null
+     */
+    planRoute(driverLocation, activeOrders, order) {
+        const start = normalizeLocation(driverLocation);
+        if (!this.enabled || !start || activeOrders.length === 0 || activeOrders.length + 1 > this.maxPassengers) {
+            return null;
+        }
+
+        const pickupDistance = distanceBetween(start, order.pickup);
+        if (pickupDistance > this.maxPickupDistance) {
+            return null;
+        }
+
+        // 当前行程：按距离由近到远依次送达已上车的乘客
+        const dropoffs = activeOrders
+            .map(active => ({ type: 'dropoff', orderId: active.orderId, ...normalizeLocation(active.destination) }))
+            .sort((a, b) => distanceBetween(start, a) - distanceBetween(start, b));
+        const baseline = arrivalDistances(start, dropoffs);
+
+        const pickupStop = { type: 'pickup', orderId: order.orderId, ...normalizeLocation(order.pickup) };
+        const dropoffStop = { type: 'dropoff', orderId: order.orderId, ...normalizeLocation(order.destination) };
+        const allowed = new Map(activeOrders.map(active => [active.orderId, this.getAllowedDetour(active)]));
+        allowed.set(order.orderId, this.getAllowedDetour(order));
+        const direct = distanceBetween(order.pickup, order.destination);
+
+        let best = null;
+        for (let i = 0; i <= dropoffs.length; i++) {
+            for (let j = i; j <= dropoffs.length; j++) {
+                const route = [...dropoffs];
+                route.splice(i, 0, pickupStop);
+                route.splice(j + 1, 0, dropoffStop);
+
+                const arrivals = arrivalDistances(start, route);
+                const detours = {};
+                let feasible = true;
+                for (const [orderId, limit] of allowed) {
+                    // 新乘客按上车后的车程计算绕路，已上车乘客按送达时间推迟的里程计算
+                    const detour = orderId === order.orderId
+                        ? arrivals.get(orderId) - arrivals.get(`pickup:${orderId}`) - direct
+                        : arrivals.get(orderId) - baseline.get(orderId);
+                    detours[orderId] = round(Math.max(detour, 0));
+                    if (detour > limit) {
+                        feasible = false;
+                        break;
+                    }
+                }
+
+                const distance = arrivals.get('total');
+                if (feasible && (!best || distance < best.distance)) {
+                    best = { route, distance, detours };
+                }
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+        return {
+            start,
+            route: best.route.map(stop => ({ ...stop, lat: round(stop.lat, 6), lng: round(stop.lng, 6) })),
+            distance: round(best.distance),
+            pickupDistance: round(pickupDistance),
+            detours: best.detours
+        };
+    }
+
+    /**
+     * 按路段分摊车程：每段里程由车上乘客平均分摊
+     * @param {object} driverLocation - 拼车开始时司机位置
+     * @param {Array} route - planRoute 返回的路线
+     * @param {Array} onboardOrderIds - 拼车开始时已在车上的订单
+     * @returns {object} { orderId: { rideDistance, sharedDistance, costDistance, share } }
+     */
+    splitFares(driverLocation, route, onboardOrderIds) {
+        const onboard = new Set(onboardOrderIds);
+        const result = {};
+        const ensure = (orderId) => {
+            if (!result[orderId]) {
+                result[orderId] = { rideDistance: 0, sharedDistance: 0, costDistance: 0 };
+            }
+            return result[orderId];
+        };
+        onboard.forEach(ensure);
+
+        let previous = normalizeLocation(driverLocation);
+        for (const stop of route) {
+            const segment = distanceBetween(previous, stop);
+            for (const orderId of onboard) {
+                const entry = ensure(orderId);
+                entry.rideDistance += segment;
+                entry.costDistance += segment / onboard.size;
+                if (onboard.size > 1) {
+                    entry.sharedDistance += segment;
+                }
+            }
+
+            if (stop.type === 'pickup') {
+                onboard.add(stop.orderId);
+                ensure(stop.orderId);
+            } else {
+                onboard.delete(stop.orderId);
+            }
+            previous = stop;
+        }
+
+        const totalCost = Object.values(result).reduce((sum, entry) => sum + entry.costDistance, 0);
+        for (const entry of Object.values(result)) {
+            entry.share = totalCost > 0 ? round(entry.costDistance / totalCost, 4) : 0;
+            entry.rideDistance = round(entry.rideDistance);
+            entry.sharedDistance = round(entry.sharedDistance);
+            entry.costDistance = round(entry.costDistance);
+        }
+        return result;
+    }
+
+    /**
+     * 生成拼车记录（关联同一行程的订单）
+     * @param {string} driverId
+     * @param {Array} orders - 拼车的订单（含 estimatedFare，ETH）
+     * @param {object} plan - planRoute 返回的方案
+     * @param {string} existingPoolId - 并入已有拼车行程时沿用其 poolId
+     */
+    createPool(driverId, orders, plan, existingPoolId = null) {
+        const newOrderIds = new Set(plan.route.filter(stop => stop.type === 'pickup').map(stop => stop.orderId));
+        const onboard = orders.map(order => order.orderId).filter(orderId => !newOrderIds.has(orderId));
+        const split = this.splitFares(plan.start, plan.route, onboard);
+
+        return {
+            poolId: existingPoolId || crypto.randomBytes(8).toString('hex'),
+            driver: driverId,
+            orderIds: orders.map(order => order.orderId),
+            route: plan.route,
+            detours: plan.detours,
+            // 每位乘客按拼车报价支付（订单创建时锁定在合约中），share 为拼车路段的车程分摊比例
+            fares: Object.fromEntries(orders.map(order => [order.orderId, {
+                fareETH: order.estimatedFare,
+                ...split[order.orderId]
+            }])),
+            createdAt: Date.now()
+        };
+    }
+}
+
+function distanceBetween(from, to) {
+    const a = normalizeLocation(from);
+    const b = normalizeLocation(to);
+    return calculateDistance(a.lat, a.lng, b.lat, b.lng);
+}
+
+/**
+ * 沿路线累计到达各站点的里程 { orderId（送达）| pickup:orderId（上车）| total: 距离 }
+ */
+function arrivalDistances(start, route) {
+    const arrivals = new Map();
+    let distance = 0;
+    let previous = start;
+    for (const stop of route) {
+        distance += distanceBetween(previous, stop);
+        arrivals.set(stop.type === 'pickup' ? `pickup:${stop.orderId}` : stop.orderId, distance);
+        previous = stop;
+    }
+    arrivals.set('total', distance);
+    return arrivals;
+}
+
+function round(value, decimals = 3) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+}
+
+module.exports = RidePoolingService;
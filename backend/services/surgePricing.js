@@ -0,0 +1,202 @@
+/**
+ * 动态定价服务
+ * 根据订单匹配服务中的在线司机（供给）和待接订单（需求），按geohash网格计算溢价倍数
+ */
+
+const { encodeGeohash, decodeGeohash, isValidLocation } = require('../utils/geo');
+
+class SurgePricingService {
+    constructor(config, orderMatchingService) {
+        this.config = config;
+        this.orderMatchingService = orderMatchingService;
+
+        const surgeConfig = config.services?.surge || {};
+        this.enabled = surgeConfig.enabled !== false;
+        this.precision = surgeConfig.geohashPrecision || 5;
+        this.demandThreshold = surgeConfig.demandThreshold ?? 1; // 需求/供给比超过该值才开始溢价
+        this.sensitivity = surgeConfig.sensitivity ?? 0.5; // 每超出1单位比值增加的倍数
+        this.maxMultiplier = surgeConfig.maxMultiplier || 3; // 最高溢价倍数
+        this.historyInterval = surgeConfig.historyInterval || 60000; // 历史快照间隔（毫秒）
+        this.historyRetention = surgeConfig.historyRetention || 24 * 60 * 60 * 1000; // 历史保留时间（毫秒）
+
+        // 历史快照 [{ timestamp, cells: [{ cell, demand, supply, multiplier }] }]
+        this.history = [];
+        this.historyTimer = null;
+    }
+
+    /**
+     * 启动历史快照记录
+     */
+    start() {
+        if (!this.enabled || this.historyTimer) {
+            return;
+        }
+
+        this.historyTimer = setInterval(() => {
+            try {
+                this.recordSnapshot();
+            } catch (error) {
+                console.error('[SurgePricing] 记录溢价快照失败:', error.message);
+            }
+        }, this.historyInterval);
+
+        console.log(`✅ 动态定价已启用 (网格精度: ${this.precision}, 最高倍数: ${this.maxMultiplier}x)`);
+    }
+
+    /**
+     * 停止历史快照记录
+     */
+    stop() {
+        if (this.historyTimer) {
+            clearInterval(this.historyTimer);
+            this.historyTimer = null;
+        }
+    }
+
+    /**
+     * 获取坐标所在网格
+     */
+    getCell(lat, lng) {
+        return encodeGeohash(lat, lng, this.precision);
+    }
+
+    /**
+     * 统计各网格的需求和供给
+     * @returns {Map<string, {demand, supply}>}
+     */
+    collectCells() {
+        const cells = new Map();
+        const getEntry = (cell) => {
+            if (!cells.has(cell)) {
+                cells.set(cell, { demand: 0, supply: 0 });
+            }
+            return cells.get(cell);
+        };
+
+        for (const driver of this.orderMatchingService.onlineDrivers.values()) {
+            if (isValidLocation(driver.location)) {
+                getEntry(this.getCell(driver.location.lat, driver.location.lng)).supply++;
+            }
+        }
+
+        for (const order of this.orderMatchingService.pendingOrders) {
+            if (isValidLocation(order.pickup)) {
+                getEntry(this.getCell(order.pickup.lat, order.pickup.lng)).demand++;
+            }
+        }
+
+        return cells;
+    }
+
+    /**
+     * 根据需求和供给计算溢价倍数（保留一位小数，限制在 1 ~ maxMultiplier）
+     */
+    calculateMultiplier(demand, supply) {
+        if (!this.enabled || demand === 0) {
+            return { multiplier: 1, capped: false };
+        }
+
+        const ratio = demand / Math.max(supply, 1);
+        const raw = 1 + Math.max(0, ratio - this.demandThreshold) * this.sensitivity;
+        const capped = raw > this.maxMultiplier;
+        const multiplier = Math.round(Math.min(raw, this.maxMultiplier) * 10) / 10;
+
+        return { multiplier, capped };
+    }
+
+    /**
+     * 获取指定位置的溢价信息
+     */
+    getSurge(lat, lng) {
+        const cell = this.getCell(lat, lng);
+        const { demand = 0, supply = 0 } = this.collectCells().get(cell) || {};
+        const { multiplier, capped } = this.calculateMultiplier(demand, supply);
+
+        return {
+            cell,
+            center: decodeGeohash(cell),
+            demand,
+            supply,
+            multiplier,
+            capped,
+            maxMultiplier: this.maxMultiplier,
+            timestamp: Date.now()
+        };
+    }
+
+    /**
+     * 获取指定位置的溢价倍数（供报价使用）
+     */
+    getMultiplier(lat, lng) {
+        return this.getSurge(lat, lng).multiplier;
+    }
+
+    /**
+     * 获取当前所有有供需的网格
+     */
+    getCurrentCells() {
+        const result = [];
+        for (const [cell, { demand, supply }] of this.collectCells().entries()) {
+            const { multiplier, capped } = this.calculateMultiplier(demand, supply);
+            const { lat, lng } = decodeGeohash(cell);
+            result.push({ cell, lat, lng, demand, supply, multiplier, capped });
+        }
+        return result.sort((a, b) => b.multiplier - a.multiplier);
+    }
+
+    /**
+     * 记录一次快照并清理过期历史
+     */
+    recordSnapshot() {
+        const now = Date.now();
+        this.history.push({
+            timestamp: now,
+            cells: this.getCurrentCells().map(({ cell, demand, supply, multiplier }) => ({
+                cell, demand, supply, multiplier
+            }))
+        });
+
+        const cutoff = now - this.historyRetention;
+        while (this.history.length > 0 && this.history[0].timestamp < cutoff) {
+            this.history.shift();
+        }
+    }
+
+    /**
+     * 获取溢价历史
+     * @param {object} options - { cell: 指定网格, since: 起始时间戳（毫秒） }
+     * @returns {Array} 指定网格时返回该网格的序列，否则返回全局汇总序列
+     */
+    getHistory({ cell = null, since = 0 } = {}) {
+        const snapshots = this.history.filter(snapshot => snapshot.timestamp >= since);
+
+        if (cell) {
+            return snapshots.map(snapshot => {
+                const entry = snapshot.cells.find(c => c.cell === cell);
+                return {
+                    timestamp: snapshot.timestamp,
+                    demand: entry ? entry.demand : 0,
+                    supply: entry ? entry.supply : 0,
+                    multiplier: entry ? entry.multiplier : 1
+                };
+            });
+        }
+
+        return snapshots.map(snapshot => {
+            const multipliers = snapshot.cells.map(c => c.multiplier);
+            const surging = multipliers.filter(m => m > 1);
+            return {
+                timestamp: snapshot.timestamp,
+                maxMultiplier: multipliers.length > 0 ? Math.max(...multipliers) : 1,
+                avgMultiplier: multipliers.length > 0
+                    ? Math.round(multipliers.reduce((sum, m) => sum + m, 0) / multipliers.length * 100) / 100
+                    : 1,
+                surgingCells: surging.length,
+                totalDemand: snapshot.cells.reduce((sum, c) => sum + c.demand, 0),
+                totalSupply: snapshot.cells.reduce((sum, c) => sum + c.supply, 0)
+            };
+        });
+    }
+}
+
+module.exports = SurgePricingService;
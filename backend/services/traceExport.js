@@ -0,0 +1,213 @@
+/**
+ * 行程轨迹导出服务
+ * 将行程位置点（含时间、速度、航向）输出为 GPX / GeoJSON / KML，便于附加到争议或导入 GIS 工具
+ */
+
+// 支持的导出格式
+const EXPORT_FORMATS = {
+    gpx: { extension: 'gpx', contentType: 'application/gpx+xml; charset=utf-8' },
+    geojson: { extension: 'geojson', contentType: 'application/geo+json; charset=utf-8' },
+    kml: { extension: 'kml', contentType: 'application/vnd.google-earth.kml+xml; charset=utf-8' }
+};
+
+class TraceExportService {
+    /**
+     * 是否支持该导出格式
+     */
+    isSupportedFormat(format) {
+        return Object.prototype.hasOwnProperty.call(EXPORT_FORMATS, format);
+    }
+
+    /**
+     * 生成导出文件
+     * @param {object} trip - 行程详情（getTripDetails 返回值，需包含 points）
+     * @param {string} format - gpx | geojson | kml
+     * @returns {{filename, contentType, body, totalPoints}}
+     */
+    exportTrip(trip, format = 'gpx') {
+        if (!this.isSupportedFormat(format)) {
+            throw new Error(`不支持的导出格式: ${format}`);
+        }
+
+        const points = (trip.points || []).filter(point => Number.isFinite(point.lat) && Number.isFinite(point.lng));
+        let body;
+        if (format === 'geojson') {
+            body = this.toGeoJSON(trip, points);
+        } else if (format === 'kml') {
+            body = this.toKML(trip, points);
+        } else {
+            body = this.toGPX(trip, points);
+        }
+
+        const { extension, contentType } = EXPORT_FORMATS[format];
+        return {
+            filename: `trip-${trip.orderId}.${extension}`,
+            contentType,
+            body,
+            totalPoints: points.length
+        };
+    }
+
+    /**
+     * GPX 1.1：速度（米/秒）和航向写入 Garmin TrackPointExtension，异常点在 desc 中注明
+     */
+    toGPX(trip, points) {
+        const stops = (trip.stops || []).map((stop, index) => [
+            `  <wpt lat="${stop.lat}" lon="${stop.lng}">`,
+            stop.arrivedAt ? `    <time>${isoTime(stop.arrivedAt)}</time>` : null,
+            `    <name>${escapeXml(stop.address || `${stop.type || 'stop'} ${index + 1}`)}</name>`,
+            `    <type>${escapeXml(stop.type || 'stop')}</type>`,
+            '  </wpt>'
+        ].filter(Boolean).join('\n'));
+
+        const trackPoints = points.map(point => [
+            `      <trkpt lat="${point.lat}" lon="${point.lng}">`,
+            `        <time>${isoTime(point.timestamp)}</time>`,
+            point.flags && point.flags.length > 0 ? `        <desc>${escapeXml(point.flags.join(','))}</desc>` : null,
+            '        <extensions>',
+            '          <gpxtpx:TrackPointExtension>',
+            `            <gpxtpx:speed>${point.speed || 0}</gpxtpx:speed>`,
+            `            <gpxtpx:course>${point.heading || 0}</gpxtpx:course>`,
+            '          </gpxtpx:TrackPointExtension>',
+            '        </extensions>',
+            '      </trkpt>'
+        ].filter(Boolean).join('\n'));
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<gpx version="1.1" creator="TrustFlow" xmlns="http://www.topografix.com/GPX/1/1"',
+            '     xmlns:gpxtpx="http://www.garmin.com/xmlschemas/TrackPointExtension/v2">',
+            '  <metadata>',
+            `    <name>Order #${escapeXml(trip.orderId)}</name>`,
+            trip.startTime ? `    <time>${isoTime(trip.startTime)}</time>` : null,
+            '  </metadata>',
+            ...stops,
+            '  <trk>',
+            `    <name>Order #${escapeXml(trip.orderId)}</name>`,
+            '    <trkseg>',
+            ...trackPoints,
+            '    </trkseg>',
+            '  </trk>',
+            '</gpx>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+
+    /**
+     * GeoJSON：一条行程线（coordTimes 记录每个点的时间）+ 每个位置点和站点的 Point 要素
+     */
+    toGeoJSON(trip, points) {
+        const features = [{
+            type: 'Feature',
+            geometry: {
+                type: 'LineString',
+                coordinates: points.map(point => [point.lng, point.lat])
+            },
+            properties: {
+                orderId: trip.orderId,
+                driverAddress: trip.driverAddress,
+                passengerAddress: trip.passengerAddress,
+                startTime: trip.startTime ? isoTime(trip.startTime) : null,
+                endTime: trip.endTime ? isoTime(trip.endTime) : null,
+                distance: trip.distance,
+                integrity: trip.integrity || null,
+                coordTimes: points.map(point => isoTime(point.timestamp))
+            }
+        }];
+
+        points.forEach((point, index) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [point.lng, point.lat] },
+                properties: {
+                    kind: 'trackpoint',
+                    index,
+                    time: isoTime(point.timestamp),
+                    speed: point.speed || 0,
+                    heading: point.heading || 0,
+                    accuracy: point.accuracy || 0,
+                    flags: point.flags || []
+                }
+            });
+        });
+
+        (trip.stops || []).forEach((stop, index) => {
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [stop.lng, stop.lat] },
+                properties: {
+                    kind: stop.type || 'stop',
+                    index,
+                    address: stop.address || '',
+                    arrivedAt: stop.arrivedAt ? isoTime(stop.arrivedAt) : null
+                }
+            });
+        });
+
+        return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+
+    /**
+     * KML 2.2：gx:Track 记录时间和坐标，速度、航向通过 SimpleArrayData 附加到每个点
+     */
+    toKML(trip, points) {
+        const stops = (trip.stops || []).map((stop, index) => [
+            '    <Placemark>',
+            `      <name>${escapeXml(stop.address || `${stop.type || 'stop'} ${index + 1}`)}</name>`,
+            stop.arrivedAt ? `      <TimeStamp><when>${isoTime(stop.arrivedAt)}</when></TimeStamp>` : null,
+            `      <Point><coordinates>${stop.lng},${stop.lat},0</coordinates></Point>`,
+            '    </Placemark>'
+        ].filter(Boolean).join('\n'));
+
+        const arrayData = (name, values) => [
+            `            <gx:SimpleArrayData name="${name}">`,
+            ...values.map(value => `              <gx:value>${escapeXml(value)}</gx:value>`),
+            '            </gx:SimpleArrayData>'
+        ].join('\n');
+
+        return [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            '<kml xmlns="http://www.opengis.net/kml/2.2" xmlns:gx="http://www.google.com/kml/ext/2.2">',
+            '  <Document>',
+            `    <name>Order #${escapeXml(trip.orderId)}</name>`,
+            '    <Schema id="trackSchema">',
+            '      <gx:SimpleArrayField name="speed" type="float"><displayName>Speed (m/s)</displayName></gx:SimpleArrayField>',
+            '      <gx:SimpleArrayField name="heading" type="float"><displayName>Heading (deg)</displayName></gx:SimpleArrayField>',
+            '      <gx:SimpleArrayField name="flags" type="string"><displayName>Flags</displayName></gx:SimpleArrayField>',
+            '    </Schema>',
+            ...stops,
+            '    <Placemark>',
+            `      <name>Order #${escapeXml(trip.orderId)} trace</name>`,
+            '      <gx:Track>',
+            ...points.map(point => `        <when>${isoTime(point.timestamp)}</when>`),
+            ...points.map(point => `        <gx:coord>${point.lng} ${point.lat} 0</gx:coord>`),
+            '        <ExtendedData>',
+            '          <SchemaData schemaUrl="#trackSchema">',
+            arrayData('speed', points.map(point => point.speed || 0)),
+            arrayData('heading', points.map(point => point.heading || 0)),
+            arrayData('flags', points.map(point => (point.flags || []).join(','))),
+            '          </SchemaData>',
+            '        </ExtendedData>',
+            '      </gx:Track>',
+            '    </Placemark>',
+            '  </Document>',
+            '</kml>',
+            ''
+        ].filter(line => line !== null).join('\n');
+    }
+}
+
+function isoTime(timestamp) {
+    return new Date(timestamp).toISOString();
+}
+
+function escapeXml(value) {
+    return String(value === null || value === undefined ? '' : value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+module.exports = TraceExportService;
@@ -0,0 +1,133 @@
+/**
+ * 行程轨迹校验服务
+ * 逐点检查司机上报的 GPS 轨迹（超速、瞬移、定位精度差、时间戳倒退），
+ * 行程结束时检查轨迹是否经过上车点和目的地，并给出行程可信度评分（0-100），供争议处理参考
+ */
+
+const { calculateDistance, normalizeLocation } = require('../utils/geo');
+
+// 各类异常的扣分（逐点异常按次数累计）
+const DEFAULT_PENALTIES = {
+    impossible_speed: 5,
+    teleport: 15,
+    poor_accuracy: 2,
+    timestamp_regression: 10,
+    pickup_not_reached: 20,
+    destination_not_reached: 30
+};
+
+const POINT_ISSUES = ['impossible_speed', 'teleport', 'poor_accuracy', 'timestamp_regression'];
+
+class TraceValidationService {
+    constructor(config) {
+        const validationConfig = config.services?.locationTracking?.traceValidation || {};
+        this.maxSpeed = validationConfig.maxSpeed || 180; // 最高合理车速（公里/小时）
+        this.maxJumpDistance = validationConfig.maxJumpDistance || 2; // 超速且位移超过此距离视为瞬移（公里）
+        this.maxAccuracy = validationConfig.maxAccuracy || 100; // 可接受的定位精度（米）
+        this.endpointTolerance = validationConfig.endpointTolerance || 0.5; // 经过上车点/目的地的判定距离（公里）
+        this.maxPointPenalty = validationConfig.maxPointPenalty || 60; // 逐点异常累计扣分上限
+        this.penalties = { ...DEFAULT_PENALTIES, ...(validationConfig.penalties || {}) };
+    }
+
+    /**
+     * 检查单个位置点
+     * @param {object|null} previous - 上一个有效位置点 { lat, lng, timestamp }
+     * @param {object} point - 新位置点 { lat, lng, timestamp, speed（米/秒）, accuracy（米） }
+     * @returns {Array<string>} 异常类型，空数组表示正常
+     */
+    checkPoint(previous, point) {
+        const flags = [];
+
+        if (point.accuracy > this.maxAccuracy) {
+            flags.push('poor_accuracy');
+        }
+        if (point.speed * 3.6 > this.maxSpeed) {
+            flags.push('impossible_speed');
+        }
+        if (!previous) {
+            return flags;
+        }
+
+        if (point.timestamp <= previous.timestamp) {
+            flags.push('timestamp_regression');
+            return flags;
+        }
+
+        const distance = calculateDistance(previous.lat, previous.lng, point.lat, point.lng);
+        const hours = (point.timestamp - previous.timestamp) / 3600000;
+        if (distance / hours > this.maxSpeed) {
+            const flag = distance > this.maxJumpDistance ? 'teleport' : 'impossible_speed';
+            if (!flags.includes(flag)) {
+                flags.push(flag);
+            }
+        }
+        return flags;
+    }
+
+    /**
+     * 校验完整轨迹并评分
+     * @param {Array} points - 行程位置点（addLocationPoint 记录的 flags 会被沿用）
+     * @param {object} route - { pickup, destination }，缺失时跳过对应检查
+     * @returns {object} { score, level, issues, totalPoints, flaggedPoints, reachedPickup, reachedDestination, validatedAt }
+     */
+    validate(points, route = {}) {
+        const issues = {};
+        const addIssue = (type) => {
+            issues[type] = (issues[type] || 0) + 1;
+        };
+
+        const validPoints = [];
+        let flaggedPoints = 0;
+        for (const point of points) {
+            const flags = point.flags || this.checkPoint(validPoints[validPoints.length - 1] || null, point);
+            if (flags.length > 0) {
+                flaggedPoints++;
+                flags.forEach(addIssue);
+            } else {
+                validPoints.push(point);
+            }
+        }
+
+        const reached = (target) => {
+            const location = normalizeLocation(target);
+            if (!location) {
+                return null;
+            }
+            return validPoints.some(point =>
+                calculateDistance(point.lat, point.lng, location.lat, location.lng) <= this.endpointTolerance
+            );
+        };
+        const reachedPickup = reached(route.pickup);
+        const reachedDestination = reached(route.destination);
+        if (reachedPickup === false) {
+            addIssue('pickup_not_reached');
+        }
+        if (reachedDestination === false) {
+            addIssue('destination_not_reached');
+        }
+
+        let score;
+        if (validPoints.length === 0) {
+            issues.no_trace = 1;
+            score = 0;
+        } else {
+            const pointPenalty = POINT_ISSUES.reduce((sum, type) => sum + (issues[type] || 0) * this.penalties[type], 0);
+            const routePenalty = (issues.pickup_not_reached ? this.penalties.pickup_not_reached : 0) +
+                (issues.destination_not_reached ? this.penalties.destination_not_reached : 0);
+            score = Math.max(0, 100 - Math.min(pointPenalty, this.maxPointPenalty) - routePenalty);
+        }
+
+        return {
+            score,
+            level: score >= 80 ? 'trusted' : (score >= 50 ? 'suspicious' : 'unreliable'),
+            issues,
+            totalPoints: points.length,
+            flaggedPoints,
+            reachedPickup,
+            reachedDestination,
+            validatedAt: Date.now()
+        };
+    }
+}
+
+module.exports = TraceValidationService;
@@ -0,0 +1,185 @@
+/**
+ * 地理计算工具
+ * 供定价、匹配、轨迹等服务共用
+ */
+
+const EARTH_RADIUS_KM = 6371; // 地球半径（公里）
+
+function deg2rad(deg) {
+    return deg * (Math.PI / 180);
+}
+
+/**
+ * 计算两点之间的距离（Haversine公式）
+ * @returns 距离（公里）
+ */
+function calculateDistance(lat1, lon1, lat2, lon2) {
+    const dLat = deg2rad(lat2 - lat1);
+    const dLon = deg2rad(lon2 - lon1);
+    
+    const a = 
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(deg2rad(lat1)) * Math.cos(deg2rad(lat2)) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_KM * c;
+}
+
+/**
+ * 计算按顺序经过各点的路线总距离
+ * @param {Array} points - [{ lat, lng }]
+ * @returns 距离（公里）
+ */
+function calculateRouteDistance(points) {
+    let distance = 0;
+    for (let i = 1; i < points.length; i++) {
+        distance += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+    }
+    return distance;
+}
+
+/**
+ * 标准化坐标：兼容 { lat, lng } 和 { latitude, longitude }（链上格式，乘以10^6）
+ */
+function normalizeLocation(location) {
+    if (!location) {
+        return null;
+    }
+    
+    if (location.lat !== undefined && location.lng !== undefined) {
+        return { lat: parseFloat(location.lat), lng: parseFloat(location.lng) };
+    }
+    
+    if (location.latitude !== undefined && location.longitude !== undefined) {
+        let lat = parseFloat(location.latitude);
+        let lng = parseFloat(location.longitude);
+        // 链上坐标乘以10^6存储
+        if (Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+            lat = lat / 1e6;
+            lng = lng / 1e6;
+        }
+        return { lat, lng };
+    }
+    
+    return null;
+}
+
+/**
+ * 验证坐标是否有效
+ */
+function isValidLocation(location) {
+    return !!location &&
+        Number.isFinite(location.lat) && Number.isFinite(location.lng) &&
+        Math.abs(location.lat) <= 90 && Math.abs(location.lng) <= 180;
+}
+
+/**
+ * 判断点是否在多边形内（射线法，按经纬度平面近似，适用于城市级区域）
+ * @param {object} location - { lat, lng }
+ * @param {Array} polygon - 顶点 [[lat, lng], ...]（首尾无需重复）
+ */
+function isPointInPolygon(location, polygon) {
+    if (!location || !Array.isArray(polygon) || polygon.length < 3) {
+        return false;
+    }
+    
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const [latI, lngI] = polygon[i];
+        const [latJ, lngJ] = polygon[j];
+        const crosses = (latI > location.lat) !== (latJ > location.lat) &&
+            location.lng < (lngJ - lngI) * (location.lat - latI) / (latJ - latI) + lngI;
+        if (crosses) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+const GEOHASH_BASE32 = '0123456789bcdefghjkmnpqrstuvwxyz';
+
+/**
+ * Geohash编码
+ * @param {number} precision - 字符长度（5 约 4.9km × 4.9km，6 约 1.2km × 0.6km）
+ */
+function encodeGeohash(lat, lng, precision = 6) {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let hash = '';
+    let bit = 0;
+    let ch = 0;
+    let evenBit = true;
+    
+    while (hash.length < precision) {
+        const range = evenBit ? lngRange : latRange;
+        const value = evenBit ? lng : lat;
+        const mid = (range[0] + range[1]) / 2;
+        
+        if (value >= mid) {
+            ch = (ch << 1) | 1;
+            range[0] = mid;
+        } else {
+            ch = ch << 1;
+            range[1] = mid;
+        }
+        
+        evenBit = !evenBit;
+        if (++bit === 5) {
+            hash += GEOHASH_BASE32[ch];
+            bit = 0;
+            ch = 0;
+        }
+    }
+    
+    return hash;
+}
+
+/**
+ * Geohash解码为边界范围
+ * @returns {{ minLat, maxLat, minLng, maxLng, lat, lng }} lat/lng 为中心点
+ */
+function decodeGeohash(hash) {
+    let latRange = [-90, 90];
+    let lngRange = [-180, 180];
+    let evenBit = true;
+    
+    for (const c of hash) {
+        const idx = GEOHASH_BASE32.indexOf(c);
+        if (idx === -1) {
+            throw new Error(`无效的geohash: ${hash}`);
+        }
+        for (let n = 4; n >= 0; n--) {
+            const bitN = (idx >> n) & 1;
+            const range = evenBit ? lngRange : latRange;
+            const mid = (range[0] + range[1]) / 2;
+            if (bitN === 1) {
+                range[0] = mid;
+            } else {
+                range[1] = mid;
+            }
+            evenBit = !evenBit;
+        }
+    }
+    
+    return {
+        minLat: latRange[0],
+        maxLat: latRange[1],
+        minLng: lngRange[0],
+        maxLng: lngRange[1],
+        lat: (latRange[0] + latRange[1]) / 2,
+        lng: (lngRange[0] + lngRange[1]) / 2
+    };
+}
+
+module.exports = {
+    EARTH_RADIUS_KM,
+    deg2rad,
+    calculateDistance,
+    calculateRouteDistance,
+    normalizeLocation,
+    isValidLocation,
+    isPointInPolygon,
+    encodeGeohash,
+    decodeGeohash
+};
@@ -0,0 +1,28 @@
+/**
+ * 按键串行执行异步任务
+ * 存储服务用文件对应的键排队读-改-写，避免区块链事件和 API 请求并发写同一文件时互相覆盖
+ */
+
+class KeyedQueue {
+    constructor() {
+        this.tails = new Map(); // key -> 队尾任务（不会 reject）
+    }
+
+    /**
+     * 等同一键的前序任务完成后执行 task，返回 task 的结果
+     */
+    run(key, task) {
+        const previous = this.tails.get(key) || Promise.resolve();
+        const result = previous.then(() => task());
+        const tail = result.catch(() => {});
+        this.tails.set(key, tail);
+        tail.then(() => {
+            if (this.tails.get(key) === tail) {
+                this.tails.delete(key);
+            }
+        });
+        return result;
+    }
+}
+
+module.exports = KeyedQueue;
@@ -0,0 +1,296 @@
+/**
+ * 路网图
+ * 从 OpenStreetMap 导出文件（.osm XML）加载可行驶道路，提供附近路段查询、点到路段投影和最短路径
+ */
+
+const SpatialIndex = require('./spatialIndex');
+const { calculateDistance, deg2rad } = require('./geo');
+
+// 可行驶的道路类型（OSM highway 标签）
+const DRIVABLE_HIGHWAYS = new Set([
+    'motorway', 'trunk', 'primary', 'secondary', 'tertiary', 'unclassified', 'residential',
+    'motorway_link', 'trunk_link', 'primary_link', 'secondary_link', 'tertiary_link',
+    'living_street', 'service', 'road'
+]);
+
+class RoadGraph {
+    /**
+     * @param {object} options - { indexPrecision: 路段索引 geohash 精度, sampleSpacing: 路段采样间距（公里） }
+     */
+    constructor(options = {}) {
+        this.nodes = new Map(); // { nodeId: { lat, lng } }
+        this.edges = new Map(); // { nodeId: [{ to, segmentId, length }] }
+        this.segments = []; // [{ id, from, to, wayId, name, length, forward, backward }]（forward/backward：是否可沿 from→to / to→from 行驶）
+        this.sampleSpacing = options.sampleSpacing || 0.05;
+        // 路段按采样点建立空间索引（每个采样点指向所属路段）
+        this.index = new SpatialIndex(options.indexPrecision || 7);
+    }
+
+    get size() {
+        return this.segments.length;
+    }
+
+    /**
+     * 解析 OSM XML，只保留可行驶道路及其引用的节点
+     * @param {string} xml - .osm 文件内容
+     */
+    static fromOSM(xml, options = {}) {
+        const graph = new RoadGraph(options);
+        const nodes = new Map();
+
+        const nodePattern = /<node\b([^>]*?)\/?>/g;
+        let match;
+        while ((match = nodePattern.exec(xml)) !== null) {
+            const attrs = parseAttributes(match[1]);
+            if (attrs.id !== undefined && attrs.lat !== undefined && attrs.lon !== undefined) {
+                nodes.set(attrs.id, { lat: parseFloat(attrs.lat), lng: parseFloat(attrs.lon) });
+            }
+        }
+
+        const wayPattern = /<way\b([^>]*)>([\s\S]*?)<\/way>/g;
+        while ((match = wayPattern.exec(xml)) !== null) {
+            const attrs = parseAttributes(match[1]);
+            const refs = [...match[2].matchAll(/<nd\b([^>]*?)\/?>/g)].map(nd => parseAttributes(nd[1]).ref);
+            const tags = {};
+            for (const tag of match[2].matchAll(/<tag\b([^>]*?)\/?>/g)) {
+                const { k, v } = parseAttributes(tag[1]);
+                tags[k] = v;
+            }
+            graph.addWay(attrs.id, refs.map(ref => ({ id: ref, ...nodes.get(ref) })), tags);
+        }
+
+        return graph;
+    }
+
+    /**
+     * 添加道路（非可行驶道路忽略）
+     * @param {Array} wayNodes - [{ id, lat, lng }]，缺少坐标的节点会被跳过
+     * @param {object} tags - OSM 标签 { highway, oneway, junction, name }
+     */
+    addWay(wayId, wayNodes, tags = {}) {
+        if (!DRIVABLE_HIGHWAYS.has(tags.highway)) {
+            return 0;
+        }
+
+        // 单行道：oneway=yes/1/true 正向，oneway=-1 反向，高速公路和环岛默认单行
+        let direction = 0;
+        if (['yes', '1', 'true'].includes(tags.oneway) || (tags.oneway === undefined && (tags.highway === 'motorway' || tags.junction === 'roundabout'))) {
+            direction = 1;
+        } else if (tags.oneway === '-1' || tags.oneway === 'reverse') {
+            direction = -1;
+        }
+
+        const valid = wayNodes.filter(node => node && node.id !== undefined && Number.isFinite(node.lat) && Number.isFinite(node.lng));
+        let added = 0;
+        for (let i = 1; i < valid.length; i++) {
+            const from = valid[i - 1];
+            const to = valid[i];
+            if (from.id === to.id) {
+                continue;
+            }
+            this.nodes.set(from.id, { lat: from.lat, lng: from.lng });
+            this.nodes.set(to.id, { lat: to.lat, lng: to.lng });
+
+            const segment = {
+                id: this.segments.length,
+                from: from.id,
+                to: to.id,
+                wayId,
+                name: tags.name || '',
+                length: calculateDistance(from.lat, from.lng, to.lat, to.lng),
+                forward: direction >= 0,
+                backward: direction <= 0
+            };
+            this.segments.push(segment);
+            if (segment.forward) {
+                this.addEdge(from.id, to.id, segment);
+            }
+            if (segment.backward) {
+                this.addEdge(to.id, from.id, segment);
+            }
+
+            // 按采样间距在路段上取点建立索引，长路段也能被附近查询命中
+            const samples = Math.max(1, Math.ceil(segment.length / this.sampleSpacing));
+            for (let s = 0; s <= samples; s++) {
+                const t = s / samples;
+                this.index.set(`${segment.id}:${s}`, from.lat + (to.lat - from.lat) * t, from.lng + (to.lng - from.lng) * t, segment.id);
+            }
+            added++;
+        }
+        return added;
+    }
+
+    addEdge(from, to, segment) {
+        if (!this.edges.has(from)) {
+            this.edges.set(from, []);
+        }
+        this.edges.get(from).push({ to, segmentId: segment.id, length: segment.length });
+    }
+
+    /**
+     * 查询附近路段，返回点在路段上的投影
+     * @param {number} radiusKm - 搜索半径
+     * @returns {Array} [{ segment, t（投影在路段上的位置 0-1）, lat, lng, distance（公里） }]，按距离排序
+     */
+    nearbySegments(lat, lng, radiusKm) {
+        // 采样点间距的一半内必有采样点，扩大查询半径避免漏掉路段
+        const samples = this.index.within(lat, lng, radiusKm + this.sampleSpacing / 2);
+        const seen = new Set();
+        const results = [];
+        for (const sample of samples) {
+            if (seen.has(sample.data)) {
+                continue;
+            }
+            seen.add(sample.data);
+            const projection = this.project(this.segments[sample.data], lat, lng);
+            if (projection.distance <= radiusKm) {
+                results.push(projection);
+            }
+        }
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * 点到路段的投影（路段附近按等距柱状投影近似为平面）
+     */
+    project(segment, lat, lng) {
+        const from = this.nodes.get(segment.from);
+        const to = this.nodes.get(segment.to);
+        const cosLat = Math.cos(deg2rad(from.lat));
+        const ex = (to.lng - from.lng) * cosLat;
+        const ey = to.lat - from.lat;
+        const px = (lng - from.lng) * cosLat;
+        const py = lat - from.lat;
+        const lengthSquared = ex * ex + ey * ey;
+        const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, (px * ex + py * ey) / lengthSquared));
+
+        const projectedLat = from.lat + (to.lat - from.lat) * t;
+        const projectedLng = from.lng + (to.lng - from.lng) * t;
+        return {
+            segment,
+            t,
+            lat: projectedLat,
+            lng: projectedLng,
+            distance: calculateDistance(lat, lng, projectedLat, projectedLng)
+        };
+    }
+
+    /**
+     * 单源最短路径（Dijkstra），超过 maxDistance 的节点不再展开
+     * @returns {{ distances: Map<nodeId, km>, previous: Map<nodeId, nodeId> }}
+     */
+    shortestPaths(source, maxDistance = Infinity) {
+        const distances = new Map([[source, 0]]);
+        const previous = new Map();
+        const heap = new MinHeap();
+        heap.push(0, source);
+
+        while (heap.size > 0) {
+            const { key: distance, value: node } = heap.pop();
+            if (distance > distances.get(node)) {
+                continue;
+            }
+            for (const edge of this.edges.get(node) || []) {
+                const next = distance + edge.length;
+                if (next > maxDistance) {
+                    continue;
+                }
+                if (!distances.has(edge.to) || next < distances.get(edge.to)) {
+                    distances.set(edge.to, next);
+                    previous.set(edge.to, node);
+                    heap.push(next, edge.to);
+                }
+            }
+        }
+
+        return { distances, previous };
+    }
+
+    /**
+     * 由 shortestPaths 的结果还原路径上的节点序列（含起点和终点）
+     */
+    static buildPath(previous, source, target) {
+        const path = [target];
+        let node = target;
+        while (node !== source) {
+            node = previous.get(node);
+            if (node === undefined) {
+                return null;
+            }
+            path.unshift(node);
+        }
+        return path;
+    }
+}
+
+/**
+ * 解析 XML 属性（兼容单引号和双引号）
+ */
+function parseAttributes(source) {
+    const attrs = {};
+    for (const match of source.matchAll(/([\w:-]+)\s*=\s*(["'])(.*?)\2/g)) {
+        attrs[match[1]] = match[3]
+            .replace(/&quot;/g, '"')
+            .replace(/&apos;/g, '\'')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&amp;/g, '&');
+    }
+    return attrs;
+}
+
+/**
+ * 二叉最小堆（Dijkstra 优先队列）
+ */
+class MinHeap {
+    constructor() {
+        this.items = [];
+    }
+
+    get size() {
+        return this.items.length;
+    }
+
+    push(key, value) {
+        const items = this.items;
+        items.push({ key, value });
+        let i = items.length - 1;
+        while (i > 0) {
+            const parent = (i - 1) >> 1;
+            if (items[parent].key <= items[i].key) {
+                break;
+            }
+            [items[parent], items[i]] = [items[i], items[parent]];
+            i = parent;
+        }
+    }
+
+    pop() {
+        const items = this.items;
+        const top = items[0];
+        const last = items.pop();
+        if (items.length > 0) {
+            items[0] = last;
+            let i = 0;
+            for (;;) {
+                const left = 2 * i + 1;
+                const right = left + 1;
+                let smallest = i;
+                if (left < items.length && items[left].key < items[smallest].key) {
+                    smallest = left;
+                }
+                if (right < items.length && items[right].key < items[smallest].key) {
+                    smallest = right;
+                }
+                if (smallest === i) {
+                    break;
+                }
+                [items[smallest], items[i]] = [items[i], items[smallest]];
+                i = smallest;
+            }
+        }
+        return top;
+    }
+}
+
+module.exports = RoadGraph;
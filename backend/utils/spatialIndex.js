@@ -0,0 +1,169 @@
+/**
+ * 空间索引
+ * 按 geohash 网格分桶存储点位，支持半径查询和 K 近邻查询，避免逐个计算距离
+ */
+
+const { calculateDistance, encodeGeohash, decodeGeohash, EARTH_RADIUS_KM } = require('./geo');
+
+const KM_PER_DEGREE = EARTH_RADIUS_KM * Math.PI / 180;
+
+class SpatialIndex {
+    /**
+     * @param {number} precision - geohash 精度（6 约 1.2km × 0.6km）
+     */
+    constructor(precision = 6) {
+        this.precision = precision;
+
+        // 网格尺寸（度），取赤道附近任一网格即可
+        const cell = decodeGeohash(encodeGeohash(0, 0, precision));
+        this.cellHeight = cell.maxLat - cell.minLat;
+        this.cellWidth = cell.maxLng - cell.minLng;
+
+        // 网格 { geohash: Map<id, point> }
+        this.cells = new Map();
+        // 点位 { id: { id, lat, lng, cell, data } }
+        this.points = new Map();
+    }
+
+    get size() {
+        return this.points.size;
+    }
+
+    /**
+     * 添加或更新点位
+     */
+    set(id, lat, lng, data = null) {
+        const cell = encodeGeohash(lat, lng, this.precision);
+        const existing = this.points.get(id);
+        if (existing && existing.cell !== cell) {
+            this.removeFromCell(existing);
+        }
+
+        const point = { id, lat, lng, cell, data };
+        this.points.set(id, point);
+        if (!this.cells.has(cell)) {
+            this.cells.set(cell, new Map());
+        }
+        this.cells.get(cell).set(id, point);
+        return point;
+    }
+
+    get(id) {
+        return this.points.get(id) || null;
+    }
+
+    has(id) {
+        return this.points.has(id);
+    }
+
+    /**
+     * 移除点位
+     */
+    remove(id) {
+        const point = this.points.get(id);
+        if (!point) {
+            return false;
+        }
+        this.points.delete(id);
+        this.removeFromCell(point);
+        return true;
+    }
+
+    removeFromCell(point) {
+        const bucket = this.cells.get(point.cell);
+        if (bucket) {
+            bucket.delete(point.id);
+            if (bucket.size === 0) {
+                this.cells.delete(point.cell);
+            }
+        }
+    }
+
+    clear() {
+        this.cells.clear();
+        this.points.clear();
+    }
+
+    /**
+     * 覆盖以 (lat, lng) 为中心、radiusKm 为半径的外接矩形的网格
+     * @param {number} limit - 网格数超过该值时返回 null（直接遍历已有网格更快）
+     */
+    getCoveringCells(lat, lng, radiusKm, limit = Infinity) {
+        const latDelta = radiusKm / KM_PER_DEGREE;
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        const lngDelta = cosLat > 1e-6 ? Math.min(radiusKm / (KM_PER_DEGREE * cosLat), 180) : 180;
+
+        const minLat = Math.max(lat - latDelta, -90);
+        const maxLat = Math.min(lat + latDelta, 90);
+        const minLng = Math.max(lng - lngDelta, -180);
+        const maxLng = Math.min(lng + lngDelta, 180);
+
+        const estimated = (Math.ceil((maxLat - minLat) / this.cellHeight) + 1) *
+            (Math.ceil((maxLng - minLng) / this.cellWidth) + 1);
+        if (estimated > limit) {
+            return null;
+        }
+
+        const hashes = new Set();
+        // 步长为网格尺寸，额外覆盖终点所在网格
+        for (let y = minLat; ; y = Math.min(y + this.cellHeight, maxLat)) {
+            for (let x = minLng; ; x = Math.min(x + this.cellWidth, maxLng)) {
+                hashes.add(encodeGeohash(y, x, this.precision));
+                if (x >= maxLng) break;
+            }
+            if (y >= maxLat) break;
+        }
+        return hashes;
+    }
+
+    /**
+     * 半径查询
+     * @param {function} filter - 可选，(point) => boolean
+     * @returns {Array} [{ id, lat, lng, data, distance }]，按距离从近到远排序
+     */
+    within(lat, lng, radiusKm, filter = null) {
+        const results = [];
+
+        // 覆盖网格数超过已有网格数时直接遍历已有网格
+        const cells = this.getCoveringCells(lat, lng, radiusKm, this.cells.size);
+        const buckets = cells
+            ? [...cells].map(hash => this.cells.get(hash)).filter(Boolean)
+            : this.cells.values();
+
+        for (const bucket of buckets) {
+            for (const point of bucket.values()) {
+                if (filter && !filter(point)) {
+                    continue;
+                }
+                const distance = calculateDistance(lat, lng, point.lat, point.lng);
+                if (distance <= radiusKm) {
+                    results.push({ ...point, distance });
+                }
+            }
+        }
+
+        return results.sort((a, b) => a.distance - b.distance);
+    }
+
+    /**
+     * K 近邻查询（从一个网格大小开始逐步扩大半径）
+     * @param {number} maxRadiusKm - 最大搜索半径
+     */
+    nearest(lat, lng, k, maxRadiusKm = Infinity, filter = null) {
+        if (k <= 0 || this.points.size === 0) {
+            return [];
+        }
+
+        let radius = Math.min(this.cellHeight * KM_PER_DEGREE, maxRadiusKm);
+        for (;;) {
+            const results = this.within(lat, lng, radius, filter);
+            // 半径内的结果是精确的，数量足够即可返回
+            if (results.length >= k || radius >= maxRadiusKm || radius >= Math.PI * EARTH_RADIUS_KM) {
+                return results.slice(0, k);
+            }
+            radius = Math.min(radius * 2, maxRadiusKm);
+        }
+    }
+}
+
+module.exports = SpatialIndex;
@@ -0,0 +1,211 @@
+/**
+ * 轨迹压缩编码
+ * Douglas-Peucker 抽稀 + 坐标 polyline 编码 + 时间/速度/航向/精度差分编码，用于行程轨迹归档
+ */
+
+const { EARTH_RADIUS_KM, deg2rad } = require('./geo');
+
+const TRACE_FORMAT_VERSION = 1;
+const COORDINATE_PRECISION = 1e5; // polyline 坐标精度（约 1 米）
+const SPEED_PRECISION = 10; // 速度保留 1 位小数（米/秒）
+
+/**
+ * 点到线段的距离（米），在起点附近按等距柱状投影近似为平面
+ */
+function perpendicularDistance(point, start, end) {
+    const metersPerDegree = EARTH_RADIUS_KM * 1000 * Math.PI / 180;
+    const cosLat = Math.cos(deg2rad(start.lat));
+    const toXY = (p) => ({
+        x: (p.lng - start.lng) * metersPerDegree * cosLat,
+        y: (p.lat - start.lat) * metersPerDegree
+    });
+
+    const p = toXY(point);
+    const e = toXY(end);
+    const lengthSquared = e.x * e.x + e.y * e.y;
+    if (lengthSquared === 0) {
+        return Math.sqrt(p.x * p.x + p.y * p.y);
+    }
+
+    const t = Math.max(0, Math.min(1, (p.x * e.x + p.y * e.y) / lengthSquared));
+    const dx = p.x - t * e.x;
+    const dy = p.y - t * e.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Douglas-Peucker 轨迹抽稀
+ * @param {Array} points - [{ lat, lng, ... }]
+ * @param {number} tolerance - 容差（米），偏离简化线段不超过该距离的点会被删除
+ * @param {function} keep - 可选，(point) => boolean，始终保留的点（如被标记异常的点）
+ * @returns {Array} 保留的点（保持原顺序）
+ */
+function simplifyTrace(points, tolerance = 5, keep = null) {
+    if (points.length <= 2) {
+        return points.slice();
+    }
+
+    const kept = new Array(points.length).fill(false);
+    kept[0] = true;
+    kept[points.length - 1] = true;
+
+    // 用栈代替递归，长轨迹不会栈溢出
+    const stack = [[0, points.length - 1]];
+    while (stack.length > 0) {
+        const [first, last] = stack.pop();
+        let maxDistance = 0;
+        let index = -1;
+        for (let i = first + 1; i < last; i++) {
+            const distance = perpendicularDistance(points[i], points[first], points[last]);
+            if (distance > maxDistance) {
+                maxDistance = distance;
+                index = i;
+            }
+        }
+        if (index !== -1 && maxDistance > tolerance) {
+            kept[index] = true;
+            stack.push([first, index], [index, last]);
+        }
+    }
+
+    return points.filter((point, i) => kept[i] || (keep && keep(point)));
+}
+
+/**
+ * Google polyline 编码（有符号整数序列）
+ * 用算术运算代替位运算，毫秒时间戳等超过 32 位的整数也能编码
+ */
+function encodeSignedValues(values) {
+    let output = '';
+    for (const value of values) {
+        let v = value < 0 ? -2 * value - 1 : 2 * value;
+        while (v >= 32) {
+            output += String.fromCharCode((32 + (v % 32)) + 63);
+            v = Math.floor(v / 32);
+        }
+        output += String.fromCharCode(v + 63);
+    }
+    return output;
+}
+
+function decodeSignedValues(encoded) {
+    const values = [];
+    let index = 0;
+    while (index < encoded.length) {
+        let result = 0;
+        let factor = 1;
+        let chunk;
+        do {
+            chunk = encoded.charCodeAt(index++) - 63;
+            result += (chunk % 32) * factor;
+            factor *= 32;
+        } while (chunk >= 32);
+        values.push(result % 2 === 1 ? -(result + 1) / 2 : result / 2);
+    }
+    return values;
+}
+
+/**
+ * 差分编码：首个值保留原值，之后记录与前一个值的差
+ */
+function deltaEncode(values) {
+    return values.map((value, i) => (i === 0 ? value : value - values[i - 1]));
+}
+
+function deltaDecode(deltas) {
+    const values = [];
+    deltas.forEach((delta, i) => values.push(i === 0 ? delta : values[i - 1] + delta));
+    return values;
+}
+
+/**
+ * 编码坐标序列（只含坐标，用于地图匹配路径等无时间信息的折线）
+ * @param {Array} points - [{ lat, lng }]
+ * @returns {string}
+ */
+function encodePolyline(points) {
+    const latDeltas = deltaEncode(points.map(point => Math.round(point.lat * COORDINATE_PRECISION)));
+    const lngDeltas = deltaEncode(points.map(point => Math.round(point.lng * COORDINATE_PRECISION)));
+    const interleaved = [];
+    latDeltas.forEach((latDelta, i) => interleaved.push(latDelta, lngDeltas[i]));
+    return encodeSignedValues(interleaved);
+}
+
+/**
+ * 解码坐标序列（encodePolyline 的逆操作）
+ * @returns {Array} [{ lat, lng }]
+ */
+function decodePolyline(encoded) {
+    const interleaved = decodeSignedValues(encoded || '');
+    const lats = deltaDecode(interleaved.filter((v, i) => i % 2 === 0));
+    const lngs = deltaDecode(interleaved.filter((v, i) => i % 2 === 1));
+    return lats.map((lat, i) => ({ lat: lat / COORDINATE_PRECISION, lng: lngs[i] / COORDINATE_PRECISION }));
+}
+
+/**
+ * 编码轨迹
+ * @param {Array} points - [{ lat, lng, timestamp, speed, heading, accuracy, flags }]
+ * @param {object} options - { simplified: 是否已抽稀, originalPoints: 抽稀前点数 }
+ * @returns {object} { version, count, polyline, timestamps, speeds, headings, accuracies, flags, simplified, originalPoints }
+ */
+function encodeTrace(points, options = {}) {
+    // 异常标记稀疏存储 { 点序号: flags }
+    const flags = {};
+    points.forEach((point, i) => {
+        if (point.flags && point.flags.length > 0) {
+            flags[i] = point.flags;
+        }
+    });
+
+    return {
+        version: TRACE_FORMAT_VERSION,
+        count: points.length,
+        polyline: encodePolyline(points),
+        timestamps: encodeSignedValues(deltaEncode(points.map(point => Math.round(point.timestamp || 0)))),
+        speeds: encodeSignedValues(deltaEncode(points.map(point => Math.round((point.speed || 0) * SPEED_PRECISION)))),
+        headings: encodeSignedValues(deltaEncode(points.map(point => Math.round(point.heading || 0)))),
+        accuracies: encodeSignedValues(deltaEncode(points.map(point => Math.round(point.accuracy || 0)))),
+        flags,
+        simplified: !!options.simplified,
+        originalPoints: options.originalPoints ?? points.length
+    };
+}
+
+/**
+ * 解码轨迹（encodeTrace 的逆操作）
+ * @returns {Array} [{ lat, lng, timestamp, speed, heading, accuracy, flags }]
+ */
+function decodeTrace(trace) {
+    if (!trace || trace.version !== TRACE_FORMAT_VERSION) {
+        throw new Error(`不支持的轨迹格式版本: ${trace && trace.version}`);
+    }
+
+    const coordinates = decodePolyline(trace.polyline);
+    const timestamps = deltaDecode(decodeSignedValues(trace.timestamps));
+    const speeds = deltaDecode(decodeSignedValues(trace.speeds));
+    const headings = deltaDecode(decodeSignedValues(trace.headings));
+    const accuracies = deltaDecode(decodeSignedValues(trace.accuracies));
+
+    const points = [];
+    for (let i = 0; i < trace.count; i++) {
+        points.push({
+            lat: coordinates[i].lat,
+            lng: coordinates[i].lng,
+            timestamp: timestamps[i],
+            speed: speeds[i] / SPEED_PRECISION,
+            heading: headings[i],
+            accuracy: accuracies[i],
+            flags: (trace.flags && trace.flags[i]) || []
+        });
+    }
+    return points;
+}
+
+module.exports = {
+    TRACE_FORMAT_VERSION,
+    simplifyTrace,
+    encodePolyline,
+    decodePolyline,
+    encodeTrace,
+    decodeTrace
+};
@@ -5,7 +5,8 @@ echo   TrustFlow 司机界面启动脚本
 echo ====================================
 echo.
 
-cd /d "%~dp0"
+REM 从 frontend 目录启动，页面才能加载 ../shared/ 下的共用脚本
+cd /d "%~dp0.."
 
 echo 正在检查Python...
 python --version >nul 2>&1
@@ -13,7 +14,7 @@ if %errorlevel% == 0 (
     echo ✓ 找到Python，启动HTTP服务器...
     echo.
     echo 🌐 司机界面将在以下地址启动：
-    echo    http://localhost:8080
+    echo    http://localhost:8080/driver-app/
     echo.
     echo 按 Ctrl+C 停止服务器
     echo.
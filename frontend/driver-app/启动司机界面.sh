@@ -4,14 +4,15 @@ echo "  TrustFlow 司机界面启动脚本"
 echo "===================================="
 echo ""
 
-cd "$(dirname "$0")"
+# 从 frontend 目录启动，页面才能加载 ../shared/ 下的共用脚本
+cd "$(dirname "$0")/.."
 
 echo "正在检查Python..."
 if command -v python3 &> /dev/null; then
     echo "✓ 找到Python3，启动HTTP服务器..."
     echo ""
     echo "🌐 司机界面将在以下地址启动："
-    echo "   http://localhost:8080"
+    echo "   http://localhost:8080/driver-app/"
     echo ""
     echo "按 Ctrl+C 停止服务器"
     echo ""
@@ -20,7 +21,7 @@ elif command -v python &> /dev/null; then
     echo "✓ 找到Python，启动HTTP服务器..."
     echo ""
     echo "🌐 司机界面将在以下地址启动："
-    echo "   http://localhost:8080"
+    echo "   http://localhost:8080/driver-app/"
     echo ""
     echo "按 Ctrl+C 停止服务器"
     echo ""
@@ -31,6 +31,16 @@ const translations = {
         category: "Category",
         subCategory: "Sub Category",
         subCategoryPlaceholder: "e.g., Sedan, SUV, Motorcycle",
+        scheduledPickupTime: "Pickup Time (optional, book in advance)",
+        waypoints: "Stops (optional, in visiting order)",
+        addWaypoint: "+ Add Stop",
+        waypointAddress: "Stop address",
+        latitude: "Latitude",
+        longitude: "Longitude",
+        scheduled: "Scheduled",
+        upcoming: "Upcoming",
+        pooledRide: "Share the ride (pooled, discounted fare; no extra stops)",
+        pooled: "Pooled",
         categoryRequired: "Please select a category",
         categoryVehicleRental: "Vehicle Rental",
         categoryPropertyRental: "Property Rental",
@@ -159,6 +169,16 @@ const translations = {
         category: "类别",
         subCategory: "子类别",
         subCategoryPlaceholder: "例如：小轿车、SUV、摩托车",
+        scheduledPickupTime: "预约上车时间（可选，留空为立即用车）",
+        waypoints: "途经点（可选，按经过顺序）",
+        addWaypoint: "+ 添加途经点",
+        waypointAddress: "途经点地址",
+        latitude: "纬度",
+        longitude: "经度",
+        scheduled: "预约",
+        upcoming: "即将出行",
+        pooledRide: "拼车（与顺路乘客同乘，享受折扣；不支持途经点）",
+        pooled: "拼车",
         categoryRequired: "请选择类别",
         categoryVehicleRental: "车辆租赁",
         categoryPropertyRental: "房屋租赁",
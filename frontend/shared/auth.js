@@ -0,0 +1,102 @@
+/**
+ * 钱包签名登录（Sign-In with Ethereum）
+ * 获取登录消息 -> 钱包签名 -> 换取会话 token，token 保存在 localStorage
+ *
+ * 用法:
+ *   await TFAuth.ensureSession(signer);                    // 没有有效会话时弹出钱包签名
+ *   fetch(url, { headers: TFAuth.authHeaders({ 'Content-Type': 'application/json' }) });
+ */
+(function() {
+    'use strict';
+    const STORAGE_KEY = 'TF_AUTH_SESSION';
+    // 会话剩余有效期小于该值时视为过期（毫秒）
+    const EXPIRY_MARGIN = 60 * 1000;
+
+    function getApiBaseUrl() {
+        if (window.API_BASE_URL) {
+            return window.API_BASE_URL;
+        }
+        return window.location.protocol === 'file:' ? 'http://localhost:3000' : '';
+    }
+
+    function loadSession() {
+        try {
+            const session = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+            if (session && session.token && session.expiresAt - EXPIRY_MARGIN > Date.now()) {
+                return session;
+            }
+        } catch (e) {
+            console.warn('读取登录状态失败:', e);
+        }
+        return null;
+    }
+
+    /**
+     * 获取当前会话（可指定地址，地址不一致时视为未登录）
+     */
+    function getSession(address) {
+        const session = loadSession();
+        if (!session) {
+            return null;
+        }
+        if (address && session.address !== address.toLowerCase()) {
+            return null;
+        }
+        return session;
+    }
+
+    async function postJSON(path, body) {
+        const response = await fetch(`${getApiBaseUrl()}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!result.success) {
+            throw new Error(result.error || `请求失败: ${response.status}`);
+        }
+        return result.data;
+    }
+
+    /**
+     * 签名登录
+     * @param {ethers.Signer} signer
+     */
+    async function signIn(signer) {
+        const address = await signer.getAddress();
+        const { message } = await postJSON('/api/auth/nonce', { address });
+        const signature = await signer.signMessage(message);
+        const session = await postJSON('/api/auth/verify', { message, signature });
+
+        localStorage.setItem(STORAGE_KEY, JSON.stringify(session));
+        return session;
+    }
+
+    /**
+     * 确保当前钱包已登录（已有有效会话时不会弹出签名）
+     */
+    async function ensureSession(signer) {
+        const address = await signer.getAddress();
+        return getSession(address) || signIn(signer);
+    }
+
+    /**
+     * 生成带认证头的请求头（未登录时原样返回）
+     */
+    function authHeaders(headers = {}) {
+        const session = loadSession();
+        return session ? { ...headers, Authorization: `Bearer ${session.token}` } : headers;
+    }
+
+    function signOut() {
+        localStorage.removeItem(STORAGE_KEY);
+    }
+
+    window.TFAuth = {
+        getSession,
+        signIn,
+        ensureSession,
+        authHeaders,
+        signOut
+    };
+})();
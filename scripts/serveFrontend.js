@@ -51,6 +51,9 @@ app.use('/api', express.json(), (req, res) => {
     if (req.headers['accept-language']) {
         options.headers['accept-language'] = req.headers['accept-language'];
     }
+    if (req.headers['authorization']) {
+        options.headers['authorization'] = req.headers['authorization'];
+    }
     
     const proxyReq = http.request(options, (proxyRes) => {
         console.log(`[API Proxy] Response: ${proxyRes.statusCode} for ${req.originalUrl}`);
@@ -93,6 +96,7 @@ app.use('/api', express.json(), (req, res) => {
 const passengerAppPath = path.join(__dirname, '../frontend/passenger-app');
 const driverAppPath = path.join(__dirname, '../frontend/driver-app');
 const platformDashboardPath = path.join(__dirname, '../frontend/platform-dashboard');
+const sharedPath = path.join(__dirname, '../frontend/shared');
 const deploymentsPath = path.join(__dirname, '../deployments');
 
 // 提供静态文件服务（必须在路由之前）
@@ -101,6 +105,9 @@ const deploymentsPath = path.join(__dirname, '../deployments');
 // 0. 首先提供 deployments 目录的静态文件（用于所有应用访问合约地址）
 app.use('/deployments', express.static(deploymentsPath));
 
+// 0.1 三个应用共用的脚本（页面通过 ../shared/ 引用，解析到 /shared）
+app.use('/shared', express.static(sharedPath));
+
 // 1. 然后提供平台仪表板的静态文件（最具体的路径）
 app.use('/platform', express.static(platformDashboardPath));
 
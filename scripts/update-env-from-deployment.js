@@ -3,8 +3,10 @@
  * Node.js 版本，无需 Python
  */
 
+const crypto = require('crypto');
 const fs = require('fs');
 const path = require('path');
+const AuthService = require('../backend/services/auth');
 
 function updateEnvFile() {
     console.log('📝 更新 .env 文件...\n');
@@ -72,6 +74,11 @@ function updateEnvFile() {
         envVars['PLATFORM_FEE_RATE'] = '5';
     }
     
+    // 会话签名密钥：未设置或仍为示例值时生成随机密钥
+    const jwtSecret = envVars['JWT_SECRET'] && !AuthService.PLACEHOLDER_SECRETS.has(envVars['JWT_SECRET'])
+        ? envVars['JWT_SECRET']
+        : crypto.randomBytes(32).toString('hex');
+    
     // 写入 .env 文件
     const envContent = `# 环境变量配置文件
 # 自动更新于: ${new Date().toISOString()}
@@ -109,7 +116,7 @@ LOG_LEVEL=${envVars['LOG_LEVEL'] || 'info'}
 LOG_FILE=${envVars['LOG_FILE'] || './logs/app.log'}
 
 # ==================== 安全配置 ====================
-JWT_SECRET=${envVars['JWT_SECRET'] || 'your-super-secret-jwt-key-please-change-this-in-production'}
+JWT_SECRET=${jwtSecret}
 JWT_EXPIRES_IN=${envVars['JWT_EXPIRES_IN'] || '7d'}
 
 # ==================== 业务配置 ====================
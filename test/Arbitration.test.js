@@ -0,0 +1,74 @@
+const { expect } = require("chai");
+const ArbitrationService = require("../backend/services/arbitration");
+
+describe("ArbitrationService", function () {
+    const HOUR = 3600;
+    let arbitration;
+
+    beforeEach(function () {
+        arbitration = new ArbitrationService({ services: { arbitration: { slaHours: 48, warningHours: 12 } } });
+    });
+
+    describe("SLA", function () {
+        it("应该按剩余时间区分正常、即将超时和已超时", function () {
+            const dispute = { disputeId: 1, status: "under_review", createdAt: 1000 };
+
+            expect(arbitration.getSla(dispute, 1000 + HOUR)).to.include({ deadline: 1000 + 48 * HOUR, state: "on_track" });
+            expect(arbitration.getSla(dispute, 1000 + 40 * HOUR).state).to.equal("due_soon");
+            expect(arbitration.getSla(dispute, 1000 + 50 * HOUR)).to.include({ remaining: -2 * HOUR, state: "overdue" });
+        });
+
+        it("已裁决的案件应该按裁决时间判断是否达标", function () {
+            expect(arbitration.getSla({ createdAt: 0, resolvedAt: 10 * HOUR }).state).to.equal("met");
+            expect(arbitration.getSla({ createdAt: 0, resolvedAt: 60 * HOUR }).state).to.equal("breached");
+        });
+
+        it("队列应该只包含未裁决的案件并按截止时间排序", function () {
+            const queue = arbitration.buildQueue([
+                { disputeId: 1, status: "under_review", createdAt: 5000 },
+                { disputeId: 2, status: "resolved", createdAt: 100, resolvedAt: 200 },
+                { disputeId: 3, status: "open", createdAt: 1000 }
+            ], 6000);
+
+            expect(queue.map(dispute => dispute.disputeId)).to.deep.equal([3, 1]);
+            expect(queue[0].sla.state).to.equal("on_track");
+        });
+    });
+
+    describe("裁决参数", function () {
+        const dispute = { disputeId: 7, status: "under_review", createdAt: 0 };
+
+        it("部分裁决应该按比例拆分车费", function () {
+            const resolution = arbitration.buildResolution(dispute, "0.03", { result: "split", passengerShare: 40, note: "绕路约 2 公里" });
+
+            expect(resolution).to.include({ disputeId: 7, result: "split", resultCode: 3, passengerShare: 40 });
+            expect(resolution.passengerRefund).to.equal("12000000000000000");
+            expect(resolution.driverPayment).to.equal("18000000000000000");
+            expect(resolution.resolution).to.equal("绕路约 2 公里");
+        });
+
+        it("胜诉方应该获得全部车费", function () {
+            const forPassenger = arbitration.buildResolution(dispute, "0.01", { result: "passenger_wins", passengerShare: 30, note: "司机未到达" });
+            expect(forPassenger).to.include({ passengerShare: 100, passengerRefund: "10000000000000000", driverPayment: "0" });
+
+            const noFault = arbitration.buildResolution(dispute, "0.01", { result: "no_fault", note: "证据不足" });
+            expect(noFault).to.include({ resultCode: 4, passengerRefund: "0", driverPayment: "10000000000000000" });
+        });
+
+        it("应该使用模板的结果、比例和说明，并附加仲裁员备注", function () {
+            const resolution = arbitration.buildResolution(dispute, "0.02", { templateId: "route_detour", note: "乘客提供了导航截图" });
+
+            expect(resolution).to.include({ result: "split", passengerShare: 30, templateId: "route_detour" });
+            expect(resolution.resolution.split("\n")).to.have.length(2);
+            expect(resolution.resolution).to.include("乘客提供了导航截图");
+        });
+
+        it("应该拒绝无效的裁决", function () {
+            expect(() => arbitration.buildResolution({ ...dispute, status: "open" }, "0.01", { result: "split", passengerShare: 50, note: "x" })).to.throw("不在审理中");
+            expect(() => arbitration.buildResolution(dispute, "0.01", { result: "pending", note: "x" })).to.throw("无效的裁决结果");
+            expect(() => arbitration.buildResolution(dispute, "0.01", { result: "split", passengerShare: 100, note: "x" })).to.throw("1-99");
+            expect(() => arbitration.buildResolution(dispute, "0.01", { result: "driver_wins" })).to.throw("裁决说明");
+            expect(() => arbitration.buildResolution(dispute, "0.01", { templateId: "unknown" })).to.throw("模板不存在");
+        });
+    });
+});
@@ -0,0 +1,174 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const jwt = require("jsonwebtoken");
+const AuthService = require("../backend/services/auth");
+const { createAuthMiddleware } = require("../backend/middleware/auth");
+
+describe("钱包签名登录", function () {
+    const passenger = ethers.Wallet.createRandom();
+    const driver = ethers.Wallet.createRandom();
+    const admin = ethers.Wallet.createRandom();
+    const stranger = ethers.Wallet.createRandom();
+
+    const config = {
+        chainId: 31337,
+        jwt: { secret: "test-secret", expiresIn: "1h" },
+        auth: { adminAddresses: [admin.address] }
+    };
+
+    const orders = {
+        1: { passenger: passenger.address, driver: driver.address },
+        2: { passenger: passenger.address, driver: null }
+    };
+    const requestedOrders = [];
+    const orderStorage = {
+        getOrder: async (orderId) => {
+            requestedOrders.push(orderId);
+            return orders[orderId] || null;
+        }
+    };
+
+    let auth;
+    let middleware;
+
+    beforeEach(function () {
+        auth = new AuthService(config, orderStorage);
+        middleware = createAuthMiddleware(auth);
+    });
+
+    async function signIn(wallet) {
+        const { message } = auth.createNonce({ address: wallet.address, domain: "localhost:3000", uri: "http://localhost:3000" });
+        return auth.verifySignature({ message, signature: await wallet.signMessage(message) });
+    }
+
+    function createRequest(token, params = {}) {
+        const headers = token ? { Authorization: `Bearer ${token}` } : {};
+        return { params, get: (name) => headers[name] };
+    }
+
+    // 依次执行中间件链，返回响应和是否放行到路由处理函数
+    async function runChain(chain, req) {
+        const res = {
+            statusCode: 200,
+            body: null,
+            status(code) { this.statusCode = code; return this; },
+            json(body) { this.body = body; return this; }
+        };
+        for (const handler of [].concat(chain)) {
+            let passed = false;
+            await handler(req, res, () => { passed = true; });
+            if (!passed) {
+                return { res, passed: false };
+            }
+        }
+        return { res, passed: true };
+    }
+
+    describe("会话 token", function () {
+        it("签名登录后应该签发对应地址的会话", async function () {
+            const session = await signIn(passenger);
+            expect(session).to.include({ address: passenger.address.toLowerCase(), role: "user" });
+            expect(auth.verifyToken(session.token)).to.deep.equal({ address: passenger.address.toLowerCase(), role: "user" });
+            expect((await signIn(admin)).role).to.equal("admin");
+        });
+
+        it("登录消息只能使用一次，且签名者必须是消息中的地址", async function () {
+            const { message } = auth.createNonce({ address: passenger.address, domain: "localhost", uri: "http://localhost" });
+            const signature = await passenger.signMessage(message);
+            expect(() => auth.verifySignature({ message, signature: "0x1234" })).to.throw("签名格式无效");
+            expect(() => auth.verifySignature({ message, signature })).to.throw("已被使用");
+
+            const other = auth.createNonce({ address: passenger.address, domain: "localhost", uri: "http://localhost" });
+            const forged = await stranger.signMessage(other.message);
+            expect(() => auth.verifySignature({ message: other.message, signature: forged })).to.throw("签名与地址不匹配");
+        });
+
+        it("应该拒绝同一密钥签发的其他用途 token", function () {
+            const quoteToken = jwt.sign({ address: passenger.address.toLowerCase() }, config.jwt.secret, { subject: "fare-quote" });
+            const bareToken = jwt.sign({ address: admin.address.toLowerCase(), role: "admin" }, config.jwt.secret);
+            expect(() => auth.verifyToken(quoteToken)).to.throw("jwt subject invalid");
+            expect(() => auth.verifyToken(bareToken)).to.throw("jwt subject invalid");
+        });
+
+        it("未配置密钥或仍为示例密钥时不签发也不接受 token", async function () {
+            const { token } = await signIn(admin);
+            for (const secret of [undefined, "", ...AuthService.PLACEHOLDER_SECRETS]) {
+                const unsafe = new AuthService({ ...config, jwt: { secret } }, orderStorage);
+                expect(() => unsafe.createNonce({ address: admin.address, domain: "localhost", uri: "http://localhost" })).to.throw("JWT_SECRET");
+                expect(() => unsafe.verifySignature({ message: "Nonce: 1", signature: "0x" })).to.throw("JWT_SECRET");
+                expect(() => unsafe.verifyToken(token)).to.throw("JWT_SECRET");
+            }
+
+            // 用示例密钥伪造的管理员 token 会被拒绝
+            const placeholder = [...AuthService.PLACEHOLDER_SECRETS][0];
+            const forged = jwt.sign({ address: admin.address.toLowerCase() }, placeholder, { subject: "session" });
+            const unsafe = createAuthMiddleware(new AuthService({ ...config, jwt: { secret: placeholder } }, orderStorage));
+            expect((await runChain(unsafe.requireAdmin, createRequest(forged))).res.statusCode).to.equal(401);
+        });
+    });
+
+    describe("路由权限", function () {
+        it("未登录或 token 无效时应该返回 401", async function () {
+            expect((await runChain(middleware.authenticate, createRequest(null))).res.statusCode).to.equal(401);
+            expect((await runChain(middleware.authenticate, createRequest("invalid"))).res.statusCode).to.equal(401);
+
+            const req = createRequest("invalid");
+            expect((await runChain(middleware.optionalAuth, req)).passed).to.equal(true);
+            expect(req.user).to.equal(null);
+        });
+
+        it("管理员接口只允许配置中的管理员", async function () {
+            const { token } = await signIn(passenger);
+            expect((await runChain(middleware.requireAdmin, createRequest(token))).res.statusCode).to.equal(403);
+            expect((await runChain(middleware.requireAdmin, createRequest((await signIn(admin)).token))).passed).to.equal(true);
+        });
+
+        it("订单司机接口只允许订单指派的司机", async function () {
+            const requireDriver = middleware.requireOrderDriver(req => req.params.orderId);
+            const driverToken = (await signIn(driver)).token;
+
+            const allowed = createRequest(driverToken, { orderId: 1 });
+            expect((await runChain(requireDriver, allowed)).passed).to.equal(true);
+            expect(allowed.user.address).to.equal(driver.address.toLowerCase());
+
+            expect((await runChain(requireDriver, createRequest((await signIn(passenger)).token, { orderId: 1 }))).res.statusCode).to.equal(403);
+            // 未接单的订单没有司机
+            expect((await runChain(requireDriver, createRequest(driverToken, { orderId: 2 }))).res.statusCode).to.equal(403);
+        });
+
+        it("订单ID应该解析为整数，无效时返回 400 且不读取存储", async function () {
+            const requireDriver = middleware.requireOrderDriver(req => req.params.orderId);
+            const requireParty = middleware.requireOrderParty(req => req.params.orderId);
+            const driverToken = (await signIn(driver)).token;
+            const adminToken = (await signIn(admin)).token;
+            requestedOrders.length = 0;
+
+            const parsed = createRequest(driverToken, { orderId: "1" });
+            expect((await runChain(requireDriver, parsed)).passed).to.equal(true);
+            expect(parsed.orderId).to.equal(1);
+            expect(requestedOrders).to.deep.equal([1]);
+
+            for (const orderId of ["../x", "", undefined, ["../x"]]) {
+                const denied = await runChain(requireDriver, createRequest(driverToken, { orderId }));
+                expect(denied.res.statusCode).to.equal(400);
+                expect(denied.res.body.error).to.equal("无效的订单ID");
+                expect((await runChain(requireParty, createRequest(adminToken, { orderId }))).res.statusCode).to.equal(400);
+            }
+            expect(requestedOrders).to.deep.equal([1]);
+        });
+
+        it("订单双方接口只允许乘客、司机和管理员", async function () {
+            const requireParty = middleware.requireOrderParty(req => req.params.orderId);
+
+            for (const wallet of [passenger, driver, admin]) {
+                const { token } = await signIn(wallet);
+                expect((await runChain(requireParty, createRequest(token, { orderId: 1 }))).passed).to.equal(true);
+            }
+
+            const denied = await runChain(requireParty, createRequest((await signIn(stranger)).token, { orderId: 1 }));
+            expect(denied.res.statusCode).to.equal(403);
+            expect(denied.res.body.error).to.include("订单双方");
+            expect((await runChain(requireParty, createRequest((await signIn(stranger)).token, { orderId: 9 }))).res.statusCode).to.equal(403);
+        });
+    });
+});
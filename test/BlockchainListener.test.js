@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const BlockchainListenerService = require("../backend/services/blockchainListener");
+
+describe("BlockchainListenerService", function () {
+    let calls;
+    let blocks;
+    let listener;
+
+    // 记录调用的存储桩对象
+    function recorder(name, methods) {
+        const stub = {};
+        for (const method of methods) {
+            stub[method] = async (...args) => {
+                calls.push([`${name}.${method}`, ...args]);
+            };
+        }
+        return stub;
+    }
+
+    // 不连接 RPC 和合约，只保留游标、补齐和确认/回滚流程用到的字段
+    function createListener(confirmations = 3) {
+        const instance = Object.create(BlockchainListenerService.prototype);
+        Object.assign(instance, {
+            confirmations,
+            pendingEvents: new Map(),
+            processedEvents: new Map(),
+            inFlightEvents: new Set(),
+            failedEvents: new Map(),
+            maxEventRetries: 3,
+            lastProcessedBlock: 120,
+            highestSeenBlock: 120,
+            dedupeWindow: 100,
+            isReplaying: false,
+            isCheckingConfirmations: false,
+            log: () => {},
+            provider: { getBlock: async (blockNumber) => blocks[blockNumber] || null },
+            orderStorage: recorder("order", ["confirmOrderHistory", "removeOrderHistory", "resetChainState", "deleteOrder"]),
+            disputeStorage: recorder("dispute", ["confirmDisputeEvent", "removeDisputeEvent", "deleteDispute"]),
+            ratingStorage: recorder("rating", ["confirmRating", "deleteRating"]),
+            platformStorage: recorder("platform", ["incrementTransactions", "addRevenue", "addPlatformFee", "incrementDisputes", "incrementResolvedDisputes"]),
+            saveCursor: async () => {},
+            saveOrderFromEvent: async (orderId, orderData, event) => {
+                calls.push(["listener.saveOrderFromEvent", orderId, event]);
+            },
+            refreshDispute: async (disputeId) => {
+                calls.push(["listener.refreshDispute", disputeId]);
+            },
+            replayMissedEvents: async (fromBlock, toBlock) => {
+                calls.push(["listener.replayMissedEvents", fromBlock, toBlock, instance.isReplaying]);
+            }
+        });
+        return instance;
+    }
+
+    function chainEvent(blockNumber, logIndex, blockHash = `0xblock${blockNumber}`) {
+        return { transactionHash: `0xtx${blockNumber}`, logIndex, blockNumber, blockHash };
+    }
+
+    function track(event, orderId, eventName, effects = {}, disputeId = null, rating = null) {
+        listener.processedEvents.set(`${event.transactionHash}:${event.logIndex}`, event.blockNumber);
+        listener.trackPendingEvent(event, orderId, eventName, effects, disputeId, rating);
+    }
+
+    function called(name) {
+        return calls.filter(call => call[0] === name).map(call => call.slice(1));
+    }
+
+    beforeEach(function () {
+        calls = [];
+        blocks = {};
+        listener = createListener();
+    });
+
+    describe("链重组处理", function () {
+        it("同一事件的订单写入和平台统计应该合并为一条待确认记录", function () {
+            const event = chainEvent(100, 0);
+            listener.trackPendingEvent(event, 1, "RideSettled");
+            listener.trackPendingEvent(event, 1, "RideSettled", { transactions: 1, revenue: 0.5 });
+            listener.trackPendingEvent(event, 1, "RideSettled", { revenue: 0.25 });
+
+            expect(listener.pendingEvents.size).to.equal(1);
+            expect(listener.pendingEvents.get("0xtx100:0")).to.include({ orderId: 1, blockHash: "0xblock100" });
+            expect(listener.pendingEvents.get("0xtx100:0").platformEffects).to.deep.equal({ transactions: 1, revenue: 0.75 });
+
+            // 确认深度为 0 时收到即确认，不记录
+            const immediate = createListener(0);
+            immediate.trackPendingEvent(event, 1, "RideSettled");
+            expect(immediate.pendingEvents.size).to.equal(0);
+            expect(immediate.getConfirmationStatus(event)).to.equal("confirmed");
+            expect(listener.getConfirmationStatus(event)).to.equal("pending");
+        });
+
+        it("达到确认深度且区块哈希不变的事件应该标记为已确认", async function () {
+            blocks[100] = { hash: "0xblock100" };
+            blocks[102] = { hash: "0xblock102" };
+            track(chainEvent(100, 0), 1, "OrderCreated");
+            track(chainEvent(100, 1), null, "DisputeCreated", {}, 7);
+            track(chainEvent(102, 0), null, "RatingSubmitted", {}, null, { orderId: 1, rater: "0xabc" });
+
+            await listener.checkConfirmations(103);
+
+            expect(called("order.confirmOrderHistory")).to.deep.equal([[1, "0xtx100", 0]]);
+            expect(called("dispute.confirmDisputeEvent")).to.deep.equal([[7, "0xtx100", 1]]);
+            // 区块 102 只有 2 个确认，继续等待
+            expect(called("rating.confirmRating")).to.deep.equal([]);
+            expect([...listener.pendingEvents.keys()]).to.deep.equal(["0xtx102:0"]);
+
+            await listener.checkConfirmations(104);
+            expect(called("rating.confirmRating")).to.deep.equal([[1, "0xabc"]]);
+            expect(listener.pendingEvents.size).to.equal(0);
+        });
+
+        it("区块哈希变化时应该回滚事件并从重组区块重新补齐", async function () {
+            blocks[100] = { hash: "0xblock100" };
+            blocks[101] = { hash: "0xother101" };
+            track(chainEvent(100, 0), 1, "OrderCreated");
+            track(chainEvent(101, 0), 1, "RideSettled", { transactions: 1, revenue: 0.5, platformFee: 0.025 });
+            track(chainEvent(101, 1), null, "RatingSubmitted", {}, null, { orderId: 1, rater: "0xabc" });
+
+            await listener.checkConfirmations(101);
+
+            expect(called("order.removeOrderHistory")).to.deep.equal([[1, "0xtx101", 0]]);
+            expect(called("platform.incrementTransactions")).to.deep.equal([[-1]]);
+            expect(called("platform.addRevenue")).to.deep.equal([[-0.5]]);
+            expect(called("platform.addPlatformFee")).to.deep.equal([[-0.025]]);
+            expect(called("rating.deleteRating")).to.deep.equal([[1, "0xabc"]]);
+            // 订单创建事件仍在链上，按链上最新状态刷新
+            expect(called("listener.saveOrderFromEvent")).to.deep.equal([[1, "ChainReorg"]]);
+            expect(called("order.resetChainState")).to.deep.equal([]);
+
+            // 未重组的事件保持待确认，重组的事件允许重新处理
+            expect([...listener.pendingEvents.keys()]).to.deep.equal(["0xtx100:0"]);
+            expect([...listener.processedEvents.keys()]).to.deep.equal(["0xtx100:0"]);
+            expect(listener.lastProcessedBlock).to.equal(100);
+            expect(called("listener.replayMissedEvents")).to.deep.equal([[101, 101, true]]);
+            expect(listener.isReplaying).to.equal(false);
+        });
+
+        it("订单创建被回滚时应该只清除链上字段而不删除订单文件", async function () {
+            track(chainEvent(110, 0), 2, "OrderCreated", { transactions: 1 });
+            track(chainEvent(110, 1), null, "DisputeCreated", { disputes: 1 }, 3);
+
+            await listener.rollbackEvents([...listener.pendingEvents.values()], 112);
+
+            expect(called("order.resetChainState")).to.deep.equal([[2]]);
+            expect(called("order.deleteOrder")).to.deep.equal([]);
+            expect(called("listener.saveOrderFromEvent")).to.deep.equal([]);
+            expect(called("dispute.deleteDispute")).to.deep.equal([[3]]);
+            expect(called("platform.incrementDisputes")).to.deep.equal([[-1]]);
+            expect(called("listener.replayMissedEvents")).to.deep.equal([[110, 112, true]]);
+            expect(listener.lastProcessedBlock).to.equal(109);
+        });
+
+        it("补齐事件期间不检查确认状态", async function () {
+            blocks[100] = { hash: "0xother100" };
+            track(chainEvent(100, 0), 1, "OrderCreated");
+            listener.isReplaying = true;
+
+            await listener.checkConfirmations(110);
+
+            expect(calls).to.deep.equal([]);
+            expect(listener.pendingEvents.size).to.equal(1);
+        });
+    });
+
+    describe("事件分发", function () {
+        it("处理失败的事件不应该记为已处理，游标停在失败区块之前，补齐时重试", async function () {
+            const event = chainEvent(125, 0);
+            let attempts = 0;
+            const handler = async () => {
+                attempts++;
+                if (attempts === 1) {
+                    throw new Error("存储暂不可用");
+                }
+            };
+
+            await listener.dispatchEvent("OrderCreated", handler, [1, event]);
+            expect(listener.processedEvents.has("0xtx125:0")).to.equal(false);
+            expect(listener.failedEvents.get("0xtx125:0")).to.deep.equal({ blockNumber: 125, attempts: 1 });
+
+            // 后续区块的事件成功处理，游标也不越过失败的事件
+            await listener.dispatchEvent("OrderCreated", async () => {}, [2, chainEvent(126, 0)]);
+            expect(listener.lastProcessedBlock).to.equal(124);
+            expect(listener.capCursor(130)).to.equal(124);
+
+            // 补齐时重试成功后游标继续推进
+            expect(await listener.dispatchEvent("OrderCreated", handler, [1, event])).to.equal(true);
+            expect(attempts).to.equal(2);
+            expect(listener.processedEvents.has("0xtx125:0")).to.equal(true);
+            expect(listener.failedEvents.size).to.equal(0);
+            expect(listener.lastProcessedBlock).to.equal(125);
+            expect(await listener.dispatchEvent("OrderCreated", handler, [1, event])).to.equal(false);
+        });
+
+        it("处理中的事件不应该被重复分发，超过重试次数后放弃", async function () {
+            const event = chainEvent(121, 0);
+            let release;
+            let runs = 0;
+            const slow = () => {
+                runs++;
+                return new Promise(resolve => { release = resolve; });
+            };
+
+            const first = listener.dispatchEvent("OrderCreated", slow, [1, event]);
+            expect(await listener.dispatchEvent("OrderCreated", slow, [1, event])).to.equal(false);
+            release();
+            expect(await first).to.equal(true);
+            expect(runs).to.equal(1);
+
+            const failing = async () => { throw new Error("数据无效"); };
+            const broken = chainEvent(122, 0);
+            for (let i = 0; i < 3; i++) {
+                await listener.dispatchEvent("OrderCreated", failing, [2, broken]);
+            }
+            expect(listener.processedEvents.has("0xtx122:0")).to.equal(true);
+            expect(listener.failedEvents.size).to.equal(0);
+            expect(listener.lastProcessedBlock).to.equal(122);
+        });
+    });
+
+    describe("历史事件补齐", function () {
+        it("健康检查补齐时没有事件不应该输出日志", async function () {
+            const events = { OrderCreated: [], RideSettled: [] };
+            const logged = [];
+            const handled = [];
+            Object.assign(listener, {
+                replayBatchSize: 10,
+                log: (level, message) => logged.push(message),
+                contracts: {
+                    rideOrder: {
+                        filters: { OrderCreated: () => "OrderCreated", RideSettled: () => "RideSettled" },
+                        queryFilter: async (filter, fromBlock, toBlock) =>
+                            events[filter].filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock)
+                    }
+                },
+                subscriptions: ["OrderCreated", "RideSettled"].map(eventName => ({
+                    contractName: "rideOrder",
+                    eventName,
+                    handler: async (orderId) => { handled.push(orderId); }
+                }))
+            });
+            delete listener.replayMissedEvents;
+
+            const originalLog = console.log;
+            const printed = [];
+            console.log = (...args) => printed.push(args.join(" "));
+            try {
+                listener.isReplaying = true;
+                await listener.replayMissedEvents(121, 140);
+                expect(listener.lastProcessedBlock).to.equal(140);
+                expect(printed).to.deep.equal([]);
+                expect(logged).to.deep.equal([]);
+
+                events.RideSettled.push({ ...chainEvent(145, 0), args: [7] });
+                await listener.replayMissedEvents(141, 150);
+            } finally {
+                console.log = originalLog;
+                listener.isReplaying = false;
+            }
+            expect(handled).to.deep.equal([7]);
+            expect(printed).to.deep.equal(["获取到 1 个 RideSettled 事件"]);
+            expect(logged).to.deep.equal(["历史事件补齐完成: 区块 141 - 150，共处理 1 个事件"]);
+        });
+    });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const DisputeAssessmentService = require("../backend/services/disputeAssessment");
+
+describe("DisputeAssessmentService", function () {
+    const PASSENGER = "0x1111111111111111111111111111111111111111";
+    const DRIVER = "0x2222222222222222222222222222222222222222";
+    let assessment;
+
+    beforeEach(function () {
+        assessment = new DisputeAssessmentService({ services: { disputeAssessment: { roadFactor: 1 } } });
+    });
+
+    function completedOrder(overrides = {}) {
+        return {
+            passenger: PASSENGER,
+            driver: DRIVER,
+            status: 3,
+            estimatedFare: "0.02",
+            actualFare: "0.02",
+            acceptedAt: 1000,
+            pickedUpAt: 1300,
+            completedAt: 2500,
+            ...overrides
+        };
+    }
+
+    function trip(distance, integrity = {}) {
+        return {
+            points: [{ lat: 39.9, lng: 116.4 }, { lat: 39.91, lng: 116.41 }],
+            distance,
+            integrity: { score: 95, reachedPickup: true, reachedDestination: true, ...integrity }
+        };
+    }
+
+    const stored = (overrides = {}) => ({ fareQuote: { distance: 10 }, history: [], ...overrides });
+
+    it("轨迹未经过上车点时应该建议乘客胜诉", function () {
+        const result = assessment.assess({
+            order: completedOrder({ status: 1, pickedUpAt: null, completedAt: null }),
+            stored: stored(),
+            trip: trip(3, { reachedPickup: false, reachedDestination: false }),
+            initiator: PASSENGER
+        });
+
+        expect(result.recommendation).to.include({ ruleId: "driver_never_reached_pickup", result: "passenger_wins", passengerShare: 100 });
+        expect(result.confidence).to.equal(0.85);
+        expect(result.findings[0].facts.find(fact => fact.key === "reachedPickup").value).to.equal(false);
+    });
+
+    it("实际里程远短于预估时应该按缺少的比例部分退款", function () {
+        const result = assessment.assess({
+            order: completedOrder(),
+            stored: stored(),
+            trip: trip(3, { reachedDestination: false }),
+            initiator: PASSENGER
+        });
+
+        expect(result.recommendation).to.include({ ruleId: "ride_far_shorter_than_estimate", result: "split", passengerShare: 70 });
+        expect(result.confidence).to.equal(0.85);
+    });
+
+    it("司机到达后按取消方给出建议，取消方未知时不给结论", function () {
+        const cancelledBy = (address) => ({
+            order: completedOrder({ status: 4, pickedUpAt: null, completedAt: null }),
+            stored: stored({
+                history: [
+                    { event: "DriverArrivedAtPickup", data: {} },
+                    ...(address ? [{ event: "OrderCancelled", data: { cancelledBy: address } }] : [])
+                ]
+            }),
+            trip: null,
+            initiator: DRIVER
+        });
+
+        const byPassenger = assessment.assess(cancelledBy(PASSENGER));
+        expect(byPassenger.recommendation).to.include({ ruleId: "cancelled_after_arrival", result: "driver_wins" });
+        // 到达只来自司机 GPS，没有轨迹可信度时降低置信度
+        expect(byPassenger.confidence).to.equal(0.48);
+        expect(byPassenger.findings[0].facts.find(fact => fact.key === "cancelledBy").value).to.equal("passenger");
+
+        const byDriver = assessment.assess(cancelledBy(DRIVER));
+        expect(byDriver.recommendation).to.include({ ruleId: "driver_cancelled", result: "passenger_wins", passengerShare: 100 });
+
+        expect(assessment.assess(cancelledBy(null)).recommendation).to.equal(null);
+    });
+
+    it("应该识别绕路和车费明显高于报价", function () {
+        const result = assessment.assess({
+            order: completedOrder({ actualFare: "0.03" }),
+            stored: stored(),
+            trip: trip(20),
+            initiator: PASSENGER
+        });
+
+        const ids = result.findings.map(finding => finding.id);
+        expect(ids).to.include.members(["route_detour", "fare_above_estimate"]);
+        expect(result.findings.find(finding => finding.id === "route_detour").passengerShare).to.equal(50);
+        expect(result.findings.find(finding => finding.id === "fare_above_estimate").passengerShare).to.equal(33);
+        expect(result.recommendation.ruleId).to.equal("fare_above_estimate");
+    });
+
+    it("轨迹可信度低和发起方频繁争议时应该降低置信度", function () {
+        const input = {
+            order: completedOrder(),
+            stored: stored(),
+            trip: trip(3, { score: 40 }),
+            initiator: PASSENGER
+        };
+        expect(assessment.assess(input).confidence).to.equal(0.45);
+
+        const frequent = assessment.assess({ ...input, history: { passenger: { orders: 10, cancelled: 0, disputes: 5, disputesWon: 1 } } });
+        expect(frequent.confidence).to.equal(0.41);
+        expect(frequent.findings[0].facts.map(fact => fact.key)).to.include("passengerDisputes");
+    });
+
+    it("数据与订单一致时应该建议无过错，数据不足时不给建议", function () {
+        const normal = assessment.assess({ order: completedOrder(), stored: stored(), trip: trip(11), initiator: PASSENGER });
+        expect(normal.recommendation).to.include({ ruleId: "normal_trip", result: "no_fault" });
+
+        const empty = assessment.assess({ order: null, stored: null, trip: null });
+        expect(empty.recommendation).to.equal(null);
+        expect(empty.confidence).to.equal(0);
+        expect(empty.findings).to.have.length(0);
+    });
+});
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const DisputeStorageService = require("../backend/services/disputeStorage");
+const BlockchainListenerService = require("../backend/services/blockchainListener");
+
+describe("DisputeStorageService", function () {
+    const PASSENGER = "0x1111111111111111111111111111111111111111";
+    const DRIVER = "0x2222222222222222222222222222222222222222";
+    const ARBITRATOR = "0x3333333333333333333333333333333333333333";
+    let dataDir;
+    let storage;
+
+    beforeEach(function () {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "disputes-"));
+        storage = new DisputeStorageService(dataDir);
+    });
+
+    afterEach(async function () {
+        await storage.initPromise;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    function chainEvent(blockNumber, logIndex = 0) {
+        return { blockNumber, logIndex, transactionHash: `0xtx${blockNumber}`, blockHash: `0xblock${blockNumber}` };
+    }
+
+    async function rejection(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    describe("事件索引", function () {
+        it("应该创建争议文件并合并字段", async function () {
+            const created = await storage.updateDispute("7", { orderId: 3, passenger: PASSENGER });
+            expect(created).to.include({ disputeId: 7, status: "open", result: "pending", arbitrator: null, confirmation: "confirmed" });
+
+            const updated = await storage.updateDispute(7, { disputeId: 99, status: "under_review", timeline: null });
+            expect(updated).to.include({ disputeId: 7, orderId: 3, status: "under_review" });
+            expect(updated.timeline).to.deep.equal([]);
+            expect(await storage.getDispute(8)).to.equal(null);
+        });
+
+        it("时间线应该按链上顺序排列，同一事件只记录一次", async function () {
+            await storage.updateDispute(1, {});
+            await storage.addDisputeEvent(1, "ArbitratorAssigned", chainEvent(12), { confirmation: "pending", timestamp: 100 });
+            await storage.addDisputeEvent(1, "DisputeCreated", chainEvent(10), { confirmation: "confirmed" });
+            const dispute = await storage.addDisputeEvent(1, "ArbitratorAssigned", chainEvent(12), { confirmation: "pending" });
+
+            expect(dispute.timeline.map(entry => entry.event)).to.deep.equal(["DisputeCreated", "ArbitratorAssigned"]);
+            expect(dispute.timeline[1]).to.include({ timestamp: 100, confirmation: "pending" });
+            expect(dispute.confirmation).to.equal("pending");
+            expect(await rejection(storage.addDisputeEvent(2, "DisputeCreated", chainEvent(10)))).to.equal("争议 2 不存在");
+
+            // 达到确认深度后标记为已确认，重组时移除
+            expect((await storage.confirmDisputeEvent(1, "0xtx12", 0)).confirmation).to.equal("confirmed");
+            const removed = await storage.removeDisputeEvent(1, "0xtx10", 0);
+            expect(removed.timeline.map(entry => entry.event)).to.deep.equal(["ArbitratorAssigned"]);
+            expect(await storage.confirmDisputeEvent(2, "0xtx10", 0)).to.equal(null);
+
+            expect(await storage.deleteDispute(1)).to.equal(true);
+            expect(await storage.deleteDispute(1)).to.equal(false);
+        });
+
+        it("并发写入同一争议不应该丢失时间线", async function () {
+            await storage.updateDispute(1, {});
+            await Promise.all([10, 11, 12, 13].map(block => storage.addDisputeEvent(1, "EvidenceSubmitted", chainEvent(block))));
+            expect((await storage.getDispute(1)).timeline).to.have.lengthOf(4);
+        });
+    });
+
+    describe("状态变化", function () {
+        let listener;
+        let chainDetails;
+
+        // 不连接 RPC，链上详情由桩返回
+        beforeEach(function () {
+            chainDetails = { orderId: 3, passenger: PASSENGER, driver: DRIVER, initiator: PASSENGER, disputeType: "price", status: "open", result: "pending", description: "多收费", createdAt: 100 };
+            listener = Object.create(BlockchainListenerService.prototype);
+            Object.assign(listener, {
+                confirmations: 0,
+                pendingEvents: new Map(),
+                disputeStorage: storage,
+                log: () => {},
+                fetchDisputeFromChain: async () => ({ ...chainDetails })
+            });
+        });
+
+        it("应该按合约事件依次更新争议状态和时间线", async function () {
+            await listener.recordDisputeEvent(1, "DisputeCreated", { orderId: 3, status: "open", result: "pending", createdAt: 100 }, { description: "争议创建" }, chainEvent(10), 100);
+            expect(await storage.getDispute(1)).to.include({ passenger: PASSENGER, driver: DRIVER, status: "open", description: "多收费" });
+
+            await listener.recordDisputeEvent(1, "ArbitratorAssigned", { arbitrator: ARBITRATOR, status: "under_review", assignedAt: 200 }, {}, chainEvent(11), 200);
+            await listener.recordDisputeEvent(1, "DisputeResolved", { status: "resolved", result: "split", passengerRefund: "0.05", driverPayment: "0.05", resolvedAt: 300 }, {}, chainEvent(12), 300);
+            await listener.recordDisputeEvent(1, "DisputeClosed", { status: "closed", closedAt: 400 }, {}, chainEvent(13), 400);
+
+            const dispute = await storage.getDispute(1);
+            expect(dispute).to.include({ status: "closed", result: "split", arbitrator: ARBITRATOR, passengerRefund: "0.05", resolvedAt: 300, closedAt: 400, confirmation: "confirmed" });
+            expect(dispute.timeline.map(entry => [entry.event, entry.timestamp])).to.deep.equal([
+                ["DisputeCreated", 100], ["ArbitratorAssigned", 200], ["DisputeResolved", 300], ["DisputeClosed", 400]
+            ]);
+        });
+
+        it("重组回滚后应该按链上状态清除已回滚的字段", async function () {
+            await listener.recordDisputeEvent(1, "ArbitratorAssigned", { arbitrator: ARBITRATOR, status: "under_review", assignedAt: 200 }, {}, chainEvent(11), 200);
+            await listener.recordDisputeEvent(1, "DisputeResolved", { status: "resolved", result: "driver_wins", resolvedAt: 300 }, {}, chainEvent(12), 300);
+
+            chainDetails.status = "under_review";
+            await listener.refreshDispute(1);
+            const dispute = await storage.getDispute(1);
+            expect(dispute).to.include({ status: "under_review", result: "pending", arbitrator: ARBITRATOR, resolvedAt: null, closedAt: null });
+        });
+    });
+
+    describe("查询和权限", function () {
+        beforeEach(async function () {
+            await storage.updateDispute(1, { orderId: 3, passenger: PASSENGER, driver: DRIVER, arbitrator: ARBITRATOR, status: "resolved", result: "split", createdAt: 100, resolvedAt: 400 });
+            await storage.updateDispute(2, { orderId: 4, passenger: PASSENGER, driver: DRIVER, arbitrator: ARBITRATOR, status: "under_review", createdAt: 200 });
+            await storage.updateDispute(3, { orderId: 5, passenger: DRIVER, driver: PASSENGER, status: "open", createdAt: 300 });
+        });
+
+        it("应该按状态、仲裁员、用户和订单筛选，按创建时间倒序", async function () {
+            const ids = async (filters) => (await storage.listDisputes(filters)).map(dispute => dispute.disputeId);
+            expect(await ids()).to.deep.equal([3, 2, 1]);
+            expect(await ids({ status: "open" })).to.deep.equal([3]);
+            expect(await ids({ arbitrator: ARBITRATOR.toUpperCase().replace("0X", "0x") })).to.deep.equal([2, 1]);
+            expect(await ids({ user: DRIVER })).to.deep.equal([3, 2, 1]);
+            expect(await ids({ orderId: "4" })).to.deep.equal([2]);
+
+            const summary = await storage.getArbitratorSummary(ARBITRATOR);
+            expect(summary).to.deep.equal({
+                totalCases: 2,
+                byStatus: { open: 0, under_review: 1, resolved: 1, closed: 0 },
+                byResult: { split: 1 },
+                averageResolutionTime: 300
+            });
+        });
+
+        it("争议只对管理员、争议双方和受理的仲裁员可见", async function () {
+            const dispute = await storage.getDispute(1);
+            const canView = (address, role = "user") => DisputeStorageService.canViewDispute({ address, role }, dispute);
+
+            expect(canView(PASSENGER)).to.equal(true);
+            expect(canView(DRIVER)).to.equal(true);
+            expect(canView(ARBITRATOR)).to.equal(true);
+            expect(canView("0x4444444444444444444444444444444444444444")).to.equal(false);
+            expect(canView("0x4444444444444444444444444444444444444444", "admin")).to.equal(true);
+            // 未指派仲裁员的争议
+            expect(DisputeStorageService.canViewDispute({ address: ARBITRATOR, role: "user" }, await storage.getDispute(3))).to.equal(false);
+        });
+    });
+});
@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const DriverRankingService = require("../backend/services/driverRanking");
+
+describe("DriverRankingService", function () {
+    const DRIVER_A = "0xaaaa000000000000000000000000000000000001";
+    const DRIVER_B = "0xbbbb000000000000000000000000000000000002";
+    const PASSENGER = "0xcccc000000000000000000000000000000000003";
+
+    // 链上数据桩：评分乘以100，信用分 0-1000
+    const chainData = {
+        [DRIVER_A]: { averageScore: 200, creditScore: 900, vehicleModel: "Sedan" },
+        [DRIVER_B]: { averageScore: 500, creditScore: 300, vehicleModel: "Electric Scooter" }
+    };
+    const number = (value) => ({ toNumber: () => value });
+    const contracts = {
+        rating: { getAverageScore: async (driver) => number(chainData[driver].averageScore) },
+        userRegistry: {
+            getUser: async (driver) => ({ creditScore: number(chainData[driver].creditScore) }),
+            drivers: async (driver) => ({ vehicleModel: chainData[driver].vehicleModel })
+        }
+    };
+
+    function createRanking(rankingWeights, orders = []) {
+        const config = { services: { orderMatching: { maxDistance: 10, rankingWeights }, pricing: { averageSpeed: 40 } } };
+        return new DriverRankingService(config, contracts, { getAllOrders: async () => orders });
+    }
+
+    const candidates = [
+        { driverId: DRIVER_A, distance: 1 },
+        { driverId: DRIVER_B, distance: 5 }
+    ];
+
+    describe("加权排名", function () {
+        it("应该按配置权重加权平均各因素分数", async function () {
+            const ranking = createRanking({ eta: 1, rating: 1, acceptance: 0, credit: 0, category: 0 });
+            const ranked = await ranking.rank({}, candidates);
+
+            // A: (0.9 + 0.4) / 2，B: (0.5 + 1) / 2
+            expect(ranked.map(candidate => [candidate.driverId, candidate.score])).to.deep.equal([[DRIVER_B, 0.75], [DRIVER_A, 0.65]]);
+            expect(ranked[1].factors).to.deep.equal({ eta: { score: 0.9, etaMinutes: 1.5 }, rating: { score: 0.4, averageScore: 2 } });
+
+            // 只按接驾时间时近的司机优先
+            const byEta = await createRanking({ eta: 1, rating: 0, acceptance: 0, credit: 0, category: 0 }).rank({}, candidates);
+            expect(byEta.map(candidate => candidate.driverId)).to.deep.equal([DRIVER_A, DRIVER_B]);
+        });
+
+        it("应该按车型匹配和信用分打分，并支持注册新的因素", async function () {
+            const ranking = createRanking({ eta: 0, rating: 0, acceptance: 0, credit: 1, category: 3 });
+            const ranked = await ranking.rank({ category: "rental", subCategory: "rental scooter" }, candidates);
+            expect(ranked[0].driverId).to.equal(DRIVER_B);
+            expect(ranked[0].factors.category).to.include({ score: 1, required: "scooter" });
+            expect(ranked[1].factors.credit).to.deep.equal({ score: 0.9, creditScore: 900 });
+
+            const custom = createRanking({ eta: 0, rating: 0, acceptance: 0, credit: 0, category: 0, newcomer: 1 });
+            custom.registerFactor("newcomer", (candidate) => ({ score: candidate.driverId === DRIVER_A ? 1 : 0 }));
+            custom.registerFactor("broken", () => { throw new Error("不会被调用"); });
+            expect((await custom.rank({}, candidates)).map(candidate => [candidate.driverId, candidate.score]))
+                .to.deep.equal([[DRIVER_A, 1], [DRIVER_B, 0]]);
+        });
+
+        it("因素计算失败时应该按中性分处理", async function () {
+            const ranking = createRanking({ eta: 0, rating: 1, acceptance: 0, credit: 0, category: 0 });
+            ranking.registerFactor("rating", () => { throw new Error("RPC 不可用"); });
+            const ranked = await ranking.rank({}, candidates);
+            expect(ranked.map(candidate => candidate.score)).to.deep.equal([0.5, 0.5]);
+            // 总分相同时距离近的优先
+            expect(ranked[0].driverId).to.equal(DRIVER_A);
+            expect(ranked[0].factors.rating).to.include({ error: "RPC 不可用" });
+        });
+    });
+
+    describe("接单率和取消率", function () {
+        const cancelled = (orderId, cancelledBy) => ({
+            orderId,
+            driver: DRIVER_A.toUpperCase().replace("0X", "0x"),
+            passenger: PASSENGER,
+            status: 4,
+            history: cancelledBy ? [{ event: "OrderCancelled", data: { cancelledBy, reason: "" } }] : []
+        });
+
+        const orders = [
+            {
+                orderId: 1,
+                driver: DRIVER_A,
+                passenger: PASSENGER,
+                status: 3,
+                history: [
+                    { event: "DispatchOffered", data: { drivers: [{ driver: DRIVER_A }, { driver: DRIVER_B }] } },
+                    { event: "DispatchOfferAccepted", data: { driver: DRIVER_A } }
+                ]
+            },
+            cancelled(2, DRIVER_A.toUpperCase().replace("0X", "0x")),
+            cancelled(3, PASSENGER),
+            cancelled(4, null)
+        ];
+
+        it("应该只统计司机本人取消的订单", async function () {
+            const stats = await createRanking({}, orders).getDriverStats();
+            expect(stats.get(DRIVER_A)).to.deep.equal({ offered: 1, accepted: 1, assigned: 4, cancelled: 1 });
+            expect(stats.get(DRIVER_B)).to.deep.equal({ offered: 1, accepted: 0, assigned: 0, cancelled: 0 });
+        });
+
+        it("接单率应该平滑处理并扣除取消率", async function () {
+            const ranking = createRanking({}, orders);
+            expect(await ranking.scoreAcceptance({ driverId: DRIVER_A }))
+                .to.deep.equal({ score: 0.5, acceptanceRate: 0.667, cancellationRate: 0.25 });
+            expect(await ranking.scoreAcceptance({ driverId: DRIVER_B }))
+                .to.deep.equal({ score: 1 / 3, acceptanceRate: 0.333, cancellationRate: 0 });
+            // 新司机接单率为 0.5
+            expect((await ranking.scoreAcceptance({ driverId: PASSENGER })).score).to.equal(0.5);
+        });
+    });
+});
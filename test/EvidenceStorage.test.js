@@ -0,0 +1,90 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const EvidenceStorageService = require("../backend/services/evidenceStorage");
+const TraceExportService = require("../backend/services/traceExport");
+
+describe("EvidenceStorageService", function () {
+    const png = Buffer.concat([Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]), Buffer.alloc(32)]);
+    let dataDir;
+    let storage;
+
+    beforeEach(function () {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "evidence-"));
+        storage = new EvidenceStorageService({ services: { evidence: { maxImageSize: 1024, maxFilesPerOrder: 3 } } }, null, dataDir);
+    });
+
+    afterEach(async function () {
+        await storage.initPromise;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("应该按文件内容识别图片和轨迹类型", function () {
+        const trip = { orderId: 1, points: [{ lat: 39.9, lng: 116.4, timestamp: Date.UTC(2024, 0, 1) }] };
+        const exporter = new TraceExportService();
+
+        expect(storage.validate(png).contentType).to.equal("image/png");
+        expect(storage.validate(Buffer.from([0xff, 0xd8, 0xff, 0xe0])).contentType).to.equal("image/jpeg");
+        expect(storage.validate(Buffer.from(exporter.exportTrip(trip, "gpx").body)).kind).to.equal("trace");
+        expect(storage.validate(Buffer.from(exporter.exportTrip(trip, "geojson").body)).extension).to.equal("geojson");
+        expect(storage.validate(Buffer.from(exporter.exportTrip(trip, "kml").body)).extension).to.equal("kml");
+    });
+
+    it("应该拒绝空文件、未知类型和超过大小限制的文件", function () {
+        expect(() => storage.validate(Buffer.alloc(0))).to.throw("证据文件为空");
+        expect(() => storage.validate(Buffer.from("<html></html>"))).to.throw("不支持的证据类型");
+        expect(() => storage.validate(Buffer.concat([png, Buffer.alloc(2048)]))).to.throw("证据文件过大");
+    });
+
+    it("IPFS 未启用时应该存入本地并返回 CIDv1", async function () {
+        const evidence = await storage.store(Buffer.from([0xff, 0xd8, 0xff, 0x00]), { orderId: 7, uploader: "0xABC", filename: "../photo.jpg" });
+
+        // sha256(ffd8ff00) = 374ffede...，raw 编码 + base32
+        expect(evidence.cid).to.equal("bafkreibxj77n4i5nxsf4mjjal5f7qz2qqb77w3hhd7d5cdfmrppnbbzl6u");
+        expect(evidence.storage).to.equal("local");
+        expect(evidence.uploader).to.equal("0xabc");
+        expect(evidence.filename).to.equal(".._photo.jpg");
+
+        const content = await storage.getContent(evidence.cid);
+        expect(content.body.equals(Buffer.from([0xff, 0xd8, 0xff, 0x00]))).to.equal(true);
+        expect(await storage.getContent("../../etc/passwd")).to.equal(null);
+    });
+
+    it("应该使用 IPFS 返回的 CID", async function () {
+        const ipfsProvider = {
+            ipfsEnabled: true,
+            initIPFS: async () => ({ add: async () => ({ path: "bafyipfscid0000" }) })
+        };
+        const withIpfs = new EvidenceStorageService({}, ipfsProvider, dataDir);
+        await withIpfs.initPromise;
+
+        const evidence = await withIpfs.store(png, { orderId: 7 });
+        expect(evidence.cid).to.equal("bafyipfscid0000");
+        expect(evidence.storage).to.equal("ipfs");
+        expect((await withIpfs.getMetadata("bafyipfscid0000")).size).to.equal(png.length);
+    });
+
+    it("订单证据列表应该合并链上提交记录，并限制每个订单的证据数", async function () {
+        const uploaded = await storage.store(png, { orderId: 7 });
+        await storage.store(Buffer.from([0xff, 0xd8, 0xff, 0x01]), { orderId: 7 });
+        await storage.store(Buffer.from([0xff, 0xd8, 0xff, 0x02]), { orderId: 8 });
+
+        const evidence = await storage.listByOrder(7, [
+            { ipfsHash: uploaded.cid, disputeId: 3, timestamp: 100, transactionHash: "0x1" },
+            { ipfsHash: "QmExternalEvidence", disputeId: 3, timestamp: 200, transactionHash: "0x2" }
+        ]);
+        expect(evidence).to.have.length(3);
+        expect(evidence.find(item => item.cid === uploaded.cid)).to.include({ onChain: true, disputeId: 3 });
+        expect(evidence.find(item => item.cid === "QmExternalEvidence")).to.include({ storage: "external", onChain: true });
+
+        await storage.store(Buffer.from([0xff, 0xd8, 0xff, 0x03]), { orderId: 7 });
+        let error = null;
+        try {
+            await storage.store(Buffer.from([0xff, 0xd8, 0xff, 0x04]), { orderId: 7 });
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("上限");
+    });
+});
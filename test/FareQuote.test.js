@@ -0,0 +1,169 @@
+const { expect } = require("chai");
+const FareQuoteService = require("../backend/services/fareQuote");
+
+describe("FareQuoteService", function () {
+    let fareQuote;
+    
+    const config = {
+        jwt: { secret: "test-secret" },
+        services: {
+            pricing: {
+                ethToUsdRate: 2500,
+                averageSpeed: 40,
+                quoteTtl: 300000,
+                platformFeeRate: 0.05,
+                tariffs: {
+                    default: { baseFare: 12.5, perKm: 2.5, perMinute: 0.2, minimumFare: 15 },
+                    "rental/rental scooter": { baseFare: 5, perKm: 1.2, perMinute: 0.1, minimumFare: 6 },
+                    goods: { baseFare: 15, perKm: 3, perMinute: 0.25, minimumFare: 20 }
+                }
+            }
+        }
+    };
+    
+    beforeEach(function () {
+        fareQuote = new FareQuoteService(config);
+    });
+    
+    describe("计价规则", function () {
+        it("应该按 category/subCategory -> category -> default 匹配", function () {
+            expect(fareQuote.getTariff("rental", "rental scooter").key).to.equal("rental/rental scooter");
+            expect(fareQuote.getTariff("goods", "box truck").key).to.equal("goods");
+            expect(fareQuote.getTariff("rental", "rental car").key).to.equal("default");
+        });
+        
+        it("应该包含基础费、里程费和时长费", function () {
+            const fare = fareQuote.calculateFare({ distance: 10, duration: 15 });
+            expect(fare.fareUSD).to.equal(12.5 + 25 + 3);
+            expect(fare.fareETH).to.equal((40.5 / 2500).toFixed(8));
+            expect(fare.minimumFareApplied).to.equal(false);
+        });
+        
+        it("应该应用最低消费", function () {
+            const fare = fareQuote.calculateFare({ distance: 0.5, duration: 1 });
+            expect(fare.minimumFareApplied).to.equal(true);
+            expect(fare.fareUSD).to.equal(15);
+        });
+        
+        it("应该按实际里程、行驶和等待时长计价并记录与预估的差异", function () {
+            const fare = fareQuote.calculateMeteredFare(
+                { distance: 10, duration: 20 * 60000, waitingTime: 5 * 60000 },
+                { surgeMultiplier: 1.5 }
+            );
+            expect(fare.duration).to.equal(15);
+            expect(fare.waitingTime).to.equal(5);
+            expect(fare.timeFare + fare.waitingFare).to.equal(4);
+            expect(fare.fareUSD).to.equal((12.5 + 25 + 4) * 1.5);
+            
+            const variance = fareQuote.compareFare("0.02", fare.fareETH);
+            expect(variance.varianceETH).to.equal((parseFloat(fare.fareETH) - 0.02).toFixed(8));
+            expect(variance.variancePercent).to.be.closeTo(24.5, 0.01);
+        });
+        
+        it("等待时长不应该超过行程时长", function () {
+            const fare = fareQuote.calculateMeteredFare({ distance: 0, duration: 10 * 60000, waitingTime: 600 * 60000 });
+            expect(fare.waitingTime).to.equal(10);
+            expect(fare.duration).to.equal(0);
+            expect(fare.waitingFare).to.equal(fareQuote.calculateFare({ distance: 0, duration: 0, waitingTime: 10 }).waitingFare);
+        });
+    });
+    
+    describe("报价", function () {
+        it("应该生成可验证的签名报价", function () {
+            const quote = fareQuote.createQuote({
+                pickup: { lat: 39.9, lng: 116.4 },
+                destination: { lat: 40.0, lng: 116.4 },
+                category: "rental",
+                subCategory: "rental car"
+            });
+            
+            expect(quote.quoteId).to.have.lengthOf(32);
+            expect(quote.expiresAt - quote.issuedAt).to.equal(300000);
+            
+            const verified = fareQuote.verifyQuote(quote.token);
+            expect(verified.quoteId).to.equal(quote.quoteId);
+            expect(verified.fareETH).to.equal(quote.fareETH);
+        });
+        
+        it("应该接受链上格式的坐标", function () {
+            const quote = fareQuote.createQuote({
+                pickup: { latitude: 39900000, longitude: 116400000 },
+                destination: { latitude: 40000000, longitude: 116400000 }
+            });
+            expect(quote.distance).to.be.closeTo(11.12, 0.01);
+        });
+        
+        it("应该拒绝被篡改的报价", function () {
+            const quote = fareQuote.createQuote({
+                pickup: { lat: 39.9, lng: 116.4 },
+                destination: { lat: 40.0, lng: 116.4 }
+            });
+            expect(() => fareQuote.verifyQuote(quote.token + "x")).to.throw("报价签名无效");
+        });
+        
+        it("应该拒绝过期的报价", function () {
+            const expired = new FareQuoteService({
+                ...config,
+                services: { pricing: { ...config.services.pricing, quoteTtl: -1000 } }
+            });
+            const quote = expired.createQuote({
+                pickup: { lat: 39.9, lng: 116.4 },
+                destination: { lat: 40.0, lng: 116.4 }
+            });
+            expect(() => expired.verifyQuote(quote.token)).to.throw("报价已过期");
+            expect(expired.verifyQuote(quote.token, { allowExpired: true }).quoteId).to.equal(quote.quoteId);
+        });
+        
+        it("应该按途经点计算完整路线", function () {
+            const quote = fareQuote.createQuote({
+                pickup: { lat: 39.9, lng: 116.4 },
+                destination: { lat: 39.9, lng: 116.4 },
+                waypoints: [{ lat: 40.0, lng: 116.4, address: "途经点" }]
+            });
+            expect(quote.distance).to.be.closeTo(22.24, 0.01);
+            expect(quote.waypoints).to.deep.equal([{ lat: 40.0, lng: 116.4, address: "途经点" }]);
+            expect(fareQuote.verifyQuote(quote.token).waypoints).to.have.lengthOf(1);
+
+            expect(() => fareQuote.createQuote({
+                pickup: { lat: 39.9, lng: 116.4 },
+                destination: { lat: 40.0, lng: 116.4 },
+                waypoints: new Array(6).fill({ lat: 39.95, lng: 116.4 })
+            })).to.throw("最多支持 5 个途经点");
+        });
+
+        it("应该拒绝无效坐标", function () {
+            expect(() => fareQuote.createQuote({
+                pickup: { lat: 200, lng: 116.4 },
+                destination: { lat: 40.0, lng: 116.4 }
+            })).to.throw("无效的上车点或目的地坐标");
+        });
+    });
+
+    describe("预约单", function () {
+        const MINUTE = 60 * 1000;
+
+        it("预约上车时间应该在可预约的时间范围内", function () {
+            const now = Date.now();
+            expect(fareQuote.validateScheduledPickupTime(String(now + 60 * MINUTE))).to.equal(now + 60 * MINUTE);
+            expect(() => fareQuote.validateScheduledPickupTime("tomorrow")).to.throw("无效的预约上车时间");
+            expect(() => fareQuote.validateScheduledPickupTime(now + 10 * MINUTE)).to.throw("至少需要提前 30 分钟预约");
+            expect(() => fareQuote.validateScheduledPickupTime(now + 8 * 24 * 60 * MINUTE)).to.throw("最多只能提前 7 天预约");
+
+            const custom = new FareQuoteService({ ...config, services: { ...config.services, scheduling: { minAdvance: 5 * MINUTE, maxAdvance: 24 * 60 * MINUTE } } });
+            expect(custom.validateScheduledPickupTime(now + 10 * MINUTE)).to.equal(now + 10 * MINUTE);
+            expect(() => custom.validateScheduledPickupTime(now + 2 * 24 * 60 * MINUTE)).to.throw("最多只能提前 1 天预约");
+        });
+
+        it("预约单报价应该记录上车时间且不加溢价", function () {
+            const scheduledPickupTime = Date.now() + 60 * MINUTE;
+            const surged = new FareQuoteService(config, { getMultiplier: () => 2 });
+            const params = { pickup: { lat: 39.9, lng: 116.4 }, destination: { lat: 40.0, lng: 116.4 } };
+
+            const scheduled = surged.createQuote({ ...params, scheduledPickupTime });
+            expect(scheduled.scheduledPickupTime).to.equal(scheduledPickupTime);
+            expect(scheduled.surgeMultiplier).to.equal(1);
+            expect(surged.verifyQuote(scheduled.token).scheduledPickupTime).to.equal(scheduledPickupTime);
+            expect(surged.createQuote(params).surgeMultiplier).to.equal(2);
+        });
+    });
+});
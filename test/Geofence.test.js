@@ -0,0 +1,96 @@
+const { expect } = require("chai");
+const GeofenceService = require("../backend/services/geofence");
+
+describe("GeofenceService", function () {
+    let geofence;
+    
+    const config = {
+        services: {
+            geofencing: {
+                serviceAreas: [
+                    { id: "beijing", name: "北京", polygon: [[39.6, 116.0], [39.6, 116.8], [40.2, 116.8], [40.2, 116.0]] }
+                ],
+                zones: [{
+                    id: "pek",
+                    name: "首都机场",
+                    type: "airport",
+                    polygon: [[40.06, 116.57], [40.06, 116.63], [40.1, 116.63], [40.1, 116.57]],
+                    pickupPoints: [
+                        { name: "T2 停车场", lat: 40.078, lng: 116.595 },
+                        { name: "T3 停车场", lat: 40.065, lng: 116.61 }
+                    ],
+                    pickupFee: 5
+                }],
+                arrivalRadius: 0.1,
+                maxAccuracy: 50
+            }
+        }
+    };
+    
+    beforeEach(function () {
+        geofence = new GeofenceService(config);
+    });
+    
+    describe("服务区域", function () {
+        it("应该只接受服务区域内的上车点", function () {
+            expect(geofence.isInServiceArea({ lat: 39.9, lng: 116.4 })).to.equal(true);
+            expect(geofence.isInServiceArea({ lat: 31.2, lng: 121.5 })).to.equal(false);
+            expect(() => geofence.resolvePickup({ lat: 31.2, lng: 121.5 })).to.throw("服务区域");
+        });
+        
+        it("未配置服务区域时不限制", function () {
+            const unrestricted = new GeofenceService({ services: {} });
+            expect(unrestricted.isInServiceArea({ lat: 31.2, lng: 121.5 })).to.equal(true);
+        });
+    });
+    
+    describe("特殊区域上车规则", function () {
+        it("机场内的上车点应该调整为最近的指定上车点并加收上车费", function () {
+            const result = geofence.resolvePickup({ lat: 40.068, lng: 116.608 });
+            expect(result.pickup).to.deep.equal({ lat: 40.065, lng: 116.61 });
+            expect(result.zone.id).to.equal("pek");
+            expect(result.zone.pickupPoint.name).to.equal("T3 停车场");
+            expect(result.zone.pickupFee).to.equal(5);
+        });
+        
+        it("区域外的上车点保持不变", function () {
+            const result = geofence.resolvePickup({ lat: 39.9, lng: 116.4 });
+            expect(result.pickup).to.deep.equal({ lat: 39.9, lng: 116.4 });
+            expect(result.zone).to.equal(null);
+            expect(result.serviceArea.id).to.equal("beijing");
+        });
+    });
+    
+    describe("行程围栏", function () {
+        it("首次进入围栏时触发一次到达事件", function () {
+            const events = [];
+            geofence.on("fence_entered", event => events.push(event));
+            geofence.watch(1, [{ id: "pickup", type: "pickup", lat: 39.9, lng: 116.4 }]);
+            
+            geofence.checkLocation(1, { lat: 39.91, lng: 116.4, accuracy: 10, timestamp: 1000 });
+            geofence.checkLocation(1, { lat: 39.9003, lng: 116.4, accuracy: 10, timestamp: 2000 });
+            geofence.checkLocation(1, { lat: 39.9001, lng: 116.4, accuracy: 10, timestamp: 3000 });
+            
+            expect(events).to.have.lengthOf(1);
+            expect(events[0].orderId).to.equal(1);
+            expect(events[0].fence.enteredAt).to.equal(2000);
+        });
+        
+        it("定位精度差的点不触发到达", function () {
+            geofence.watch(1, [{ id: "pickup", type: "pickup", lat: 39.9, lng: 116.4 }]);
+            expect(geofence.checkLocation(1, { lat: 39.9, lng: 116.4, accuracy: 200, timestamp: 1000 })).to.have.lengthOf(0);
+        });
+        
+        it("追加围栏时保留已到达状态", function () {
+            geofence.watch(1, [{ id: "pickup", type: "pickup", lat: 39.9, lng: 116.4 }]);
+            geofence.checkLocation(1, { lat: 39.9, lng: 116.4, accuracy: 10, timestamp: 1000 });
+            
+            const fences = geofence.watch(1, [
+                { id: "pickup", type: "pickup", lat: 39.9, lng: 116.4 },
+                { id: "destination", type: "destination", lat: 39.95, lng: 116.45 }
+            ]);
+            expect(fences.find(fence => fence.id === "pickup").enteredAt).to.equal(1000);
+            expect(fences.find(fence => fence.id === "destination").enteredAt).to.equal(null);
+        });
+    });
+});
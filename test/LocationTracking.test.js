@@ -0,0 +1,42 @@
+const { expect } = require("chai");
+const TF_LocationTrackingService = require("../backend/services/TF_locationTracking");
+
+describe("TF_LocationTrackingService 等待时长", function () {
+    const START = 1700000000000;
+    const MINUTE = 60000;
+    let tracking;
+
+    // 不连接 Redis，只保留计时用到的字段
+    beforeEach(function () {
+        tracking = Object.create(TF_LocationTrackingService.prototype);
+        tracking.waitingSpeed = 5;
+        tracking.activeTrips = new Map();
+    });
+
+    function point(minute, lat, overrides = {}) {
+        return { lat, lng: 116.4, timestamp: START + minute * MINUTE, receivedAt: START + minute * MINUTE, flags: [], ...overrides };
+    }
+
+    it("应该只统计低速区间，跳过异常点", function () {
+        const points = [
+            point(0, 39.9),
+            point(2, 39.9),                            // 静止 2 分钟
+            point(4, 39.93),                           // 行驶约 3.3 km
+            point(5, 39.93, { flags: ["teleport"] }),  // 异常点不计入
+            point(7, 39.93)                            // 相对上一个有效点静止 3 分钟
+        ];
+        expect(tracking.calculateWaitingTime(points)).to.equal(5 * MINUTE);
+    });
+
+    it("应该按服务端接收时间计算，设备时间戳跳变不计入等待", async function () {
+        // 司机原地不动，每分钟上报一次，设备时间戳每次前跳 2 小时
+        const points = [0, 1, 2, 3].map(minute => point(minute, 39.9, { timestamp: START + minute * 120 * MINUTE }));
+        expect(tracking.calculateWaitingTime(points)).to.equal(3 * MINUTE);
+
+        // 早期没有接收时间的点按设备时间计算，行程统计中的等待时长不超过行程时长
+        const legacy = points.map(({ receivedAt, ...rest }) => rest);
+        expect(tracking.calculateWaitingTime(legacy)).to.equal(360 * MINUTE);
+        tracking.activeTrips.set(1, { orderId: 1, distance: 0, duration: 3 * MINUTE, points: legacy, startTime: START, endTime: START + 3 * MINUTE });
+        expect((await tracking.getTripStats(1)).waitingTime).to.equal(3 * MINUTE);
+    });
+});
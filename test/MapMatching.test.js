@@ -0,0 +1,87 @@
+const { expect } = require("chai");
+const MapMatchingService = require("../backend/services/mapMatching");
+const RoadGraph = require("../backend/utils/roadGraph");
+const { calculateDistance } = require("../backend/utils/geo");
+
+describe("MapMatchingService", function () {
+    // 东西向主路 + 向北的支路，另有一条平行的人行道（不可行驶）
+    const osm = `<?xml version="1.0" encoding="UTF-8"?>
+<osm version="0.6">
+  <node id="1" lat="39.9" lon="116.39"/>
+  <node id="2" lat="39.9" lon="116.40"/>
+  <node id="3" lat="39.9" lon="116.41"/>
+  <node id="4" lat="39.905" lon="116.41"/>
+  <node id="5" lat="39.91" lon="116.41"/>
+  <node id="6" lat="39.9004" lon="116.39"/>
+  <node id="7" lat="39.9004" lon="116.41"/>
+  <way id="10"><nd ref="1"/><nd ref="2"/><nd ref="3"/><tag k="highway" v="primary"/><tag k="name" v="长安街"/></way>
+  <way id='11'><nd ref='3'/><nd ref='4'/><nd ref='5'/><tag k='highway' v='residential'/><tag k='name' v='北支路'/></way>
+  <way id="12"><nd ref="6"/><nd ref="7"/><tag k="highway" v="footway"/></way>
+</osm>`;
+
+    function pathDistance(points) {
+        let distance = 0;
+        for (let i = 1; i < points.length; i++) {
+            distance += calculateDistance(points[i - 1].lat, points[i - 1].lng, points[i].lat, points[i].lng);
+        }
+        return distance;
+    }
+
+    let matcher;
+
+    beforeEach(async function () {
+        matcher = new MapMatchingService({ services: {} });
+        await matcher.load(RoadGraph.fromOSM(osm));
+    });
+
+    it("应该只加载可行驶道路", function () {
+        expect(matcher.graph.size).to.equal(4);
+        expect(matcher.graph.nearbySegments(39.9004, 116.40, 0.02)).to.have.lengthOf(0);
+    });
+
+    it("应该把抖动的轨迹吸附到道路上，按道路计算里程", function () {
+        const points = [];
+        for (let i = 0; i <= 18; i++) {
+            points.push({ lat: 39.9 + (i % 2 === 0 ? 0.0001 : -0.0001), lng: 116.39 + i * 0.001 });
+        }
+        const result = matcher.match(points);
+        const road = calculateDistance(39.9, 116.39, 39.9, 116.408);
+
+        expect(result.matchRatio).to.equal(1);
+        expect(result.breaks).to.equal(0);
+        expect(result.distance).to.be.closeTo(road, 0.001);
+        expect(pathDistance(points)).to.be.above(result.distance);
+        result.path.forEach(point => expect(point.lat).to.equal(39.9));
+    });
+
+    it("稀疏轨迹应该沿道路转弯，不少算里程", function () {
+        const points = [{ lat: 39.9, lng: 116.405 }, { lat: 39.905, lng: 116.41 }];
+        const result = matcher.match(points);
+        const expected = calculateDistance(39.9, 116.405, 39.9, 116.41) + calculateDistance(39.9, 116.41, 39.905, 116.41);
+
+        expect(result.distance).to.be.closeTo(expected, 0.001);
+        expect(result.distance).to.be.above(pathDistance(points));
+        expect(result.path).to.deep.include({ lat: 39.9, lng: 116.41 });
+        expect(result.roads).to.have.members(["长安街", "北支路"]);
+    });
+
+    it("逆行单行道时应该断开匹配", function () {
+        const graph = new RoadGraph();
+        graph.addWay("1", [{ id: "a", lat: 39.9, lng: 116.39 }, { id: "b", lat: 39.9, lng: 116.40 }], { highway: "primary", oneway: "yes" });
+        const oneway = new MapMatchingService({ services: {} });
+        oneway.load(graph);
+
+        expect(oneway.match([{ lat: 39.9, lng: 116.391 }, { lat: 39.9, lng: 116.399 }]).breaks).to.equal(0);
+        expect(oneway.match([{ lat: 39.9, lng: 116.399 }, { lat: 39.9, lng: 116.391 }]).breaks).to.equal(1);
+    });
+
+    it("远离道路的点不参与匹配", function () {
+        const result = matcher.match([{ lat: 39.9, lng: 116.395 }, { lat: 39.95, lng: 116.5 }]);
+        expect(result.matchedPoints).to.equal(1);
+        expect(result.matchRatio).to.equal(0.5);
+    });
+
+    it("未加载路网时返回 null", function () {
+        expect(new MapMatchingService({ services: {} }).match([{ lat: 39.9, lng: 116.39 }])).to.equal(null);
+    });
+});
@@ -0,0 +1,150 @@
+const { expect } = require("chai");
+const OrderDispatchService = require("../backend/services/orderDispatch");
+
+describe("OrderDispatchService", function () {
+    let drivers;
+    let messages;
+    let updates;
+    let history;
+    let missingOrders;
+    let dispatcher;
+
+    const config = {
+        services: {
+            orderMatching: { offerTimeout: 15000, offerBatchSize: 1, radiusSteps: [3, 6, 10], maxDistance: 10 }
+        }
+    };
+
+    // 按预设距离返回半径内的司机，不依赖空间索引和 WebSocket
+    const matching = {
+        findDriversWithin: (pickup, radius, filter) => drivers
+            .filter(driver => driver.distance <= radius && filter(driver.driverId))
+            .sort((a, b) => a.distance - b.distance),
+        sendToDriver: (driverId, message) => {
+            messages.push({ driverId, type: message.type });
+            return true;
+        },
+        publishOrderUpdate: (orderId, status) => updates.push({ orderId, status })
+    };
+
+    const orderStorage = {
+        getOrder: async (orderId) => (missingOrders.has(orderId) ? null : {}),
+        addOrderHistory: async (orderId, event, data) => history.push({ event, data })
+    };
+
+    function createOrder(orderId, overrides = {}) {
+        return { orderId, pickup: { lat: 39.9, lng: 116.4 }, createdAt: Date.now(), ...overrides };
+    }
+
+    function events(name) {
+        return history.filter(entry => entry.event === name).map(entry => entry.data);
+    }
+
+    beforeEach(function () {
+        drivers = [];
+        messages = [];
+        updates = [];
+        history = [];
+        missingOrders = new Set();
+        dispatcher = new OrderDispatchService(config, matching, orderStorage);
+    });
+
+    afterEach(function () {
+        dispatcher.stop();
+    });
+
+    it("半径内没有司机时应该逐级扩大搜索半径", async function () {
+        drivers = [{ driverId: "d1", distance: 8 }];
+        const dispatch = await dispatcher.dispatch(createOrder(1));
+
+        expect(events("DispatchRadiusExpanded").map(data => [data.from, data.to])).to.deep.equal([[3, 6], [6, 10]]);
+        expect(messages).to.deep.equal([{ driverId: "d1", type: "order_offer" }]);
+        expect(dispatcher.getStatus(1)).to.include({ state: "offering", round: 1, radius: 10 });
+        expect(dispatch.timer).to.not.equal(null);
+
+        // 重复派单返回同一状态
+        expect(await dispatcher.dispatch(createOrder(1))).to.equal(dispatch);
+    });
+
+    it("拒绝或超时后应该邀请下一名司机", async function () {
+        drivers = [{ driverId: "d1", distance: 1 }, { driverId: "d2", distance: 2 }, { driverId: "d3", distance: 2.5 }];
+        const dispatch = await dispatcher.dispatch(createOrder(1));
+        expect(dispatcher.getStatus(1).offers).to.deep.equal(["d1"]);
+
+        await dispatcher.declineOffer("d1", 1, "太远");
+        expect(dispatcher.getStatus(1)).to.include({ round: 2, declinedDrivers: 1 });
+        expect(dispatcher.getStatus(1).offers).to.deep.equal(["d2"]);
+        expect(events("DispatchOfferDeclined")[0]).to.include({ driver: "d1", reason: "太远" });
+
+        await dispatcher.handleOfferTimeout(dispatch);
+        expect(messages.slice(-2)).to.deep.equal([{ driverId: "d2", type: "offer_expired" }, { driverId: "d3", type: "order_offer" }]);
+        expect(events("DispatchOfferTimeout")[0]).to.include({ round: 2 });
+        expect(events("DispatchOfferTimeout")[0].drivers).to.deep.equal(["d2"]);
+
+        // 已邀请过的司机不再邀请，失效的邀请不能接单
+        await dispatcher.handleOfferTimeout(dispatch);
+        expect(dispatcher.getStatus(1)).to.include({ state: "offering", round: 3 });
+        expect(dispatcher.getStatus(1).offers).to.deep.equal([]);
+        let error = null;
+        try {
+            await dispatcher.acceptOffer("d1", 1);
+        } catch (e) {
+            error = e;
+        }
+        expect(error.message).to.include("邀请不存在或已失效");
+    });
+
+    it("司机确认后未完成链上接单应该恢复派单，链上接单后结束派单", async function () {
+        drivers = [{ driverId: "d1", distance: 1 }, { driverId: "d2", distance: 2 }];
+        const dispatch = await dispatcher.dispatch(createOrder(1));
+
+        await dispatcher.acceptOffer("d1", 1);
+        expect(dispatcher.getStatus(1)).to.include({ state: "accepting", acceptingDriver: "d1" });
+        // 确认中的司机不会收到其他订单的邀请
+        await dispatcher.dispatch(createOrder(2));
+        expect(dispatcher.getStatus(2).offers).to.deep.equal(["d2"]);
+        await dispatcher.cancel(2);
+        expect(dispatcher.getStatus(2)).to.equal(null);
+
+        await dispatcher.handleAcceptTimeout(dispatch);
+        expect(events("DispatchOfferTimeout").pop()).to.include({ reason: "chain_accept_timeout" });
+        expect(dispatcher.getStatus(1)).to.include({ state: "offering", acceptingDriver: null });
+        expect(dispatcher.getStatus(1).offers).to.deep.equal(["d2"]);
+
+        await dispatcher.handleOrderAccepted(1, "D2");
+        expect(dispatch.state).to.equal("assigned");
+        expect(dispatch.timer).to.equal(null);
+        expect(dispatcher.getStatus(1)).to.equal(null);
+    });
+
+    it("超过订单超时时间应该停止派单并通知乘客", async function () {
+        drivers = [{ driverId: "d1", distance: 1 }];
+        const dispatch = await dispatcher.dispatch(createOrder(1, { createdAt: Date.now() - 31 * 60 * 1000 }));
+
+        expect(dispatch.state).to.equal("expired");
+        expect(messages).to.deep.equal([]);
+        expect(updates).to.deep.equal([{ orderId: 1, status: "no_driver_found" }]);
+        expect(events("DispatchExpired")[0]).to.include({ rounds: 0, offeredDrivers: 0 });
+        expect(dispatcher.getStatus(1)).to.equal(null);
+    });
+
+    it("订单文件创建前结束的派单应该在订单创建后写入历史", async function () {
+        // 区块链监听服务尚未保存订单文件
+        missingOrders.add(1);
+        drivers = [{ driverId: "d1", distance: 1 }];
+        await dispatcher.dispatch(createOrder(1));
+        await dispatcher.cancel(1);
+
+        expect(dispatcher.getStatus(1)).to.equal(null);
+        expect(history).to.deep.equal([]);
+
+        missingOrders.delete(1);
+        await dispatcher.flushOrderHistory("1");
+        expect(history.map(entry => entry.event)).to.deep.equal(["DispatchOffered"]);
+        expect(dispatcher.pendingHistory.size).to.equal(0);
+
+        // 已写入的历史不会重复写入
+        await dispatcher.flushOrderHistory(1);
+        expect(history.length).to.equal(1);
+    });
+});
@@ -0,0 +1,125 @@
+const { expect } = require("chai");
+const OrderExportService = require("../backend/services/orderExport");
+
+describe("OrderExportService", function () {
+    const PASSENGER = "0x1111111111111111111111111111111111111111";
+    const DRIVER = "0x2222222222222222222222222222222222222222";
+
+    // 链上时间戳单位为秒
+    const day = (date) => Date.parse(`${date}T12:00:00Z`) / 1000;
+
+    function createOrder(orderId, overrides = {}) {
+        return {
+            orderId,
+            passenger: PASSENGER,
+            driver: DRIVER,
+            category: "rental",
+            subCategory: "rental car",
+            pickup: { addressText: "起点" },
+            destination: { addressText: "终点" },
+            estimatedFare: "0.1",
+            actualFare: "0",
+            rideStatus: 6,
+            completedAt: day("2024-03-10"),
+            ...overrides
+        };
+    }
+
+    let orders;
+    let exporter;
+
+    beforeEach(function () {
+        orders = [
+            createOrder(1),
+            createOrder(2, { rideStatus: 5, completedAt: day("2024-03-12"), actualFare: "0.3" }),
+            createOrder(3, { rideStatus: 4, completedAt: day("2024-02-28"), passenger: "0x3333333333333333333333333333333333333333" }),
+            createOrder(4, { rideStatus: 3, completedAt: null, createdAt: day("2024-03-11") }),
+            createOrder(5, { rideStatus: 6, completedAt: null, createdAt: null })
+        ];
+        exporter = new OrderExportService({}, { getAllOrders: async () => orders }, { getSummary: async () => ({ totalTransactions: 5 }) });
+    });
+
+    describe("筛选", function () {
+        it("应该只导出已完成、待结算和已结算的订单，按时间倒序", async function () {
+            const rows = await exporter.buildRevenueRows();
+            expect(rows.map(row => row.orderId)).to.deep.equal([2, 1, 3]);
+            expect(rows.map(row => row.rideStatus)).to.deep.equal(["AWAITING_SETTLEMENT", "SETTLED", "COMPLETED"]);
+
+            expect((await exporter.buildRevenueRows({ status: "completed" })).map(row => row.orderId)).to.deep.equal([2, 3]);
+            expect((await exporter.buildRevenueRows({ status: "settled" })).map(row => row.orderId)).to.deep.equal([1]);
+        });
+
+        it("日期范围应该包含起止日期", async function () {
+            const rows = await exporter.buildRevenueRows({ startDate: "2024-03-01", endDate: "2024-03-10" });
+            expect(rows.map(row => row.orderId)).to.deep.equal([1]);
+            expect((await exporter.buildRevenueRows({ startDate: "2024-03-11" })).map(row => row.orderId)).to.deep.equal([2]);
+            expect((await exporter.buildRevenueRows({ endDate: "2024-02-28" })).map(row => row.orderId)).to.deep.equal([3]);
+        });
+
+        it("应该按订单号和地址搜索，非字符串关键词按字符串处理", async function () {
+            expect((await exporter.buildRevenueRows({ search: " 0x3333 " })).map(row => row.orderId)).to.deep.equal([3]);
+            expect((await exporter.buildRevenueRows({ search: "2" })).map(row => row.orderId)).to.deep.equal([2, 1, 3]);
+            expect((await exporter.buildRevenueRows({ search: ["a", "b"] })).map(row => row.orderId)).to.deep.equal([]);
+            expect((await exporter.buildRevenueRows({ search: null })).length).to.equal(3);
+        });
+    });
+
+    describe("金额", function () {
+        it("收入和平台费应该按链上结算的预估费用计算", async function () {
+            const [row] = await exporter.buildRevenueRows({ search: "", status: "completed", startDate: "2024-03-12" });
+            expect(row).to.include({
+                orderId: 2,
+                estimatedFareETH: "0.10000000",
+                orderAmountETH: "0.10000000",
+                platformFeeETH: "0.00500000",
+                driverAmountETH: "0.09500000"
+            });
+        });
+
+        it("JSON 导出应该包含筛选条件和合计", async function () {
+            const file = await exporter.exportOrders({ format: "JSON", status: "all" });
+            const body = JSON.parse(file.body);
+            expect(file).to.include({ contentType: "application/json; charset=utf-8", totalOrders: 3 });
+            expect(file.filename).to.match(/^platform-orders-\d{4}-\d{2}-\d{2}\.json$/);
+            expect(body.filters).to.deep.equal({ startDate: null, endDate: null, status: "all", search: "" });
+            expect(body.totals).to.deep.equal({ orderAmountETH: "0.30000000", platformFeeETH: "0.01500000", driverAmountETH: "0.28500000" });
+            expect(body.platformSummary).to.deep.equal({ totalTransactions: 5 });
+
+            let error = null;
+            try {
+                await exporter.exportOrders({ format: "pdf" });
+            } catch (e) {
+                error = e;
+            }
+            expect(error.message).to.include("不支持的导出格式");
+        });
+    });
+
+    describe("文件格式", function () {
+        it("CSV 应该转义引号、逗号和换行，并防止公式注入", async function () {
+            orders = [createOrder(1, {
+                pickup: { addressText: "A, \"B\"\nC" },
+                destination: { addressText: "=HYPERLINK(\"http://x\")" },
+                category: "+1",
+                subCategory: "@SUM(A1)"
+            })];
+            const { body } = await exporter.exportOrders({ format: "csv" });
+            const lines = body.slice(1).split("\r\n");
+
+            expect(body.charAt(0)).to.equal("\uFEFF");
+            expect(lines[0].split(",")[0]).to.equal("Order ID");
+            expect(lines[1]).to.include(",'+1,'@SUM(A1),\"A, \"\"B\"\"\nC\",\"'=HYPERLINK(\"\"http://x\"\")\",0.10000000,");
+        });
+
+        it("Excel 表格应该转义 XML 并防止公式注入", async function () {
+            orders = [createOrder(1, { pickup: { addressText: "<b>&</b>" }, destination: { addressText: "-2+3" } })];
+            const { body, contentType } = await exporter.exportOrders({ format: "xls" });
+
+            expect(contentType).to.equal("application/vnd.ms-excel; charset=utf-8");
+            expect(body).to.include("<Cell><Data ss:Type=\"Number\">1</Data></Cell>");
+            expect(body).to.include("<Data ss:Type=\"String\">&lt;b&gt;&amp;&lt;/b&gt;</Data>");
+            expect(body).to.include("<Data ss:Type=\"String\">'-2+3</Data>");
+            expect(body).to.include("<Data ss:Type=\"Number\">0.10000000</Data>");
+        });
+    });
+});
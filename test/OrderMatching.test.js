@@ -0,0 +1,301 @@
+const { expect } = require("chai");
+const { ethers } = require("ethers");
+const AuthService = require("../backend/services/auth");
+const TF_OrderMatchingService = require("../backend/services/TF_orderMatching");
+
+describe("TF_OrderMatchingService", function () {
+    const driver = ethers.Wallet.createRandom();
+    const stranger = ethers.Wallet.createRandom();
+    const passenger = ethers.Wallet.createRandom();
+
+    const orders = {
+        1: { passenger: passenger.address, driver: driver.address },
+        2: { passenger: stranger.address, driver: null }
+    };
+
+    let eligibleDrivers;
+    let matching;
+    let sockets;
+
+    // 不连接 Redis、RPC 和 WebSocket 服务，只保留连接认证用到的字段
+    function createMatching() {
+        const instance = Object.create(TF_OrderMatchingService.prototype);
+        Object.assign(instance, {
+            config: { chainId: 31337 },
+            authTimeout: 30000,
+            authService: new AuthService({ chainId: 31337, jwt: { secret: "test-secret", expiresIn: "1h" } }, { getOrder: async (orderId) => orders[orderId] || null }),
+            userRegistryContract: {
+                isDriverEligible: async (address) => eligibleDrivers.has(address)
+            },
+            orderSubscribers: new Map()
+        });
+        return instance;
+    }
+
+    // 记录发送的消息和关闭状态的连接桩
+    function createSocket() {
+        const ws = {
+            readyState: 1,
+            sent: [],
+            closed: null,
+            send(message) { this.sent.push(JSON.parse(message)); },
+            close(code, reason) { this.closed = { code, reason }; this.readyState = 3; }
+        };
+        sockets.push(ws);
+        return ws;
+    }
+
+    function lastMessage(ws) {
+        return ws.sent[ws.sent.length - 1];
+    }
+
+    beforeEach(function () {
+        eligibleDrivers = new Set([driver.address]);
+        matching = createMatching();
+        sockets = [];
+    });
+
+    afterEach(function () {
+        for (const ws of sockets) {
+            clearTimeout(ws.authTimer);
+        }
+    });
+
+    describe("司机连接认证", function () {
+        async function connect() {
+            const ws = createSocket();
+            matching.sendChallenge(ws);
+            return ws;
+        }
+
+        it("合格司机签名挑战后应该绑定钱包地址", async function () {
+            const ws = await connect();
+            const challenge = ws.sent[0];
+            expect(challenge.type).to.equal("auth_challenge");
+            expect(challenge.data.message).to.include("Chain ID: 31337");
+
+            const signature = await driver.signMessage(challenge.data.message);
+            await matching.handleMessage(ws, { type: "auth", payload: { address: driver.address, signature } });
+            expect(lastMessage(ws)).to.deep.equal({ type: "auth_success", data: { address: driver.address.toLowerCase(), role: "driver" } });
+            expect(ws.closed).to.equal(null);
+        });
+
+        it("认证之前应该拒绝其他消息", async function () {
+            const ws = await connect();
+            await matching.handleMessage(ws, { type: "driver_online", payload: { driverId: driver.address } });
+            expect(lastMessage(ws).error).to.include("未认证");
+        });
+
+        it("签名错误、挑战过期或重复使用时应该断开连接", async function () {
+            const forged = await connect();
+            const signature = await stranger.signMessage(forged.sent[0].data.message);
+            await matching.authenticate(forged, { address: driver.address, signature });
+            expect(lastMessage(forged)).to.deep.equal({ type: "auth_failed", error: "签名与地址不匹配" });
+            expect(forged.closed.code).to.equal(4003);
+
+            const malformed = await connect();
+            await matching.authenticate(malformed, { address: driver.address, signature: "0x1234" });
+            expect(lastMessage(malformed).error).to.equal("签名格式无效");
+
+            const expired = await connect();
+            expired.challenge.expiresAt = Date.now() - 1;
+            await matching.authenticate(expired, { address: driver.address, signature: await driver.signMessage(expired.sent[0].data.message) });
+            expect(lastMessage(expired).error).to.include("签名挑战已失效");
+
+            // 挑战只能使用一次，失败后不能用同一连接重试
+            await matching.authenticate(forged, { address: driver.address, signature: await driver.signMessage(forged.sent[0].data.message) });
+            expect(lastMessage(forged).error).to.include("签名挑战已失效");
+        });
+
+        it("未注册或不合格的司机应该被拒绝", async function () {
+            const ws = await connect();
+            const signature = await stranger.signMessage(ws.sent[0].data.message);
+            await matching.authenticate(ws, { address: stranger.address, signature });
+            expect(lastMessage(ws).error).to.include("不是合格司机");
+            expect(ws.closed.code).to.equal(4003);
+
+            // 资格查询失败时不放行
+            matching.userRegistryContract.isDriverEligible = async () => { throw new Error("RPC 不可用"); };
+            const offline = await connect();
+            await matching.authenticate(offline, { address: driver.address, signature: await driver.signMessage(offline.sent[0].data.message) });
+            expect(lastMessage(offline).error).to.include("无法验证司机资格");
+        });
+
+        it("超时未认证应该断开连接", async function () {
+            matching.authTimeout = 5;
+            const ws = await connect();
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(ws.closed).to.deep.equal({ code: 4001, reason: "认证超时" });
+        });
+    });
+
+    describe("订单订阅", function () {
+        async function passengerSocket(wallet = passenger) {
+            const ws = createSocket();
+            matching.sendChallenge(ws);
+            const { message } = matching.authService.createNonce({ address: wallet.address, domain: "localhost", uri: "http://localhost" });
+            const { token } = await matching.authService.verifySignature({ message, signature: await wallet.signMessage(message) });
+            await matching.handleMessage(ws, { type: "auth", payload: { token } });
+            return ws;
+        }
+
+        it("乘客应该使用会话 token 认证，且不能发送司机消息", async function () {
+            const ws = await passengerSocket();
+            expect(lastMessage(ws)).to.deep.equal({ type: "auth_success", data: { address: passenger.address.toLowerCase(), role: "passenger" } });
+
+            await matching.handleMessage(ws, { type: "driver_online", payload: {} });
+            expect(lastMessage(ws).error).to.equal("只有司机可以发送该消息");
+
+            const invalid = createSocket();
+            matching.sendChallenge(invalid);
+            await matching.authenticate(invalid, { token: "invalid" });
+            expect(lastMessage(invalid).error).to.include("登录已过期或无效");
+            expect(invalid.closed.code).to.equal(4003);
+        });
+
+        it("只能订阅自己作为乘客或司机的订单", async function () {
+            const ws = await passengerSocket();
+            await matching.handleMessage(ws, { type: "subscribe_order", payload: { orderId: "1" } });
+            expect(lastMessage(ws)).to.deep.equal({ type: "subscribed", data: { orderId: 1 } });
+
+            for (const orderId of [2, 9]) {
+                await matching.handleMessage(ws, { type: "subscribe_order", payload: { orderId } });
+                expect(lastMessage(ws)).to.deep.equal({ type: "error", error: "只能订阅自己的订单", orderId });
+            }
+            await matching.handleMessage(ws, { type: "subscribe_order", payload: { orderId: "abc" } });
+            expect(lastMessage(ws).error).to.equal("无效的订单ID");
+            expect([...matching.orderSubscribers.keys()]).to.deep.equal([1]);
+        });
+
+        it("订单更新只推送给已订阅的连接", async function () {
+            const subscriber = await passengerSocket();
+            const other = await passengerSocket(stranger);
+            await matching.subscribeOrder(subscriber, 1);
+            await matching.subscribeOrder(other, 1);
+            await matching.subscribeOrder(other, 2);
+            const received = (ws) => ws.sent.filter(message => message.type === "order_update").map(message => message.data);
+
+            expect(matching.publishOrderUpdate(1, "driver_location", { location: { lat: 39.9, lng: 116.4 } })).to.equal(1);
+            expect(matching.publishOrderUpdate("2", "ride_started")).to.equal(1);
+            expect(received(subscriber)).to.deep.equal([{ orderId: 1, event: "driver_location", location: { lat: 39.9, lng: 116.4 } }]);
+            expect(received(other)).to.deep.equal([{ orderId: 2, event: "ride_started" }]);
+
+            // 已关闭的连接不再推送，断开后移除所有订阅
+            subscriber.close(1000, "");
+            matching.publishOrderUpdate(1, "order_completed");
+            expect(received(subscriber).length).to.equal(1);
+            matching.unsubscribeAll(subscriber);
+            matching.unsubscribeAll(other);
+            expect(matching.orderSubscribers.size).to.equal(0);
+            expect(matching.publishOrderUpdate(1, "order_settled")).to.equal(0);
+        });
+    });
+
+    describe("预约单", function () {
+        const MINUTE = 60 * 1000;
+        let dispatched;
+        let cancelled;
+        let updates;
+        let storedOrders;
+
+        // 待处理队列、派单和订单存储桩
+        beforeEach(function () {
+            dispatched = [];
+            cancelled = [];
+            updates = [];
+            storedOrders = [];
+            Object.assign(matching, {
+                scheduleLeadTime: 15 * MINUTE,
+                orderTimeout: 30 * MINUTE,
+                scheduledOrders: new Map(),
+                pendingOrders: [],
+                dispatcher: {
+                    dispatch: async (order) => { dispatched.push(order); },
+                    cancel: async (orderId, reason) => { cancelled.push([orderId, reason]); }
+                },
+                orderStorage: { getAllOrders: async () => storedOrders, getOrder: async () => null },
+                addPendingOrder: async (order) => { matching.pendingOrders.push(order); },
+                removePendingOrder: async (orderId) => {
+                    matching.pendingOrders = matching.pendingOrders.filter(order => order.orderId !== orderId);
+                },
+                publishOrderUpdate: (orderId, event, data) => { updates.push({ orderId, event, ...data }); }
+            });
+        });
+
+        afterEach(function () {
+            for (const orderId of [...matching.scheduledOrders.keys()]) {
+                matching.unscheduleOrder(orderId);
+            }
+        });
+
+        function createOrder(orderId) {
+            return { orderId, pickup: { lat: 39.9, lng: 116.4 }, createdAt: Date.now() };
+        }
+
+        // 手动触发派单计时器（先停止已设置的计时器）
+        async function trigger(orderId) {
+            clearTimeout(matching.scheduledOrders.get(orderId).timer);
+            await matching.startScheduledDispatch(orderId);
+        }
+
+        it("应该在上车时间前提前派单，已开始派单的订单先撤回", async function () {
+            const pickupTime = Date.now() + 60 * MINUTE;
+            matching.pendingOrders.push(createOrder(1));
+
+            const result = await matching.scheduleOrder(1, pickupTime);
+            expect(result).to.deep.equal({ orderId: 1, scheduledPickupTime: pickupTime, dispatchAt: pickupTime - 15 * MINUTE });
+            expect(matching.pendingOrders).to.deep.equal([]);
+            expect(cancelled).to.deep.equal([[1, "该订单为预约单，将在预约时间前重新派单"]]);
+            expect(matching.scheduledOrders.get(1).order.orderId).to.equal(1);
+
+            // 未到派单时间时继续等待
+            await trigger(1);
+            expect(dispatched).to.deep.equal([]);
+            expect(matching.scheduledOrders.has(1)).to.equal(true);
+
+            matching.scheduledOrders.get(1).dispatchAt = Date.now() - 1;
+            await trigger(1);
+            expect(matching.scheduledOrders.has(1)).to.equal(false);
+            expect(dispatched).to.have.lengthOf(1);
+            expect(dispatched[0]).to.include({ orderId: 1, scheduledPickupTime: pickupTime });
+            expect(matching.pendingOrders).to.have.lengthOf(1);
+            expect(updates).to.deep.equal([{ orderId: 1, event: "dispatch_started", scheduledPickupTime: pickupTime }]);
+        });
+
+        it("取消的预约单不再派单", async function () {
+            await matching.scheduleOrder(2, Date.now() + 60 * MINUTE, createOrder(2));
+            matching.unscheduleOrder(2);
+            await matching.startScheduledDispatch(2);
+            expect(dispatched).to.deep.equal([]);
+        });
+
+        it("服务重启后应该从订单存储恢复未派单的预约单", async function () {
+            const now = Date.now();
+            const stored = (orderId, scheduledPickupTime, status = 0) => ({
+                orderId,
+                status,
+                scheduledPickupTime,
+                passenger: passenger.address,
+                pickup: { lat: 39.9, lng: 116.4 },
+                destination: { lat: 40.0, lng: 116.4 },
+                createdAt: Math.floor(now / 1000)
+            });
+            storedOrders = [
+                stored(1, now + 2 * 60 * MINUTE),
+                stored(2, now + 5 * MINUTE),           // 已到派单时间，立即派单
+                stored(3, now - 60 * MINUTE),          // 超过派单超时时间
+                stored(4, now + 2 * 60 * MINUTE, 1),   // 已接单
+                stored(5, null)                        // 即时单
+            ];
+
+            await matching.restoreScheduledOrders();
+            expect([...matching.scheduledOrders.keys()]).to.deep.equal([1, 2]);
+            expect(matching.scheduledOrders.get(1)).to.include({ pickupTime: now + 2 * 60 * MINUTE, dispatchAt: now + 105 * MINUTE });
+            expect(matching.scheduledOrders.get(1).order).to.include({ orderId: 1, createdAt: Math.floor(now / 1000) * 1000, status: "pending" });
+
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(dispatched.map(order => order.orderId)).to.deep.equal([2]);
+            expect([...matching.scheduledOrders.keys()]).to.deep.equal([1]);
+        });
+    });
+});
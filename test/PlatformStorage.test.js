@@ -0,0 +1,47 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const PlatformStorageService = require("../backend/services/platformStorage");
+
+describe("PlatformStorageService", function () {
+    let dataDir;
+    let storage;
+
+    beforeEach(function () {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "platform-"));
+        storage = new PlatformStorageService(dataDir);
+    });
+
+    afterEach(async function () {
+        await storage._initPromise;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    it("新目录应该初始化空的统计摘要", async function () {
+        expect(await storage.getSummary()).to.include({ totalTransactions: 0, totalRevenue: "0", totalDisputes: 0 });
+        expect(fs.existsSync(path.join(dataDir, "platform", "summary.json"))).to.equal(true);
+    });
+
+    it("并发更新计数不应该丢失", async function () {
+        // 区块链监听和 API 共用同一实例，同时写入同一摘要文件
+        await Promise.all([
+            ...Array.from({ length: 10 }, () => storage.incrementTransactions()),
+            ...Array.from({ length: 4 }, () => storage.addRevenue("0.25")),
+            storage.addPlatformFee("0.05"),
+            storage.incrementDisputes(2),
+            storage.incrementResolvedDisputes(),
+            storage.updateSummary({ note: "manual" })
+        ]);
+
+        const summary = JSON.parse(fs.readFileSync(path.join(dataDir, "platform", "summary.json"), "utf8"));
+        expect(summary).to.include({
+            totalTransactions: 10,
+            totalRevenue: "1",
+            totalPlatformFee: "0.05",
+            totalDisputes: 2,
+            resolvedDisputes: 1,
+            note: "manual"
+        });
+    });
+});
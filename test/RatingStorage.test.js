@@ -0,0 +1,124 @@
+const { expect } = require("chai");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const RatingStorageService = require("../backend/services/ratingStorage");
+
+describe("RatingStorageService", function () {
+    const PASSENGER = "0x1111111111111111111111111111111111111111";
+    const DRIVER = "0x2222222222222222222222222222222222222222";
+    let dataDir;
+    let storage;
+
+    beforeEach(function () {
+        dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ratings-"));
+        storage = new RatingStorageService({ services: { ratings: { pageSize: 2, maxReviewLength: 20 } } }, null, dataDir);
+    });
+
+    afterEach(async function () {
+        await storage.initPromise;
+        fs.rmSync(dataDir, { recursive: true, force: true });
+    });
+
+    async function rejection(promise) {
+        try {
+            await promise;
+        } catch (error) {
+            return error.message;
+        }
+        return null;
+    }
+
+    function chainRating(orderId, overrides = {}) {
+        return { orderId, rater: PASSENGER, ratee: DRIVER, score: 5, comment: "", ipfsHash: "", timestamp: 1000 + orderId, ...overrides };
+    }
+
+    it("应该校验评价详情", function () {
+        expect(() => storage.validateDetail({ orderId: 1, ratee: "0x123", review: "好" })).to.throw("被评价者地址");
+        expect(() => storage.validateDetail({ orderId: 1, ratee: DRIVER, tags: { music: 5 } })).to.throw("不支持的评价标签");
+        expect(() => storage.validateDetail({ orderId: 1, ratee: DRIVER, tags: { route: 6 } })).to.throw("1-5");
+        expect(() => storage.validateDetail({ orderId: 1, ratee: DRIVER, review: "很".repeat(21) })).to.throw("不能超过 20");
+        expect(() => storage.validateDetail({ orderId: 1, ratee: DRIVER, tags: { route: "" } })).to.throw("至少需要");
+
+        expect(storage.validateDetail({ orderId: "3", ratee: DRIVER, review: " 准时 ", tags: { punctuality: "5", route: null } }))
+            .to.deep.equal({ orderId: 3, ratee: DRIVER, review: "准时", tags: { punctuality: 5 } });
+    });
+
+    it("索引评价时应该合并与链上评价一致的详情", async function () {
+        const { cid, storage: location } = await storage.storeDetail({ orderId: 1, ratee: DRIVER, review: "车很干净", tags: { cleanliness: 5 } }, PASSENGER);
+        expect(location).to.equal("local");
+
+        const rating = await storage.saveRating(chainRating(1, { comment: "不错", ipfsHash: cid }), { confirmation: "pending" });
+        expect(rating).to.include({ review: "车很干净", confirmation: "pending" });
+        expect(rating.tags).to.deep.equal({ cleanliness: 5 });
+        expect(rating.moderation.status).to.equal("visible");
+
+        // 挪用其他订单的详情不会被合并
+        const other = await storage.saveRating(chainRating(2, { ipfsHash: cid }));
+        expect(other.review).to.equal("");
+        expect(other.tags).to.deep.equal({});
+
+        expect((await storage.confirmRating(1, PASSENGER)).confirmation).to.equal("confirmed");
+        expect(await storage.deleteRating(2, PASSENGER)).to.equal(true);
+        expect(await storage.getRating(2, PASSENGER)).to.equal(null);
+    });
+
+    it("命中屏蔽词的评论应该进入审核队列", async function () {
+        const rating = await storage.saveRating(chainRating(1, { score: 1, comment: "Idiot driver" }));
+
+        expect(rating.moderation).to.deep.include({ status: "pending", flags: ["blocked_word:idiot"] });
+        expect((await storage.getModerationQueue()).map(item => item.orderId)).to.deep.equal([1]);
+
+        // 审核前不对外展示评论，审核通过后恢复
+        const pending = (await storage.getUserRatings(DRIVER)).ratings[0];
+        expect(pending).to.include({ score: 1, comment: null, review: null, hidden: true });
+        await storage.moderate(1, PASSENGER, { action: "approve" });
+        expect((await storage.getUserRatings(DRIVER)).ratings[0]).to.include({ comment: "Idiot driver", hidden: false });
+    });
+
+    it("用户评价应该支持排序、分页和标签汇总", async function () {
+        const { cid } = await storage.storeDetail({ orderId: 2, ratee: DRIVER, tags: { route: 4, punctuality: 3 } }, PASSENGER);
+        await storage.saveRating(chainRating(1, { score: 5, comment: "好" }));
+        await storage.saveRating(chainRating(2, { score: 3, ipfsHash: cid }));
+        await storage.saveRating(chainRating(3, { score: 4 }));
+        await storage.saveRating(chainRating(4, { ratee: PASSENGER, rater: DRIVER }));
+
+        const newest = await storage.getUserRatings(DRIVER);
+        expect(newest.ratings.map(rating => rating.orderId)).to.deep.equal([3, 2]);
+        expect(newest.pagination).to.deep.equal({ page: 1, pageSize: 2, total: 3, totalPages: 2 });
+        expect(newest.summary).to.include({ totalRatings: 3, averageScore: 4, fiveStars: 1, fourStars: 1, threeStars: 1 });
+        expect(newest.summary.tagAverages).to.deep.equal({ punctuality: { average: 3, count: 1 }, route: { average: 4, count: 1 } });
+
+        const lowest = await storage.getUserRatings(DRIVER.toUpperCase().replace("0X", "0x"), { sort: "lowest", page: 2 });
+        expect(lowest.ratings.map(rating => rating.orderId)).to.deep.equal([1]);
+        expect(lowest.pagination.page).to.equal(2);
+        expect((await storage.getUserRatings(DRIVER, { sort: "unknown", page: 9 })).pagination.page).to.equal(2);
+    });
+
+    it("举报和审核应该改变评论的展示状态", async function () {
+        await storage.saveRating(chainRating(1, { score: 2, comment: "绕路了" }));
+
+        expect(await rejection(storage.report(1, PASSENGER, PASSENGER))).to.include("只有被评价者");
+        const reported = await storage.report(1, PASSENGER, DRIVER, "不属实");
+        expect(reported.moderation.status).to.equal("pending");
+        expect(reported.moderation.reports[0]).to.include({ reporter: DRIVER, reason: "不属实" });
+        expect(await rejection(storage.report(1, PASSENGER, DRIVER))).to.include("已举报过");
+        expect(await rejection(storage.report(9, PASSENGER, DRIVER))).to.include("评价不存在");
+
+        expect(await rejection(storage.moderate(1, PASSENGER, { action: "delete" }))).to.include("无效的审核操作");
+        const hidden = await storage.moderate(1, PASSENGER, { action: "hide", reason: "辱骂", moderator: "0xABCDEF0000000000000000000000000000000000" });
+        expect(hidden.moderation).to.include({ status: "hidden", moderatedBy: "0xabcdef0000000000000000000000000000000000" });
+
+        // 隐藏后评分仍计入汇总，评论不对外返回
+        const result = await storage.getUserRatings(DRIVER);
+        expect(result.summary.totalRatings).to.equal(1);
+        expect(result.ratings[0]).to.include({ score: 2, comment: null, hidden: true });
+        expect(result.ratings[0]).to.not.have.property("moderation");
+
+        // 重新索引同一评价时保留审核状态
+        await storage.saveRating(chainRating(1, { score: 2, comment: "绕路了" }));
+        expect((await storage.getModerationQueue("hidden")).length).to.equal(1);
+        expect((await storage.getModerationQueue("pending")).length).to.equal(0);
+        expect(await rejection(storage.getModerationQueue("unknown"))).to.include("无效的审核状态");
+    });
+});
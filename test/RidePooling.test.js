@@ -0,0 +1,61 @@
+const { expect } = require("chai");
+const RidePoolingService = require("../backend/services/ridePooling");
+
+describe("RidePoolingService", function () {
+    let pooling;
+
+    const config = {
+        services: {
+            pooling: { maxPassengers: 2, maxDetourKm: 3, maxDetourRatio: 0.3, maxPickupDistance: 3 }
+        }
+    };
+
+    // 司机在 (39.90, 116.40) 向北送乘客 A 到 (40.00, 116.40)，约 11km
+    const driverLocation = { lat: 39.9, lng: 116.4 };
+    const active = { orderId: 1, pickup: { lat: 39.89, lng: 116.4 }, destination: { lat: 40.0, lng: 116.4 } };
+
+    beforeEach(function () {
+        pooling = new RidePoolingService(config);
+    });
+
+    describe("路线规划", function () {
+        it("应该接受顺路订单并按绕路最短的顺序插入", function () {
+            const order = { orderId: 2, pickup: { lat: 39.92, lng: 116.401 }, destination: { lat: 39.98, lng: 116.401 } };
+            const plan = pooling.planRoute(driverLocation, [active], order);
+
+            expect(plan).to.not.equal(null);
+            expect(plan.route.map(stop => `${stop.type}:${stop.orderId}`))
+                .to.deep.equal(["pickup:2", "dropoff:2", "dropoff:1"]);
+            expect(plan.detours[1]).to.be.below(0.5);
+            expect(plan.pickupDistance).to.be.closeTo(2.22, 0.01);
+        });
+
+        it("应该拒绝绕路超过阈值的订单", function () {
+            const order = { orderId: 2, pickup: { lat: 39.91, lng: 116.45 }, destination: { lat: 39.91, lng: 116.55 } };
+            expect(pooling.planRoute(driverLocation, [active], order)).to.equal(null);
+        });
+
+        it("应该限制同一行程的乘客数", function () {
+            const order = { orderId: 3, pickup: { lat: 39.92, lng: 116.401 }, destination: { lat: 39.98, lng: 116.401 } };
+            const second = { orderId: 2, pickup: { lat: 39.9, lng: 116.4 }, destination: { lat: 39.99, lng: 116.4 } };
+            expect(pooling.planRoute(driverLocation, [active, second], order)).to.equal(null);
+        });
+    });
+
+    describe("车程分摊", function () {
+        it("应该按路段上的乘客人数分摊", function () {
+            const route = [
+                { type: "pickup", orderId: 2, lat: 39.92, lng: 116.4 },
+                { type: "dropoff", orderId: 2, lat: 39.98, lng: 116.4 },
+                { type: "dropoff", orderId: 1, lat: 40.0, lng: 116.4 }
+            ];
+            const split = pooling.splitFares(driverLocation, route, [1]);
+
+            expect(split[1].rideDistance).to.be.closeTo(11.12, 0.01);
+            expect(split[2].rideDistance).to.be.closeTo(6.67, 0.01);
+            expect(split[1].sharedDistance).to.equal(split[2].sharedDistance);
+            expect(split[1].share + split[2].share).to.be.closeTo(1, 0.001);
+            expect(split[1].share).to.be.above(split[2].share);
+        });
+    });
+});
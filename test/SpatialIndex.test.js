@@ -0,0 +1,113 @@
+const { expect } = require("chai");
+const SpatialIndex = require("../backend/utils/spatialIndex");
+const { calculateDistance } = require("../backend/utils/geo");
+
+describe("SpatialIndex", function () {
+    // 以北京为中心、约 ±25km 范围内生成模拟司机（固定随机种子，结果可复现）
+    const CENTER = { lat: 39.9, lng: 116.4 };
+    const DRIVER_COUNT = 20000;
+    const QUERY_COUNT = 200;
+
+    function createRandom(seed) {
+        return function () {
+            seed = (seed * 1664525 + 1013904223) % 4294967296;
+            return seed / 4294967296;
+        };
+    }
+
+    function seedDrivers(count, random) {
+        const drivers = [];
+        for (let i = 0; i < count; i++) {
+            drivers.push({
+                id: `driver-${i}`,
+                lat: CENTER.lat + (random() - 0.5) * 0.45,
+                lng: CENTER.lng + (random() - 0.5) * 0.6
+            });
+        }
+        return drivers;
+    }
+
+    function linearWithin(drivers, lat, lng, radius) {
+        return drivers
+            .map(driver => ({ id: driver.id, distance: calculateDistance(lat, lng, driver.lat, driver.lng) }))
+            .filter(driver => driver.distance <= radius)
+            .sort((a, b) => a.distance - b.distance);
+    }
+
+    let drivers;
+    let index;
+    let queries;
+
+    before(function () {
+        const random = createRandom(42);
+        drivers = seedDrivers(DRIVER_COUNT, random);
+        index = new SpatialIndex(6);
+        for (const driver of drivers) {
+            index.set(driver.id, driver.lat, driver.lng);
+        }
+        queries = seedDrivers(QUERY_COUNT, random);
+    });
+
+    describe("查询结果", function () {
+        it("半径查询应该与逐个计算距离的结果一致", function () {
+            for (const query of queries.slice(0, 20)) {
+                const expected = linearWithin(drivers, query.lat, query.lng, 3).map(driver => driver.id);
+                const actual = index.within(query.lat, query.lng, 3).map(point => point.id);
+                expect(actual).to.deep.equal(expected);
+            }
+        });
+
+        it("K 近邻查询应该返回最近的 K 个点", function () {
+            for (const query of queries.slice(0, 20)) {
+                const expected = linearWithin(drivers, query.lat, query.lng, Infinity).slice(0, 10).map(driver => driver.id);
+                const actual = index.nearest(query.lat, query.lng, 10).map(point => point.id);
+                expect(actual).to.deep.equal(expected);
+            }
+        });
+
+        it("应该支持更新位置和移除", function () {
+            const local = new SpatialIndex(6);
+            local.set("a", 39.9, 116.4);
+            local.set("b", 39.91, 116.4);
+            local.set("a", 40.5, 116.4);
+            expect(local.within(39.9, 116.4, 2).map(point => point.id)).to.deep.equal(["b"]);
+
+            expect(local.remove("b")).to.equal(true);
+            expect(local.within(39.9, 116.4, 2)).to.have.lengthOf(0);
+            expect(local.nearest(39.9, 116.4, 1)[0].id).to.equal("a");
+            expect(local.size).to.equal(1);
+        });
+    });
+
+    describe("性能", function () {
+        it(`${DRIVER_COUNT} 名司机时半径查询应该明显快于逐个计算距离`, function () {
+            this.timeout(60000);
+
+            let start = process.hrtime.bigint();
+            for (const query of queries) {
+                linearWithin(drivers, query.lat, query.lng, 3);
+            }
+            const linearMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+            start = process.hrtime.bigint();
+            for (const query of queries) {
+                index.within(query.lat, query.lng, 3);
+            }
+            const indexMs = Number(process.hrtime.bigint() - start) / 1e6;
+
+            console.log(`      逐个计算: ${(linearMs / QUERY_COUNT).toFixed(3)} ms/次，空间索引: ${(indexMs / QUERY_COUNT).toFixed(3)} ms/次`);
+            expect(indexMs).to.be.below(linearMs / 2);
+        });
+
+        it("K 近邻查询应该在 1ms 量级内完成", function () {
+            const start = process.hrtime.bigint();
+            for (const query of queries) {
+                index.nearest(query.lat, query.lng, 10, 10);
+            }
+            const perQueryMs = Number(process.hrtime.bigint() - start) / 1e6 / QUERY_COUNT;
+
+            console.log(`      K 近邻（K=10）: ${perQueryMs.toFixed(3)} ms/次`);
+            expect(perQueryMs).to.be.below(5);
+        });
+    });
+});
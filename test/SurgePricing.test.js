@@ -0,0 +1,107 @@
+const { expect } = require("chai");
+const SurgePricingService = require("../backend/services/surgePricing");
+
+describe("SurgePricingService", function () {
+    const BEIJING = { lat: 39.9, lng: 116.4 };
+    const NEARBY = { lat: 39.9005, lng: 116.4005 };
+    const SHANGHAI = { lat: 31.23, lng: 121.47 };
+
+    let matching;
+    let surge;
+
+    // 订单匹配服务桩：在线司机和待接订单
+    function createSurge(surgeConfig = {}) {
+        return new SurgePricingService({ services: { surge: { demandThreshold: 1, sensitivity: 0.5, maxMultiplier: 3, ...surgeConfig } } }, matching);
+    }
+
+    function addDrivers(location, count) {
+        for (let i = 0; i < count; i++) {
+            matching.onlineDrivers.set(`d${matching.onlineDrivers.size}`, { location });
+        }
+    }
+
+    function addOrders(pickup, count) {
+        for (let i = 0; i < count; i++) {
+            matching.pendingOrders.push({ orderId: matching.pendingOrders.length + 1, pickup });
+        }
+    }
+
+    beforeEach(function () {
+        matching = { onlineDrivers: new Map(), pendingOrders: [] };
+        surge = createSurge();
+    });
+
+    afterEach(function () {
+        surge.stop();
+    });
+
+    describe("溢价倍数", function () {
+        it("需求供给比超过阈值后按灵敏度线性增加", function () {
+            expect(surge.calculateMultiplier(0, 0)).to.deep.equal({ multiplier: 1, capped: false });
+            expect(surge.calculateMultiplier(2, 2)).to.deep.equal({ multiplier: 1, capped: false });
+            expect(surge.calculateMultiplier(3, 2)).to.deep.equal({ multiplier: 1.3, capped: false });
+            expect(surge.calculateMultiplier(4, 1)).to.deep.equal({ multiplier: 2.5, capped: false });
+            // 没有司机时按供给 1 计算
+            expect(surge.calculateMultiplier(2, 0)).to.deep.equal({ multiplier: 1.5, capped: false });
+        });
+
+        it("应该限制在最高倍数，关闭时固定为 1", function () {
+            expect(surge.calculateMultiplier(5, 1)).to.deep.equal({ multiplier: 3, capped: false });
+            expect(surge.calculateMultiplier(20, 1)).to.deep.equal({ multiplier: 3, capped: true });
+            expect(createSurge({ maxMultiplier: 1.5 }).calculateMultiplier(20, 1)).to.deep.equal({ multiplier: 1.5, capped: true });
+            expect(createSurge({ enabled: false }).calculateMultiplier(20, 1)).to.deep.equal({ multiplier: 1, capped: false });
+        });
+    });
+
+    describe("网格统计", function () {
+        it("应该按 geohash 网格分别统计供需", function () {
+            addDrivers(BEIJING, 1);
+            addDrivers(SHANGHAI, 2);
+            addDrivers({ lat: null, lng: null }, 1);
+            addOrders(BEIJING, 2);
+            addOrders(NEARBY, 1);
+            addOrders(SHANGHAI, 1);
+
+            expect(surge.getCell(BEIJING.lat, BEIJING.lng)).to.equal(surge.getCell(NEARBY.lat, NEARBY.lng));
+            const beijing = surge.getSurge(NEARBY.lat, NEARBY.lng);
+            expect(beijing).to.include({ demand: 3, supply: 1, multiplier: 2, capped: false, maxMultiplier: 3 });
+            expect(beijing.cell).to.have.length(5);
+            expect(surge.getMultiplier(SHANGHAI.lat, SHANGHAI.lng)).to.equal(1);
+            // 没有供需的网格不溢价
+            expect(surge.getSurge(22.54, 114.06)).to.include({ demand: 0, supply: 0, multiplier: 1 });
+
+            const cells = surge.getCurrentCells();
+            expect(cells.map(cell => [cell.demand, cell.supply, cell.multiplier])).to.deep.equal([[3, 1, 2], [1, 2, 1]]);
+        });
+
+        it("网格精度可以配置", function () {
+            const coarse = createSurge({ geohashPrecision: 3 });
+            expect(coarse.getCell(BEIJING.lat, BEIJING.lng)).to.have.length(3);
+        });
+    });
+
+    describe("历史快照", function () {
+        it("应该记录快照、清理过期记录并按网格查询", function () {
+            const beijingCell = surge.getCell(BEIJING.lat, BEIJING.lng);
+            addDrivers(BEIJING, 1);
+            addOrders(BEIJING, 3);
+            surge.recordSnapshot();
+            addOrders(SHANGHAI, 2);
+            surge.recordSnapshot();
+            expect(surge.history.length).to.equal(2);
+            surge.history[0].timestamp -= 25 * 60 * 60 * 1000;
+
+            matching.pendingOrders = [];
+            surge.recordSnapshot();
+            // 超过保留时间的第一次快照已被清理
+            expect(surge.history.length).to.equal(2);
+
+            expect(surge.getHistory({ cell: beijingCell }).map(({ demand, supply, multiplier }) => [demand, supply, multiplier]))
+                .to.deep.equal([[3, 1, 2], [0, 1, 1]]);
+            const [busy, quiet] = surge.getHistory();
+            expect(busy).to.include({ maxMultiplier: 2, avgMultiplier: 1.75, surgingCells: 2, totalDemand: 5, totalSupply: 1 });
+            expect(quiet).to.include({ maxMultiplier: 1, avgMultiplier: 1, surgingCells: 0, totalDemand: 0, totalSupply: 1 });
+            expect(surge.getHistory({ since: Date.now() + 1000 })).to.deep.equal([]);
+        });
+    });
+});
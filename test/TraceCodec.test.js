@@ -0,0 +1,48 @@
+const { expect } = require("chai");
+const { simplifyTrace, encodeTrace, decodeTrace } = require("../backend/utils/traceCodec");
+
+describe("traceCodec", function () {
+    // 先向北再向东的 L 形轨迹，每秒一个点
+    function lShapedTrace() {
+        const points = [];
+        const start = Date.UTC(2024, 0, 1, 8, 0, 0);
+        for (let i = 0; i <= 100; i++) {
+            points.push({
+                lat: 39.9 + Math.min(i, 50) * 0.0001,
+                lng: 116.4 + Math.max(i - 50, 0) * 0.0001,
+                timestamp: start + i * 1000,
+                speed: 11.1,
+                heading: i > 50 ? 90 : 0,
+                accuracy: 6,
+                flags: i === 20 ? ["impossible_speed"] : []
+            });
+        }
+        return points;
+    }
+
+    it("Douglas-Peucker 应该只保留拐点，并保留指定的点", function () {
+        const points = lShapedTrace();
+        const simplified = simplifyTrace(points, 5, point => point.flags.length > 0);
+        expect(simplified.map(point => points.indexOf(point))).to.deep.equal([0, 20, 50, 100]);
+    });
+
+    it("编码后解码应该还原坐标、时间和属性", function () {
+        const points = lShapedTrace();
+        const decoded = decodeTrace(JSON.parse(JSON.stringify(encodeTrace(points))));
+
+        expect(decoded).to.have.lengthOf(points.length);
+        decoded.forEach((point, i) => {
+            expect(point.lat).to.be.closeTo(points[i].lat, 1e-5);
+            expect(point.lng).to.be.closeTo(points[i].lng, 1e-5);
+            expect(point.timestamp).to.equal(points[i].timestamp);
+            expect(point.heading).to.equal(points[i].heading);
+        });
+        expect(decoded[0].speed).to.equal(11.1);
+        expect(decoded[20].flags).to.deep.equal(["impossible_speed"]);
+    });
+
+    it("编码应该明显小于原始 JSON", function () {
+        const points = lShapedTrace();
+        expect(JSON.stringify(encodeTrace(points)).length).to.be.below(JSON.stringify(points).length / 5);
+    });
+});
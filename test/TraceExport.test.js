@@ -0,0 +1,48 @@
+const { expect } = require("chai");
+const TraceExportService = require("../backend/services/traceExport");
+
+describe("TraceExportService", function () {
+    const exporter = new TraceExportService();
+
+    const trip = {
+        orderId: 7,
+        startTime: Date.UTC(2024, 0, 1, 8, 0, 0),
+        distance: 0.33,
+        points: [
+            { lat: 39.9, lng: 116.4, timestamp: Date.UTC(2024, 0, 1, 8, 0, 0), speed: 10, heading: 0, accuracy: 5 },
+            { lat: 39.903, lng: 116.4, timestamp: Date.UTC(2024, 0, 1, 8, 0, 30), speed: 11, heading: 2, accuracy: 5, flags: [] }
+        ],
+        stops: [{ type: "destination", lat: 39.903, lng: 116.4, address: "A & B" }]
+    };
+
+    it("GPX 应该包含时间、速度和航向", function () {
+        const file = exporter.exportTrip(trip, "gpx");
+        expect(file.filename).to.equal("trip-7.gpx");
+        expect(file.totalPoints).to.equal(2);
+        expect(file.body).to.include('<trkpt lat="39.903" lon="116.4">');
+        expect(file.body).to.include("<time>2024-01-01T08:00:30.000Z</time>");
+        expect(file.body).to.include("<gpxtpx:speed>11</gpxtpx:speed>");
+        expect(file.body).to.include("<gpxtpx:course>2</gpxtpx:course>");
+        expect(file.body).to.include("<name>A &amp; B</name>");
+    });
+
+    it("GeoJSON 坐标应该为 [lng, lat]", function () {
+        const geojson = JSON.parse(exporter.exportTrip(trip, "geojson").body);
+        const line = geojson.features[0];
+        expect(line.geometry.coordinates).to.deep.equal([[116.4, 39.9], [116.4, 39.903]]);
+        expect(line.properties.coordTimes[1]).to.equal("2024-01-01T08:00:30.000Z");
+        expect(geojson.features.filter(f => f.properties.kind === "trackpoint")).to.have.lengthOf(2);
+    });
+
+    it("KML 应该使用 gx:Track 并附带速度", function () {
+        const body = exporter.exportTrip(trip, "kml").body;
+        expect(body).to.include("<gx:coord>116.4 39.903 0</gx:coord>");
+        expect(body).to.include("<when>2024-01-01T08:00:00.000Z</when>");
+        expect(body).to.include('<gx:SimpleArrayData name="speed">');
+    });
+
+    it("应该拒绝不支持的格式", function () {
+        expect(exporter.isSupportedFormat("csv")).to.equal(false);
+        expect(() => exporter.exportTrip(trip, "csv")).to.throw("不支持的导出格式");
+    });
+});
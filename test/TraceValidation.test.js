@@ -0,0 +1,66 @@
+const { expect } = require("chai");
+const TraceValidationService = require("../backend/services/traceValidation");
+
+describe("TraceValidationService", function () {
+    let validator;
+
+    const pickup = { lat: 39.9, lng: 116.4 };
+    const destination = { lat: 39.95, lng: 116.4 };
+
+    // 每 30 秒向北约 0.33km（约 40km/h），从上车点行驶到目的地
+    function normalTrace() {
+        const points = [];
+        for (let i = 0; i <= 15; i++) {
+            points.push({ lat: 39.9 + i * 0.003, lng: 116.4, timestamp: 1700000000000 + i * 30000, speed: 11, accuracy: 10 });
+        }
+        points.push({ lat: 39.95, lng: 116.4, timestamp: 1700000000000 + 16 * 30000, speed: 0, accuracy: 10 });
+        return points;
+    }
+
+    beforeEach(function () {
+        validator = new TraceValidationService({ services: { locationTracking: {} } });
+    });
+
+    describe("逐点检查", function () {
+        const previous = { lat: 39.9, lng: 116.4, timestamp: 1700000000000 };
+
+        it("应该标记瞬移和超速", function () {
+            // 10 秒移动约 11km
+            expect(validator.checkPoint(previous, { lat: 40.0, lng: 116.4, timestamp: 1700000010000 }))
+                .to.deep.equal(["teleport"]);
+            // 10 秒移动约 1.1km（约 400km/h）
+            expect(validator.checkPoint(previous, { lat: 39.91, lng: 116.4, timestamp: 1700000010000 }))
+                .to.deep.equal(["impossible_speed"]);
+        });
+
+        it("应该标记定位精度差和时间戳倒退", function () {
+            expect(validator.checkPoint(previous, { lat: 39.9001, lng: 116.4, timestamp: 1699999990000, accuracy: 500 }))
+                .to.deep.equal(["poor_accuracy", "timestamp_regression"]);
+        });
+    });
+
+    describe("轨迹评分", function () {
+        it("正常轨迹应该满分", function () {
+            const result = validator.validate(normalTrace(), { pickup, destination });
+            expect(result.score).to.equal(100);
+            expect(result.level).to.equal("trusted");
+            expect(result.reachedPickup).to.equal(true);
+            expect(result.reachedDestination).to.equal(true);
+        });
+
+        it("应该对异常点和未到达目的地扣分", function () {
+            const points = normalTrace().slice(0, 10);
+            points.splice(5, 0, { lat: 40.2, lng: 116.4, timestamp: points[4].timestamp + 1000, accuracy: 10 });
+            const result = validator.validate(points, { pickup, destination });
+
+            expect(result.flaggedPoints).to.equal(1);
+            expect(result.issues).to.deep.equal({ teleport: 1, destination_not_reached: 1 });
+            expect(result.score).to.equal(100 - 15 - 30);
+            expect(result.level).to.equal("suspicious");
+        });
+
+        it("没有有效位置点时应该为 0 分", function () {
+            expect(validator.validate([], { pickup }).score).to.equal(0);
+        });
+    });
+});